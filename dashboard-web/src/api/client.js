@@ -2,21 +2,15 @@ const DEFAULT_HEADERS = {
   'Content-Type': 'application/json'
 };
 
-export function encodeBasicAuth(username, password) {
-  if (!username || !password) return null;
-  const value = `${username}:${password}`;
-  if (typeof window !== 'undefined' && typeof window.btoa === 'function') {
-    return `Basic ${window.btoa(value)}`;
-  }
-  if (typeof Buffer !== 'undefined') {
-    return `Basic ${Buffer.from(value, 'utf-8').toString('base64')}`;
-  }
-  return null;
+export function encodeBearerAuth(token) {
+  return token ? `Bearer ${token}` : null;
 }
 
-export function createApiClient({ baseUrl, username, password }) {
+// `token` is the dashboard session from POST /auth/login; `onUnauthorized` runs when the
+// service rejects it (expired, revoked, or the user was disabled).
+export function createApiClient({ baseUrl, token, onUnauthorized }) {
   if (!baseUrl) throw new Error('API client requires baseUrl');
-  const authHeader = encodeBasicAuth(username, password);
+  const authHeader = encodeBearerAuth(token);
 
   async function request(path, options = {}) {
     const url = new URL(path, baseUrl).toString();
@@ -30,8 +24,14 @@ export function createApiClient({ baseUrl, username, password }) {
     });
 
     if (!response.ok) {
+      if (response.status === 401 && authHeader && onUnauthorized) {
+        onUnauthorized();
+      }
       const text = await response.text().catch(() => '');
-      throw new Error(`Request failed: ${response.status} ${text}`.trim());
+      const error = new Error(`Request failed: ${response.status} ${text}`.trim());
+      error.status = response.status;
+      error.body = text;
+      throw error;
     }
 
     if (response.status === 204) return null;
@@ -44,24 +44,55 @@ export function createApiClient({ baseUrl, username, password }) {
   }
 
   return {
+    async login({ username, password }) {
+      return request('/auth/login', { method: 'POST', body: { username, password } });
+    },
+
+    async logout() {
+      return request('/auth/logout', { method: 'POST' });
+    },
+
+    async getSession() {
+      return request('/auth/me');
+    },
+
+    // One-time ticket for the `?ticket=` websocket upgrade; it expires within seconds.
+    async createWsTicket() {
+      return request('/auth/ws-ticket', { method: 'POST' });
+    },
+
     async listTasks(params = {}) {
       const search = new URLSearchParams();
-      if (params.status) search.set('status', params.status);
-      if (params.corrId) search.set('corrId', params.corrId);
-      if (params.since) search.set('since', params.since);
+      ['status', 'type', 'agent', 'channel', 'source', 'corrId', 'campaignId', 'q', 'since',
+        'createdFrom', 'createdTo', 'updatedFrom', 'updatedTo', 'sort', 'order', 'cursor'].forEach((key) => {
+        if (params[key]) search.set(key, params[key]);
+      });
+      // `payload: { to: '+1555…' }` becomes `payload.to=+1555…`; nested paths use dots.
+      Object.entries(params.payload || {}).forEach(([path, value]) => {
+        search.set(`payload.${path}`, value);
+      });
       if (params.limit) search.set('limit', String(params.limit));
       const query = search.toString();
       const path = query ? `/tasks?${query}` : '/tasks';
       return request(path);
     },
 
+    async listTaskTypes() {
+      return request('/task-types');
+    },
+
+    async getAgentHealth() {
+      return request('/agents/health');
+    },
+
     async getTask(id) {
       return request(`/task/${id}`);
     },
 
-    async createTask(payload) {
+    async createTask(payload, { idempotencyKey } = {}) {
       return request('/task', {
         method: 'POST',
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
         body: payload
       });
     },
@@ -73,6 +104,41 @@ export function createApiClient({ baseUrl, username, password }) {
       });
     },
 
+    async cancelTask(id, reason) {
+      return request(`/task/${id}/cancel`, {
+        method: 'POST',
+        body: reason ? { reason } : {}
+      });
+    },
+
+    async rerunTask(id, { payload } = {}) {
+      return request(`/task/${id}/rerun`, {
+        method: 'POST',
+        body: payload !== undefined ? { payload } : {}
+      });
+    },
+
+    async rerunTasks({ filter, limit, dryRun } = {}) {
+      return request('/tasks/rerun', {
+        method: 'POST',
+        body: { filter: filter || {}, ...(limit ? { limit } : {}), ...(dryRun ? { dryRun: true } : {}) }
+      });
+    },
+
+    async approveTask(id, { payload, note } = {}) {
+      return request(`/task/${id}/approve`, {
+        method: 'POST',
+        body: { ...(payload !== undefined ? { payload } : {}), ...(note ? { note } : {}) }
+      });
+    },
+
+    async rejectTask(id, reason) {
+      return request(`/task/${id}/reject`, {
+        method: 'POST',
+        body: reason ? { reason } : {}
+      });
+    },
+
     async fetchLogs(params = {}) {
       const search = new URLSearchParams();
       if (params.service) search.set('service', params.service);
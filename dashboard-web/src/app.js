@@ -1,8 +1,13 @@
-import { createApiClient, encodeBasicAuth } from './api/client.js';
+import { createApiClient, encodeBearerAuth } from './api/client.js';
 
 const STORAGE_KEY = 'paio-dashboard-settings';
+// The session token lives in sessionStorage so it never outlives the tab.
+const SESSION_STORAGE_KEY = 'paio-dashboard-session';
+// Close code the orchestrator uses when the socket's session is signed out or revoked.
+const WS_SESSION_ENDED_CODE = 4001;
 const MAX_ACTIVITY_ENTRIES = 200;
 const MAX_LOG_ENTRIES = 300;
+const CANCELLABLE_STATUSES = ['awaiting_approval', 'queued', 'running'];
 const SETTINGS_KEYS = [
   'orchestratorUrl',
   'websocketUrl',
@@ -10,8 +15,6 @@ const SETTINGS_KEYS = [
   'echoUrl',
   'callAgentUrl',
   'renderctlUrl',
-  'username',
-  'password',
   'twilioAccountSid',
   'twilioAuthToken',
   'twilioBaseUrl',
@@ -30,8 +33,6 @@ const BASE_DEFAULT_SETTINGS = Object.freeze({
   echoUrl: 'https://echo-agent-svc.onrender.com',
   callAgentUrl: 'https://call-agent-svc.onrender.com',
   renderctlUrl: 'https://renderctl-svc.onrender.com',
-  username: '',
-  password: '',
   twilioAccountSid: '',
   twilioAuthToken: '',
   twilioBaseUrl: 'https://api.twilio.com',
@@ -51,6 +52,12 @@ const elements = {
   settingsCard: document.getElementById('settings-card'),
   settingsForm: document.getElementById('settings-form'),
   clearSettings: document.getElementById('clear-settings'),
+  loginCard: document.getElementById('login-card'),
+  loginForm: document.getElementById('login-form'),
+  loginFeedback: document.getElementById('login-feedback'),
+  sessionInfo: document.getElementById('session-info'),
+  sessionUser: document.getElementById('session-user'),
+  logout: document.getElementById('logout'),
   refreshTasks: document.getElementById('refresh-tasks'),
   refreshConfig: document.getElementById('refresh-config'),
   summary: {
@@ -60,11 +67,20 @@ const elements = {
     done: document.getElementById('summary-done'),
     error: document.getElementById('summary-error')
   },
+  approvals: document.getElementById('approvals'),
+  approvalsCount: document.getElementById('approvals-count'),
+  refreshApprovals: document.getElementById('refresh-approvals'),
   filterForm: document.getElementById('task-filter-form'),
+  tasksNewer: document.getElementById('tasks-newer'),
+  tasksOlder: document.getElementById('tasks-older'),
+  tasksPage: document.getElementById('tasks-page'),
+  rerunFailed: document.getElementById('rerun-failed'),
   taskTableBody: document.getElementById('task-table-body'),
   taskDetail: document.getElementById('task-detail'),
   newTaskForm: document.getElementById('new-task-form'),
   newTaskFeedback: document.getElementById('new-task-feedback'),
+  newTaskSchemaFields: document.getElementById('new-task-schema-fields'),
+  taskTypeOptions: document.getElementById('task-type-options'),
   activityList: document.getElementById('activity-list'),
   activityTemplate: document.getElementById('activity-item-template'),
   configResults: document.getElementById('config-results'),
@@ -75,6 +91,8 @@ const elements = {
   copyLogs: document.getElementById('copy-logs'),
   dbSnapshot: document.getElementById('db-snapshot'),
   refreshDbSnapshot: document.getElementById('refresh-db-snapshot'),
+  agentHealth: document.getElementById('agent-health'),
+  refreshAgentHealth: document.getElementById('refresh-agent-health'),
   voiceCallForm: document.getElementById('voice-call-form'),
   voiceCallStatus: document.getElementById('voice-call-status'),
   voiceCallSubmit: document.getElementById('voice-call-submit'),
@@ -104,8 +122,12 @@ const elements = {
 const state = {
   tasks: new Map(),
   filters: { status: '', corrId: '', limit: 50 },
+  // Cursor stack for GET /tasks paging: cursors[i] fetches page i; page 0 needs none.
+  paging: { cursors: [null], page: 0, nextCursor: null },
   selectedTaskId: null,
   selectedTaskDetail: null,
+  // Task types published by GET /task-types, each with the payload schema its agent accepts.
+  taskTypes: [],
   events: [],
   configReports: [],
   connectivity: {
@@ -124,8 +146,24 @@ const state = {
     events: [],
     lastUpdated: null
   },
+  // Tasks held in awaiting_approval, plus unsaved payload edits keyed by task id.
+  approvals: {
+    loading: false,
+    error: null,
+    tasks: new Map(),
+    drafts: new Map()
+  },
+  // GET /agents/health: per-agent state, circuit breaker, failure counts, and uptime.
+  agentHealth: {
+    loading: false,
+    error: null,
+    agents: [],
+    lastUpdated: null
+  },
   voiceCall: createVoiceCallState(),
-  oauth: createOAuthState()
+  oauth: createOAuthState(),
+  // Idempotency keys survive failed submissions so a retry cannot enqueue the task twice.
+  pendingIdempotencyKeys: {}
 };
 
 function createVoiceCallState() {
@@ -171,12 +209,16 @@ function createOAuthState() {
 }
 
 let settings = loadSettings();
+let session = loadSession();
 let orchestratorClient = null;
 let loggingClient = null;
 let websocket = null;
 let reconnectTimer = null;
+// Bumped on disconnect so a ticket request still in flight does not open a stale socket.
+let websocketGeneration = 0;
 
 applySettingsToForm(settings);
+renderSession();
 renderTaskTable();
 renderActivity();
 renderTaskDetail();
@@ -185,13 +227,17 @@ renderSummary();
 renderConnectivity();
 renderLogs();
 renderDatabaseSnapshot();
+renderAgentHealth();
+renderApprovals();
 renderVoiceCall();
 renderOAuthUI();
 
-if (settings.orchestratorUrl) {
+if (settings.orchestratorUrl && session) {
   initializeConnections();
 }
 
+elements.loginForm?.addEventListener('submit', onLoginSubmit);
+elements.logout?.addEventListener('click', onLogoutClick);
 elements.toggleSettings?.addEventListener('click', toggleSettingsCard);
 elements.clearSettings?.addEventListener('click', clearStoredSettings);
 elements.settingsForm?.addEventListener('submit', onSettingsSubmit);
@@ -202,8 +248,13 @@ elements.refreshConfig?.addEventListener('click', () => {
   refreshConfig();
 });
 elements.filterForm?.addEventListener('submit', onFilterSubmit);
+elements.tasksNewer?.addEventListener('click', () => changeTaskPage(-1));
+elements.tasksOlder?.addEventListener('click', () => changeTaskPage(1));
+elements.rerunFailed?.addEventListener('click', onRerunFailedClick);
 elements.taskTableBody?.addEventListener('click', onTaskRowClick);
+elements.taskDetail?.addEventListener('click', onTaskDetailClick);
 elements.newTaskForm?.addEventListener('submit', onNewTaskSubmit);
+elements.newTaskForm?.elements.type?.addEventListener('change', renderSchemaFields);
 elements.voiceCallForm?.addEventListener('submit', onVoiceCallSubmit);
 elements.runConnectivity?.addEventListener('click', () => {
   runConnectivityCheck();
@@ -211,6 +262,10 @@ elements.runConnectivity?.addEventListener('click', () => {
 elements.clearLogs?.addEventListener('click', clearLogs);
 elements.copyLogs?.addEventListener('click', copyLogs);
 elements.refreshDbSnapshot?.addEventListener('click', refreshDatabaseSnapshot);
+elements.refreshAgentHealth?.addEventListener('click', refreshAgentHealth);
+elements.refreshApprovals?.addEventListener('click', refreshApprovals);
+elements.approvals?.addEventListener('click', onApprovalClick);
+elements.approvals?.addEventListener('input', onApprovalInput);
 
 // OAuth event listeners
 elements.toggleOauth?.addEventListener('click', toggleOAuthCard);
@@ -257,9 +312,7 @@ function onSettingsSubmit(event) {
     twilioBaseUrl: valueOrDefault(formData.get('twilioBaseUrl'), defaultSettings.twilioBaseUrl),
     hubspotBaseUrl: valueOrDefault(formData.get('hubspotBaseUrl'), defaultSettings.hubspotBaseUrl),
     openaiBaseUrl: valueOrDefault(formData.get('openaiBaseUrl'), defaultSettings.openaiBaseUrl),
-    googleBaseUrl: valueOrDefault(formData.get('googleBaseUrl'), defaultSettings.googleBaseUrl),
-    username: formData.get('username')?.trim() || '',
-    password: formData.get('password') || ''
+    googleBaseUrl: valueOrDefault(formData.get('googleBaseUrl'), defaultSettings.googleBaseUrl)
   };
 
   settings = nextSettings;
@@ -268,14 +321,126 @@ function onSettingsSubmit(event) {
   initializeConnections();
 }
 
+async function onLoginSubmit(event) {
+  event.preventDefault();
+  const formData = new FormData(elements.loginForm);
+  const username = formData.get('username')?.trim() || '';
+  const password = formData.get('password') || '';
+
+  if (!settings.orchestratorUrl) {
+    setLoginFeedback('Save the orchestrator URL under Connections before signing in.', 'error');
+    return;
+  }
+
+  setLoginFeedback('Signing in…', 'info');
+  try {
+    const result = await createApiClient({ baseUrl: settings.orchestratorUrl }).login({ username, password });
+    session = {
+      token: result.token,
+      expiresAt: result.expiresAt,
+      user: { username: result.user.username, role: result.user.role, scopes: result.user.scopes || [] }
+    };
+    saveSession(session);
+    elements.loginForm.reset();
+    setLoginFeedback('', 'info');
+    renderSession();
+    appendLog('info', 'Session', `Signed in as ${session.user.username} (${session.user.role}).`);
+    initializeConnections();
+  } catch (err) {
+    const message = err.status === 401 ? 'Invalid username or password.' : `Sign-in failed: ${err.message}`;
+    setLoginFeedback(message, 'error');
+    appendLog('error', 'Session', 'Sign-in failed.', err.message);
+  }
+}
+
+async function onLogoutClick() {
+  try {
+    await orchestratorClient?.logout();
+  } catch (err) {
+    console.warn('Failed to end session on the orchestrator', err);
+  }
+  endSession('Signed out.');
+}
+
+// Called by the API clients on a 401: the session expired, was revoked, or the user was disabled.
+function onSessionRejected() {
+  if (!session) return;
+  endSession('Session expired or was revoked. Sign in again.');
+  setLoginFeedback('Your session ended. Sign in again.', 'error');
+}
+
+function endSession(message) {
+  if (!session) return;
+  session = null;
+  clearStoredSession();
+  renderSession();
+  resetConnectionState();
+  appendLog('info', 'Session', message);
+  setConnectionStatus('disconnected', 'Signed out');
+}
+
+function renderSession() {
+  const user = session?.user;
+  if (elements.loginCard) elements.loginCard.hidden = Boolean(user);
+  if (elements.sessionInfo) elements.sessionInfo.hidden = !user;
+  if (elements.sessionUser) elements.sessionUser.textContent = user ? `${user.username} (${user.role})` : '';
+  if (user) {
+    document.body.dataset.role = user.role;
+  } else {
+    delete document.body.dataset.role;
+  }
+}
+
+function setLoginFeedback(message, variant) {
+  if (!elements.loginFeedback) return;
+  elements.loginFeedback.textContent = message;
+  elements.loginFeedback.className = `form-feedback ${variant}`;
+}
+
 function onFilterSubmit(event) {
   event.preventDefault();
   const formData = new FormData(elements.filterForm);
   state.filters = {
     status: formData.get('status') || '',
+    type: formData.get('type')?.trim() || '',
+    agent: formData.get('agent')?.trim() || '',
     corrId: formData.get('corrId')?.trim() || '',
+    q: formData.get('q')?.trim() || '',
+    payload: parsePayloadFilter(formData.get('payload')),
+    updatedFrom: toIsoFilter(formData.get('updatedFrom')),
+    updatedTo: toIsoFilter(formData.get('updatedTo')),
     limit: clampLimit(Number(formData.get('limit'))) || 50
   };
+  state.paging = { cursors: [null], page: 0, nextCursor: null };
+  refreshTasks();
+}
+
+// "to=+1555" or "meta.campaign=spring" → { to: '+1555' }; anything without "=" is ignored.
+function parsePayloadFilter(raw) {
+  const text = String(raw || '').trim();
+  const separator = text.indexOf('=');
+  if (separator <= 0) return undefined;
+  const path = text.slice(0, separator).trim().replace(/^payload\./, '');
+  return path ? { [path]: text.slice(separator + 1).trim() } : undefined;
+}
+
+function toIsoFilter(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+function changeTaskPage(delta) {
+  const paging = state.paging;
+  if (delta > 0) {
+    if (!paging.nextCursor) return;
+    paging.cursors[paging.page + 1] = paging.nextCursor;
+    paging.page += 1;
+  } else {
+    if (paging.page === 0) return;
+    paging.page -= 1;
+  }
+  paging.cursors.length = paging.page + 1;
   refreshTasks();
 }
 
@@ -289,6 +454,127 @@ function onTaskRowClick(event) {
   loadTaskDetail(taskId);
 }
 
+async function onTaskDetailClick(event) {
+  const link = event.target.closest('[data-action="open-task"]');
+  if (link) {
+    event.preventDefault();
+    const linkedId = link.dataset.taskId;
+    if (!linkedId) return;
+    state.selectedTaskId = linkedId;
+    highlightSelectedRow(linkedId);
+    loadTaskDetail(linkedId);
+    return;
+  }
+  const rerunButton = event.target.closest('button[data-action="rerun-task"]');
+  if (rerunButton) {
+    await rerunSelectedTask(rerunButton);
+    return;
+  }
+
+  const button = event.target.closest('button[data-action="cancel-task"]');
+  if (!button) return;
+  const taskId = button.dataset.taskId;
+  if (!taskId || !orchestratorClient) return;
+  if (!window.confirm(`Cancel task ${shortId(taskId)}?`)) return;
+
+  button.disabled = true;
+  try {
+    const result = await orchestratorClient.cancelTask(taskId);
+    if (result?.task) {
+      state.tasks.set(result.task.id, result.task);
+      renderSummary();
+      renderTaskTable();
+    }
+    appendLog('info', 'orchestrator', `Cancelled task ${shortId(taskId)}`);
+    loadTaskDetail(taskId);
+  } catch (err) {
+    console.error('Failed to cancel task', err);
+    appendLog('error', 'orchestrator', `Failed to cancel task ${shortId(taskId)}`, err.message);
+    renderTaskDetail();
+  }
+}
+
+// Re-runs the selected task, with the edited payload when the operator changed it.
+async function rerunSelectedTask(button) {
+  const taskId = button.dataset.taskId;
+  if (!taskId || !orchestratorClient) return;
+
+  const original = state.selectedTaskDetail?.task;
+  const textarea = elements.taskDetail?.querySelector('textarea[data-role="rerun-payload"]');
+  let payload;
+  if (textarea && original) {
+    try {
+      const edited = JSON.parse(textarea.value || '{}');
+      if (JSON.stringify(edited) !== JSON.stringify(original.payload ?? {})) {
+        payload = edited;
+      }
+    } catch (err) {
+      appendLog('error', 'orchestrator', `Re-run payload for ${shortId(taskId)} is not valid JSON`, err.message);
+      return;
+    }
+  }
+  if (!window.confirm(`Re-run task ${shortId(taskId)}${payload ? ' with the edited payload' : ''}?`)) return;
+
+  button.disabled = true;
+  try {
+    const result = await orchestratorClient.rerunTask(taskId, { payload });
+    if (result?.task) {
+      state.tasks.set(result.task.id, result.task);
+      renderSummary();
+      renderTaskTable();
+      appendLog('info', 'orchestrator', `Re-ran task ${shortId(taskId)} as ${shortId(result.task.id)}`);
+    }
+    loadTaskDetail(taskId);
+  } catch (err) {
+    console.error('Failed to re-run task', err);
+    appendLog('error', 'orchestrator', `Failed to re-run task ${shortId(taskId)}`, err.message);
+    button.disabled = false;
+  }
+}
+
+// Bulk re-run of errored/dead-lettered tasks under the current filters, after a dry run
+// tells the operator how many tasks it would touch.
+async function onRerunFailedClick() {
+  if (!orchestratorClient) return;
+  const { status, type, agent, corrId, q, payload, updatedFrom, updatedTo, limit } = state.filters;
+  const filter = {
+    ...(status ? { status } : {}),
+    ...(type ? { type } : {}),
+    ...(agent ? { agent } : {}),
+    ...(corrId ? { corrId } : {}),
+    ...(q ? { q } : {}),
+    ...(updatedFrom ? { updatedFrom } : {}),
+    ...(updatedTo ? { updatedTo } : {}),
+    ...Object.fromEntries(Object.entries(payload || {}).map(([path, value]) => [`payload.${path}`, value]))
+  };
+
+  const button = elements.rerunFailed;
+  if (button) button.disabled = true;
+  try {
+    const preview = await orchestratorClient.rerunTasks({ filter, limit, dryRun: true });
+    if (!preview?.matched) {
+      appendLog('info', 'orchestrator', 'No failed tasks match the current filters');
+      return;
+    }
+    const more = preview.hasMore ? ' (more remain; run again for the next batch)' : '';
+    if (!window.confirm(`Re-run ${preview.matched} failed task(s) matching the filters${more}?`)) return;
+
+    const result = await orchestratorClient.rerunTasks({ filter, limit });
+    appendLog(
+      result?.failed?.length ? 'warn' : 'info',
+      'orchestrator',
+      `Re-ran ${result?.rerun?.length ?? 0} task(s)`,
+      result?.failed?.length ? formatJson(result.failed) : undefined
+    );
+    refreshTasks();
+  } catch (err) {
+    console.error('Failed to bulk re-run tasks', err);
+    appendLog('error', 'orchestrator', 'Failed to re-run tasks', err.message);
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
+
 async function onNewTaskSubmit(event) {
   event.preventDefault();
   if (!orchestratorClient) {
@@ -301,6 +587,7 @@ async function onNewTaskSubmit(event) {
   const source = formData.get('source')?.trim();
   const corrId = formData.get('corrId')?.trim() || undefined;
   const rawPayload = formData.get('payload')?.trim();
+  const schemaValues = collectSchemaFieldValues();
 
   if (!type || !source) {
     setTaskFeedback('Type and source are required.', 'error');
@@ -322,22 +609,167 @@ async function onNewTaskSubmit(event) {
       type,
       source,
       correlationId: corrId,
-      payload: payload ?? {}
-    });
+      payload: { ...(payload ?? {}), ...schemaValues }
+    }, { idempotencyKey: takeIdempotencyKey('newTask') });
+    clearIdempotencyKey('newTask');
     setTaskFeedback(`Task ${result?.id || ''} queued successfully.`, 'success');
     elements.newTaskForm.reset();
+    renderSchemaFields();
     refreshTasks();
   } catch (err) {
     console.error('Failed to create task', err);
+    if (err.status === 409 || err.status === 422) {
+      clearIdempotencyKey('newTask');
+    }
+    if (err.status === 422) {
+      const details = parseValidationDetails(err.body);
+      if (details.length) {
+        markSchemaFieldErrors(details);
+        setTaskFeedback(`Payload rejected: ${details.map(formatValidationDetail).join('; ')}`, 'error');
+        return;
+      }
+    }
     setTaskFeedback(err.message || 'Failed to queue task.', 'error');
   }
 }
 
-async function dispatchDirectCallAgent({ baseUrl, username, password, to, instructions }) {
+async function refreshTaskTypes() {
+  if (!orchestratorClient) return;
+  try {
+    const response = await orchestratorClient.listTaskTypes();
+    state.taskTypes = Array.isArray(response?.taskTypes) ? response.taskTypes : [];
+  } catch (err) {
+    console.warn('Failed to load task types', err);
+    state.taskTypes = [];
+  }
+  renderTaskTypeOptions();
+  renderSchemaFields();
+}
+
+function renderTaskTypeOptions() {
+  const list = elements.taskTypeOptions;
+  if (!list) return;
+  list.innerHTML = state.taskTypes
+    .map((entry) => {
+      const agents = (entry.agents || []).map((agent) => agent.displayName || agent.slug).join(', ');
+      return `<option value="${escapeHtml(entry.type)}">${escapeHtml(agents)}</option>`;
+    })
+    .join('');
+}
+
+// Builds one input per top-level schema property with a scalar type; nested objects and
+// arrays stay in the JSON textarea.
+function renderSchemaFields() {
+  const container = elements.newTaskSchemaFields;
+  if (!container) return;
+  const type = elements.newTaskForm?.elements.type?.value?.trim();
+  const schema = state.taskTypes.find((entry) => entry.type === type)?.schema;
+  const properties = schema?.properties || {};
+  const required = new Set(Array.isArray(schema?.required) ? schema.required : []);
+
+  container.innerHTML = Object.entries(properties)
+    .map(([name, property]) => renderSchemaField(name, property || {}, required.has(name)))
+    .filter(Boolean)
+    .join('');
+}
+
+function renderSchemaField(name, property, isRequired) {
+  const label = `${escapeHtml(name)}${isRequired ? ' *' : ''}`;
+  const hint = property.description ? ` title="${escapeHtml(property.description)}"` : '';
+  const fieldName = `schema:${escapeHtml(name)}`;
+
+  if (Array.isArray(property.enum)) {
+    const options = ['<option value=""></option>']
+      .concat(property.enum.map((value) => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`))
+      .join('');
+    return `<label data-schema-field="${escapeHtml(name)}"${hint}><span>${label}</span><select name="${fieldName}" data-type="enum">${options}</select></label>`;
+  }
+
+  switch (property.type) {
+    case 'boolean':
+      return `<label class="checkbox" data-schema-field="${escapeHtml(name)}"${hint}><input name="${fieldName}" type="checkbox" data-type="boolean" /><span>${label}</span></label>`;
+    case 'number':
+    case 'integer':
+      return `<label data-schema-field="${escapeHtml(name)}"${hint}><span>${label}</span><input name="${fieldName}" type="number" data-type="${property.type}"${property.type === 'integer' ? ' step="1"' : ' step="any"'} /></label>`;
+    case 'string': {
+      const inputType = property.format === 'email' ? 'email' : 'text';
+      const placeholder = property.description ? ` placeholder="${escapeHtml(property.description)}"` : '';
+      return `<label data-schema-field="${escapeHtml(name)}"${hint}><span>${label}</span><input name="${fieldName}" type="${inputType}" data-type="string"${placeholder} /></label>`;
+    }
+    default:
+      return '';
+  }
+}
+
+function collectSchemaFieldValues() {
+  const container = elements.newTaskSchemaFields;
+  if (!container) return {};
+  const values = {};
+  container.querySelectorAll('[name^="schema:"]').forEach((input) => {
+    const name = input.name.slice('schema:'.length);
+    const kind = input.dataset.type;
+    if (kind === 'boolean') {
+      if (input.checked) values[name] = true;
+      return;
+    }
+    const raw = input.value.trim();
+    if (!raw) return;
+    values[name] = kind === 'number' || kind === 'integer' ? Number(raw) : raw;
+  });
+  return values;
+}
+
+function parseValidationDetails(body) {
+  try {
+    const parsed = JSON.parse(body || '{}');
+    return Array.isArray(parsed?.details) ? parsed.details : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function formatValidationDetail(detail) {
+  return detail.field ? `${detail.field} ${detail.message}` : detail.message;
+}
+
+function markSchemaFieldErrors(details) {
+  const container = elements.newTaskSchemaFields;
+  if (!container) return;
+  container.querySelectorAll('[data-schema-field]').forEach((label) => {
+    label.classList.remove('field-invalid');
+    label.querySelector('.field-error')?.remove();
+  });
+  details.forEach((detail) => {
+    const topLevel = (detail.field || '').split('.')[0];
+    const label = topLevel
+      ? Array.from(container.querySelectorAll('[data-schema-field]')).find((el) => el.dataset.schemaField === topLevel)
+      : null;
+    if (!label) return;
+    label.classList.add('field-invalid');
+    const note = document.createElement('small');
+    note.className = 'field-error';
+    note.textContent = detail.message;
+    label.appendChild(note);
+  });
+}
+
+function takeIdempotencyKey(scope) {
+  if (!state.pendingIdempotencyKeys[scope]) {
+    state.pendingIdempotencyKeys[scope] = window.crypto?.randomUUID?.()
+      || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  }
+  return state.pendingIdempotencyKeys[scope];
+}
+
+function clearIdempotencyKey(scope) {
+  delete state.pendingIdempotencyKeys[scope];
+}
+
+async function dispatchDirectCallAgent({ baseUrl, token, to, instructions }) {
   const url = new URL('/call', baseUrl).toString();
   const headers = { 'Content-Type': 'application/json' };
-  if (username || password) {
-    headers['Authorization'] = encodeBasicAuth(username || '', password || '');
+  if (token) {
+    headers['Authorization'] = encodeBearerAuth(token);
   }
   const res = await fetch(url, {
     method: 'POST',
@@ -412,14 +844,17 @@ async function onVoiceCallSubmit(event) {
             to: sanitizedPhone,
             message: message || 'Hello from the Personal AI Orchestration dashboard.'
           }
-        });
+        }, { idempotencyKey: takeIdempotencyKey('voiceCall') });
+        clearIdempotencyKey('voiceCall');
       } catch (err) {
+        if (/Request failed: 409/.test(err.message || '')) {
+          clearIdempotencyKey('voiceCall');
+        }
         if (settings.callAgentUrl) {
           usedPath = 'call-agent';
           response = await dispatchDirectCallAgent({
             baseUrl: settings.callAgentUrl,
-            username: settings.username,
-            password: settings.password,
+            token: session?.token,
             to: sanitizedPhone,
             instructions: message || undefined
           });
@@ -431,8 +866,7 @@ async function onVoiceCallSubmit(event) {
       usedPath = 'call-agent';
       response = await dispatchDirectCallAgent({
         baseUrl: settings.callAgentUrl,
-        username: settings.username,
-        password: settings.password,
+        token: session?.token,
         to: sanitizedPhone,
         instructions: message || undefined
       });
@@ -593,6 +1027,10 @@ function loadSettings() {
         merged[key] = defaultSettings[key] ?? '';
       }
     });
+    // Earlier builds kept Basic Auth credentials here; rewrite the entry without them.
+    if ('username' in parsed || 'password' in parsed) {
+      saveSettings(merged);
+    }
     return merged;
   } catch (err) {
     console.warn('Failed to load stored settings', err);
@@ -613,12 +1051,51 @@ function saveSettings(next) {
   }
 }
 
+function loadSession() {
+  if (typeof sessionStorage === 'undefined') return null;
+  try {
+    const raw = sessionStorage.getItem(SESSION_STORAGE_KEY);
+    if (!raw) return null;
+    const parsed = JSON.parse(raw);
+    if (!parsed?.token || !parsed.user || Date.parse(parsed.expiresAt) <= Date.now()) {
+      sessionStorage.removeItem(SESSION_STORAGE_KEY);
+      return null;
+    }
+    return parsed;
+  } catch (err) {
+    console.warn('Failed to load stored session', err);
+    return null;
+  }
+}
+
+function saveSession(next) {
+  if (typeof sessionStorage === 'undefined') return;
+  try {
+    sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(next));
+  } catch (err) {
+    console.warn('Failed to persist session', err);
+  }
+}
+
+function clearStoredSession() {
+  if (typeof sessionStorage !== 'undefined') {
+    sessionStorage.removeItem(SESSION_STORAGE_KEY);
+  }
+}
+
 function clearStoredSettings() {
   if (typeof localStorage !== 'undefined') {
     localStorage.removeItem(STORAGE_KEY);
   }
   settings = { ...defaultSettings };
   applySettingsToForm(settings);
+  resetConnectionState();
+  appendLog('info', 'Settings', 'Connections reset to defaults.');
+  setConnectionStatus('disconnected', 'Disconnected');
+}
+
+// Drops clients, the websocket, and everything loaded through them, e.g. after sign-out.
+function resetConnectionState() {
   disconnectWebsocket();
   orchestratorClient = null;
   loggingClient = null;
@@ -643,9 +1120,12 @@ function clearStoredSettings() {
   renderConfigReports();
   renderConnectivity('Provide service URLs above to run connectivity checks.');
   renderDatabaseSnapshot('Connect to load database state.');
+  state.agentHealth = { loading: false, error: null, agents: [], lastUpdated: null };
+  renderAgentHealth('Connect to load agent health.');
+  state.approvals.tasks.clear();
+  state.approvals.drafts.clear();
+  renderApprovals();
   renderVoiceCall();
-  appendLog('info', 'Settings', 'Connections reset to defaults.');
-  setConnectionStatus('disconnected', 'Disconnected');
 }
 
 function applySettingsToForm(config) {
@@ -666,18 +1146,21 @@ function applySettingsToForm(config) {
   if (form.elements.openaiBaseUrl) form.elements.openaiBaseUrl.value = config.openaiBaseUrl || '';
   if (form.elements.googleApiKey) form.elements.googleApiKey.value = config.googleApiKey || '';
   if (form.elements.googleBaseUrl) form.elements.googleBaseUrl.value = config.googleBaseUrl || '';
-  form.elements.username.value = config.username || '';
-  form.elements.password.value = config.password || '';
 }
 
 async function initializeConnections() {
   disconnectWebsocket();
 
+  if (!session) {
+    setConnectionStatus('disconnected', 'Sign in to connect');
+    return;
+  }
+
   try {
     orchestratorClient = createApiClient({
       baseUrl: settings.orchestratorUrl,
-      username: settings.username,
-      password: settings.password
+      token: session.token,
+      onUnauthorized: onSessionRejected
     });
   } catch (err) {
     console.error('Failed to create orchestrator client', err);
@@ -691,8 +1174,8 @@ async function initializeConnections() {
     loggingClient = settings.loggingUrl
       ? createApiClient({
           baseUrl: settings.loggingUrl,
-          username: settings.username,
-          password: settings.password
+          token: session.token,
+          onUnauthorized: onSessionRejected
         })
       : null;
   } catch (err) {
@@ -705,9 +1188,10 @@ async function initializeConnections() {
   setConnectionStatus('connecting', 'Connecting…');
   appendLog('info', 'Connections', `Connecting to orchestrator at ${settings.orchestratorUrl}`);
 
-  await Promise.allSettled([refreshTasks(), refreshActivity(), refreshConfig()]);
+  await Promise.allSettled([refreshTasks(), refreshApprovals(), refreshActivity(), refreshConfig(), refreshTaskTypes()]);
   await runConnectivityCheck();
   await refreshDatabaseSnapshot();
+  await refreshAgentHealth();
   await refreshOAuthStatus();
   connectWebsocket();
 }
@@ -715,13 +1199,22 @@ async function initializeConnections() {
 async function refreshTasks() {
   if (!orchestratorClient) return;
   try {
-    const { status, corrId, limit } = state.filters;
+    const { status, type, agent, corrId, q, payload, updatedFrom, updatedTo, limit } = state.filters;
     const response = await orchestratorClient.listTasks({
       status: status || undefined,
+      type: type || undefined,
+      agent: agent || undefined,
       corrId: corrId || undefined,
+      q: q || undefined,
+      payload,
+      updatedFrom: updatedFrom || undefined,
+      updatedTo: updatedTo || undefined,
+      cursor: state.paging.cursors[state.paging.page] || undefined,
       limit: limit || undefined
     });
     const tasks = Array.isArray(response?.tasks) ? response.tasks : [];
+    state.paging.nextCursor = response?.nextCursor || null;
+    renderTaskPager();
     state.tasks.clear();
     tasks.forEach((task) => {
       state.tasks.set(task.id, task);
@@ -1134,8 +1627,24 @@ async function runConnectivityCheck() {
   }
 }
 
-function connectWebsocket() {
-  const wsUrl = buildWebsocketUrl();
+async function connectWebsocket() {
+  if (!orchestratorClient) return;
+  const generation = websocketGeneration;
+
+  let ticket;
+  try {
+    ({ ticket } = await orchestratorClient.createWsTicket());
+  } catch (err) {
+    if (generation !== websocketGeneration || !session) return;
+    console.error('Failed to obtain websocket ticket', err);
+    setConnectionStatus('error', 'WebSocket error');
+    appendLog('error', 'WebSocket', 'Could not obtain a websocket ticket.', err.message);
+    scheduleReconnect();
+    return;
+  }
+  if (generation !== websocketGeneration) return;
+
+  const wsUrl = buildWebsocketUrl(ticket);
   if (!wsUrl) {
     setConnectionStatus('error', 'Invalid WebSocket URL');
     return;
@@ -1161,7 +1670,11 @@ function connectWebsocket() {
     appendLog('error', 'WebSocket', 'WebSocket reported an error.', event?.message || '');
   };
 
-  websocket.onclose = () => {
+  websocket.onclose = (event) => {
+    if (event?.code === WS_SESSION_ENDED_CODE) {
+      onSessionRejected();
+      return;
+    }
     setConnectionStatus('disconnected', 'Disconnected');
     scheduleReconnect();
     appendLog('warn', 'WebSocket', 'WebSocket connection closed. Retrying shortly.');
@@ -1178,6 +1691,7 @@ function connectWebsocket() {
 }
 
 function disconnectWebsocket() {
+  websocketGeneration += 1;
   if (websocket) {
     websocket.onopen = null;
     websocket.onclose = null;
@@ -1193,7 +1707,7 @@ function disconnectWebsocket() {
 }
 
 function scheduleReconnect() {
-  if (reconnectTimer || !settings.orchestratorUrl) return;
+  if (reconnectTimer || !settings.orchestratorUrl || !session) return;
   reconnectTimer = setTimeout(() => {
     reconnectTimer = null;
     connectWebsocket();
@@ -1207,9 +1721,17 @@ function handleWebsocketFrame(frame) {
   switch (type) {
     case 'TASK_UPDATE': {
       if (data && data.id) {
-        state.tasks.set(data.id, data);
-        renderSummary();
-        renderTaskTable();
+        // Broadcasts omit the SLA computed by GET /tasks; keep the last known target.
+        // Older pages only refresh rows they already show; new tasks belong on page one.
+        if (state.paging.page === 0 || state.tasks.has(data.id)) {
+          const previousSla = state.tasks.get(data.id)?.sla;
+          state.tasks.set(data.id, previousSla && !data.sla ? { ...data, sla: previousSla } : data);
+          renderSummary();
+          renderTaskTable();
+        }
+        if (syncApproval(data)) {
+          renderApprovals();
+        }
         if (state.selectedTaskId === data.id) {
           // refresh detail from latest data if version changed
           loadTaskDetail(data.id);
@@ -1253,13 +1775,16 @@ function handleWebsocketFrame(frame) {
       if (data?.taskId && data.taskId === state.voiceCall.taskId) {
         if (data.kind === 'dispatch_ack') {
           setVoiceCallFeedback('Call dispatched to telephony agent.', 'info');
-        } else if (data.kind === 'assignment') {
+        } else if (data.kind === 'agent_assigned' || data.kind === 'assignment') {
           setVoiceCallFeedback('Call assigned to agent.', 'info');
         }
       }
       break;
     }
     case 'LOG': {
+      if (/^AGENT_(CIRCUIT_|HEARTBEAT_RESUMED)/.test(data?.message || '')) {
+        refreshAgentHealth();
+      }
       recordActivity(
         buildActivityEntry(
           'LOG',
@@ -1299,7 +1824,7 @@ function renderTaskTable() {
   rows.sort((a, b) => new Date(b.updated_at).getTime() - new Date(a.updated_at).getTime());
 
   if (!rows.length) {
-    tbody.innerHTML = '<tr class="empty"><td colspan="5">No tasks available.</td></tr>';
+    tbody.innerHTML = '<tr class="empty"><td colspan="6">No tasks available.</td></tr>';
     return;
   }
 
@@ -1312,6 +1837,7 @@ function renderTaskTable() {
         <td>${escapeHtml(task.type)}</td>
         <td><span class="${statusClass}">${escapeHtml(task.status || 'queued')}</span></td>
         <td>${formatTimestamp(task.updated_at)}</td>
+        <td>${renderTaskSla(task)}</td>
         <td class="mono">${escapeHtml(correlation)}</td>
       </tr>
     `;
@@ -1320,6 +1846,26 @@ function renderTaskTable() {
   tbody.innerHTML = parts.join('');
 }
 
+function renderTaskPager() {
+  const { page, nextCursor } = state.paging;
+  if (elements.tasksNewer) elements.tasksNewer.disabled = page === 0;
+  if (elements.tasksOlder) elements.tasksOlder.disabled = !nextCursor;
+  if (elements.tasksPage) elements.tasksPage.textContent = `Page ${page + 1}`;
+}
+
+const SETTLED_TASK_STATUSES = ['done', 'error', 'dead_letter', 'cancelled'];
+
+// Age runs from creation until the task settles; the target is the type's completion timeout.
+function renderTaskSla(task) {
+  const targetMs = task.sla?.targetMs;
+  if (!targetMs || !task.created_at) return '—';
+  const endedAt = SETTLED_TASK_STATUSES.includes(task.status) ? new Date(task.updated_at).getTime() : Date.now();
+  const ageMs = Math.max(0, endedAt - new Date(task.created_at).getTime());
+  const ratio = ageMs / targetMs;
+  const slaState = ratio >= 1 ? 'breached' : ratio >= 0.8 ? 'at_risk' : 'ok';
+  return `<span class="sla sla-${slaState}" title="${escapeHtml(slaState.replace('_', ' '))}">${escapeHtml(formatDuration(ageMs / 1000))} / ${escapeHtml(formatDuration(targetMs / 1000))}</span>`;
+}
+
 function renderTaskDetail(errorMessage) {
   const container = elements.taskDetail;
   if (!container) return;
@@ -1340,6 +1886,7 @@ function renderTaskDetail(errorMessage) {
   container.classList.remove('empty');
   const task = detail.task;
   const events = Array.isArray(detail.events) ? detail.events.slice().reverse() : [];
+  const reruns = Array.isArray(detail.reruns) ? detail.reruns : [];
 
   container.innerHTML = `
     <div class="section">
@@ -1348,7 +1895,21 @@ function renderTaskDetail(errorMessage) {
       <p>Correlation ID: <span class="mono">${escapeHtml(task.correlation_id || '—')}</span></p>
       <p>Trace ID: <span class="mono">${escapeHtml(task.trace_id)}</span></p>
       <p>Updated: ${formatTimestamp(task.updated_at)}</p>
+      ${task.rerun_of ? `<p>Re-run of: ${renderTaskLink(task.rerun_of)}</p>` : ''}
+      ${CANCELLABLE_STATUSES.includes(task.status)
+        ? `<div class="task-actions" data-min-role="operator"><button type="button" class="ghost" data-action="cancel-task" data-task-id="${escapeHtml(task.id)}">Cancel task</button></div>`
+        : ''}
+      ${SETTLED_TASK_STATUSES.includes(task.status) ? renderRerunControls(task) : ''}
     </div>
+    ${reruns.length ? `
+    <div class="section">
+      <h3>Re-runs</h3>
+      <ul class="rerun-list">
+        ${reruns.map((rerun) => `
+          <li>${renderTaskLink(rerun.id)} <span class="status-pill status-${escapeHtml(rerun.status)}">${escapeHtml(rerun.status)}</span> ${formatTimestamp(rerun.created_at)}</li>
+        `).join('')}
+      </ul>
+    </div>` : ''}
     <div class="section">
       <h3>Payload</h3>
       <pre class="json-block">${escapeHtml(formatJson(task.payload))}</pre>
@@ -1368,6 +1929,22 @@ function renderTaskDetail(errorMessage) {
   `;
 }
 
+function renderTaskLink(taskId) {
+  return `<a href="#" class="mono" data-action="open-task" data-task-id="${escapeHtml(taskId)}">${shortId(taskId)}</a>`;
+}
+
+function renderRerunControls(task) {
+  return `
+    <details class="rerun-payload" data-min-role="operator">
+      <summary>Edit payload before re-running</summary>
+      <textarea rows="6" data-role="rerun-payload">${escapeHtml(formatJson(task.payload ?? {}))}</textarea>
+    </details>
+    <div class="task-actions" data-min-role="operator">
+      <button type="button" class="ghost" data-action="rerun-task" data-task-id="${escapeHtml(task.id)}">Re-run task</button>
+    </div>
+  `;
+}
+
 function renderEvents(events) {
   const items = events.map((event) => {
     return `
@@ -2060,6 +2637,247 @@ function renderDatabaseSnapshot(message) {
   container.innerHTML = `${sections.join('')}${meta}`;
 }
 
+async function refreshAgentHealth() {
+  if (!orchestratorClient) {
+    renderAgentHealth('Connect to the orchestrator to load agent health.');
+    return;
+  }
+
+  state.agentHealth.loading = true;
+  state.agentHealth.error = null;
+  renderAgentHealth();
+  try {
+    const response = await orchestratorClient.getAgentHealth();
+    state.agentHealth.agents = Array.isArray(response?.agents) ? response.agents : [];
+    state.agentHealth.lastUpdated = response?.generatedAt || new Date().toISOString();
+    const down = state.agentHealth.agents.filter((agent) => agent.state === 'down');
+    if (down.length) {
+      appendLog('warn', 'Agent Health', `Down: ${down.map((agent) => agent.slug).join(', ')}`);
+    }
+  } catch (err) {
+    console.warn('Failed to load agent health', err);
+    state.agentHealth.error = `Failed to load agent health: ${err.message}`;
+  } finally {
+    state.agentHealth.loading = false;
+  }
+  renderAgentHealth();
+}
+
+function renderAgentHealth(message) {
+  const container = elements.agentHealth;
+  if (!container) return;
+
+  if (message) {
+    container.textContent = message;
+    return;
+  }
+
+  const health = state.agentHealth;
+  if (health.loading && !health.agents.length) {
+    container.textContent = 'Loading agent health...';
+    return;
+  }
+  if (health.error) {
+    container.textContent = health.error;
+    return;
+  }
+  if (!health.agents.length) {
+    container.textContent = 'No agents registered.';
+    return;
+  }
+
+  const rows = health.agents
+    .map((agent) => {
+      const breaker = agent.breaker?.state || 'closed';
+      const breakerNote = breaker === 'closed'
+        ? ''
+        : ` • breaker ${escapeHtml(breaker.replace('_', '-'))}`;
+      const heartbeat = agent.lastHeartbeatAt
+        ? `heartbeat ${escapeHtml(formatTimestamp(agent.lastHeartbeatAt))}`
+        : 'no heartbeat';
+      const uptime = agent.uptimeSeconds !== null && agent.uptimeSeconds !== undefined
+        ? ` • up ${escapeHtml(formatDuration(agent.uptimeSeconds))}`
+        : '';
+      const reasons = agent.reasons?.length
+        ? `<p class="db-empty">${escapeHtml(agent.reasons.join(', '))}</p>`
+        : '';
+      return `
+        <li>
+          <span class="status-pill agent-${escapeHtml(agent.state)}">${escapeHtml(agent.state)}</span>
+          <strong>${escapeHtml(agent.displayName || agent.slug)}</strong>
+          <span class="mono">${escapeHtml(agent.slug)}</span>
+          <p class="db-empty">
+            ${agent.failures} failed • ${agent.successes} ok${agent.breaker?.consecutiveFailures ? ` (${agent.breaker.consecutiveFailures} in a row)` : ''}${breakerNote} • ${heartbeat}${uptime}
+          </p>
+          ${reasons}
+        </li>
+      `;
+    })
+    .join('');
+
+  const meta = health.lastUpdated
+    ? `<p class="db-meta">Last checked ${escapeHtml(formatTimestamp(health.lastUpdated))}</p>`
+    : '';
+  container.innerHTML = `<ul class="agent-health-list">${rows}</ul>${meta}`;
+}
+
+async function refreshApprovals() {
+  if (!orchestratorClient) {
+    renderApprovals('Connect to the orchestrator to load tasks awaiting approval.');
+    return;
+  }
+
+  state.approvals.loading = true;
+  state.approvals.error = null;
+  renderApprovals();
+  try {
+    const response = await orchestratorClient.listTasks({ status: 'awaiting_approval', limit: 200 });
+    const tasks = Array.isArray(response?.tasks) ? response.tasks : [];
+    state.approvals.tasks.clear();
+    tasks.forEach((task) => {
+      state.approvals.tasks.set(task.id, task);
+    });
+  } catch (err) {
+    console.warn('Failed to load approvals', err);
+    state.approvals.error = `Failed to load approvals: ${err.message}`;
+  } finally {
+    state.approvals.loading = false;
+  }
+  renderApprovals();
+}
+
+// Keeps the inbox in step with TASK_UPDATE frames. Returns true when a task entered or left it.
+function syncApproval(task) {
+  const pending = state.approvals.tasks.has(task.id);
+  if (task.status === 'awaiting_approval') {
+    state.approvals.tasks.set(task.id, task);
+    if (!pending) {
+      appendLog('info', 'Approvals', `Task ${shortId(task.id)} (${task.type}) is awaiting approval`);
+    }
+    return !pending;
+  }
+  if (pending) {
+    state.approvals.tasks.delete(task.id);
+    state.approvals.drafts.delete(task.id);
+    return true;
+  }
+  return false;
+}
+
+function renderApprovals(message) {
+  const container = elements.approvals;
+  if (!container) return;
+
+  const approvals = state.approvals;
+  if (elements.approvalsCount) {
+    elements.approvalsCount.textContent = String(approvals.tasks.size);
+  }
+
+  if (message) {
+    container.textContent = message;
+    return;
+  }
+  if (approvals.loading && !approvals.tasks.size) {
+    container.textContent = 'Loading approvals...';
+    return;
+  }
+  if (approvals.error) {
+    container.textContent = approvals.error;
+    return;
+  }
+  if (!approvals.tasks.size) {
+    container.textContent = 'Nothing is waiting for approval.';
+    return;
+  }
+
+  const rows = Array.from(approvals.tasks.values())
+    .sort((a, b) => new Date(a.created_at).getTime() - new Date(b.created_at).getTime())
+    .map((task) => {
+      const id = escapeHtml(task.id);
+      const draft = approvals.drafts.get(task.id) ?? formatJson(task.payload);
+      const agent = task.agent_slug ? ` • ${escapeHtml(task.agent_slug)}` : '';
+      return `
+        <li data-task-id="${id}">
+          <div>
+            <strong>${escapeHtml(task.type)}</strong>
+            <span class="mono">${shortId(task.id)}</span>
+          </div>
+          <p class="db-empty">Requested ${escapeHtml(formatTimestamp(task.created_at))} by ${escapeHtml(task.source)}${agent}</p>
+          <textarea rows="5" data-role="approval-payload" data-task-id="${id}">${escapeHtml(draft)}</textarea>
+          <div class="task-actions" data-min-role="operator">
+            <button type="button" class="primary" data-action="approve-task" data-task-id="${id}">Approve</button>
+            <button type="button" class="ghost" data-action="reject-task" data-task-id="${id}">Reject</button>
+          </div>
+        </li>
+      `;
+    })
+    .join('');
+  container.innerHTML = `<ul class="approval-list">${rows}</ul>`;
+}
+
+function onApprovalInput(event) {
+  const field = event.target.closest('textarea[data-role="approval-payload"]');
+  if (!field) return;
+  state.approvals.drafts.set(field.dataset.taskId, field.value);
+}
+
+// The payload is only sent when the operator edited it, so approving as-is never rewrites it.
+async function onApprovalClick(event) {
+  const button = event.target.closest('button[data-action="approve-task"], button[data-action="reject-task"]');
+  if (!button) return;
+  const taskId = button.dataset.taskId;
+  if (!taskId || !orchestratorClient) return;
+
+  const approve = button.dataset.action === 'approve-task';
+  let payload;
+  let reason;
+  if (approve) {
+    const draft = state.approvals.drafts.get(taskId);
+    if (draft !== undefined) {
+      try {
+        payload = JSON.parse(draft);
+      } catch (err) {
+        appendLog('error', 'Approvals', `Payload for ${shortId(taskId)} is not valid JSON`, err.message);
+        return;
+      }
+    }
+  } else {
+    reason = window.prompt(`Reject task ${shortId(taskId)}? Optional reason:`, '');
+    if (reason === null) return;
+  }
+
+  button.disabled = true;
+  try {
+    const result = approve
+      ? await orchestratorClient.approveTask(taskId, { payload })
+      : await orchestratorClient.rejectTask(taskId, reason.trim() || undefined);
+    if (result?.task) {
+      state.tasks.set(result.task.id, result.task);
+      syncApproval(result.task);
+      renderSummary();
+      renderTaskTable();
+      renderApprovals();
+    }
+    appendLog('info', 'Approvals', `${approve ? 'Approved' : 'Rejected'} task ${shortId(taskId)}`);
+  } catch (err) {
+    console.error('Failed to resolve approval', err);
+    const details = parseValidationDetails(err.body).map(formatValidationDetail).join('; ');
+    appendLog('error', 'Approvals', `Failed to ${approve ? 'approve' : 'reject'} task ${shortId(taskId)}`, details || err.message);
+    button.disabled = false;
+  }
+}
+
+function formatDuration(totalSeconds) {
+  const seconds = Math.max(0, Math.floor(totalSeconds));
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days) return `${days}d ${hours}h`;
+  if (hours) return `${hours}h ${minutes}m`;
+  if (minutes) return `${minutes}m`;
+  return `${seconds}s`;
+}
+
 function renderDbSection(title, records, renderItem) {
   if (!records || !records.length) {
     return `
@@ -2204,7 +3022,7 @@ function shortId(id) {
 }
 
 function buildAuthHeaders() {
-  const header = encodeBasicAuth(settings.username, settings.password);
+  const header = encodeBearerAuth(session?.token);
   const headers = { 'Content-Type': 'application/json' };
   if (header) headers.Authorization = header;
   return headers;
@@ -2221,15 +3039,14 @@ function encodeBasicToken(username, password) {
   return null;
 }
 
-function buildWebsocketUrl() {
+function buildWebsocketUrl(ticket) {
   const rawUrl = settings.websocketUrl || deriveWsUrl(settings.orchestratorUrl);
   if (!rawUrl) return null;
 
   try {
     const url = new URL(rawUrl);
-    const authToken = encodeBasicToken(settings.username, settings.password);
-    if (authToken) {
-      url.searchParams.set('auth', authToken);
+    if (ticket) {
+      url.searchParams.set('ticket', ticket);
     }
     return url.toString();
   } catch (err) {
@@ -2312,7 +3129,10 @@ async function refreshOAuthStatus() {
           authorized: token.has_token,
           expires_at: token.expires_at,
           scopes: token.scopes || [],
-          is_expired: token.is_expired
+          is_expired: token.is_expired,
+          status: token.status,
+          refresh_error: token.refresh_error,
+          refresh_failed_at: token.refresh_failed_at
         };
       }
     });
@@ -2471,10 +3291,16 @@ function updateOAuthBadge(scope_group, badgeElement, detailsElement) {
     status = 'Checking...';
     className = 'checking';
   } else if (tokenInfo.authorized) {
-    if (tokenInfo.is_expired) {
+    if (tokenInfo.status === 'invalid') {
+      status = 'Revoked';
+      className = 'expired';
+      details = `Google rejected the refresh token (${tokenInfo.refresh_error || 'invalid_grant'}), re-authorization needed`;
+    } else if (tokenInfo.is_expired) {
       status = 'Expired';
       className = 'expired';
-      details = 'Token expired, re-authorization needed';
+      details = tokenInfo.refresh_error
+        ? `Token expired and refresh failed (${tokenInfo.refresh_error})`
+        : 'Token expired, re-authorization needed';
     } else {
       status = 'Authorized';
       className = 'authorized';
@@ -2486,6 +3312,10 @@ function updateOAuthBadge(scope_group, badgeElement, detailsElement) {
         details += details ? ' | ' : '';
         details += `Scopes: ${tokenInfo.scopes.length}`;
       }
+      if (tokenInfo.refresh_error) {
+        details += details ? ' | ' : '';
+        details += `Last refresh failed: ${tokenInfo.refresh_error}`;
+      }
     }
   } else {
     status = 'Not Authorized';
@@ -2507,7 +3337,7 @@ function updateOAuthButtons(scope_group, authorizeButton, revokeButton) {
   if (authorizeButton) {
     authorizeButton.disabled = state.oauth.loading;
     authorizeButton.textContent = state.oauth.loading ? 'Checking...' :
-      (tokenInfo.authorized && !tokenInfo.is_expired) ? 'Re-authorize' : `Authorize ${scope_group}`;
+      (tokenInfo.authorized && !tokenInfo.is_expired && tokenInfo.status !== 'invalid') ? 'Re-authorize' : `Authorize ${scope_group}`;
   }
 
   if (revokeButton) {
@@ -0,0 +1,12 @@
+-- 0004_task_queue_leases.sql
+-- Adds worker lease columns so orchestrator instances can claim queued tasks durably.
+
+BEGIN;
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS lease_owner TEXT;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_claim ON tasks (status, created_at);
+CREATE INDEX IF NOT EXISTS idx_tasks_lease ON tasks (lease_expires_at) WHERE lease_owner IS NOT NULL;
+
+COMMIT;
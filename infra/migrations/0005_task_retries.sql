@@ -0,0 +1,9 @@
+-- 0005_task_retries.sql
+-- Tracks dispatch attempts and the earliest time a queued task may be claimed again.
+
+BEGIN;
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS available_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+COMMIT;
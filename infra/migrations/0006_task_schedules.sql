@@ -0,0 +1,28 @@
+-- 0006_task_schedules.sql
+-- Recurring task definitions materialized by the orchestrator scheduler.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS task_schedules (
+    id UUID PRIMARY KEY,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    type TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    source TEXT NOT NULL,
+    correlation_id TEXT,
+    agent_slug TEXT,
+    cron TEXT NOT NULL,
+    timezone TEXT NOT NULL DEFAULT 'UTC',
+    status TEXT NOT NULL DEFAULT 'active',
+    next_run_at TIMESTAMPTZ,
+    last_run_at TIMESTAMPTZ,
+    last_task_id UUID,
+    last_error JSONB,
+    run_count INTEGER NOT NULL DEFAULT 0,
+    created_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_schedules_due ON task_schedules (status, next_run_at);
+
+COMMIT;
@@ -0,0 +1,8 @@
+-- 0007_task_callbacks.sql
+-- Nonce used to derive the per-task callback token handed to agents at dispatch.
+
+BEGIN;
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS callback_nonce TEXT;
+
+COMMIT;
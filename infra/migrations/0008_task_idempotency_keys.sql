@@ -0,0 +1,17 @@
+-- 0008_task_idempotency_keys.sql
+-- Idempotency-Key reservations for POST /task, kept for IDEMPOTENCY_KEY_TTL_HOURS.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS task_idempotency_keys (
+    key TEXT PRIMARY KEY,
+    request_hash TEXT NOT NULL,
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+    schedule_id UUID REFERENCES task_schedules(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_idempotency_expires ON task_idempotency_keys (expires_at);
+
+COMMIT;
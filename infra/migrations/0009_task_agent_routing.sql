@@ -0,0 +1,8 @@
+-- 0009_task_agent_routing.sql
+-- Marks tasks whose agent was requested explicitly so priority failover leaves them alone.
+
+BEGIN;
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS agent_pinned BOOLEAN NOT NULL DEFAULT false;
+
+COMMIT;
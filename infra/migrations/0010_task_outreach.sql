@@ -0,0 +1,8 @@
+-- 0010_task_outreach.sql
+-- Outreach hop state (channel, hop index, remaining fallback channels) for outreach.send tasks.
+
+BEGIN;
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS outreach JSONB;
+
+COMMIT;
@@ -0,0 +1,25 @@
+-- 0011_agent_health.sql
+-- Per-agent heartbeat summary, dispatch failure counters, and circuit breaker state.
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_agent_heartbeats_agent_ts ON agent_heartbeats(agent, ts_utc DESC);
+
+CREATE TABLE IF NOT EXISTS agent_health (
+  agent_slug TEXT PRIMARY KEY,
+  breaker_state TEXT NOT NULL DEFAULT 'closed',
+  consecutive_failures INTEGER NOT NULL DEFAULT 0,
+  total_failures INTEGER NOT NULL DEFAULT 0,
+  total_successes INTEGER NOT NULL DEFAULT 0,
+  opened_at TIMESTAMPTZ,
+  last_failure_at TIMESTAMPTZ,
+  last_failure JSONB,
+  last_success_at TIMESTAMPTZ,
+  last_heartbeat_at TIMESTAMPTZ,
+  heartbeat_status TEXT,
+  heartbeat_meta JSONB,
+  up_since TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+COMMIT;
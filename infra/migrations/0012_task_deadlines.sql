@@ -0,0 +1,10 @@
+-- 0012_task_deadlines.sql
+-- Completion deadline for running tasks, swept by the orchestrator timeout sweeper.
+
+BEGIN;
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deadline_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_deadline ON tasks(deadline_at) WHERE status = 'running';
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- 0013_workflows.sql
+-- Workflow definitions, workflow runs (keyed by their parent task), and parent/child task links.
+
+BEGIN;
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS parent_task_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_parent ON tasks(parent_task_id) WHERE parent_task_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS workflow_definitions (
+  id UUID PRIMARY KEY,
+  slug TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  description TEXT,
+  steps JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS workflow_runs (
+  id UUID PRIMARY KEY REFERENCES tasks(id) ON DELETE CASCADE,
+  definition_id UUID,
+  workflow_slug TEXT NOT NULL,
+  definition JSONB NOT NULL,
+  input JSONB,
+  status TEXT NOT NULL DEFAULT 'running',
+  steps JSONB NOT NULL,
+  next_wake_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_runs_wake ON workflow_runs(next_wake_at) WHERE status = 'running';
+
+COMMIT;
@@ -0,0 +1,10 @@
+-- 0014_task_priority.sql
+-- Task priority (lower runs first) and the index the priority-ordered claim query uses.
+
+BEGIN;
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 100;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_claim_priority ON tasks(priority, created_at) WHERE status = 'queued';
+
+COMMIT;
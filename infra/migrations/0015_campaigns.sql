@@ -0,0 +1,45 @@
+-- 0015_campaigns.sql
+-- Bulk campaigns: the campaign record, its throttled items, and the campaign link on child tasks.
+
+BEGIN;
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS campaign_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_campaign ON tasks(campaign_id) WHERE campaign_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS campaigns (
+  id UUID PRIMARY KEY,
+  name TEXT,
+  type TEXT NOT NULL,
+  source TEXT NOT NULL,
+  correlation_id TEXT,
+  agent_slug TEXT,
+  priority INTEGER,
+  status TEXT NOT NULL DEFAULT 'running',
+  per_minute INTEGER NOT NULL,
+  total INTEGER NOT NULL,
+  created_by TEXT,
+  next_release_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_release ON campaigns(next_release_at) WHERE status = 'running';
+
+CREATE TABLE IF NOT EXISTS campaign_items (
+  id UUID PRIMARY KEY,
+  campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  task_id UUID,
+  error JSONB,
+  released_at TIMESTAMPTZ,
+  UNIQUE (campaign_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_items_pending ON campaign_items(campaign_id, position) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_campaign_items_task ON campaign_items(task_id) WHERE task_id IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,11 @@
+-- 0016_task_search.sql
+-- Indexes behind GET /tasks filters, created_at sorting, and full-text search over payload and result.
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_created ON tasks(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tasks_type ON tasks(type);
+CREATE INDEX IF NOT EXISTS idx_tasks_search ON tasks
+  USING GIN (to_tsvector('simple', coalesce(payload::text, '') || ' ' || coalesce(result::text, '')));
+
+COMMIT;
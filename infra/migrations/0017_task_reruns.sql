@@ -0,0 +1,10 @@
+-- 0017_task_reruns.sql
+-- Links a re-run task to the task it was cloned from.
+
+BEGIN;
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS rerun_of UUID;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_rerun_of ON tasks(rerun_of) WHERE rerun_of IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,40 @@
+-- 0020_dashboard_sessions.sql
+-- Dashboard sign-in: users with a role, hashed session tokens, and one-time websocket tickets.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS dashboard_users (
+  id UUID PRIMARY KEY,
+  username TEXT NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_login_at TIMESTAMPTZ,
+  disabled_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS dashboard_sessions (
+  id UUID PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES dashboard_users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_seen_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_dashboard_sessions_user ON dashboard_sessions(user_id);
+
+CREATE TABLE IF NOT EXISTS dashboard_ws_tickets (
+  ticket_hash TEXT PRIMARY KEY,
+  principal TEXT NOT NULL,
+  strategy TEXT NOT NULL,
+  session_id UUID,
+  scopes TEXT[] NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+COMMIT;
@@ -0,0 +1,38 @@
+-- 0021_audit_log.sql
+-- Append-only audit trail of operator and admin actions, written by every service through logging-svc.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id UUID PRIMARY KEY,
+  ts_utc TIMESTAMPTZ NOT NULL DEFAULT now(),
+  service TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  action TEXT NOT NULL,
+  target_type TEXT,
+  target_id TEXT,
+  before JSONB,
+  after JSONB,
+  metadata JSONB,
+  correlation_id TEXT
+);
+
+CREATE OR REPLACE FUNCTION audit_log_reject_change() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+FOR EACH ROW EXECUTE FUNCTION audit_log_reject_change();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+FOR EACH STATEMENT EXECUTE FUNCTION audit_log_reject_change();
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_ts ON audit_log(ts_utc DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor, ts_utc DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);
+
+COMMIT;
@@ -0,0 +1,19 @@
+-- 0022_agent_secrets.sql
+-- Encrypted credentials that agent registry configs reference with `{ "secretRef": "<name>" }`.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS agent_secrets (
+  id UUID PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  description TEXT,
+  encrypted_value TEXT NOT NULL,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  value_updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  last_used_at TIMESTAMPTZ
+);
+
+COMMIT;
@@ -0,0 +1,14 @@
+-- 0023_oauth_token_refresh.sql
+-- Refresh state for stored Google grants: last refresh, failures, and invalidation after revocation.
+
+BEGIN;
+
+ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active';
+ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS last_refreshed_at TIMESTAMPTZ;
+ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS refresh_failed_at TIMESTAMPTZ;
+ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS refresh_error TEXT;
+ALTER TABLE oauth_tokens ADD COLUMN IF NOT EXISTS refresh_failures INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_oauth_tokens_refresh ON oauth_tokens (status, expires_at);
+
+COMMIT;
@@ -0,0 +1,39 @@
+-- 0024_webhook_outbox.sql
+-- Records task status changes for webhook delivery in the same transaction as the change, and
+-- moves subscription signing secrets to encrypted storage. The orchestrator encrypts existing
+-- plaintext secrets on its next start (it needs the encryption key, which SQL does not have).
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS webhook_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  task_id UUID NOT NULL,
+  previous_status TEXT,
+  task JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE OR REPLACE FUNCTION enqueue_task_status_webhook() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.status IS NOT DISTINCT FROM OLD.status THEN
+    RETURN NULL;
+  END IF;
+  IF EXISTS (SELECT 1 FROM webhook_subscriptions WHERE is_active) THEN
+    INSERT INTO webhook_outbox (task_id, previous_status, task)
+    VALUES (NEW.id, CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END, to_jsonb(NEW) - 'payload');
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS tasks_webhook_outbox ON tasks;
+CREATE TRIGGER tasks_webhook_outbox AFTER INSERT OR UPDATE OF status ON tasks
+FOR EACH ROW EXECUTE FUNCTION enqueue_task_status_webhook();
+
+ALTER TABLE tasks DROP COLUMN IF EXISTS notified_status;
+
+ALTER TABLE webhook_subscriptions ALTER COLUMN secret DROP NOT NULL;
+ALTER TABLE webhook_subscriptions ADD COLUMN IF NOT EXISTS encrypted_secret TEXT;
+ALTER TABLE webhook_subscriptions ADD COLUMN IF NOT EXISTS secret_hint TEXT;
+
+COMMIT;
@@ -0,0 +1,15 @@
+-- 0025_dashboard_login_failures.sql
+-- Failed dashboard sign-ins counted per username and per client IP, with the lockout they trigger.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS dashboard_login_failures (
+  scope TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  failures INTEGER NOT NULL DEFAULT 0,
+  first_failed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  locked_until TIMESTAMPTZ,
+  PRIMARY KEY (scope, subject)
+);
+
+COMMIT;
@@ -0,0 +1,136 @@
+const { internalFetch } = require('./internalFetch');
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY_PATTERN = /(secret|token|passw(or)?d|pass$|api[_-]?key|(^|[_.-])key$|authorization|credential|private[_-]?key|signature)/i;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function isSensitiveKey(key) {
+  return typeof key === 'string' && SENSITIVE_KEY_PATTERN.test(key);
+}
+
+// Replaces the value of every sensitive-looking key (at any depth) with REDACTED.
+function redactAuditValue(value, key) {
+  if (value === undefined || value === null) return value ?? null;
+  if (isSensitiveKey(key)) return REDACTED;
+  if (Array.isArray(value)) return value.map((item) => redactAuditValue(item));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactAuditValue(v, k)]));
+  }
+  return value;
+}
+
+// `{ a: { b: 1 } }` becomes `{ 'a.b': 1 }`; arrays and scalars are leaves.
+function flattenState(value, prefix = '', out = {}) {
+  if (!isPlainObject(value)) {
+    if (prefix) out[prefix] = value;
+    return out;
+  }
+  const entries = Object.entries(value);
+  if (!entries.length && prefix) {
+    out[prefix] = {};
+  }
+  entries.forEach(([key, child]) => {
+    flattenState(child, prefix ? `${prefix}.${key}` : key, out);
+  });
+  return out;
+}
+
+// Returns `{ before, after }` holding only the dotted paths that changed, each side redacted.
+// `redactValues` hides every value (e.g. environment variables), so the diff only says which
+// keys were added, changed, or removed.
+function diffAuditState(before, after, { redactValues = false } = {}) {
+  const hasBefore = before !== undefined && before !== null;
+  const hasAfter = after !== undefined && after !== null;
+  if ((hasBefore && !isPlainObject(before)) || (hasAfter && !isPlainObject(after))) {
+    const render = (value, present) => {
+      if (!present) return null;
+      return redactValues ? REDACTED : redactAuditValue(value);
+    };
+    return { before: render(before, hasBefore), after: render(after, hasAfter) };
+  }
+
+  const flatBefore = hasBefore ? flattenState(before) : {};
+  const flatAfter = hasAfter ? flattenState(after) : {};
+  const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+  const diff = { before: hasBefore ? {} : null, after: hasAfter ? {} : null };
+
+  paths.forEach((path) => {
+    const inBefore = Object.prototype.hasOwnProperty.call(flatBefore, path);
+    const inAfter = Object.prototype.hasOwnProperty.call(flatAfter, path);
+    if (inBefore && inAfter && JSON.stringify(flatBefore[path]) === JSON.stringify(flatAfter[path])) return;
+
+    const sensitive = redactValues || path.split('.').some(isSensitiveKey);
+    const render = (value) => (sensitive ? REDACTED : redactAuditValue(value));
+    if (inBefore && diff.before) diff.before[path] = render(flatBefore[path]);
+    if (inAfter && diff.after) diff.after[path] = render(flatAfter[path]);
+  });
+
+  return diff;
+}
+
+// Mirrors how task events name their actor: `internal`, `token:<name>`, or `human:<user>`.
+function actorFromRequest(req) {
+  if (!req) return 'system';
+  if (req.authUser === 'internal') return 'internal';
+  if (req.auth?.strategy === 'token') return `token:${req.auth.tokenName}`;
+  return `human:${req.authUser || 'unknown'}`;
+}
+
+// Audit records go to logging-svc (`POST /audit`, internal key), which stores them append-only.
+// `record` never throws: the action being audited has already happened, so a failed write is
+// reported on stderr rather than turned into an error response. `internalKey` is only needed by
+// services that keep their key outside INTERNAL_KEY.
+function createAuditLogger({ service, loggingUrl = process.env.LOGGING_URL, internalKey }) {
+  if (!service) throw new Error('Audit logger requires service name');
+
+  async function record({ req, actor, action, target = {}, before, after, redactValues = false, metadata, correlationId }) {
+    const body = {
+      service,
+      actor: actor || actorFromRequest(req),
+      action,
+      targetType: target.type ?? null,
+      targetId: target.id === undefined || target.id === null ? null : String(target.id),
+      ...diffAuditState(before, after, { redactValues }),
+      metadata: {
+        ...(req ? { method: req.method, path: req.path, ip: req.ip ?? null } : {}),
+        ...(metadata ? redactAuditValue(metadata) : {})
+      },
+      correlationId: correlationId ?? null
+    };
+
+    if (!loggingUrl) {
+      console.warn('Audit record not persisted (LOGGING_URL unset)', JSON.stringify(body));
+      return null;
+    }
+
+    try {
+      const response = await internalFetch(`${loggingUrl.replace(/\/$/, '')}/audit`, {
+        method: 'POST',
+        body,
+        headers: internalKey ? { 'X-INTERNAL-KEY': internalKey } : undefined
+      });
+      if (!response.ok) {
+        console.error('Failed to record audit entry', response.status, await response.text(), JSON.stringify(body));
+        return null;
+      }
+      const json = await response.json();
+      return json.entry;
+    } catch (err) {
+      console.error('Error recording audit entry', err, JSON.stringify(body));
+      return null;
+    }
+  }
+
+  return { record };
+}
+
+module.exports = {
+  createAuditLogger,
+  diffAuditState,
+  redactAuditValue,
+  actorFromRequest,
+  AUDIT_REDACTED: REDACTED
+};
@@ -1,6 +1,28 @@
+const crypto = require('crypto');
+const { internalFetch } = require('./internalFetch');
+
 const INTERNAL_HEADER = 'x-internal-key';
 const BASIC_REALM = 'dev';
 const AUTH_CHALLENGE = `Basic realm="${BASIC_REALM}"`;
+const API_TOKEN_PREFIX = 'otk_';
+const ADMIN_SCOPE = 'admin';
+// `<resource>:read` is implied by `<resource>:write` and `<resource>:admin`; `admin` grants everything.
+const API_TOKEN_SCOPES = [
+  'tasks:read',
+  'tasks:write',
+  'tasks:approve',
+  'agents:read',
+  'agents:admin',
+  'agents:heartbeat',
+  'webhooks:read',
+  'webhooks:admin',
+  'tokens:admin',
+  'render:read',
+  'render:deploy',
+  ADMIN_SCOPE
+];
+const INTROSPECTION_CACHE_MS = 60_000;
+const INTROSPECTION_NEGATIVE_CACHE_MS = 10_000;
 
 function decodeBase64(str) {
   try {
@@ -28,6 +50,31 @@ function parseBasicToken(token) {
   return { username, password: rest.join(':') };
 }
 
+function parseBearerToken(header) {
+  if (!header || typeof header !== 'string') return null;
+  const [scheme, value] = header.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !value) return null;
+  return value.trim();
+}
+
+// API tokens are random, so a plain SHA-256 is enough to keep them out of the database.
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateApiToken() {
+  const token = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { token, prefix: token.slice(0, API_TOKEN_PREFIX.length + 6), hash: hashApiToken(token) };
+}
+
+function hasScope(granted, required) {
+  if (!required) return true;
+  const scopes = Array.isArray(granted) ? granted : [];
+  if (scopes.includes(ADMIN_SCOPE) || scopes.includes(required)) return true;
+  const [resource, action] = required.split(':');
+  return action === 'read' && (scopes.includes(`${resource}:write`) || scopes.includes(`${resource}:admin`));
+}
+
 function getHeader(source, name) {
   if (!source) return undefined;
 
@@ -118,26 +165,105 @@ function respondUnauthorized(res) {
   res.status(401).set('WWW-Authenticate', AUTH_CHALLENGE).end();
 }
 
+// `resolveToken(token)` turns a bearer token into `{ id, name, scopes }` (or null); without it
+// only Basic and the internal key are accepted. Identities with `strategy: 'session'` are
+// dashboard sign-ins and carry their `role`; anything else is an API token. `scopeFor(req)` names the scope a route needs.
+// Basic and internal-key callers hold every scope; tokens are limited to the scopes they carry.
 function requireAuth(options = {}) {
-  const { allowInternalKey = true } = options;
+  const { allowInternalKey = true, resolveToken, scopeFor } = options;
+
+  function authorize(req, res, next) {
+    const required = scopeFor ? scopeFor(req) : null;
+    if (!hasScope(req.auth.scopes, required)) {
+      return res.status(403).json({ error: 'Forbidden', requiredScope: required });
+    }
+    return next();
+  }
 
   return function authMiddleware(req, res, next) {
     if (req.method && req.method.toUpperCase() === 'OPTIONS') {
       return next();
     }
+
+    const bearer = resolveToken ? parseBearerToken(getHeader(req, 'authorization')) : null;
+    if (bearer) {
+      Promise.resolve(resolveToken(bearer))
+        .then((identity) => {
+          if (!identity) {
+            return respondUnauthorized(res);
+          }
+          req.authUser = identity.name;
+          req.auth = identity.strategy === 'session'
+            ? {
+                strategy: 'session',
+                user: identity.name,
+                sessionId: identity.id,
+                role: identity.role,
+                scopes: identity.scopes || []
+              }
+            : {
+                strategy: 'token',
+                user: identity.name,
+                tokenId: identity.id,
+                tokenName: identity.name,
+                scopes: identity.scopes || []
+              };
+          return authorize(req, res, next);
+        })
+        .catch(next);
+      return undefined;
+    }
+
     const result = authenticateRequest(req, { allowInternalKey });
     if (!result.ok) {
       return respondUnauthorized(res);
     }
 
     req.authUser = result.user;
-    return next();
+    req.auth = { strategy: result.strategy, user: result.user, scopes: [ADMIN_SCOPE] };
+    return authorize(req, res, next);
+  };
+}
+
+// For services that do not hold the token tables: asks the orchestrator
+// (`POST /api-tokens/introspect`, internal key) about API tokens and dashboard sessions and
+// caches answers briefly, so a revoked token stops working here within INTROSPECTION_CACHE_MS.
+function createTokenIntrospector({ baseUrl = process.env.ORCHESTRATOR_URL, cacheMs = INTROSPECTION_CACHE_MS } = {}) {
+  if (!baseUrl) return null;
+  const cache = new Map();
+
+  return async function introspect(token) {
+    const key = hashApiToken(token);
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.identity;
+    }
+
+    const response = await internalFetch(new URL('/api-tokens/introspect', baseUrl).toString(), {
+      method: 'POST',
+      body: { token }
+    });
+    if (!response.ok) {
+      throw new Error(`Token introspection failed with status ${response.status}`);
+    }
+    const body = await response.json();
+    const identity = body.active
+      ? { strategy: body.strategy, id: body.id, name: body.name, role: body.role, scopes: body.scopes }
+      : null;
+    cache.set(key, { identity, expiresAt: Date.now() + (identity ? cacheMs : INTROSPECTION_NEGATIVE_CACHE_MS) });
+    return identity;
   };
 }
 
 module.exports = {
   requireAuth,
   authenticateRequest,
+  createTokenIntrospector,
+  generateApiToken,
+  hashApiToken,
+  hasScope,
+  API_TOKEN_SCOPES,
+  ADMIN_SCOPE,
   AUTH_CHALLENGE,
   INTERNAL_HEADER
 };
@@ -18,6 +18,7 @@ const optionalKeys = Object.keys(schema.properties || {}).filter((key) => !requi
 const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
 addFormats(ajv);
 const validateFn = ajv.compile(schema);
+const compiledSchemas = new Map();
 
 function validateEnv(env = process.env) {
   const snapshot = buildEnvObject(env);
@@ -82,10 +83,71 @@ function normalizeError(err) {
   };
 }
 
+// Runtime schemas (e.g. task payload schemas declared by agents) share the env
+// validator's Ajv instance. Schemas that can change at runtime pass a stable `key` (such as
+// `<agent slug>:<task type>`): a new version replaces the old validator and is removed from
+// Ajv, so edits do not pile up. Without a key, validators are cached by schema content, which
+// suits the fixed request-body schemas.
+function compileSchema(candidate, { key = null } = {}) {
+  const content = JSON.stringify(candidate);
+  const cacheKey = key ?? content;
+  const cached = compiledSchemas.get(cacheKey);
+  if (cached?.content === content) {
+    return cached.validate;
+  }
+
+  const validate = ajv.compile(candidate);
+  if (cached) {
+    ajv.removeSchema(cached.schema);
+  }
+  compiledSchemas.set(cacheKey, { content, schema: candidate, validate });
+  return validate;
+}
+
+// Compiles a schema only to surface its errors (throws when Ajv rejects it), keeping nothing.
+function checkSchema(candidate) {
+  try {
+    ajv.compile(candidate);
+  } finally {
+    if (candidate && typeof candidate === 'object') {
+      ajv.removeSchema(candidate);
+    }
+  }
+}
+
+function validateAgainstSchema(candidate, data, { key = null } = {}) {
+  const validate = compileSchema(candidate, { key });
+  const valid = validate(data);
+  return {
+    valid,
+    errors: valid ? [] : (validate.errors || []).map((err) => ({
+      ...normalizeError(err),
+      field: buildErrorField(err)
+    }))
+  };
+}
+
+// The `{ field, message, keyword }` details that routes return in a 422 body.
+function collectErrors(candidate, data) {
+  const { errors } = validateAgainstSchema(candidate, data);
+  return errors.map(({ field, message, keyword }) => ({ field, message, keyword }));
+}
+
+function buildErrorField(err) {
+  const base = err.instancePath || '';
+  const missing = err.params?.missingProperty ?? err.params?.additionalProperty;
+  const path = missing ? `${base}/${missing}` : base;
+  return path.replace(/^\//, '').replace(/\//g, '.') || null;
+}
+
 module.exports = {
   ensureConfig,
   validateEnv,
   buildConfigReport,
+  compileSchema,
+  checkSchema,
+  validateAgainstSchema,
+  collectErrors,
   requiredKeys,
   optionalKeys
 };
@@ -43,7 +43,8 @@ function createDashboardCors(options = {}) {
       callback(new Error(`Origin not allowed: ${origin}`));
     },
     methods: ['GET', 'HEAD', 'POST', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-INTERNAL-KEY'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-INTERNAL-KEY', 'Idempotency-Key'],
+    exposedHeaders: ['Idempotent-Replayed'],
     credentials: false,
     maxAge: 300
   };
@@ -4,5 +4,6 @@ module.exports = {
   ...require('./internalFetch'),
   ...require('./logger'),
   ...require('./cors'),
-  ...require('./webhooks')
+  ...require('./webhooks'),
+  ...require('./audit')
 };
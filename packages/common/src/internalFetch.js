@@ -37,7 +37,8 @@ async function internalFetch(url, options = {}) {
   const response = await fetch(target, {
     method: options.method || 'GET',
     headers,
-    body: normalizeBody(options.body)
+    body: normalizeBody(options.body),
+    signal: options.signal
   });
 
   return response;
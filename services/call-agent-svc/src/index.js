@@ -11,8 +11,11 @@ const {
   validateEnv,
   buildConfigReport,
   requireAuth,
+  createTokenIntrospector,
+  ADMIN_SCOPE,
   createDashboardCors,
-  createServiceLogger
+  createServiceLogger,
+  createHmacSignature
 } = require('@repo/common');
 
 const SERVICE_NAME = 'call-agent-svc';
@@ -23,9 +26,16 @@ const DEFAULT_INSTRUCTIONS = 'You are a helpful AI voice assistant. Keep respons
 const DEFAULT_GREETING = 'Hello! I\'m an AI assistant here to help. How can I assist you today?';
 const DEFAULT_SESSION_RETENTION_MS = 15 * 60 * 1000;
 const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const TWILIO_TERMINAL_STATUSES = ['completed', 'failed', 'busy', 'no-answer', 'canceled'];
 
 const globalFetch = typeof fetch === 'function' ? fetch.bind(globalThis) : null;
 
+// Placing or hanging up a call is task work; everything else (debug views) stays admin-only.
+function resolveCallScope(req) {
+  if (req.method === 'POST' && /^\/call(\/[^/]+\/hangup)?$/.test(req.path)) return 'tasks:write';
+  return ADMIN_SCOPE;
+}
+
 function bootstrap() {
   // Validate env but do not hard-exit on optional key format errors; only error on truly required keys
   try {
@@ -221,6 +231,16 @@ function bootstrap() {
       }
       case 'realtime.call.hangup': {
         if (callId) {
+          const session = sessionStore.getByOpenAiCallId(callId);
+          reportCallOutcome(session, {
+            status: 'completed',
+            result: {
+              callSid: session?.callSid || null,
+              openAiCallId: callId,
+              endedBy: 'openai',
+              reason: event?.data?.reason || null
+            }
+          }, logger);
           sessionStore.updateStatusByOpenAiCallId(callId, 'openai_call_hangup', {
             reason: event?.data?.reason || null
           });
@@ -249,8 +269,25 @@ function bootstrap() {
     logger.info('TWILIO_STATUS', { callSid, status, payload });
     if (payload.CallSid) {
       sessionStore.updateStatusByCallSid(payload.CallSid, `twilio_${status}`, { payload });
-      if (['completed', 'failed', 'busy', 'no-answer', 'canceled'].includes(status)) {
+      const session = sessionStore.getByCallSid(payload.CallSid);
+      if (TWILIO_TERMINAL_STATUSES.includes(status)) {
+        reportCallOutcome(session, {
+          status,
+          result: status === 'completed'
+            ? {
+                callSid: payload.CallSid,
+                duration: parseInteger(payload.CallDuration, null),
+                answeredBy: payload.AnsweredBy || null,
+                endedBy: 'twilio'
+              }
+            : undefined,
+          error: status === 'completed'
+            ? undefined
+            : { message: `Call ended with status ${status}`, callSid: payload.CallSid, sipCode: payload.SipResponseCode || null }
+        }, logger);
         sessionStore.closeByCallSid(payload.CallSid, { reason: status, payload });
+      } else {
+        sendTaskCallback(session, { kind: `call.${status}`, data: { callSid: payload.CallSid } }, logger);
       }
     }
     res.status(204).end();
@@ -269,8 +306,11 @@ function bootstrap() {
     res.json(buildConfigReport(SERVICE_NAME));
   });
 
-  // Protect remaining endpoints with Basic Auth / internal key
-  app.use(requireAuth());
+  // Protect remaining endpoints with Basic Auth / internal key, or a bearer token the orchestrator vouches for
+  app.use(requireAuth({
+    resolveToken: createTokenIntrospector() || undefined,
+    scopeFor: resolveCallScope
+  }));
 
 
   app.post('/call', async (req, res) => {
@@ -285,6 +325,7 @@ function bootstrap() {
     const model = sanitizeString(requestPayload.model, runtime.openAi.model);
     const greeting = sanitizePrompt(requestPayload.greeting, runtime.openAi.greeting);
     const metadata = requestPayload.metadata && typeof requestPayload.metadata === 'object' ? requestPayload.metadata : null;
+    const callback = normalizeTaskCallback(requestPayload.callback);
 
     logger.info('CALL_REQUEST_RECEIVED', {
       to: to ? `${to.slice(0, 4)}…` : '',
@@ -314,7 +355,8 @@ function bootstrap() {
       voice,
       model,
       greeting,
-      metadata
+      metadata,
+      callback
     });
 
     logger.info('Dispatching outbound call request', {
@@ -330,6 +372,13 @@ function bootstrap() {
       sessionStore.attachCallSid(session.sessionId, fakeSid);
       sessionStore.updateStatus(session.sessionId, 'simulated', { note: 'Twilio test mode enabled' });
       logger.info('CALL_SIMULATED', { sessionId: session.sessionId, fakeSid });
+      // No Twilio webhooks arrive in test mode, so settle the orchestrator task right away.
+      setImmediate(() => {
+        reportCallOutcome(session, {
+          status: 'completed',
+          result: { callSid: fakeSid, simulated: true }
+        }, logger);
+      });
       return res.status(202).json({
         status: 'simulated',
         callSid: fakeSid,
@@ -391,6 +440,82 @@ function bootstrap() {
     }
   });
 
+  // Cancels an outbound call on behalf of the orchestrator: ends the Twilio leg and the
+  // OpenAI realtime call, then closes the local session (and its monitor socket).
+  app.post('/call/:callSid/hangup', async (req, res) => {
+    const { callSid } = req.params;
+    const reason = sanitizeString(req.body?.reason, 'cancelled');
+    const session = sessionStore.getByCallSid(callSid);
+
+    logger.info('CALL_HANGUP_REQUESTED', {
+      callSid,
+      sessionId: session?.sessionId || null,
+      reason,
+      testMode: runtime.twilio.testMode
+    });
+
+    const outcome = { twilio: 'skipped', openai: 'skipped' };
+    if (session) {
+      // The orchestrator records the cancellation itself; suppress the later Twilio outcome.
+      session.callbackSettled = true;
+    }
+
+    if (!runtime.twilio.testMode && session?.status !== 'simulated') {
+      if (!twilioClient) {
+        logger.error('Twilio client unavailable; cannot hang up call', { callSid });
+        return res.status(500).json({ error: 'TWILIO_NOT_CONFIGURED', message: 'Twilio client unavailable.' });
+      }
+      try {
+        const ringing = !session || ['queued', 'twilio_queued', 'twilio_initiated', 'twilio_ringing'].includes(session.status);
+        await twilioClient.calls(callSid).update({ status: ringing ? 'canceled' : 'completed' });
+        outcome.twilio = ringing ? 'canceled' : 'completed';
+      } catch (err) {
+        // Twilio rejects updates to calls that already ended; treat that as success.
+        if (err?.status === 404 || err?.code === 21220) {
+          outcome.twilio = 'already_ended';
+        } else {
+          logger.error('Twilio call hangup failed', { callSid, error: serializeError(err) });
+          return res.status(502).json({
+            error: 'TWILIO_HANGUP_FAILED',
+            message: err?.message || 'Twilio call hangup failed.'
+          });
+        }
+      }
+    }
+
+    if (session?.openAiCallId && runtime.openAi.key) {
+      try {
+        const hangupUrl = `https://api.openai.com/v1/realtime/calls/${session.openAiCallId}/hangup`;
+        const response = await globalFetch(hangupUrl, {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${runtime.openAi.key}` }
+        });
+        outcome.openai = response.ok ? 'hungup' : `http_${response.status}`;
+        if (!response.ok) {
+          const text = await response.text().catch(() => '');
+          logger.warn('OpenAI realtime hangup failed', { callId: session.openAiCallId, status: response.status, body: text });
+        }
+      } catch (err) {
+        outcome.openai = 'error';
+        logger.warn('OpenAI realtime hangup threw error', { callId: session.openAiCallId, error: serializeError(err) });
+      }
+    }
+
+    if (session) {
+      sessionStore.updateStatus(session.sessionId, 'cancelled', { reason, outcome });
+      sessionStore.close(session.sessionId, { reason, outcome });
+    }
+
+    logger.info('CALL_HANGUP_COMPLETED', { callSid, sessionId: session?.sessionId || null, ...outcome });
+
+    res.json({
+      status: 'cancelled',
+      callSid,
+      sessionId: session?.sessionId || null,
+      ...outcome
+    });
+  });
+
   // Debug endpoint to inspect in-memory call sessions
   app.get('/debug/sessions', (req, res) => {
     try {
@@ -704,6 +829,8 @@ function createSessionStore(logger) {
         model: data.model,
         greeting: data.greeting,
         metadata: data.metadata || null,
+        callback: data.callback || null,
+        callbackSettled: false,
         createdAt: Date.now(),
         updatedAt: Date.now(),
         status: 'created',
@@ -723,6 +850,9 @@ function createSessionStore(logger) {
     getByOpenAiCallId(callId) {
       return byOpenAiCallId.get(callId) || null;
     },
+    getByCallSid(callSid) {
+      return byCallSid.get(callSid) || null;
+    },
     attachCallSid(sessionId, callSid) {
       const session = byId.get(sessionId);
       if (!session) return;
@@ -848,6 +978,54 @@ function createSessionStore(logger) {
   };
 }
 
+function normalizeTaskCallback(value) {
+  if (!value || typeof value !== 'object') return null;
+  const url = sanitizeString(value.url, '');
+  const token = sanitizeString(value.token, '');
+  if (!url || !token) return null;
+  return { url, token };
+}
+
+// Reports the terminal call outcome to the orchestrator exactly once per session.
+function reportCallOutcome(session, outcome, logger) {
+  if (!session || session.callbackSettled) return;
+  session.callbackSettled = true;
+  sendTaskCallback(session, { outcome }, logger);
+}
+
+async function sendTaskCallback(session, body, logger) {
+  if (!session?.callback || !globalFetch) return;
+
+  const rawBody = JSON.stringify(body);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = createHmacSignature({ secret: session.callback.token, payload: `${timestamp}.${rawBody}` });
+
+  try {
+    const response = await globalFetch(session.callback.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Callback-Timestamp': String(timestamp),
+        'X-Callback-Signature': `sha256=${signature}`
+      },
+      body: rawBody
+    });
+    if (!response.ok && response.status !== 409) {
+      const text = await response.text().catch(() => '');
+      logger.warn('Orchestrator rejected task callback', {
+        sessionId: session.sessionId,
+        status: response.status,
+        body: text.slice(0, 200)
+      });
+    }
+  } catch (err) {
+    logger.error('Failed to deliver task callback', {
+      sessionId: session.sessionId,
+      error: serializeError(err)
+    });
+  }
+}
+
 function verifyOpenAiSignature(rawBody, signatureHeader, timestampHeader, secret) {
   if (!secret || !signatureHeader || !timestampHeader) return false;
 
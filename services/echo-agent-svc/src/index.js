@@ -6,6 +6,8 @@ const {
   ensureConfig,
   buildConfigReport,
   requireAuth,
+  createTokenIntrospector,
+  ADMIN_SCOPE,
   createServiceLogger,
   createDashboardCors
 } = require('@repo/common');
@@ -13,6 +15,11 @@ const {
 const SERVICE_NAME = 'echo-agent-svc';
 const PORT = process.env.PORT || 4002;
 
+function resolveEchoScope(req) {
+  if (req.path === '/health') return null;
+  return req.method === 'GET' || req.method === 'HEAD' ? 'agents:read' : ADMIN_SCOPE;
+}
+
 function bootstrap() {
   try {
     ensureConfig();
@@ -32,7 +39,10 @@ function bootstrap() {
   app.use(express.json({ limit: '256kb' }));
   app.use(morgan('combined'));
   app.use(dashboardCors);
-  app.use(requireAuth());
+  app.use(requireAuth({
+    resolveToken: createTokenIntrospector() || undefined,
+    scopeFor: resolveEchoScope
+  }));
 
   app.get('/health', (req, res) => {
     res.json({ service: SERVICE_NAME, status: 'ok', timestamp: new Date().toISOString() });
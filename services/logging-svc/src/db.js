@@ -49,6 +49,41 @@ async function initDb() {
       )
     `);
 
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id UUID PRIMARY KEY,
+        ts_utc TIMESTAMPTZ NOT NULL DEFAULT now(),
+        service TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        action TEXT NOT NULL,
+        target_type TEXT,
+        target_id TEXT,
+        before JSONB,
+        after JSONB,
+        metadata JSONB,
+        correlation_id TEXT
+      )
+    `);
+
+    // Append-only: the table rejects UPDATE, DELETE, and TRUNCATE for every role, including this service.
+    await client.query(`
+      CREATE OR REPLACE FUNCTION audit_log_reject_change() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log');
+    await client.query(`
+      CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW EXECUTE FUNCTION audit_log_reject_change()
+    `);
+    await client.query('DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log');
+    await client.query(`
+      CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+      FOR EACH STATEMENT EXECUTE FUNCTION audit_log_reject_change()
+    `);
+
     await client.query('ALTER TABLE logs ADD COLUMN IF NOT EXISTS trace_id TEXT');
     await client.query('ALTER TABLE task_events ADD COLUMN IF NOT EXISTS trace_id TEXT');
 
@@ -59,6 +94,9 @@ async function initDb() {
     await client.query('CREATE INDEX IF NOT EXISTS idx_task_events_task_ts ON task_events(task_id, ts_utc DESC)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_task_events_corr ON task_events(correlation_id)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_task_events_trace ON task_events(trace_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_ts ON audit_log(ts_utc DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor, ts_utc DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id)');
 
     await client.query('COMMIT');
   } catch (err) {
@@ -207,11 +245,101 @@ async function insertTaskEvent({
   return rows[0];
 }
 
+async function insertAuditEntry({
+  service,
+  actor,
+  action,
+  targetType,
+  targetId,
+  before,
+  after,
+  metadata,
+  correlationId
+}) {
+  const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+  const { rows } = await pool.query(
+    `INSERT INTO audit_log (id, service, actor, action, target_type, target_id, before, after, metadata, correlation_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7::jsonb, $8::jsonb, $9::jsonb, $10)
+     RETURNING *`,
+    [
+      uuidv4(),
+      service,
+      actor,
+      action,
+      targetType || null,
+      targetId || null,
+      toJson(before),
+      toJson(after),
+      toJson(metadata),
+      correlationId || null
+    ]
+  );
+
+  return rows[0];
+}
+
+// `action` ending in `.*` matches by prefix, e.g. `agent.*` for every agent registry change.
+async function queryAuditLog(filters = {}) {
+  const clauses = [];
+  const values = [];
+
+  if (filters.service) {
+    values.push(filters.service);
+    clauses.push(`service = $${values.length}`);
+  }
+  if (filters.actor) {
+    values.push(filters.actor);
+    clauses.push(`actor = $${values.length}`);
+  }
+  if (filters.action) {
+    if (filters.action.endsWith('.*')) {
+      values.push(`${filters.action.slice(0, -1).replace(/[\\%_]/g, '\\$&')}%`);
+      clauses.push(`action LIKE $${values.length}`);
+    } else {
+      values.push(filters.action);
+      clauses.push(`action = $${values.length}`);
+    }
+  }
+  if (filters.targetType) {
+    values.push(filters.targetType);
+    clauses.push(`target_type = $${values.length}`);
+  }
+  if (filters.targetId) {
+    values.push(filters.targetId);
+    clauses.push(`target_id = $${values.length}`);
+  }
+  if (filters.correlationId) {
+    values.push(filters.correlationId);
+    clauses.push(`correlation_id = $${values.length}`);
+  }
+  if (filters.since) {
+    values.push(filters.since);
+    clauses.push(`ts_utc >= $${values.length}`);
+  }
+  if (filters.until) {
+    values.push(filters.until);
+    clauses.push(`ts_utc < $${values.length}`);
+  }
+
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const limit = filters.limit || 100;
+  values.push(limit);
+
+  const { rows } = await pool.query(
+    `SELECT * FROM audit_log ${where} ORDER BY ts_utc DESC, id DESC LIMIT $${values.length}`,
+    values
+  );
+
+  return rows;
+}
+
 module.exports = {
   pool,
   initDb,
   insertLog,
   queryLogs,
   queryTaskEvents,
-  insertTaskEvent
+  insertTaskEvent,
+  insertAuditEntry,
+  queryAuditLog
 };
@@ -6,6 +6,8 @@ const {
   ensureConfig,
   buildConfigReport,
   requireAuth,
+  createTokenIntrospector,
+  ADMIN_SCOPE,
   createDashboardCors
 } = require('@repo/common');
 
@@ -13,7 +15,9 @@ const {
   pool,
   initDb,
   queryLogs,
-  queryTaskEvents
+  queryTaskEvents,
+  insertAuditEntry,
+  queryAuditLog
 } = require('./db');
 const { registerStream } = require('./stream');
 const { recordLog, recordTaskEvent } = require('./events');
@@ -21,6 +25,14 @@ const { recordLog, recordTaskEvent } = require('./events');
 const SERVICE_NAME = 'logging-svc';
 const PORT = process.env.PORT || 4001;
 
+// Services write with the internal key; bearer callers (dashboard sessions, API tokens) only read,
+// and only admins read the audit log.
+function resolveLoggingScope(req) {
+  if (req.path === '/health') return null;
+  if (req.path.startsWith('/audit')) return ADMIN_SCOPE;
+  return req.method === 'GET' || req.method === 'HEAD' ? 'tasks:read' : ADMIN_SCOPE;
+}
+
 async function createService() {
   try {
     ensureConfig();
@@ -38,7 +50,10 @@ async function createService() {
   app.use(express.json({ limit: '1mb' }));
   app.use(morgan('combined'));
   app.use(dashboardCors);
-  app.use(requireAuth());
+  app.use(requireAuth({
+    resolveToken: createTokenIntrospector() || undefined,
+    scopeFor: resolveLoggingScope
+  }));
 
   app.get('/health', async (req, res) => {
     try {
@@ -150,9 +165,89 @@ async function createService() {
     }
   });
 
+  // Written by createAuditLogger in @repo/common. Only services (internal key) may append, so an
+  // admin token cannot forge entries; there is no route that changes or removes one.
+  app.post('/audit', async (req, res) => {
+    if (req.auth.strategy !== 'internal') {
+      return res.status(403).json({ error: 'Audit entries are written by services only' });
+    }
+
+    const normalized = normalizeAuditEntry(req.body || {});
+    if (!normalized.valid) {
+      return res.status(400).json({ error: normalized.error });
+    }
+
+    try {
+      const entry = await insertAuditEntry(normalized.value);
+      res.status(201).json({ entry });
+    } catch (err) {
+      console.error('Failed to record audit entry', err);
+      res.status(500).json({ error: 'Failed to record audit entry' });
+    }
+  });
+
+  app.get('/audit', async (req, res) => {
+    for (const key of ['since', 'until']) {
+      if (req.query[key] && Number.isNaN(Date.parse(req.query[key]))) {
+        return res.status(400).json({ error: `Invalid ${key} parameter` });
+      }
+    }
+
+    let limit;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isFinite(limit) || limit <= 0 || limit > 500) {
+        return res.status(400).json({ error: 'Invalid limit parameter' });
+      }
+    }
+
+    try {
+      const entries = await queryAuditLog({
+        service: req.query.service,
+        actor: req.query.actor,
+        action: req.query.action,
+        targetType: req.query.targetType,
+        targetId: req.query.targetId,
+        correlationId: req.query.corrId || req.query.correlationId,
+        since: req.query.since ? new Date(req.query.since).toISOString() : undefined,
+        until: req.query.until ? new Date(req.query.until).toISOString() : undefined,
+        limit
+      });
+      res.json({ entries });
+    } catch (err) {
+      console.error('Failed to fetch audit log', err);
+      res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+  });
+
   return app;
 }
 
+function normalizeAuditEntry(body) {
+  const { service, actor, action, targetType, targetId, before, after, metadata, correlationId } = body;
+
+  for (const [field, value] of Object.entries({ service, actor, action })) {
+    if (!value || typeof value !== 'string') {
+      return { valid: false, error: `${field} is required` };
+    }
+  }
+
+  return {
+    valid: true,
+    value: {
+      service,
+      actor,
+      action,
+      targetType: targetType ?? null,
+      targetId: targetId === undefined || targetId === null ? null : String(targetId),
+      before: before ?? null,
+      after: after ?? null,
+      metadata: metadata ?? null,
+      correlationId: correlationId ?? null
+    }
+  };
+}
+
 function normalizeLogBody(body) {
   const { service, level = 'info', message, data, taskId, correlationId, traceId } = body;
 
@@ -0,0 +1,265 @@
+const { v4: uuidv4 } = require('uuid');
+
+const { pool } = require('./db');
+
+const HEALTH_STATES = ['healthy', 'degraded', 'down'];
+const HEARTBEAT_STATUSES = ['ok', 'degraded'];
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const DEFAULTS = {
+  heartbeatStaleMs: 60_000,
+  heartbeatDownMs: 180_000,
+  breakerThreshold: 5,
+  breakerCooldownMs: 60_000,
+  heartbeatRetentionHours: 72
+};
+
+function parsePositiveInt(value, fallback) {
+  const num = Number.parseInt(value, 10);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+}
+
+function getHealthSettings() {
+  return {
+    heartbeatStaleMs: parsePositiveInt(process.env.AGENT_HEARTBEAT_STALE_MS, DEFAULTS.heartbeatStaleMs),
+    heartbeatDownMs: parsePositiveInt(process.env.AGENT_HEARTBEAT_DOWN_MS, DEFAULTS.heartbeatDownMs),
+    breakerThreshold: parsePositiveInt(process.env.AGENT_BREAKER_THRESHOLD, DEFAULTS.breakerThreshold),
+    breakerCooldownMs: parsePositiveInt(process.env.AGENT_BREAKER_COOLDOWN_MS, DEFAULTS.breakerCooldownMs),
+    heartbeatRetentionHours: parsePositiveInt(process.env.AGENT_HEARTBEAT_RETENTION_HOURS, DEFAULTS.heartbeatRetentionHours)
+  };
+}
+
+// Agents that never sent a heartbeat are judged on dispatch results alone; once an agent
+// heartbeats, silence longer than AGENT_HEARTBEAT_DOWN_MS marks it down.
+function evaluateHealth(row, { now = Date.now(), settings = getHealthSettings() } = {}) {
+  const reasons = [];
+  let state = 'healthy';
+  const degrade = (reason) => {
+    reasons.push(reason);
+    if (state === 'healthy') state = 'degraded';
+  };
+  const down = (reason) => {
+    reasons.push(reason);
+    state = 'down';
+  };
+
+  if (row?.breaker_state === 'open') down('circuit_open');
+  if (row?.breaker_state === 'half_open') degrade('circuit_half_open');
+  if (row?.breaker_state === 'closed' && row.consecutive_failures > 0) degrade('recent_failures');
+
+  if (row?.last_heartbeat_at) {
+    const silentMs = now - new Date(row.last_heartbeat_at).getTime();
+    if (silentMs > settings.heartbeatDownMs) down('heartbeat_missing');
+    else if (silentMs > settings.heartbeatStaleMs) degrade('heartbeat_stale');
+    if (row.heartbeat_status === 'degraded') degrade('agent_reported_degraded');
+  }
+
+  return { state, reasons };
+}
+
+async function getAgentHealthRow(slug) {
+  const { rows } = await pool.query('SELECT * FROM agent_health WHERE agent_slug = $1', [slug]);
+  return rows[0] || null;
+}
+
+async function recordHeartbeat({ slug, status = 'ok', meta = null }) {
+  const { heartbeatDownMs } = getHealthSettings();
+  await pool.query(
+    'INSERT INTO agent_heartbeats (id, agent, meta) VALUES ($1, $2, $3::jsonb)',
+    [uuidv4(), slug, JSON.stringify({ status, ...(meta || {}) })]
+  );
+  // up_since restarts whenever the previous heartbeat is older than the "down" threshold.
+  const { rows } = await pool.query(
+    `INSERT INTO agent_health (agent_slug, last_heartbeat_at, heartbeat_status, heartbeat_meta, up_since)
+     VALUES ($1, now(), $2, $3::jsonb, now())
+     ON CONFLICT (agent_slug) DO UPDATE
+     SET up_since = CASE
+           WHEN agent_health.last_heartbeat_at IS NULL
+             OR agent_health.last_heartbeat_at < now() - ($4::int * interval '1 millisecond')
+           THEN now()
+           ELSE agent_health.up_since
+         END,
+         last_heartbeat_at = now(),
+         heartbeat_status = EXCLUDED.heartbeat_status,
+         heartbeat_meta = EXCLUDED.heartbeat_meta,
+         updated_at = now()
+     RETURNING *`,
+    [slug, status, meta ? JSON.stringify(meta) : null, heartbeatDownMs]
+  );
+  return rows[0];
+}
+
+// Returns the updated row plus the breaker state before this failure, so callers can log
+// the closed -> open transition exactly once.
+async function recordDispatchFailure(slug, err) {
+  const { breakerThreshold } = getHealthSettings();
+  const failure = { message: err?.message || 'dispatch failed', status: err?.status ?? null, at: new Date().toISOString() };
+  const { rows } = await pool.query(
+    `WITH previous AS (SELECT breaker_state FROM agent_health WHERE agent_slug = $1)
+     INSERT INTO agent_health (agent_slug, consecutive_failures, total_failures, last_failure_at, last_failure, breaker_state, opened_at)
+     VALUES ($1, 1, 1, now(), $2::jsonb,
+             CASE WHEN 1 >= $3 THEN 'open' ELSE 'closed' END,
+             CASE WHEN 1 >= $3 THEN now() END)
+     ON CONFLICT (agent_slug) DO UPDATE
+     SET consecutive_failures = agent_health.consecutive_failures + 1,
+         total_failures = agent_health.total_failures + 1,
+         last_failure_at = now(),
+         last_failure = EXCLUDED.last_failure,
+         breaker_state = CASE
+           WHEN agent_health.breaker_state = 'half_open' OR agent_health.consecutive_failures + 1 >= $3 THEN 'open'
+           ELSE agent_health.breaker_state
+         END,
+         opened_at = CASE
+           WHEN agent_health.breaker_state = 'half_open'
+             OR (agent_health.breaker_state = 'closed' AND agent_health.consecutive_failures + 1 >= $3)
+           THEN now()
+           ELSE agent_health.opened_at
+         END,
+         updated_at = now()
+     RETURNING agent_health.*, (SELECT breaker_state FROM previous) AS previous_state`,
+    [slug, JSON.stringify(failure), breakerThreshold]
+  );
+  const { previous_state: previousState, ...row } = rows[0];
+  return { row, previousState: previousState || 'closed' };
+}
+
+async function recordDispatchSuccess(slug) {
+  const { rows } = await pool.query(
+    `WITH previous AS (SELECT breaker_state FROM agent_health WHERE agent_slug = $1)
+     INSERT INTO agent_health (agent_slug, total_successes, last_success_at)
+     VALUES ($1, 1, now())
+     ON CONFLICT (agent_slug) DO UPDATE
+     SET consecutive_failures = 0,
+         total_successes = agent_health.total_successes + 1,
+         last_success_at = now(),
+         breaker_state = 'closed',
+         opened_at = NULL,
+         updated_at = now()
+     RETURNING agent_health.*, (SELECT breaker_state FROM previous) AS previous_state`,
+    [slug]
+  );
+  const { previous_state: previousState, ...row } = rows[0];
+  return { row, previousState: previousState || 'closed' };
+}
+
+// Decides whether a dispatch to `slug` may proceed. An open breaker lets exactly one trial
+// through per cooldown (flipping to half_open); a silent agent is held until it heartbeats.
+async function acquireDispatch(slug) {
+  const settings = getHealthSettings();
+  const row = await getAgentHealthRow(slug);
+  if (!row) return { allowed: true };
+
+  const health = evaluateHealth(row, { settings });
+  if (health.reasons.includes('heartbeat_missing')) {
+    return {
+      allowed: false,
+      reason: 'heartbeat_missing',
+      health,
+      retryAt: new Date(Date.now() + settings.heartbeatStaleMs).toISOString()
+    };
+  }
+  if (row.breaker_state === 'closed') return { allowed: true };
+
+  const { rows } = await pool.query(
+    `UPDATE agent_health
+     SET breaker_state = 'half_open', opened_at = now(), updated_at = now()
+     WHERE agent_slug = $1
+       AND breaker_state IN ('open', 'half_open')
+       AND opened_at < now() - ($2::int * interval '1 millisecond')
+     RETURNING *`,
+    [slug, settings.breakerCooldownMs]
+  );
+  if (rows.length) {
+    return { allowed: true, trial: true };
+  }
+
+  const openedAt = row.opened_at ? new Date(row.opened_at).getTime() : Date.now();
+  return {
+    allowed: false,
+    reason: row.breaker_state === 'open' ? 'circuit_open' : 'circuit_half_open',
+    health,
+    retryAt: new Date(Math.max(openedAt + settings.breakerCooldownMs, Date.now() + 1_000)).toISOString()
+  };
+}
+
+async function listUnavailableAgentSlugs() {
+  const { breakerCooldownMs, heartbeatDownMs } = getHealthSettings();
+  const { rows } = await pool.query(
+    `SELECT agent_slug FROM agent_health
+     WHERE (breaker_state IN ('open', 'half_open') AND opened_at >= now() - ($1::int * interval '1 millisecond'))
+        OR last_heartbeat_at < now() - ($2::int * interval '1 millisecond')`,
+    [breakerCooldownMs, heartbeatDownMs]
+  );
+  return rows.map((row) => row.agent_slug);
+}
+
+async function buildAgentHealthReport(handlers) {
+  const settings = getHealthSettings();
+  const { rows } = await pool.query('SELECT * FROM agent_health');
+  const bySlug = new Map(rows.map((row) => [row.agent_slug, row]));
+  const now = Date.now();
+
+  const slugs = Array.from(new Set([...handlers.map((handler) => handler.slug), ...bySlug.keys()]));
+  return slugs.map((slug) => {
+    const handler = handlers.find((candidate) => candidate.slug === slug) || null;
+    const row = bySlug.get(slug) || null;
+    const { state, reasons } = evaluateHealth(row, { now, settings });
+    const upSince = state !== 'down' && row?.up_since ? new Date(row.up_since) : null;
+    return {
+      slug,
+      displayName: handler?.displayName || slug,
+      channel: handler?.channel || null,
+      registered: Boolean(handler),
+      state,
+      reasons,
+      breaker: {
+        state: row?.breaker_state || 'closed',
+        openedAt: row?.opened_at || null,
+        consecutiveFailures: row?.consecutive_failures || 0
+      },
+      failures: row?.total_failures || 0,
+      successes: row?.total_successes || 0,
+      lastFailureAt: row?.last_failure_at || null,
+      lastFailure: row?.last_failure || null,
+      lastSuccessAt: row?.last_success_at || null,
+      lastHeartbeatAt: row?.last_heartbeat_at || null,
+      heartbeatStatus: row?.heartbeat_status || null,
+      upSince,
+      uptimeSeconds: upSince ? Math.floor((now - upSince.getTime()) / 1000) : null
+    };
+  });
+}
+
+function startHeartbeatPurger({ logger }) {
+  const purge = async () => {
+    try {
+      const { heartbeatRetentionHours } = getHealthSettings();
+      const { rowCount } = await pool.query(
+        `DELETE FROM agent_heartbeats WHERE ts_utc < now() - ($1::int * interval '1 hour')`,
+        [heartbeatRetentionHours]
+      );
+      if (rowCount > 0) {
+        logger.info('AGENT_HEARTBEATS_PURGED', { data: { count: rowCount } });
+      }
+    } catch (err) {
+      console.error('Failed to purge agent heartbeats', err);
+    }
+  };
+
+  const timer = setInterval(purge, PURGE_INTERVAL_MS);
+  timer.unref?.();
+  return { stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  HEALTH_STATES,
+  HEARTBEAT_STATUSES,
+  evaluateHealth,
+  recordHeartbeat,
+  recordDispatchFailure,
+  recordDispatchSuccess,
+  acquireDispatch,
+  listUnavailableAgentSlugs,
+  buildAgentHealthReport,
+  startHeartbeatPurger
+};
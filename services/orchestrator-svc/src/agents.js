@@ -0,0 +1,304 @@
+const { v4: uuidv4 } = require('uuid');
+const { collectErrors, checkSchema } = require('@repo/common');
+
+const { pool } = require('./db');
+const { TIMEOUT_ACTIONS } = require('./timeouts');
+const { CONCURRENCY_SCOPES } = require('./queue-lanes');
+const { SECRET_REF_SCHEMA } = require('./secrets');
+
+const AGENT_REGISTRY_CHANNEL = 'agent_registry_changed';
+const LISTENER_RECONNECT_MS = 5_000;
+const SLUG_PATTERN = '^[a-z0-9][a-z0-9:._-]{0,62}$';
+
+const HTTP_URL = { type: 'string', format: 'uri', pattern: '^https?://' };
+
+// Mirrors the options buildDispatchExecutor/buildCancelExecutor understand, so typos
+// are rejected at write time instead of silently ignored at dispatch time.
+const AGENT_CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['taskTypes'],
+  properties: {
+    taskTypes: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: { type: 'string', minLength: 1 }
+    },
+    mode: { enum: ['dispatch'] },
+    endpoint: HTTP_URL,
+    dispatch: {
+      type: 'object',
+      properties: {
+        url: HTTP_URL,
+        endpoint: HTTP_URL,
+        cancelUrl: HTTP_URL,
+        method: { enum: ['POST', 'PUT', 'PATCH', 'post', 'put', 'patch'] },
+        includeTask: { type: 'boolean' },
+        includeInternalKey: { type: 'boolean' },
+        expectJson: { type: 'boolean' },
+        headers: { type: 'object', additionalProperties: { anyOf: [{ type: 'string' }, SECRET_REF_SCHEMA] } },
+        basicAuthEnv: {
+          type: 'array',
+          minItems: 2,
+          maxItems: 2,
+          items: { type: 'string', minLength: 1 }
+        },
+        bearerTokenEnv: { type: 'string', minLength: 1 },
+        // The referenced secret holds `user:password`.
+        basicAuth: SECRET_REF_SCHEMA,
+        bearerToken: SECRET_REF_SCHEMA,
+        body: { type: 'object' }
+      },
+      additionalProperties: false
+    },
+    retry: { type: 'object' },
+    routing: {
+      type: 'object',
+      properties: {
+        weight: { type: 'number', minimum: 0 },
+        priority: { type: 'integer' }
+      },
+      additionalProperties: false
+    },
+    metadata: { type: 'object' },
+    payloadSchemas: {
+      type: 'object',
+      additionalProperties: { type: 'object' }
+    },
+    timeouts: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          dispatchMs: { type: 'integer', minimum: 1 },
+          completionMs: { type: 'integer', minimum: 1 },
+          onTimeout: { enum: TIMEOUT_ACTIONS }
+        },
+        additionalProperties: false
+      }
+    },
+    concurrency: {
+      type: 'object',
+      required: ['maxInFlight'],
+      properties: {
+        maxInFlight: { type: 'integer', minimum: 1 },
+        scope: { enum: CONCURRENCY_SCOPES }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: true
+};
+
+const AGENT_SCHEMA = {
+  type: 'object',
+  required: ['slug', 'displayName', 'channel', 'config'],
+  properties: {
+    slug: { type: 'string', pattern: SLUG_PATTERN },
+    displayName: { type: 'string', minLength: 1 },
+    channel: { type: 'string', minLength: 1 },
+    isActive: { type: 'boolean' },
+    config: AGENT_CONFIG_SCHEMA
+  },
+  additionalProperties: false
+};
+
+const AGENT_PATCH_SCHEMA = {
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    displayName: AGENT_SCHEMA.properties.displayName,
+    channel: AGENT_SCHEMA.properties.channel,
+    isActive: AGENT_SCHEMA.properties.isActive,
+    config: AGENT_CONFIG_SCHEMA
+  },
+  additionalProperties: false
+};
+
+// Checks the parts of an agent config that JSON Schema cannot express on its own.
+function validateAgentConfig(config) {
+  const errors = [];
+  const dispatch = config.dispatch || {};
+  if (!dispatch.url && !dispatch.endpoint && !config.endpoint) {
+    errors.push({ field: 'config.dispatch.url', message: 'a dispatch url is required', keyword: 'required' });
+  }
+
+  const taskTypes = new Set(config.taskTypes || []);
+  Object.entries(config.payloadSchemas || {}).forEach(([type, schema]) => {
+    if (!taskTypes.has(type)) {
+      errors.push({
+        field: `config.payloadSchemas.${type}`,
+        message: 'schema declared for a task type the agent does not serve',
+        keyword: 'taskTypes'
+      });
+      return;
+    }
+    try {
+      checkSchema(schema);
+    } catch (err) {
+      errors.push({ field: `config.payloadSchemas.${type}`, message: err.message, keyword: 'schema' });
+    }
+  });
+  if (dispatch.basicAuth && dispatch.basicAuthEnv) {
+    errors.push({ field: 'config.dispatch.basicAuth', message: 'send either basicAuth or basicAuthEnv', keyword: 'oneOf' });
+  }
+  if (dispatch.bearerToken && dispatch.bearerTokenEnv) {
+    errors.push({ field: 'config.dispatch.bearerToken', message: 'send either bearerToken or bearerTokenEnv', keyword: 'oneOf' });
+  }
+  Object.keys(config.timeouts || {}).forEach((type) => {
+    if (!taskTypes.has(type)) {
+      errors.push({
+        field: `config.timeouts.${type}`,
+        message: 'timeouts declared for a task type the agent does not serve',
+        keyword: 'taskTypes'
+      });
+    }
+  });
+  return errors;
+}
+
+function validateAgentInput(body) {
+  const errors = collectErrors(AGENT_SCHEMA, body);
+  if (errors.length) return errors;
+  return validateAgentConfig(body.config);
+}
+
+function validateAgentPatch(body) {
+  const errors = collectErrors(AGENT_PATCH_SCHEMA, body);
+  if (errors.length || !body.config) return errors;
+  return validateAgentConfig(body.config);
+}
+
+async function listAgents({ active } = {}) {
+  const values = [];
+  let where = '';
+  if (active !== undefined) {
+    values.push(active);
+    where = 'WHERE is_active = $1';
+  }
+  const { rows } = await pool.query(`SELECT * FROM agent_registry ${where} ORDER BY display_name`, values);
+  return rows;
+}
+
+async function getAgentBySlug(slug) {
+  const { rows } = await pool.query('SELECT * FROM agent_registry WHERE slug = $1', [slug]);
+  return rows[0] || null;
+}
+
+// Returns null when the slug is already taken.
+async function createAgent({ slug, displayName, channel, config, isActive = true }) {
+  const { rows } = await pool.query(
+    `INSERT INTO agent_registry (id, slug, display_name, channel, config, is_active)
+     VALUES ($1, $2, $3, $4, $5::jsonb, $6)
+     ON CONFLICT (slug) DO NOTHING
+     RETURNING *`,
+    [uuidv4(), slug, displayName, channel, JSON.stringify(config), isActive]
+  );
+  return rows[0] || null;
+}
+
+async function updateAgent(slug, { displayName, channel, config, isActive }) {
+  const { rows } = await pool.query(
+    `UPDATE agent_registry
+     SET display_name = COALESCE($2, display_name),
+         channel = COALESCE($3, channel),
+         config = COALESCE($4::jsonb, config),
+         is_active = COALESCE($5, is_active),
+         updated_at = now()
+     WHERE slug = $1
+     RETURNING *`,
+    [
+      slug,
+      displayName ?? null,
+      channel ?? null,
+      config !== undefined ? JSON.stringify(config) : null,
+      isActive ?? null
+    ]
+  );
+  return rows[0] || null;
+}
+
+async function deleteAgent(slug) {
+  const { rows } = await pool.query('DELETE FROM agent_registry WHERE slug = $1 RETURNING *', [slug]);
+  return rows[0] || null;
+}
+
+async function notifyAgentRegistryChanged({ slug, action }) {
+  await pool.query('SELECT pg_notify($1, $2)', [
+    AGENT_REGISTRY_CHANNEL,
+    JSON.stringify({ slug, action, pid: process.pid })
+  ]);
+}
+
+// Holds one pooled connection in LISTEN mode so every instance rebuilds its handler
+// registry when any instance writes to agent_registry. Reconnects after failures.
+function startAgentRegistryListener({ onChange, logger }) {
+  let client = null;
+  let stopped = false;
+  let retryTimer = null;
+
+  async function connect() {
+    try {
+      client = await pool.connect();
+      client.on('notification', (message) => {
+        if (message.channel !== AGENT_REGISTRY_CHANNEL) return;
+        let detail = {};
+        try { detail = JSON.parse(message.payload || '{}'); } catch (_) { detail = {}; }
+        Promise.resolve(onChange(detail)).catch((err) => {
+          console.error('Failed to reload agent registry', err);
+        });
+      });
+      client.on('error', (err) => {
+        console.error('Agent registry listener connection error', err);
+        reconnect(err);
+      });
+      await client.query(`LISTEN ${AGENT_REGISTRY_CHANNEL}`);
+      logger.info('AGENT_REGISTRY_LISTENING', { data: { channel: AGENT_REGISTRY_CHANNEL } });
+    } catch (err) {
+      console.error('Failed to start agent registry listener', err);
+      reconnect(err);
+    }
+  }
+
+  function reconnect(err) {
+    if (client) {
+      client.removeAllListeners('notification');
+      client.removeAllListeners('error');
+      client.release(err);
+      client = null;
+    }
+    if (stopped || retryTimer) return;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      connect();
+    }, LISTENER_RECONNECT_MS);
+    retryTimer.unref?.();
+  }
+
+  connect();
+
+  return {
+    stop: () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      const current = client;
+      client = null;
+      if (current) {
+        current.query(`UNLISTEN ${AGENT_REGISTRY_CHANNEL}`).catch(() => {}).finally(() => current.release());
+      }
+    }
+  };
+}
+
+module.exports = {
+  AGENT_REGISTRY_CHANNEL,
+  validateAgentInput,
+  validateAgentPatch,
+  listAgents,
+  getAgentBySlug,
+  createAgent,
+  updateAgent,
+  deleteAgent,
+  notifyAgentRegistryChanged,
+  startAgentRegistryListener
+};
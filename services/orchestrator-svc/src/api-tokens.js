@@ -0,0 +1,150 @@
+const { v4: uuidv4 } = require('uuid');
+const {
+  collectErrors,
+  generateApiToken,
+  hashApiToken,
+  API_TOKEN_SCOPES,
+  ADMIN_SCOPE
+} = require('@repo/common');
+
+const { pool } = require('./db');
+
+const DEFAULT_TTL_DAYS = 90;
+const MAX_TTL_DAYS = 3650;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// last_used_at is a hint for operators, so it is written at most once per minute per token.
+const LAST_USED_RESOLUTION = '1 minute';
+
+const API_TOKEN_SCHEMA = {
+  type: 'object',
+  required: ['name', 'scopes'],
+  properties: {
+    name: { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$' },
+    description: { type: 'string' },
+    scopes: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', enum: API_TOKEN_SCOPES } },
+    expiresAt: { type: 'string', minLength: 1 },
+    expiresInDays: { type: 'integer', minimum: 1, maximum: MAX_TTL_DAYS }
+  },
+  additionalProperties: false
+};
+
+// First match wins; a null scope only needs a valid credential. Anything unlisted needs `admin`.
+const ROUTE_SCOPES = [
+  { path: /^\/health$/, scope: null },
+  { path: /^\/auth\/(me|logout|ws-ticket)$/, scope: null },
+  { path: /^\/api-tokens(\/|$)/, scope: 'tokens:admin' },
+  { method: 'POST', path: /^\/agents\/[^/]+\/heartbeat$/, scope: 'agents:heartbeat' },
+  { method: 'GET', path: /^\/agents(\/|$)/, scope: 'agents:read' },
+  { path: /^\/agents(\/|$)/, scope: 'agents:admin' },
+  { method: 'GET', path: /^\/(subscriptions|webhook-deliveries)(\/|$)/, scope: 'webhooks:read' },
+  { path: /^\/(subscriptions|webhook-deliveries)(\/|$)/, scope: 'webhooks:admin' },
+  { method: 'POST', path: /^\/task\/[^/]+\/(approve|reject)$/, scope: 'tasks:approve' },
+  { method: 'GET', path: /^\/(task|tasks|task-types|schedules|workflow-definitions|workflows|campaigns|queue|ws)(\/|$)/, scope: 'tasks:read' },
+  { path: /^\/(task|tasks|schedules|workflow-definitions|workflows|campaigns)(\/|$)/, scope: 'tasks:write' }
+];
+
+function resolveRouteScope(req) {
+  const method = req.method.toUpperCase() === 'HEAD' ? 'GET' : req.method.toUpperCase();
+  const rule = ROUTE_SCOPES.find((entry) => (!entry.method || entry.method === method) && entry.path.test(req.path));
+  return rule ? rule.scope : ADMIN_SCOPE;
+}
+
+function validateApiTokenInput(body) {
+  const errors = collectErrors(API_TOKEN_SCHEMA, body);
+  if (errors.length) return errors;
+  if (body.expiresAt !== undefined && body.expiresInDays !== undefined) {
+    return [{ field: 'expiresAt', message: 'send either expiresAt or expiresInDays', keyword: 'oneOf' }];
+  }
+  if (body.expiresAt !== undefined) {
+    const expiresAt = Date.parse(body.expiresAt);
+    if (Number.isNaN(expiresAt)) {
+      return [{ field: 'expiresAt', message: 'must be an ISO-8601 timestamp', keyword: 'format' }];
+    }
+    if (expiresAt <= Date.now() || expiresAt > Date.now() + MAX_TTL_DAYS * DAY_MS) {
+      return [{ field: 'expiresAt', message: `must be in the future and within ${MAX_TTL_DAYS} days`, keyword: 'range' }];
+    }
+  }
+  return [];
+}
+
+function getDefaultTtlDays() {
+  const days = Number.parseInt(process.env.API_TOKEN_DEFAULT_TTL_DAYS, 10);
+  return Number.isFinite(days) && days > 0 ? Math.min(days, MAX_TTL_DAYS) : DEFAULT_TTL_DAYS;
+}
+
+function toPublicApiToken(row) {
+  if (!row) return null;
+  const { token_hash: _tokenHash, ...rest } = row;
+  return rest;
+}
+
+// The plaintext token is returned once, here; only its SHA-256 is stored.
+async function createApiToken({ name, description, scopes, expiresAt, expiresInDays }, { actor }) {
+  const { token, prefix, hash } = generateApiToken();
+  const expiry = expiresAt
+    ? new Date(expiresAt).toISOString()
+    : new Date(Date.now() + (expiresInDays || getDefaultTtlDays()) * DAY_MS).toISOString();
+
+  const { rows } = await pool.query(
+    `INSERT INTO api_tokens (id, name, description, token_prefix, token_hash, scopes, expires_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6::text[], $7, $8)
+     ON CONFLICT (name) DO NOTHING
+     RETURNING *`,
+    [uuidv4(), name, description ?? null, prefix, hash, scopes, expiry, actor]
+  );
+  if (!rows.length) return null;
+  return { apiToken: toPublicApiToken(rows[0]), token };
+}
+
+async function listApiTokens({ includeRevoked = false } = {}) {
+  const where = includeRevoked ? '' : 'WHERE revoked_at IS NULL';
+  const { rows } = await pool.query(`SELECT * FROM api_tokens ${where} ORDER BY created_at DESC`);
+  return rows.map(toPublicApiToken);
+}
+
+async function getApiToken(id) {
+  const { rows } = await pool.query('SELECT * FROM api_tokens WHERE id = $1', [id]);
+  return toPublicApiToken(rows[0]);
+}
+
+async function revokeApiToken(id, { actor }) {
+  const { rows } = await pool.query(
+    `UPDATE api_tokens
+     SET revoked_at = COALESCE(revoked_at, now()), revoked_by = COALESCE(revoked_by, $2)
+     WHERE id = $1
+     RETURNING *`,
+    [id, actor]
+  );
+  return toPublicApiToken(rows[0]);
+}
+
+// Returns `{ id, name, scopes }` for a live token, or null when it is unknown, revoked, or expired.
+async function resolveApiToken(token) {
+  const { rows } = await pool.query(
+    `SELECT id, name, scopes FROM api_tokens
+     WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > now()`,
+    [hashApiToken(token)]
+  );
+  const identity = rows[0];
+  if (!identity) return null;
+
+  pool.query(
+    `UPDATE api_tokens SET last_used_at = now()
+     WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < now() - interval '${LAST_USED_RESOLUTION}')`,
+    [identity.id]
+  ).catch((err) => {
+    console.error('Failed to record API token use', identity.id, err);
+  });
+
+  return identity;
+}
+
+module.exports = {
+  resolveRouteScope,
+  validateApiTokenInput,
+  createApiToken,
+  listApiTokens,
+  getApiToken,
+  revokeApiToken,
+  resolveApiToken
+};
@@ -0,0 +1,26 @@
+const APPROVAL_STATUS = 'awaiting_approval';
+
+function getApprovalTypes() {
+  return String(process.env.TASK_APPROVAL_TYPES || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+// Tasks wait for a human sign-off when their type is listed in TASK_APPROVAL_TYPES or the
+// submitter asked for it. A request cannot opt out of a type-level gate.
+function resolveApproval({ type, requireApproval }) {
+  if (getApprovalTypes().includes(type)) {
+    return { reason: 'task_type' };
+  }
+  if (requireApproval === true) {
+    return { reason: 'requested' };
+  }
+  return null;
+}
+
+module.exports = {
+  APPROVAL_STATUS,
+  getApprovalTypes,
+  resolveApproval
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+const { createHmacSignature, timingSafeEqual } = require('@repo/common');
+
+const { pool } = require('./db');
+
+const CALLBACK_SIGNATURE_HEADER = 'x-callback-signature';
+const CALLBACK_TIMESTAMP_HEADER = 'x-callback-timestamp';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Maps agent-reported terminal outcomes onto task statuses.
+const OUTCOME_STATUS = {
+  completed: 'done',
+  failed: 'error',
+  busy: 'error',
+  'no-answer': 'error',
+  canceled: 'error'
+};
+
+function getSigningSecret() {
+  const secret = process.env.TASK_CALLBACK_SECRET || process.env.INTERNAL_KEY;
+  if (!secret) {
+    throw new Error('TASK_CALLBACK_SECRET (or INTERNAL_KEY) must be set to issue callback tokens');
+  }
+  return secret;
+}
+
+function deriveCallbackToken(taskId, nonce) {
+  return createHmacSignature({ secret: getSigningSecret(), payload: `${taskId}:${nonce}` });
+}
+
+function buildCallbackUrl(taskId) {
+  const base = (process.env.ORCHESTRATOR_URL || '').trim();
+  if (!base) return null;
+  return new URL(`/task/${taskId}/agent-events`, base).toString();
+}
+
+// Issues a fresh token for every dispatch attempt; rotating the nonce invalidates
+// tokens handed to agents on earlier attempts. Does not bump the task version.
+async function issueCallbackCredentials(task) {
+  const url = buildCallbackUrl(task.id);
+  if (!url) return null;
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  await pool.query('UPDATE tasks SET callback_nonce = $2 WHERE id = $1', [task.id, nonce]);
+  return { url, token: deriveCallbackToken(task.id, nonce) };
+}
+
+function verifyCallbackRequest(req, task) {
+  if (!task.callback_nonce) {
+    return { ok: false, reason: 'no_callback_issued' };
+  }
+
+  const signature = req.get(CALLBACK_SIGNATURE_HEADER);
+  const timestampHeader = req.get(CALLBACK_TIMESTAMP_HEADER);
+  if (!signature || !timestampHeader) {
+    return { ok: false, reason: 'missing_signature' };
+  }
+
+  const timestamp = Number.parseInt(String(timestampHeader), 10);
+  if (!Number.isFinite(timestamp)) {
+    return { ok: false, reason: 'invalid_timestamp' };
+  }
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return { ok: false, reason: 'stale_timestamp' };
+  }
+
+  const token = deriveCallbackToken(task.id, task.callback_nonce);
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const expected = createHmacSignature({ secret: token, payload: `${timestamp}.${rawBody}` });
+  const provided = signature.replace(/^sha256=/, '');
+  if (!timingSafeEqual(expected, provided)) {
+    return { ok: false, reason: 'invalid_signature' };
+  }
+
+  return { ok: true };
+}
+
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+module.exports = {
+  OUTCOME_STATUS,
+  issueCallbackCredentials,
+  verifyCallbackRequest,
+  captureRawBody
+};
@@ -0,0 +1,389 @@
+const { v4: uuidv4 } = require('uuid');
+const { collectErrors } = require('@repo/common');
+
+const { pool } = require('./db');
+const { TaskValidationError } = require('./errors');
+const { renderTemplate } = require('./workflows');
+const { MIN_TASK_PRIORITY, MAX_TASK_PRIORITY } = require('./queue-lanes');
+
+const CAMPAIGN_STATUSES = ['running', 'paused', 'cancelled', 'completed'];
+const SETTLED_TASK_STATUSES = ['done', 'error', 'dead_letter', 'cancelled'];
+const PROGRESS_STATES = ['pending', 'awaiting_approval', 'queued', 'running', 'done', 'error', 'dead_letter', 'cancelled', 'failed'];
+const MAX_REPORTED_ERRORS = 100;
+const ENGINE_BATCH_SIZE = 20;
+
+const DEFAULTS = {
+  maxItems: 5000,
+  perMinute: 60,
+  tickMs: 5_000
+};
+
+const BATCH_SCHEMA = {
+  type: 'object',
+  required: ['type', 'source'],
+  properties: {
+    type: { type: 'string', minLength: 1 },
+    source: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    correlationId: { type: 'string', minLength: 1 },
+    agentSlug: { type: 'string', minLength: 1 },
+    priority: { type: 'integer', minimum: MIN_TASK_PRIORITY, maximum: MAX_TASK_PRIORITY },
+    throttle: {
+      type: 'object',
+      properties: {
+        perMinute: { type: 'integer', minimum: 1 }
+      },
+      additionalProperties: false
+    },
+    items: { type: 'array', minItems: 1, items: { type: 'object' } },
+    template: { type: 'object' },
+    recipients: { type: 'array', minItems: 1, items: { type: 'object' } }
+  },
+  additionalProperties: false
+};
+
+function parsePositiveInt(value, fallback) {
+  const num = Number.parseInt(value, 10);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+}
+
+function getCampaignSettings() {
+  return {
+    maxItems: parsePositiveInt(process.env.CAMPAIGN_MAX_ITEMS, DEFAULTS.maxItems),
+    perMinute: parsePositiveInt(process.env.CAMPAIGN_DEFAULT_PER_MINUTE, DEFAULTS.perMinute),
+    tickMs: parsePositiveInt(process.env.CAMPAIGN_TICK_MS, DEFAULTS.tickMs)
+  };
+}
+
+// A batch carries either `items` (one payload per task) or a `template` rendered once per
+// `recipients` row, with `{{recipient.*}}` and `{{index}}` available to the template.
+function validateBatchInput(body) {
+  const errors = collectErrors(BATCH_SCHEMA, body);
+  if (errors.length) return errors;
+
+  const hasItems = Array.isArray(body.items);
+  const hasTemplate = body.template !== undefined || body.recipients !== undefined;
+  if (hasItems === hasTemplate) {
+    return [{ field: null, message: 'provide either items or template with recipients', keyword: 'oneOf' }];
+  }
+  if (hasTemplate && (!body.template || !Array.isArray(body.recipients))) {
+    return [{ field: body.template ? 'recipients' : 'template', message: 'template and recipients go together', keyword: 'required' }];
+  }
+
+  const { maxItems } = getCampaignSettings();
+  const count = hasItems ? body.items.length : body.recipients.length;
+  if (count > maxItems) {
+    return [{ field: hasItems ? 'items' : 'recipients', message: `must not have more than ${maxItems} entries`, keyword: 'maxItems' }];
+  }
+  return [];
+}
+
+function expandBatchPayloads(body) {
+  if (Array.isArray(body.items)) {
+    return body.items;
+  }
+  return body.recipients.map((recipient, index) => renderTemplate(body.template, { recipient, index }));
+}
+
+// Validates every payload up front so a campaign never starts with rows its agent will reject.
+function collectPayloadErrors(payloads, validate) {
+  const errors = [];
+  for (let index = 0; index < payloads.length && errors.length < MAX_REPORTED_ERRORS; index += 1) {
+    const { valid, errors: itemErrors } = validate(payloads[index]);
+    if (!valid) {
+      itemErrors.forEach((error) => {
+        errors.push({ ...error, field: error.field ? `items.${index}.${error.field}` : `items.${index}` });
+      });
+    }
+  }
+  return errors.slice(0, MAX_REPORTED_ERRORS);
+}
+
+async function createCampaign({ name, type, source, correlationId, agentSlug, priority, perMinute, payloads, createdBy }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const id = uuidv4();
+    const { rows } = await client.query(
+      `INSERT INTO campaigns (id, name, type, source, correlation_id, agent_slug, priority, per_minute, total, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        id,
+        name || null,
+        type,
+        source,
+        correlationId || `campaign:${id}`,
+        agentSlug || null,
+        priority ?? null,
+        perMinute,
+        payloads.length,
+        createdBy || null
+      ]
+    );
+    await client.query(
+      `INSERT INTO campaign_items (id, campaign_id, position, payload)
+       SELECT item.id, $1, item.position, item.payload
+       FROM unnest($2::uuid[], $3::int[], $4::jsonb[]) AS item(id, position, payload)`,
+      [
+        id,
+        payloads.map(() => uuidv4()),
+        payloads.map((_, index) => index),
+        payloads.map((payload) => JSON.stringify(payload ?? {}))
+      ]
+    );
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function getCampaign(id) {
+  const { rows } = await pool.query('SELECT * FROM campaigns WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+async function listCampaigns({ status, limit = 50 } = {}) {
+  const values = [];
+  let where = '';
+  if (status) {
+    values.push(status);
+    where = `WHERE status = $${values.length}`;
+  }
+  values.push(limit);
+  const { rows } = await pool.query(
+    `SELECT * FROM campaigns ${where} ORDER BY created_at DESC LIMIT $${values.length}`,
+    values
+  );
+  return rows;
+}
+
+// Items not yet released count as `pending`; items whose task could not be created count as
+// `failed`; released items report their task's status.
+async function getCampaignProgress(id) {
+  const { rows } = await pool.query(
+    `SELECT COALESCE(t.status, i.status) AS state, i.task_id IS NOT NULL AS released, count(*)::int AS count
+     FROM campaign_items i
+     LEFT JOIN tasks t ON t.id = i.task_id
+     WHERE i.campaign_id = $1
+     GROUP BY 1, 2`,
+    [id]
+  );
+  const counts = Object.fromEntries(PROGRESS_STATES.map((state) => [state, 0]));
+  let total = 0;
+  let released = 0;
+  rows.forEach(({ state, released: isReleased, count }) => {
+    counts[state] = (counts[state] || 0) + count;
+    total += count;
+    if (isReleased) released += count;
+  });
+  const settled = [...SETTLED_TASK_STATUSES, 'failed'].reduce((sum, state) => sum + (counts[state] || 0), 0);
+  return {
+    total,
+    released,
+    settled,
+    percentComplete: total ? Math.round((settled / total) * 1000) / 10 : 100,
+    counts
+  };
+}
+
+async function listCampaignTaskIds(id, statuses) {
+  const { rows } = await pool.query(
+    `SELECT t.id FROM campaign_items i
+     JOIN tasks t ON t.id = i.task_id
+     WHERE i.campaign_id = $1 AND t.status = ANY($2::text[])`,
+    [id, statuses]
+  );
+  return rows.map((row) => row.id);
+}
+
+// Moves a campaign between states; returns null when it is not currently in one of `from`.
+async function transitionCampaign(id, { from, to }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `UPDATE campaigns
+       SET status = $3,
+           next_release_at = CASE WHEN $3 = 'running' THEN now() ELSE next_release_at END,
+           finished_at = CASE WHEN $3 IN ('cancelled', 'completed') THEN now() ELSE finished_at END,
+           updated_at = now()
+       WHERE id = $1 AND status = ANY($2::text[])
+       RETURNING *`,
+      [id, from, to]
+    );
+    if (rows.length && to === 'cancelled') {
+      await client.query(
+        `UPDATE campaign_items SET status = 'cancelled' WHERE campaign_id = $1 AND status = 'pending'`,
+        [id]
+      );
+    }
+    await client.query('COMMIT');
+    return rows[0] || null;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Releases the next slice of a running campaign under a row lock, so instances share one
+// rate: `per_minute` tasks per minute, in batches sized to the engine tick. Each task is
+// created in the same transaction that marks its item submitted, so a crash or a failed
+// COMMIT never leaves a task behind an item that will be released again. Once every item
+// is released and every task has settled, the campaign completes. The created tasks are
+// returned for the caller to announce.
+async function releaseCampaignItems(id, { submitTask, logger }) {
+  const { tickMs } = getCampaignSettings();
+  const client = await pool.connect();
+  let campaign = null;
+  let released = 0;
+  let completed = false;
+  const tasks = [];
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT * FROM campaigns
+       WHERE id = $1 AND status = 'running' AND next_release_at <= now()
+       FOR UPDATE SKIP LOCKED`,
+      [id]
+    );
+    campaign = rows[0];
+    if (!campaign) {
+      await client.query('COMMIT');
+      return { campaign: null, released, completed, tasks };
+    }
+
+    const batchSize = Math.max(1, Math.ceil((campaign.per_minute * tickMs) / 60_000));
+    const { rows: items } = await client.query(
+      `SELECT id, position, payload FROM campaign_items
+       WHERE campaign_id = $1 AND status = 'pending'
+       ORDER BY position ASC
+       LIMIT $2`,
+      [id, batchSize]
+    );
+
+    for (const item of items) {
+      try {
+        const { task } = await submitTask({
+          type: campaign.type,
+          payload: item.payload,
+          source: campaign.source,
+          correlationId: campaign.correlation_id,
+          agentSlug: campaign.agent_slug || undefined,
+          priority: campaign.priority ?? undefined,
+          actor: 'campaign',
+          origin: { campaignId: id, position: item.position },
+          campaignId: id
+        }, client);
+        await client.query(
+          `UPDATE campaign_items SET status = 'submitted', task_id = $2, released_at = now() WHERE id = $1`,
+          [item.id, task.id]
+        );
+        tasks.push(task);
+        released += 1;
+      } catch (err) {
+        if (!(err instanceof TaskValidationError)) throw err;
+        await client.query(
+          `UPDATE campaign_items SET status = 'failed', error = $2::jsonb, released_at = now() WHERE id = $1`,
+          [item.id, JSON.stringify({ message: err.message, details: err.details || null })]
+        );
+        logger.warn('CAMPAIGN_ITEM_FAILED', {
+          data: { campaignId: id, position: item.position, error: err.message },
+          correlationId: campaign.correlation_id
+        });
+      }
+    }
+
+    if (items.length < batchSize) {
+      const { rows: open } = await client.query(
+        `SELECT 1 FROM campaign_items i
+         JOIN tasks t ON t.id = i.task_id
+         WHERE i.campaign_id = $1 AND NOT (t.status = ANY($2::text[]))
+         LIMIT 1`,
+        [id, SETTLED_TASK_STATUSES]
+      );
+      completed = open.length === 0;
+    }
+
+    const intervalMs = Math.ceil((Math.max(items.length, 1) * 60_000) / campaign.per_minute);
+    const { rows: updated } = await client.query(
+      `UPDATE campaigns
+       SET status = CASE WHEN $2 THEN 'completed' ELSE status END,
+           finished_at = CASE WHEN $2 THEN now() ELSE finished_at END,
+           next_release_at = now() + ($3::int * interval '1 millisecond'),
+           updated_at = now()
+       WHERE id = $1
+       RETURNING *`,
+      [id, completed, intervalMs]
+    );
+    campaign = updated[0];
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return { campaign, released, completed, tasks };
+}
+
+function startCampaignEngine({ release, logger, tickMs }) {
+  const interval = Number.parseInt(tickMs, 10) || getCampaignSettings().tickMs;
+  let running = false;
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const { rows } = await pool.query(
+        `SELECT id FROM campaigns
+         WHERE status = 'running' AND next_release_at <= now()
+         ORDER BY next_release_at ASC
+         LIMIT $1`,
+        [ENGINE_BATCH_SIZE]
+      );
+      for (const { id } of rows) {
+        await release(id).catch((err) => {
+          console.error('Failed to release campaign items', id, err);
+          logger.error('CAMPAIGN_RELEASE_FAILED', { data: { campaignId: id, error: err.message } });
+        });
+      }
+    } catch (err) {
+      console.error('Campaign engine tick failed', err);
+      logger.error('CAMPAIGN_ENGINE_TICK_FAILED', { data: { error: err.message } });
+    } finally {
+      running = false;
+    }
+  }
+
+  const timer = setInterval(tick, interval);
+  timer.unref?.();
+
+  return {
+    tick,
+    stop: () => clearInterval(timer)
+  };
+}
+
+module.exports = {
+  CAMPAIGN_STATUSES,
+  getCampaignSettings,
+  validateBatchInput,
+  expandBatchPayloads,
+  collectPayloadErrors,
+  createCampaign,
+  getCampaign,
+  listCampaigns,
+  getCampaignProgress,
+  listCampaignTaskIds,
+  transitionCampaign,
+  releaseCampaignItems,
+  startCampaignEngine
+};
@@ -0,0 +1,208 @@
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, aliases: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'dayOfWeek', min: 0, max: 7, aliases: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Five years covers every valid combination (e.g. Feb 29 on a Monday) without looping forever.
+const MAX_SEARCH_DAYS = 366 * 5;
+
+const formatterCache = new Map();
+
+class CronError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CronError';
+  }
+}
+
+function parseValue(token, field) {
+  const upper = token.toUpperCase();
+  if (field.aliases) {
+    const index = field.aliases.indexOf(upper);
+    if (index !== -1) {
+      return field.name === 'month' ? index + 1 : index;
+    }
+  }
+  if (!/^\d+$/.test(token)) {
+    throw new CronError(`Invalid ${field.name} value: ${token}`);
+  }
+  const value = Number(token);
+  if (value < field.min || value > field.max) {
+    throw new CronError(`${field.name} value out of range: ${token}`);
+  }
+  return value;
+}
+
+function parseField(expression, field) {
+  const values = new Set();
+  for (const part of expression.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step <= 0) {
+      throw new CronError(`Invalid step in ${field.name}: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      const [from, to] = rangePart.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new CronError(`Invalid range in ${field.name}: ${part}`);
+      }
+    } else {
+      start = parseValue(rangePart, field);
+      end = stepPart === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+  return values;
+}
+
+function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new CronError('Cron expression is required');
+  }
+  const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new CronError('Cron expression must have five fields (minute hour day-of-month month day-of-week)');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELD_RANGES[index]));
+  return {
+    minutes: Array.from(minutes).sort((a, b) => a - b),
+    hours: Array.from(hours).sort((a, b) => a - b),
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+}
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function getZonedParts(timestamp, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+}
+
+function getOffsetMs(timestamp, timeZone) {
+  const parts = getZonedParts(timestamp, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Tries the zone's offsets from a day either side of the wall time (at most one transition
+// falls in between). Wall times repeated when clocks fall back resolve to the first
+// occurrence. Wall times skipped when clocks spring forward resolve forward by the gap, using
+// the offset from before the transition (02:30 on a 02:00→03:00 night runs at 03:30), so the
+// occurrence is late rather than lost.
+function zonedTimeToUtc({ year, month, day, hour, minute }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetBefore = getOffsetMs(guess - 86_400_000, timeZone);
+  const offsetAfter = getOffsetMs(guess + 86_400_000, timeZone);
+  const matches = [guess - offsetBefore, guess - offsetAfter].filter((timestamp) => {
+    const parts = getZonedParts(timestamp, timeZone);
+    return parts.year === year && parts.month === month && parts.day === day && parts.hour === hour && parts.minute === minute;
+  });
+  return new Date(matches.length ? Math.min(...matches) : guess - offsetBefore);
+}
+
+function matchesDay(cron, year, month, day) {
+  if (!cron.months.has(month)) return false;
+  const dayOfWeek = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const domMatch = cron.daysOfMonth.has(day);
+  const dowMatch = cron.daysOfWeek.has(dayOfWeek);
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+function nextCronOccurrence(expression, { after = new Date(), timeZone = 'UTC' } = {}) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  if (!isValidTimeZone(timeZone)) {
+    throw new CronError(`Unknown time zone: ${timeZone}`);
+  }
+
+  const afterMs = after instanceof Date ? after.getTime() : new Date(after).getTime();
+  const start = getZonedParts(afterMs, timeZone);
+  const startDay = Date.UTC(start.year, start.month - 1, start.day);
+
+  for (let offset = 0; offset < MAX_SEARCH_DAYS; offset += 1) {
+    const date = new Date(startDay + offset * 86_400_000);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    if (!matchesDay(cron, year, month, day)) continue;
+
+    for (const hour of cron.hours) {
+      if (offset === 0 && hour < start.hour) continue;
+      for (const minute of cron.minutes) {
+        if (offset === 0 && hour === start.hour && minute < start.minute) continue;
+        const candidate = zonedTimeToUtc({ year, month, day, hour, minute }, timeZone);
+        if (candidate.getTime() > afterMs) {
+          return candidate;
+        }
+      }
+    }
+  }
+
+  throw new CronError(`Cron expression never fires: ${expression}`);
+}
+
+module.exports = {
+  CronError,
+  parseCron,
+  nextCronOccurrence,
+  isValidTimeZone
+};
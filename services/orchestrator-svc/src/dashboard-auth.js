@@ -0,0 +1,410 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { collectErrors, hashApiToken, ADMIN_SCOPE } = require('@repo/common');
+
+const { pool } = require('./db');
+const { resolveApiToken } = require('./api-tokens');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_PREFIX = 'dss_';
+const WS_TICKET_PREFIX = 'wst_';
+const DEFAULT_SESSION_TTL_HOURS = 12;
+const MAX_SESSION_TTL_HOURS = 24 * 30;
+const HOUR_MS = 60 * 60 * 1000;
+const WS_TICKET_TTL_MS = 30_000;
+const PASSWORD_MIN_LENGTH = 12;
+const SCRYPT_KEY_LENGTH = 64;
+const PURGE_INTERVAL_MS = 15 * 60 * 1000;
+const LAST_SEEN_RESOLUTION = '1 minute';
+const LOGIN_THROTTLE_DEFAULTS = {
+  maxUserFailures: 5,
+  maxIpFailures: 20,
+  lockoutMinutes: 15
+};
+
+const VIEWER_SCOPES = ['tasks:read', 'agents:read', 'webhooks:read', 'render:read'];
+const ROLE_SCOPES = {
+  viewer: VIEWER_SCOPES,
+  operator: [...VIEWER_SCOPES, 'tasks:write', 'tasks:approve', 'render:deploy'],
+  admin: [ADMIN_SCOPE]
+};
+const DASHBOARD_ROLES = Object.keys(ROLE_SCOPES);
+
+const LOGIN_SCHEMA = {
+  type: 'object',
+  required: ['username', 'password'],
+  properties: {
+    username: { type: 'string', minLength: 1 },
+    password: { type: 'string', minLength: 1 }
+  },
+  additionalProperties: false
+};
+
+const DASHBOARD_USER_SCHEMA = {
+  type: 'object',
+  required: ['username', 'password', 'role'],
+  properties: {
+    username: { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9._@-]{0,63}$' },
+    password: { type: 'string', minLength: PASSWORD_MIN_LENGTH },
+    role: { type: 'string', enum: DASHBOARD_ROLES }
+  },
+  additionalProperties: false
+};
+
+const DASHBOARD_USER_PATCH_SCHEMA = {
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    password: { type: 'string', minLength: PASSWORD_MIN_LENGTH },
+    role: { type: 'string', enum: DASHBOARD_ROLES },
+    disabled: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+function validateLoginInput(body) {
+  return collectErrors(LOGIN_SCHEMA, body);
+}
+
+function validateDashboardUserInput(body) {
+  return collectErrors(DASHBOARD_USER_SCHEMA, body);
+}
+
+function validateDashboardUserPatch(body) {
+  return collectErrors(DASHBOARD_USER_PATCH_SCHEMA, body);
+}
+
+function getSessionTtlHours() {
+  const hours = Number.parseInt(process.env.DASHBOARD_SESSION_TTL_HOURS, 10);
+  return Number.isFinite(hours) && hours > 0 ? Math.min(hours, MAX_SESSION_TTL_HOURS) : DEFAULT_SESSION_TTL_HOURS;
+}
+
+function parsePositiveInt(value, fallback) {
+  const num = Number.parseInt(value, 10);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+}
+
+// Failures are counted per username and per client IP over a window as long as the lockout.
+function getLoginThrottleSettings() {
+  return {
+    maxUserFailures: parsePositiveInt(process.env.DASHBOARD_LOGIN_MAX_FAILURES, LOGIN_THROTTLE_DEFAULTS.maxUserFailures),
+    maxIpFailures: parsePositiveInt(process.env.DASHBOARD_LOGIN_MAX_IP_FAILURES, LOGIN_THROTTLE_DEFAULTS.maxIpFailures),
+    lockoutMinutes: parsePositiveInt(process.env.DASHBOARD_LOGIN_LOCKOUT_MINUTES, LOGIN_THROTTLE_DEFAULTS.lockoutMinutes)
+  };
+}
+
+function loginThrottleSubjects({ username, ip }) {
+  const { maxUserFailures, maxIpFailures } = getLoginThrottleSettings();
+  return [
+    { scope: 'username', subject: username, max: maxUserFailures },
+    ...(ip ? [{ scope: 'ip', subject: ip, max: maxIpFailures }] : [])
+  ];
+}
+
+// Returns when the username or IP may try again, or null when neither is locked out.
+async function getLoginLockout({ username, ip }) {
+  const { rows } = await pool.query(
+    `SELECT max(locked_until) AS locked_until FROM dashboard_login_failures
+     WHERE ((scope = 'username' AND subject = $1) OR (scope = 'ip' AND subject = $2))
+       AND locked_until > now()`,
+    [username, ip || null]
+  );
+  return rows[0]?.locked_until || null;
+}
+
+// Counts a failed sign-in against the username and the IP; reaching either limit locks that
+// subject out for DASHBOARD_LOGIN_LOCKOUT_MINUTES. Returns the lockout end, if one started.
+async function recordLoginFailure({ username, ip }) {
+  const { lockoutMinutes } = getLoginThrottleSettings();
+  let lockedUntil = null;
+  for (const { scope, subject, max } of loginThrottleSubjects({ username, ip })) {
+    const { rows } = await pool.query(
+      `INSERT INTO dashboard_login_failures AS f (scope, subject, failures, first_failed_at, locked_until)
+       VALUES ($1, $2, 1, now(), CASE WHEN $3 <= 1 THEN now() + ($4::int * interval '1 minute') END)
+       ON CONFLICT (scope, subject) DO UPDATE
+       SET failures = CASE WHEN f.first_failed_at < now() - ($4::int * interval '1 minute') THEN 1 ELSE f.failures + 1 END,
+           first_failed_at = CASE WHEN f.first_failed_at < now() - ($4::int * interval '1 minute') THEN now() ELSE f.first_failed_at END,
+           locked_until = CASE
+             WHEN (CASE WHEN f.first_failed_at < now() - ($4::int * interval '1 minute') THEN 1 ELSE f.failures + 1 END) >= $3
+               THEN now() + ($4::int * interval '1 minute')
+             ELSE f.locked_until
+           END
+       RETURNING locked_until`,
+      [scope, subject, max, lockoutMinutes]
+    );
+    const until = rows[0]?.locked_until;
+    if (until && new Date(until) > new Date() && (!lockedUntil || new Date(until) > lockedUntil)) {
+      lockedUntil = new Date(until);
+    }
+  }
+  return lockedUntil;
+}
+
+// A successful sign-in clears the username's count; the IP's count only ages out, so one
+// known password cannot reset guessing against other accounts.
+async function clearLoginFailures(username) {
+  await pool.query("DELETE FROM dashboard_login_failures WHERE scope = 'username' AND subject = $1", [username]);
+}
+
+function scopesForRole(role) {
+  return ROLE_SCOPES[role] || [];
+}
+
+// Stored as `scrypt$<salt>$<key>` (hex) so the parameters can change without a schema change.
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when the username is unknown, so a miss costs the same as a wrong password.
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function generateSecret(prefix) {
+  const value = `${prefix}${crypto.randomBytes(32).toString('base64url')}`;
+  return { value, hash: hashApiToken(value) };
+}
+
+function toPublicUser(row) {
+  if (!row) return null;
+  const { password_hash: _passwordHash, ...rest } = row;
+  return rest;
+}
+
+// With no dashboard users yet, seeds an admin from DASHBOARD_ADMIN_USER/PASSWORD, falling back to the
+// Basic Auth pair so existing deployments can sign in with the credentials they already have.
+async function ensureBootstrapAdmin({ logger }) {
+  const username = process.env.DASHBOARD_ADMIN_USER || process.env.BASIC_AUTH_USER;
+  const password = process.env.DASHBOARD_ADMIN_PASSWORD || process.env.BASIC_AUTH_PASS;
+  if (!username || !password) return null;
+
+  const { rows: existing } = await pool.query('SELECT 1 FROM dashboard_users LIMIT 1');
+  if (existing.length) return null;
+
+  const { rows } = await pool.query(
+    `INSERT INTO dashboard_users (id, username, password_hash, role, created_by)
+     VALUES ($1, $2, $3, 'admin', 'bootstrap')
+     ON CONFLICT (username) DO NOTHING
+     RETURNING *`,
+    [uuidv4(), username, await hashPassword(password)]
+  );
+  if (rows.length) {
+    logger.info('DASHBOARD_ADMIN_BOOTSTRAPPED', { data: { id: rows[0].id, username } });
+  }
+  return toPublicUser(rows[0]);
+}
+
+// Returns `{ token, session, user }` for valid credentials on an enabled user, or null.
+async function login({ username, password }, { userAgent } = {}) {
+  const { rows } = await pool.query(
+    'SELECT * FROM dashboard_users WHERE username = $1 AND disabled_at IS NULL',
+    [username]
+  );
+  const user = rows[0];
+  const valid = await verifyPassword(password, user ? user.password_hash : await DUMMY_PASSWORD_HASH);
+  if (!user || !valid) return null;
+
+  const { value: token, hash } = generateSecret(SESSION_PREFIX);
+  const expiresAt = new Date(Date.now() + getSessionTtlHours() * HOUR_MS).toISOString();
+  const { rows: sessions } = await pool.query(
+    `INSERT INTO dashboard_sessions (id, user_id, token_hash, expires_at, user_agent)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, expires_at, created_at`,
+    [uuidv4(), user.id, hash, expiresAt, userAgent ? String(userAgent).slice(0, 256) : null]
+  );
+  await pool.query('UPDATE dashboard_users SET last_login_at = now() WHERE id = $1', [user.id]);
+
+  return { token, session: sessions[0], user: { ...toPublicUser(user), scopes: scopesForRole(user.role) } };
+}
+
+// Returns a requireAuth identity for a live session of an enabled user, or null.
+async function resolveDashboardSession(token) {
+  const { rows } = await pool.query(
+    `SELECT s.id, s.expires_at, u.username, u.role
+     FROM dashboard_sessions s
+     JOIN dashboard_users u ON u.id = s.user_id
+     WHERE s.token_hash = $1 AND s.revoked_at IS NULL AND s.expires_at > now() AND u.disabled_at IS NULL`,
+    [hashApiToken(token)]
+  );
+  const session = rows[0];
+  if (!session) return null;
+
+  pool.query(
+    `UPDATE dashboard_sessions SET last_seen_at = now()
+     WHERE id = $1 AND (last_seen_at IS NULL OR last_seen_at < now() - interval '${LAST_SEEN_RESOLUTION}')`,
+    [session.id]
+  ).catch((err) => {
+    console.error('Failed to record dashboard session use', session.id, err);
+  });
+
+  return {
+    strategy: 'session',
+    id: session.id,
+    name: session.username,
+    role: session.role,
+    scopes: scopesForRole(session.role),
+    expiresAt: session.expires_at
+  };
+}
+
+// Dashboard sessions and API tokens share the Bearer header; the prefix says which table to check.
+function resolveBearerToken(token) {
+  return token.startsWith(SESSION_PREFIX) ? resolveDashboardSession(token) : resolveApiToken(token);
+}
+
+async function revokeSession(sessionId) {
+  const { rowCount } = await pool.query(
+    'UPDATE dashboard_sessions SET revoked_at = now() WHERE id = $1 AND revoked_at IS NULL',
+    [sessionId]
+  );
+  return rowCount > 0;
+}
+
+// Websocket upgrades cannot carry an Authorization header from a browser, so the dashboard trades its
+// session for a ticket that is good for one upgrade within WS_TICKET_TTL_MS.
+async function issueWsTicket(auth) {
+  const { value: ticket, hash } = generateSecret(WS_TICKET_PREFIX);
+  const expiresAt = new Date(Date.now() + WS_TICKET_TTL_MS).toISOString();
+  await pool.query(
+    `INSERT INTO dashboard_ws_tickets (ticket_hash, principal, strategy, session_id, scopes, expires_at)
+     VALUES ($1, $2, $3, $4, $5::text[], $6)`,
+    [hash, auth.user, auth.strategy, auth.sessionId || null, auth.scopes, expiresAt]
+  );
+  return { ticket, expiresAt };
+}
+
+async function consumeWsTicket(ticket) {
+  const { rows } = await pool.query(
+    `DELETE FROM dashboard_ws_tickets WHERE ticket_hash = $1
+     RETURNING principal, strategy, session_id, scopes, expires_at > now() AS live`,
+    [hashApiToken(ticket)]
+  );
+  const row = rows[0];
+  if (!row || !row.live) return null;
+  return { user: row.principal, strategy: row.strategy, sessionId: row.session_id, scopes: row.scopes };
+}
+
+async function purgeExpiredSessions() {
+  const { rowCount: tickets } = await pool.query('DELETE FROM dashboard_ws_tickets WHERE expires_at < now()');
+  const { rowCount: sessions } = await pool.query(
+    `DELETE FROM dashboard_sessions WHERE expires_at < now() - interval '1 day' OR revoked_at < now() - interval '1 day'`
+  );
+  const { rowCount: loginFailures } = await pool.query(
+    `DELETE FROM dashboard_login_failures
+     WHERE first_failed_at < now() - ($1::int * interval '1 minute')
+       AND (locked_until IS NULL OR locked_until < now())`,
+    [getLoginThrottleSettings().lockoutMinutes]
+  );
+  return { tickets, sessions, loginFailures };
+}
+
+function startSessionPurger({ logger }) {
+  const purge = async () => {
+    try {
+      const purged = await purgeExpiredSessions();
+      if (purged.sessions > 0 || purged.tickets > 0 || purged.loginFailures > 0) {
+        logger.info('DASHBOARD_SESSIONS_PURGED', { data: purged });
+      }
+    } catch (err) {
+      console.error('Failed to purge dashboard sessions', err);
+    }
+  };
+
+  const timer = setInterval(purge, PURGE_INTERVAL_MS);
+  timer.unref?.();
+  return { stop: () => clearInterval(timer) };
+}
+
+async function listDashboardUsers() {
+  const { rows } = await pool.query('SELECT * FROM dashboard_users ORDER BY username');
+  return rows.map(toPublicUser);
+}
+
+async function createDashboardUser({ username, password, role }, { actor }) {
+  const { rows } = await pool.query(
+    `INSERT INTO dashboard_users (id, username, password_hash, role, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (username) DO NOTHING
+     RETURNING *`,
+    [uuidv4(), username, await hashPassword(password), role, actor]
+  );
+  return toPublicUser(rows[0]);
+}
+
+// Any change to credentials, role, or enabled state signs the user out everywhere; their open
+// websockets are closed by the caller via the returned `revokedSessionIds`.
+async function updateDashboardUser(id, { password, role, disabled }) {
+  const sets = ['updated_at = now()'];
+  const params = [id];
+  if (password !== undefined) {
+    params.push(await hashPassword(password));
+    sets.push(`password_hash = $${params.length}`);
+  }
+  if (role !== undefined) {
+    params.push(role);
+    sets.push(`role = $${params.length}`);
+  }
+  if (disabled !== undefined) {
+    sets.push(disabled ? 'disabled_at = COALESCE(disabled_at, now())' : 'disabled_at = NULL');
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: previous } = await client.query('SELECT * FROM dashboard_users WHERE id = $1 FOR UPDATE', [id]);
+    if (!previous.length) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const { rows } = await client.query(
+      `UPDATE dashboard_users SET ${sets.join(', ')} WHERE id = $1 RETURNING *`,
+      params
+    );
+    const { rows: revoked } = await client.query(
+      `UPDATE dashboard_sessions SET revoked_at = now()
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > now()
+       RETURNING id`,
+      [id]
+    );
+    await client.query('COMMIT');
+    return {
+      user: toPublicUser(rows[0]),
+      previous: toPublicUser(previous[0]),
+      revokedSessionIds: revoked.map((row) => row.id)
+    };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  validateLoginInput,
+  validateDashboardUserInput,
+  validateDashboardUserPatch,
+  ensureBootstrapAdmin,
+  login,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  resolveBearerToken,
+  revokeSession,
+  issueWsTicket,
+  consumeWsTicket,
+  startSessionPurger,
+  listDashboardUsers,
+  createDashboardUser,
+  updateDashboardUser
+};
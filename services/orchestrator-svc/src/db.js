@@ -1,5 +1,6 @@
 const { Pool } = require('pg');
 const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_TASK_PRIORITY, hasClaimLimits } = require('./queue-lanes');
 
 const useSsl = process.env.PGSSL_DISABLE !== 'true' && process.env.NODE_ENV !== 'development';
 
@@ -48,12 +49,38 @@ async function initDb() {
     await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS agent_slug TEXT');
     await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS agent_display_name TEXT');
     await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS agent_channel TEXT');
+    await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS lease_owner TEXT');
+    await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ');
+    await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0');
+    await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS available_at TIMESTAMPTZ NOT NULL DEFAULT now()');
+    await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS callback_nonce TEXT');
+    await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS agent_pinned BOOLEAN NOT NULL DEFAULT false');
+    await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS outreach JSONB');
+    await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deadline_at TIMESTAMPTZ');
+    await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS parent_task_id UUID');
+    await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS priority INTEGER NOT NULL DEFAULT 100');
+    await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS campaign_id UUID');
+    await client.query('ALTER TABLE tasks ADD COLUMN IF NOT EXISTS rerun_of UUID');
+    await client.query('ALTER TABLE tasks DROP COLUMN IF EXISTS notified_status');
 
     await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_updated ON tasks(updated_at DESC)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_corr ON tasks(correlation_id)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_trace ON tasks(trace_id)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_agent_slug ON tasks(agent_slug)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_claim ON tasks(status, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_lease ON tasks(lease_expires_at) WHERE lease_owner IS NOT NULL');
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_tasks_deadline ON tasks(deadline_at) WHERE status = 'running'`);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_parent ON tasks(parent_task_id) WHERE parent_task_id IS NOT NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_campaign ON tasks(campaign_id) WHERE campaign_id IS NOT NULL');
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_tasks_claim_priority ON tasks(priority, created_at) WHERE status = 'queued'`);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_rerun_of ON tasks(rerun_of) WHERE rerun_of IS NOT NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_created ON tasks(created_at DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_tasks_type ON tasks(type)');
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS idx_tasks_search ON tasks
+       USING GIN (to_tsvector('simple', coalesce(payload::text, '') || ' ' || coalesce(result::text, '')))`
+    );
 
     await client.query(`
       CREATE TABLE IF NOT EXISTS task_events (
@@ -83,6 +110,312 @@ async function initDb() {
       )
     `);
 
+    await client.query('CREATE INDEX IF NOT EXISTS idx_agent_heartbeats_agent_ts ON agent_heartbeats(agent, ts_utc DESC)');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS agent_health (
+        agent_slug TEXT PRIMARY KEY,
+        breaker_state TEXT NOT NULL DEFAULT 'closed',
+        consecutive_failures INTEGER NOT NULL DEFAULT 0,
+        total_failures INTEGER NOT NULL DEFAULT 0,
+        total_successes INTEGER NOT NULL DEFAULT 0,
+        opened_at TIMESTAMPTZ,
+        last_failure_at TIMESTAMPTZ,
+        last_failure JSONB,
+        last_success_at TIMESTAMPTZ,
+        last_heartbeat_at TIMESTAMPTZ,
+        heartbeat_status TEXT,
+        heartbeat_meta JSONB,
+        up_since TIMESTAMPTZ,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS agent_registry (
+        id UUID PRIMARY KEY,
+        slug TEXT NOT NULL UNIQUE,
+        display_name TEXT NOT NULL,
+        channel TEXT NOT NULL,
+        config JSONB,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS task_schedules (
+        id UUID PRIMARY KEY,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        type TEXT NOT NULL,
+        payload JSONB NOT NULL,
+        source TEXT NOT NULL,
+        correlation_id TEXT,
+        agent_slug TEXT,
+        cron TEXT NOT NULL,
+        timezone TEXT NOT NULL DEFAULT 'UTC',
+        status TEXT NOT NULL DEFAULT 'active',
+        next_run_at TIMESTAMPTZ,
+        last_run_at TIMESTAMPTZ,
+        last_task_id UUID,
+        last_error JSONB,
+        run_count INTEGER NOT NULL DEFAULT 0,
+        created_by TEXT
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_task_schedules_due ON task_schedules(status, next_run_at)');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS task_idempotency_keys (
+        key TEXT PRIMARY KEY,
+        request_hash TEXT NOT NULL,
+        task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+        schedule_id UUID REFERENCES task_schedules(id) ON DELETE CASCADE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        expires_at TIMESTAMPTZ NOT NULL
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_task_idempotency_expires ON task_idempotency_keys(expires_at)');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS workflow_definitions (
+        id UUID PRIMARY KEY,
+        slug TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        description TEXT,
+        steps JSONB NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS workflow_runs (
+        id UUID PRIMARY KEY REFERENCES tasks(id) ON DELETE CASCADE,
+        definition_id UUID,
+        workflow_slug TEXT NOT NULL,
+        definition JSONB NOT NULL,
+        input JSONB,
+        status TEXT NOT NULL DEFAULT 'running',
+        steps JSONB NOT NULL,
+        next_wake_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        finished_at TIMESTAMPTZ
+      )
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_workflow_runs_wake ON workflow_runs(next_wake_at) WHERE status = 'running'`);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS campaigns (
+        id UUID PRIMARY KEY,
+        name TEXT,
+        type TEXT NOT NULL,
+        source TEXT NOT NULL,
+        correlation_id TEXT,
+        agent_slug TEXT,
+        priority INTEGER,
+        status TEXT NOT NULL DEFAULT 'running',
+        per_minute INTEGER NOT NULL,
+        total INTEGER NOT NULL,
+        created_by TEXT,
+        next_release_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        finished_at TIMESTAMPTZ
+      )
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_campaigns_release ON campaigns(next_release_at) WHERE status = 'running'`);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS campaign_items (
+        id UUID PRIMARY KEY,
+        campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        payload JSONB NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        task_id UUID,
+        error JSONB,
+        released_at TIMESTAMPTZ,
+        UNIQUE (campaign_id, position)
+      )
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_campaign_items_pending ON campaign_items(campaign_id, position) WHERE status = 'pending'`);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_campaign_items_task ON campaign_items(task_id) WHERE task_id IS NOT NULL');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id UUID PRIMARY KEY,
+        url TEXT NOT NULL,
+        secret TEXT,
+        encrypted_secret TEXT,
+        secret_hint TEXT,
+        description TEXT,
+        task_types TEXT[] NOT NULL DEFAULT '{}',
+        statuses TEXT[] NOT NULL DEFAULT '{}',
+        agents TEXT[] NOT NULL DEFAULT '{}',
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_by TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id UUID PRIMARY KEY,
+        subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+        event_id UUID NOT NULL,
+        event TEXT NOT NULL,
+        task_id UUID,
+        payload JSONB NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        last_status_code INTEGER,
+        last_error TEXT,
+        last_response TEXT,
+        attempt_log JSONB NOT NULL DEFAULT '[]'::jsonb,
+        replay_of UUID,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        delivered_at TIMESTAMPTZ
+      )
+    `);
+
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending'`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at DESC)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_task ON webhook_deliveries(task_id)`);
+    await client.query('ALTER TABLE webhook_subscriptions ALTER COLUMN secret DROP NOT NULL');
+    await client.query('ALTER TABLE webhook_subscriptions ADD COLUMN IF NOT EXISTS encrypted_secret TEXT');
+    await client.query('ALTER TABLE webhook_subscriptions ADD COLUMN IF NOT EXISTS secret_hint TEXT');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_outbox (
+        id BIGSERIAL PRIMARY KEY,
+        task_id UUID NOT NULL,
+        previous_status TEXT,
+        task JSONB NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `);
+    await client.query(`
+      CREATE OR REPLACE FUNCTION enqueue_task_status_webhook() RETURNS trigger AS $$
+      BEGIN
+        IF TG_OP = 'UPDATE' AND NEW.status IS NOT DISTINCT FROM OLD.status THEN
+          RETURN NULL;
+        END IF;
+        IF EXISTS (SELECT 1 FROM webhook_subscriptions WHERE is_active) THEN
+          INSERT INTO webhook_outbox (task_id, previous_status, task)
+          VALUES (NEW.id, CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END, to_jsonb(NEW) - 'payload');
+        END IF;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('DROP TRIGGER IF EXISTS tasks_webhook_outbox ON tasks');
+    await client.query(`
+      CREATE TRIGGER tasks_webhook_outbox AFTER INSERT OR UPDATE OF status ON tasks
+      FOR EACH ROW EXECUTE FUNCTION enqueue_task_status_webhook()
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id UUID PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT,
+        token_prefix TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        scopes TEXT[] NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL,
+        last_used_at TIMESTAMPTZ,
+        created_by TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        revoked_at TIMESTAMPTZ,
+        revoked_by TEXT
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS dashboard_users (
+        id UUID PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL,
+        created_by TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        last_login_at TIMESTAMPTZ,
+        disabled_at TIMESTAMPTZ
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS dashboard_sessions (
+        id UUID PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES dashboard_users(id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at TIMESTAMPTZ NOT NULL,
+        user_agent TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        last_seen_at TIMESTAMPTZ,
+        revoked_at TIMESTAMPTZ
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_dashboard_sessions_user ON dashboard_sessions(user_id)');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS dashboard_ws_tickets (
+        ticket_hash TEXT PRIMARY KEY,
+        principal TEXT NOT NULL,
+        strategy TEXT NOT NULL,
+        session_id UUID,
+        scopes TEXT[] NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS dashboard_login_failures (
+        scope TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        failures INTEGER NOT NULL DEFAULT 0,
+        first_failed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        locked_until TIMESTAMPTZ,
+        PRIMARY KEY (scope, subject)
+      )
+    `);
+
+    // oauth_tokens comes from the OAuth migration, so the refresh columns are only added once it exists.
+    await client.query("ALTER TABLE IF EXISTS oauth_tokens ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'active'");
+    await client.query('ALTER TABLE IF EXISTS oauth_tokens ADD COLUMN IF NOT EXISTS last_refreshed_at TIMESTAMPTZ');
+    await client.query('ALTER TABLE IF EXISTS oauth_tokens ADD COLUMN IF NOT EXISTS refresh_failed_at TIMESTAMPTZ');
+    await client.query('ALTER TABLE IF EXISTS oauth_tokens ADD COLUMN IF NOT EXISTS refresh_error TEXT');
+    await client.query('ALTER TABLE IF EXISTS oauth_tokens ADD COLUMN IF NOT EXISTS refresh_failures INTEGER NOT NULL DEFAULT 0');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS agent_secrets (
+        id UUID PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT,
+        encrypted_value TEXT NOT NULL,
+        created_by TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        updated_by TEXT,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        value_updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        last_used_at TIMESTAMPTZ
+      )
+    `);
+
     await client.query('COMMIT');
   } catch (err) {
     await client.query('ROLLBACK');
@@ -92,20 +425,43 @@ async function initDb() {
   }
 }
 
-async function createTask({ type, payload, source, correlationId, traceId, actor, agent }) {
-  const client = await pool.connect();
+// Runs in its own transaction unless `client` is given, in which case the row and its events
+// commit (or roll back) with the caller's transaction.
+async function createTask({
+  type,
+  payload,
+  source,
+  correlationId,
+  traceId,
+  actor,
+  agent,
+  assignmentReason,
+  availableAt,
+  origin,
+  outreach,
+  parentTaskId,
+  approval,
+  priority,
+  campaignId,
+  rerunOf,
+  idempotencyKey
+}, { client: outerClient = null } = {}) {
+  const client = outerClient || (await pool.connect());
   try {
-    await client.query('BEGIN');
+    if (!outerClient) await client.query('BEGIN');
     const id = uuidv4();
 
     const agentId = agent?.id || null;
     const agentSlug = agent?.slug || null;
     const agentDisplayName = agent?.displayName || null;
     const agentChannel = agent?.channel || null;
+    // Explicitly requested agents are never swapped out by priority failover.
+    const agentPinned = assignmentReason?.strategy === 'explicit';
+    const status = approval ? 'awaiting_approval' : 'queued';
 
     const { rows } = await client.query(
-      `INSERT INTO tasks (id, type, status, source, payload, correlation_id, trace_id, agent_id, agent_slug, agent_display_name, agent_channel)
-       VALUES ($1, $2, 'queued', $3, $4::jsonb, $5, $6, $7, $8, $9, $10)
+      `INSERT INTO tasks (id, type, status, source, payload, correlation_id, trace_id, agent_id, agent_slug, agent_display_name, agent_channel, agent_pinned, available_at, outreach, parent_task_id, priority, campaign_id, rerun_of)
+       VALUES ($1, $2, $15, $3, $4::jsonb, $5, $6, $7, $8, $9, $10, $11, COALESCE($12::timestamptz, now()), $13::jsonb, $14, $16, $17, $18)
        RETURNING *`,
       [
         id,
@@ -117,7 +473,15 @@ async function createTask({ type, payload, source, correlationId, traceId, actor
         agentId,
         agentSlug,
         agentDisplayName,
-        agentChannel
+        agentChannel,
+        agentPinned,
+        availableAt || null,
+        outreach ? JSON.stringify(outreach) : null,
+        parentTaskId || null,
+        status,
+        priority ?? DEFAULT_TASK_PRIORITY,
+        campaignId || null,
+        rerunOf || null
       ]
     );
 
@@ -130,7 +494,10 @@ async function createTask({ type, payload, source, correlationId, traceId, actor
       data: {
         type,
         source,
-        correlationId: correlationId || null
+        correlationId: correlationId || null,
+        ...(availableAt ? { runAt: availableAt } : {}),
+        ...(priority !== undefined && priority !== null ? { priority } : {}),
+        ...(origin || {})
       },
       correlationId: correlationId || null,
       traceId
@@ -141,25 +508,43 @@ async function createTask({ type, payload, source, correlationId, traceId, actor
       assignmentEvent = await insertTaskEvent(client, {
         taskId: id,
         actor: 'orchestrator',
-        kind: 'assignment',
+        kind: 'agent_assigned',
         data: {
           agentId,
           agentSlug,
           agentDisplayName,
-          agentChannel
+          agentChannel,
+          reason: assignmentReason || null
         },
         correlationId: correlationId || null,
         traceId
       });
     }
 
-    await client.query('COMMIT');
-    return { task, event, assignmentEvent };
+    let approvalEvent = null;
+    if (approval) {
+      approvalEvent = await insertTaskEvent(client, {
+        taskId: id,
+        actor: 'orchestrator',
+        kind: 'approval_requested',
+        data: approval,
+        correlationId: correlationId || null,
+        traceId
+      });
+    }
+
+    // Attached in the same transaction, so a key is never left free once its task exists.
+    if (idempotencyKey) {
+      await client.query('UPDATE task_idempotency_keys SET task_id = $2 WHERE key = $1', [idempotencyKey, id]);
+    }
+
+    if (!outerClient) await client.query('COMMIT');
+    return { task, event, assignmentEvent, approvalEvent };
   } catch (err) {
-    await client.query('ROLLBACK');
+    if (!outerClient) await client.query('ROLLBACK');
     throw err;
   } finally {
-    client.release();
+    if (!outerClient) client.release();
   }
 }
 
@@ -183,9 +568,13 @@ async function getTaskWithEvents(id) {
       'SELECT * FROM task_events WHERE task_id = $1 ORDER BY ts_utc ASC',
       [id]
     );
+    const { rows: rerunRows } = await client.query(
+      'SELECT id, status, created_at, updated_at FROM tasks WHERE rerun_of = $1 ORDER BY created_at ASC',
+      [id]
+    );
 
     await client.query('COMMIT');
-    return { task, events: eventRows };
+    return { task, events: eventRows, reruns: rerunRows };
   } catch (err) {
     await client.query('ROLLBACK');
     throw err;
@@ -293,6 +682,28 @@ function buildPatchQuery({ id, ifVersion, patch }) {
     sets.push(`correlation_id = $${paramIndex++}`);
     values.push(patch.correlationId);
   }
+  if (Object.prototype.hasOwnProperty.call(patch, 'attempts')) {
+    sets.push(`attempts = $${paramIndex++}`);
+    values.push(patch.attempts);
+  }
+  if (Object.prototype.hasOwnProperty.call(patch, 'agent')) {
+    sets.push(`agent_id = $${paramIndex++}`);
+    values.push(patch.agent?.id || null);
+    sets.push(`agent_slug = $${paramIndex++}`);
+    values.push(patch.agent?.slug || null);
+    sets.push(`agent_display_name = $${paramIndex++}`);
+    values.push(patch.agent?.displayName || null);
+    sets.push(`agent_channel = $${paramIndex++}`);
+    values.push(patch.agent?.channel || null);
+  }
+  if (Object.prototype.hasOwnProperty.call(patch, 'availableAt')) {
+    sets.push(`available_at = COALESCE($${paramIndex++}::timestamptz, now())`);
+    values.push(patch.availableAt);
+  }
+  if (Object.prototype.hasOwnProperty.call(patch, 'deadlineAt')) {
+    sets.push(`deadline_at = $${paramIndex++}::timestamptz`);
+    values.push(patch.deadlineAt);
+  }
 
   if (sets.length === 0) {
     throw new Error('No fields provided for task patch');
@@ -329,6 +740,11 @@ async function insertTaskEvent(client, { taskId, actor, kind, data, correlationI
   return rows[0];
 }
 
+async function hasTaskEvent(taskId, kind) {
+  const { rows } = await pool.query('SELECT 1 FROM task_events WHERE task_id = $1 AND kind = $2 LIMIT 1', [taskId, kind]);
+  return rows.length > 0;
+}
+
 async function recordTaskEvent({ taskId, actor, kind, data, correlationId, traceId }) {
   const client = await pool.connect();
   try {
@@ -351,7 +767,7 @@ async function recordTaskEvent({ taskId, actor, kind, data, correlationId, trace
   }
 }
 
-async function recordAgentAssignmentEvent({ taskId, agent, correlationId, traceId }) {
+async function recordAgentAssignmentEvent({ taskId, agent, reason, correlationId, traceId }) {
   if (!taskId || !agent) return null;
   return recordTaskEvent({
     taskId,
@@ -361,13 +777,177 @@ async function recordAgentAssignmentEvent({ taskId, agent, correlationId, traceI
       agentId: agent.id || null,
       agentSlug: agent.slug || null,
       agentDisplayName: agent.displayName || null,
-      agentChannel: agent.channel || null
+      agentChannel: agent.channel || null,
+      reason: reason || null
     },
     correlationId: correlationId || null,
     traceId: traceId || null
   });
 }
 
+async function countInFlightByAgent(slugs) {
+  if (!slugs.length) return new Map();
+  const { rows } = await pool.query(
+    `SELECT agent_slug, count(*)::int AS in_flight
+     FROM tasks
+     WHERE status = 'running' AND agent_slug = ANY($1::text[])
+     GROUP BY agent_slug`,
+    [slugs]
+  );
+  return new Map(rows.map((row) => [row.agent_slug, row.in_flight]));
+}
+
+// Queue depth per lane (agent, channel, priority): tasks ready to run, waiting on runAt or
+// a retry backoff, held for approval, and running.
+async function countTasksByLane() {
+  const { rows } = await pool.query(
+    `SELECT agent_slug, agent_channel, priority,
+            count(*) FILTER (WHERE status = 'queued' AND available_at <= now())::int AS ready,
+            count(*) FILTER (WHERE status = 'queued' AND available_at > now())::int AS scheduled,
+            count(*) FILTER (WHERE status = 'awaiting_approval')::int AS awaiting_approval,
+            count(*) FILTER (WHERE status = 'running')::int AS running,
+            min(created_at) FILTER (WHERE status = 'queued' AND available_at <= now()) AS oldest_ready_at
+     FROM tasks
+     WHERE status IN ('queued', 'awaiting_approval', 'running')
+     GROUP BY agent_slug, agent_channel, priority
+     ORDER BY agent_slug NULLS LAST, priority ASC`
+  );
+  return rows;
+}
+
+async function claimNextTask({ workerId, leaseMs, limits }) {
+  if (!hasClaimLimits(limits)) {
+    const { rows } = await pool.query(
+      `UPDATE tasks
+       SET lease_owner = $1,
+           lease_expires_at = now() + ($2::int * interval '1 millisecond')
+       WHERE id = (
+         SELECT id FROM tasks
+         WHERE status = 'queued'
+           AND available_at <= now()
+           AND (lease_owner IS NULL OR lease_expires_at < now())
+         ORDER BY priority ASC, created_at ASC
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`,
+      [workerId, leaseMs]
+    );
+    return rows[0] || null;
+  }
+
+  // In flight = running (deferred dispatches included) or claimed but not yet started. The
+  // advisory lock serializes limited claims across instances so two cannot both take the
+  // last free slot of a lane.
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('tasks.claim_limited'))`);
+    const { rows } = await client.query(
+      `WITH in_flight AS (
+         SELECT agent_slug, agent_channel FROM tasks
+         WHERE status = 'running'
+            OR (status = 'queued' AND lease_owner IS NOT NULL AND lease_expires_at >= now())
+       )
+       UPDATE tasks
+       SET lease_owner = $1,
+           lease_expires_at = now() + ($2::int * interval '1 millisecond')
+       WHERE id = (
+         SELECT t.id FROM tasks t
+         WHERE t.status = 'queued'
+           AND t.available_at <= now()
+           AND (t.lease_owner IS NULL OR t.lease_expires_at < now())
+           AND (
+             ($3::jsonb ->> t.agent_slug) IS NULL
+             OR (SELECT count(*) FROM in_flight f WHERE f.agent_slug = t.agent_slug) < ($3::jsonb ->> t.agent_slug)::int
+           )
+           AND (
+             ($4::jsonb ->> t.agent_channel) IS NULL
+             OR (SELECT count(*) FROM in_flight f WHERE f.agent_channel = t.agent_channel) < ($4::jsonb ->> t.agent_channel)::int
+           )
+         ORDER BY t.priority ASC, t.created_at ASC
+         FOR UPDATE OF t SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`,
+      [workerId, leaseMs, JSON.stringify(limits.agents), JSON.stringify(limits.channels)]
+    );
+    await client.query('COMMIT');
+    return rows[0] || null;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function extendTaskLease({ id, workerId, leaseMs }) {
+  const { rowCount } = await pool.query(
+    `UPDATE tasks
+     SET lease_expires_at = now() + ($3::int * interval '1 millisecond')
+     WHERE id = $1 AND lease_owner = $2`,
+    [id, workerId, leaseMs]
+  );
+  return rowCount > 0;
+}
+
+async function releaseTaskLease({ id, workerId }) {
+  await pool.query(
+    'UPDATE tasks SET lease_owner = NULL, lease_expires_at = NULL WHERE id = $1 AND lease_owner = $2',
+    [id, workerId]
+  );
+}
+
+// Tasks whose worker stopped heartbeating mid-dispatch go back to the queue; queued
+// tasks that were claimed but never started simply lose their stale lease.
+async function reclaimExpiredLeases() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `WITH expired AS (
+         SELECT id, status AS previous_status
+         FROM tasks
+         WHERE lease_owner IS NOT NULL
+           AND lease_expires_at < now()
+           AND status IN ('queued', 'running')
+         FOR UPDATE SKIP LOCKED
+       )
+       UPDATE tasks t
+       SET status = 'queued',
+           lease_owner = NULL,
+           lease_expires_at = NULL,
+           version = CASE WHEN e.previous_status = 'running' THEN t.version + 1 ELSE t.version END,
+           updated_at = CASE WHEN e.previous_status = 'running' THEN now() ELSE t.updated_at END
+       FROM expired e
+       WHERE t.id = e.id
+       RETURNING t.*, e.previous_status`
+    );
+
+    const reclaimed = [];
+    for (const { previous_status: previousStatus, ...task } of rows) {
+      const event = await insertTaskEvent(client, {
+        taskId: task.id,
+        actor: 'orchestrator',
+        kind: 'lease_reclaimed',
+        data: { from: previousStatus, to: 'queued' },
+        correlationId: task.correlation_id,
+        traceId: task.trace_id
+      });
+      reclaimed.push({ task, event });
+    }
+
+    await client.query('COMMIT');
+    return reclaimed;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 async function listActiveAgents() {
   try {
     const { rows } = await pool.query(
@@ -392,7 +972,14 @@ module.exports = {
   applyTaskPatch,
   ConflictError,
   insertTaskEvent,
+  hasTaskEvent,
   recordTaskEvent,
   recordAgentAssignmentEvent,
+  countInFlightByAgent,
+  countTasksByLane,
+  claimNextTask,
+  extendTaskLease,
+  releaseTaskLease,
+  reclaimExpiredLeases,
   listActiveAgents
 };
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+const CIPHER = 'aes-256-gcm';
+const CIPHERTEXT_PREFIX = 'aesgcm';
+const MIN_KEY_LENGTH = 16;
+const KEY_ID_PATTERN = /^[A-Za-z0-9._-]{1,32}$/;
+// Ciphertext written before key ids existed: bare hex from createCipher with OAUTH_ENCRYPTION_KEY.
+const LEGACY_KEY_ID = 'legacy';
+// The id OAUTH_ENCRYPTION_KEY goes by when it is not also listed in OAUTH_ENCRYPTION_KEYS.
+const DEFAULT_KEY_ID = 'default';
+
+// `OAUTH_ENCRYPTION_KEYS=v2=<secret>,v1=<secret>` lists every key that may still appear in stored
+// ciphertext. New values are written with `OAUTH_ENCRYPTION_KEY_ID` (the first listed key by
+// default). OAUTH_ENCRYPTION_KEY is always the `default` key, even when the same secret is also
+// listed under another id, because values it wrote before the keyring existed are tagged `default`.
+function loadKeyring(env = process.env) {
+  const keys = new Map();
+  String(env.OAUTH_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry, index) => {
+      const separator = entry.indexOf('=');
+      const id = separator > 0 ? entry.slice(0, separator).trim() : '';
+      const secret = separator > 0 ? entry.slice(separator + 1) : '';
+      if (!KEY_ID_PATTERN.test(id) || id === LEGACY_KEY_ID) {
+        throw new Error(`OAUTH_ENCRYPTION_KEYS entry ${index + 1} must look like <id>=<secret> with a valid id`);
+      }
+      if (secret.length < MIN_KEY_LENGTH) {
+        throw new Error(`OAUTH_ENCRYPTION_KEYS key ${id} must be at least ${MIN_KEY_LENGTH} characters`);
+      }
+      if (keys.has(id)) {
+        throw new Error(`OAUTH_ENCRYPTION_KEYS lists key ${id} twice`);
+      }
+      keys.set(id, secret);
+    });
+
+  const legacySecret = env.OAUTH_ENCRYPTION_KEY || null;
+  if (legacySecret && legacySecret.length >= MIN_KEY_LENGTH && !keys.has(DEFAULT_KEY_ID)) {
+    keys.set(DEFAULT_KEY_ID, legacySecret);
+  }
+  if (!keys.size) {
+    throw new Error(`OAUTH_ENCRYPTION_KEY or OAUTH_ENCRYPTION_KEYS must be set (keys of at least ${MIN_KEY_LENGTH} characters)`);
+  }
+
+  const primaryKeyId = env.OAUTH_ENCRYPTION_KEY_ID || keys.keys().next().value;
+  if (!keys.has(primaryKeyId)) {
+    throw new Error(`OAUTH_ENCRYPTION_KEY_ID ${primaryKeyId} is not a configured key`);
+  }
+
+  return { primaryKeyId, keys, legacySecret };
+}
+
+function deriveKey(secret) {
+  return crypto.createHash('sha256').update(secret, 'utf8').digest();
+}
+
+// Returns the id of the key a stored value was written with, or `legacy` for pre-key-id values.
+function getCiphertextKeyId(value) {
+  if (typeof value !== 'string' || !value.startsWith(`${CIPHERTEXT_PREFIX}$`)) {
+    return LEGACY_KEY_ID;
+  }
+  return value.split('$')[1];
+}
+
+// Stored as `aesgcm$<keyId>$<iv>$<tag>$<ciphertext>` (hex); the key id is also bound in as AAD.
+function encryptToken(token) {
+  if (!token) return null;
+  const { primaryKeyId, keys } = loadKeyring();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(keys.get(primaryKeyId)), iv);
+  cipher.setAAD(Buffer.from(primaryKeyId, 'utf8'));
+  const encrypted = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+  return [
+    CIPHERTEXT_PREFIX,
+    primaryKeyId,
+    iv.toString('hex'),
+    cipher.getAuthTag().toString('hex'),
+    encrypted.toString('hex')
+  ].join('$');
+}
+
+function decryptToken(encryptedToken) {
+  if (!encryptedToken) return null;
+  const { keys, legacySecret } = loadKeyring();
+  const keyId = getCiphertextKeyId(encryptedToken);
+
+  if (keyId === LEGACY_KEY_ID) {
+    if (!legacySecret || legacySecret.length < MIN_KEY_LENGTH) {
+      throw new Error('OAUTH_ENCRYPTION_KEY is required to read values written before key ids');
+    }
+    const decipher = crypto.createDecipher('aes-256-cbc', legacySecret);
+    let decrypted = decipher.update(encryptedToken, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    return decrypted;
+  }
+
+  const secret = keys.get(keyId);
+  if (!secret) {
+    throw new Error(`Encryption key ${keyId} is not configured`);
+  }
+  const [, , iv, tag, data] = encryptedToken.split('$');
+  const decipher = crypto.createDecipheriv(CIPHER, deriveKey(secret), Buffer.from(iv, 'hex'));
+  decipher.setAAD(Buffer.from(keyId, 'utf8'));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'hex')), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  LEGACY_KEY_ID,
+  loadKeyring,
+  getCiphertextKeyId,
+  encryptToken,
+  decryptToken
+};
@@ -0,0 +1,50 @@
+class DispatchError extends Error {
+  constructor(message, { status = null, retryable, body = null, cause } = {}) {
+    super(message);
+    this.name = 'DispatchError';
+    this.status = status;
+    this.body = body;
+    if (retryable !== undefined) {
+      this.retryable = retryable;
+    }
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+// A dispatch that outlived its per-type timeout, or a task that missed its completion deadline.
+// Extends DispatchError so retry policies and circuit breakers treat it like a transport failure.
+class TaskTimeoutError extends DispatchError {
+  constructor(message, { phase, timeoutMs = null } = {}) {
+    super(message);
+    this.name = 'TaskTimeoutError';
+    this.phase = phase;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+class TaskValidationError extends Error {
+  constructor(message, { status = 422, details = null } = {}) {
+    super(message);
+    this.name = 'TaskValidationError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class TaskStateError extends Error {
+  constructor(message, { status = 409, currentStatus = null } = {}) {
+    super(message);
+    this.name = 'TaskStateError';
+    this.status = status;
+    this.currentStatus = currentStatus;
+  }
+}
+
+module.exports = {
+  DispatchError,
+  TaskTimeoutError,
+  TaskValidationError,
+  TaskStateError
+};
@@ -0,0 +1,210 @@
+const { pool } = require('./db');
+const { encryptToken, decryptToken } = require('./encryption');
+
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const REQUEST_TIMEOUT_MS = 10_000;
+// Agents get a token that stays valid for at least this long, refreshing on demand if needed.
+const BROKER_MIN_VALIDITY_MS = 60_000;
+
+const DEFAULTS = {
+  pollMs: 60_000,
+  leadMs: 5 * 60 * 1000
+};
+
+function parsePositiveInt(value, fallback) {
+  const num = Number.parseInt(value, 10);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+}
+
+function getRefresherSettings() {
+  return {
+    pollMs: parsePositiveInt(process.env.GOOGLE_OAUTH_REFRESH_POLL_MS, DEFAULTS.pollMs),
+    leadMs: parsePositiveInt(process.env.GOOGLE_OAUTH_REFRESH_LEAD_MS, DEFAULTS.leadMs)
+  };
+}
+
+function isOAuthClientConfigured() {
+  return Boolean(process.env.GOOGLE_OAUTH_CLIENT_ID && process.env.GOOGLE_OAUTH_CLIENT_SECRET);
+}
+
+// Tokens without an expiry are taken at face value.
+function isFresh(row, minValidityMs) {
+  if (!row.expires_at) return true;
+  return new Date(row.expires_at).getTime() - Date.now() > minValidityMs;
+}
+
+// Google answers `invalid_grant` once the user revokes access or the refresh token expires;
+// anything else (network, 5xx, a misconfigured client) is worth retrying on the next pass.
+async function requestRefresh(refreshToken) {
+  let response;
+  try {
+    response = await fetch(GOOGLE_TOKEN_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        client_id: process.env.GOOGLE_OAUTH_CLIENT_ID,
+        client_secret: process.env.GOOGLE_OAUTH_CLIENT_SECRET,
+        refresh_token: refreshToken,
+        grant_type: 'refresh_token'
+      }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (err) {
+    return { ok: false, revoked: false, error: err.message };
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (response.ok && body.access_token) {
+    return { ok: true, tokens: body };
+  }
+  const error = [body.error || `HTTP ${response.status}`, body.error_description].filter(Boolean).join(': ');
+  return { ok: false, revoked: body.error === 'invalid_grant', error };
+}
+
+// Refreshes one scope group's grant unless it is still valid for `minValidityMs`. The row stays
+// locked during the request, so two instances never spend the same refresh token at once; the
+// second one finds the token already fresh. Returns the (possibly updated) row, or null.
+async function refreshGoogleToken(scopeGroup, { minValidityMs = 0, logger, audit } = {}) {
+  const client = await pool.connect();
+  let row;
+  let outcome = null;
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT * FROM oauth_tokens
+       WHERE provider = 'google' AND scope_group = $1 AND user_identifier = 'default'
+       FOR UPDATE`,
+      [scopeGroup]
+    );
+    row = rows[0];
+    if (!row || row.status === 'invalid' || !row.encrypted_refresh_token || isFresh(row, minValidityMs)) {
+      await client.query('COMMIT');
+      return row || null;
+    }
+
+    outcome = await requestRefresh(decryptToken(row.encrypted_refresh_token));
+    let result;
+    if (outcome.ok) {
+      const { tokens } = outcome;
+      result = await client.query(
+        `UPDATE oauth_tokens
+         SET encrypted_access_token = $2,
+             encrypted_refresh_token = COALESCE($3, encrypted_refresh_token),
+             expires_at = $4,
+             scopes = COALESCE($5, scopes),
+             last_refreshed_at = now(),
+             refresh_failed_at = NULL,
+             refresh_error = NULL,
+             refresh_failures = 0
+         WHERE id = $1
+         RETURNING *`,
+        [
+          row.id,
+          encryptToken(tokens.access_token),
+          tokens.refresh_token ? encryptToken(tokens.refresh_token) : null,
+          tokens.expires_in ? new Date(Date.now() + tokens.expires_in * 1000) : null,
+          tokens.scope ? tokens.scope.split(' ') : null
+        ]
+      );
+    } else {
+      result = await client.query(
+        `UPDATE oauth_tokens
+         SET status = CASE WHEN $2 THEN 'invalid' ELSE status END,
+             refresh_failed_at = now(),
+             refresh_error = $3,
+             refresh_failures = refresh_failures + 1
+         WHERE id = $1
+         RETURNING *`,
+        [row.id, outcome.revoked, outcome.error]
+      );
+    }
+    await client.query('COMMIT');
+    row = result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (outcome.ok) {
+    logger?.info('OAUTH_TOKEN_REFRESHED', { data: { provider: 'google', scope_group: scopeGroup, expires_at: row.expires_at } });
+  } else if (outcome.revoked) {
+    logger?.warn('OAUTH_TOKEN_INVALIDATED', { data: { provider: 'google', scope_group: scopeGroup, error: outcome.error } });
+    audit?.record({
+      action: 'oauth.invalidated',
+      target: { type: 'oauth_grant', id: `google:${scopeGroup}` },
+      after: { status: 'invalid' },
+      metadata: { error: outcome.error }
+    });
+  } else {
+    logger?.warn('OAUTH_TOKEN_REFRESH_FAILED', {
+      data: { provider: 'google', scope_group: scopeGroup, error: outcome.error, failures: row.refresh_failures }
+    });
+  }
+  return row;
+}
+
+// For the internal token broker: a decrypted access token valid for BROKER_MIN_VALIDITY_MS, or
+// `{ error }` naming why there is none (`not_found`, `invalid`, `expired`).
+async function getFreshGoogleToken(scopeGroup, { logger, audit } = {}) {
+  const row = await refreshGoogleToken(scopeGroup, { minValidityMs: BROKER_MIN_VALIDITY_MS, logger, audit });
+  if (!row) return { error: 'not_found' };
+  if (row.status === 'invalid') return { error: 'invalid', row };
+  if (!isFresh(row, 0)) return { error: 'expired', row };
+  return {
+    token: {
+      scope_group: row.scope_group,
+      access_token: decryptToken(row.encrypted_access_token),
+      token_type: 'Bearer',
+      expires_at: row.expires_at,
+      scopes: row.scopes || []
+    }
+  };
+}
+
+// Refreshes every active grant that expires within GOOGLE_OAUTH_REFRESH_LEAD_MS, once per
+// GOOGLE_OAUTH_REFRESH_POLL_MS. Failed refreshes are retried on the next pass.
+function startGoogleTokenRefresher({ logger, audit }) {
+  const { pollMs, leadMs } = getRefresherSettings();
+  let running = false;
+
+  const sweep = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { rows } = await pool.query(
+        `SELECT scope_group FROM oauth_tokens
+         WHERE provider = 'google' AND user_identifier = 'default' AND scope_group <> 'state'
+           AND status = 'active' AND encrypted_refresh_token IS NOT NULL
+           AND expires_at IS NOT NULL AND expires_at < now() + ($1::bigint * interval '1 millisecond')
+         ORDER BY expires_at`,
+        [leadMs]
+      );
+      for (const { scope_group: scopeGroup } of rows) {
+        await refreshGoogleToken(scopeGroup, { minValidityMs: leadMs, logger, audit }).catch((err) => {
+          console.error('Failed to refresh Google token', scopeGroup, err);
+        });
+      }
+    } catch (err) {
+      // The oauth_tokens table only exists once the OAuth migration has been applied.
+      if (err.code !== '42P01') {
+        console.error('Google token refresh sweep failed', err);
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(sweep, pollMs);
+  timer.unref?.();
+  sweep();
+  logger.info('OAUTH_REFRESHER_STARTED', { data: { provider: 'google', pollMs, leadMs } });
+  return { stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  isOAuthClientConfigured,
+  getFreshGoogleToken,
+  startGoogleTokenRefresher
+};
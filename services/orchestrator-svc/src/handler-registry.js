@@ -1,6 +1,24 @@
 const { internalFetch } = require('@repo/common');
 const { listActiveAgents } = require('./db');
 const { executeEchoTask } = require('./handlers/echo');
+const { executeOutreachTask } = require('./handlers/outreach');
+const { executeWorkflowTask } = require('./handlers/workflow');
+const { OUTREACH_TASK_TYPE, OUTREACH_PAYLOAD_SCHEMA } = require('./outreach');
+const { WORKFLOW_TASK_TYPE, WORKFLOW_RUN_PAYLOAD_SCHEMA } = require('./workflows');
+const { DispatchError } = require('./errors');
+const { isSecretRef, resolveSecret } = require('./secrets');
+const { normalizeRetryPolicy } = require('./retry-policy');
+const { normalizeRouting } = require('./routing');
+const { normalizeTaskTimeouts } = require('./timeouts');
+const { normalizeConcurrency } = require('./queue-lanes');
+const {
+  ECHO_PAYLOAD_SCHEMA,
+  CALL_START_PAYLOAD_SCHEMA,
+  MESSAGE_SEND_PAYLOAD_SCHEMA,
+  EMAIL_SEND_PAYLOAD_SCHEMA,
+  CONTENT_GENERATE_PAYLOAD_SCHEMA,
+  normalizePayloadSchemas
+} = require('./payload-schemas');
 
 function sanitizeArray(maybeArray, fallback = []) {
   if (!Array.isArray(maybeArray)) return fallback;
@@ -32,7 +50,7 @@ class HandlerRegistry {
   }
 
   static async build() {
-    const inlineHandlers = [createEchoInlineHandler()];
+    const inlineHandlers = [createEchoInlineHandler(), createOutreachInlineHandler(), createWorkflowInlineHandler()];
     const agentRows = await listActiveAgents();
     const agentHandlers = agentRows
       .map(createHandlerFromAgentRow)
@@ -60,19 +78,43 @@ class HandlerRegistry {
       mode: definition.mode || 'inline',
       execute: definition.execute,
       dispatch: definition.dispatch,
+      cancel: definition.cancel,
       metadata: definition.metadata || {},
+      retryPolicy: normalizeRetryPolicy(definition.retryPolicy),
+      payloadSchemas: normalizePayloadSchemas(definition.payloadSchemas, taskTypes, definition.slug),
+      routing: normalizeRouting(definition.routing),
+      timeouts: normalizeTaskTimeouts(definition.timeouts, taskTypes),
+      concurrency: normalizeConcurrency(definition.concurrency),
       source: definition.source || 'inline',
       taskTypes
     };
 
+    // Re-registering a slug replaces the earlier definition everywhere it was indexed.
+    const previous = this._handlers.get(normalized.slug);
+    if (previous) {
+      previous.taskTypes.forEach((type) => {
+        const remaining = (this._taskTypeIndex.get(type) || []).filter((handler) => handler !== previous);
+        this._taskTypeIndex.set(type, remaining);
+      });
+    }
+
     this._handlers.set(normalized.slug, normalized);
     taskTypes.forEach((type) => {
-      this._taskTypeIndex.set(type, normalized);
+      const candidates = this._taskTypeIndex.get(type) || [];
+      this._taskTypeIndex.set(type, [...candidates, normalized]);
     });
   }
 
+  // Preferred handler for the type (lowest priority value); routing may pick another.
   resolve(taskType) {
-    return this._taskTypeIndex.get(taskType) || null;
+    const [first] = this.candidates(taskType)
+      .slice()
+      .sort((a, b) => a.routing.priority - b.routing.priority);
+    return first || null;
+  }
+
+  candidates(taskType) {
+    return this._taskTypeIndex.get(taskType) || [];
   }
 
   getBySlug(slug) {
@@ -92,6 +134,7 @@ function createEchoInlineHandler() {
     channel: 'demo',
     mode: 'inline',
     taskTypes: ['echo'],
+    payloadSchemas: { echo: ECHO_PAYLOAD_SCHEMA },
     execute: executeEchoTask,
     metadata: {
       description: 'Development echo handler used for smoke tests.'
@@ -100,6 +143,40 @@ function createEchoInlineHandler() {
   };
 }
 
+function createOutreachInlineHandler() {
+  return {
+    slug: 'outreach-router',
+    displayName: 'Outreach Router',
+    channel: 'multi',
+    mode: 'inline',
+    taskTypes: [OUTREACH_TASK_TYPE],
+    payloadSchemas: { [OUTREACH_TASK_TYPE]: OUTREACH_PAYLOAD_SCHEMA },
+    execute: executeOutreachTask,
+    metadata: {
+      description: 'Picks a channel for outreach.send and spawns the channel task, falling back on failure.'
+    },
+    source: 'built-in'
+  };
+}
+
+function createWorkflowInlineHandler() {
+  return {
+    slug: 'workflow-runner',
+    displayName: 'Workflow Runner',
+    channel: 'workflow',
+    mode: 'inline',
+    taskTypes: [WORKFLOW_TASK_TYPE],
+    payloadSchemas: { [WORKFLOW_TASK_TYPE]: WORKFLOW_RUN_PAYLOAD_SCHEMA },
+    // The parent task stays running for as long as its steps take, delays included.
+    timeouts: { [WORKFLOW_TASK_TYPE]: { completionMs: 7 * 24 * 60 * 60_000, onTimeout: 'fail' } },
+    execute: executeWorkflowTask,
+    metadata: {
+      description: 'Runs a stored workflow definition as child tasks linked by parent_task_id.'
+    },
+    source: 'built-in'
+  };
+}
+
 const CALL_AGENT_URL = process.env.CALL_AGENT_URL;
 function createCallDispatchHandler() {
   if (!CALL_AGENT_URL) return null;
@@ -110,7 +187,12 @@ function createCallDispatchHandler() {
     channel: 'voice',
     mode: 'dispatch',
     taskTypes: ['call.start'],
-    dispatch: async ({ task, logger }) => {
+    payloadSchemas: { 'call.start': CALL_START_PAYLOAD_SCHEMA },
+    // Calls settle through the agent callback once the conversation ends.
+    timeouts: { 'call.start': { completionMs: 30 * 60_000 } },
+    // One telephony line per call; override with CALL_AGENT_MAX_IN_FLIGHT.
+    concurrency: { maxInFlight: Number(process.env.CALL_AGENT_MAX_IN_FLIGHT) || 3 },
+    dispatch: async ({ task, logger, callback, signal }) => {
       const payload = (task && task.payload) || {};
       const to = (payload.to || '').toString().trim();
       const from = (payload.from || '').toString().trim() || undefined;
@@ -131,25 +213,25 @@ function createCallDispatchHandler() {
       if (instructions) body.instructions = instructions;
       if (voice) body.voice = voice;
       if (model) body.model = model;
+      if (callback) body.callback = callback;
 
       const headers = { 'Content-Type': 'application/json' };
 
       logger.info('CALL_AGENT_DISPATCH_REQUEST', {
-        data: { endpoint, body }
+        data: { endpoint, body: { ...body, callback: callback ? { url: callback.url } : undefined } }
       });
 
-      const response = await internalFetch(endpoint, {
-        method: 'POST',
-        headers,
-        body
-      });
+      const response = await fetchAgent(endpoint, { method: 'POST', headers, body, signal }, 'call-agent');
 
       const text = await response.text().catch(() => '');
       if (!response.ok) {
         logger.error('CALL_AGENT_DISPATCH_FAILED', {
           data: { status: response.status, body: text.slice(0, 500) }
         });
-        throw new Error(`Dispatch failed (agent call-agent): ${response.status} ${text}`.trim());
+        throw new DispatchError(`Dispatch failed (agent call-agent): ${response.status} ${text}`.trim(), {
+          status: response.status,
+          body: text.slice(0, 500)
+        });
       }
 
       let json = null;
@@ -175,6 +257,33 @@ function createCallDispatchHandler() {
 
       return json;
     },
+    cancel: async ({ task, reason, logger }) => {
+      const callSid = task?.result?.ack?.callSid;
+      if (!callSid) {
+        return { notified: false, reason: 'no_call_sid' };
+      }
+
+      const hangupEndpoint = new URL(`/call/${encodeURIComponent(callSid)}/hangup`, CALL_AGENT_URL).toString();
+      const response = await fetchAgent(
+        hangupEndpoint,
+        { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: { reason } },
+        'call-agent'
+      );
+      const text = await response.text().catch(() => '');
+      if (!response.ok) {
+        logger.error('CALL_AGENT_HANGUP_FAILED', {
+          data: { taskId: task.id, callSid, status: response.status, body: text.slice(0, 500) }
+        });
+        throw new DispatchError(`Cancel failed (agent call-agent): ${response.status} ${text}`.trim(), {
+          status: response.status,
+          body: text.slice(0, 500)
+        });
+      }
+
+      let json = null;
+      try { json = text ? JSON.parse(text) : {}; } catch (_) { json = {}; }
+      return { notified: true, callSid, ...json };
+    },
     metadata: { description: 'Outbound call dispatch' },
     source: 'env'
   };
@@ -190,6 +299,10 @@ function createMessagingDispatchHandler() {
     channel: 'messaging',
     mode: 'dispatch',
     taskTypes: ['sms.send', 'whatsapp.send'],
+    payloadSchemas: {
+      'sms.send': MESSAGE_SEND_PAYLOAD_SCHEMA,
+      'whatsapp.send': MESSAGE_SEND_PAYLOAD_SCHEMA
+    },
     dispatch: buildDispatchExecutor(
       { slug: 'messaging-agent' },
       {
@@ -216,6 +329,7 @@ function createEmailDispatchHandler() {
     channel: 'email',
     mode: 'dispatch',
     taskTypes: ['email.send'],
+    payloadSchemas: { 'email.send': EMAIL_SEND_PAYLOAD_SCHEMA },
     dispatch: buildDispatchExecutor(
       { slug: 'email-agent' },
       {
@@ -242,6 +356,7 @@ function createContentDispatchHandler() {
     channel: 'content',
     mode: 'dispatch',
     taskTypes: ['content.generate'],
+    payloadSchemas: { 'content.generate': CONTENT_GENERATE_PAYLOAD_SCHEMA },
     dispatch: buildDispatchExecutor(
       { slug: 'content-agent' },
       {
@@ -266,6 +381,7 @@ function createHandlerFromAgentRow(row) {
 
     const mode = normalizeMode(config.mode);
     const dispatchConfig = mode === 'dispatch' ? buildDispatchExecutor(row, config) : null;
+    const cancelConfig = mode === 'dispatch' ? buildCancelExecutor(row, config) : null;
 
     return {
       id: row.id,
@@ -276,7 +392,13 @@ function createHandlerFromAgentRow(row) {
       taskTypes,
       execute: mode === 'inline' ? null : undefined,
       dispatch: dispatchConfig,
+      cancel: cancelConfig,
       metadata: config.metadata || {},
+      retryPolicy: config.retry,
+      payloadSchemas: config.payloadSchemas,
+      routing: config.routing,
+      timeouts: config.timeouts,
+      concurrency: config.concurrency,
       source: 'agent_registry'
     };
   } catch (err) {
@@ -297,12 +419,16 @@ function buildDispatchExecutor(row, config) {
   const includeInternalKey = dispatch.includeInternalKey !== false;
   const additionalHeaders = dispatch.headers || {};
 
-  return async function dispatchTask({ task, logger }) {
+  return async function dispatchTask({ task, logger, callback, dryRun = false, signal }) {
     const headers = {
       'Content-Type': 'application/json',
-      ...additionalHeaders
+      ...(await resolveSecretHeaders(additionalHeaders, row.slug))
     };
 
+    if (dryRun) {
+      headers['X-Dry-Run'] = 'true';
+    }
+
     if (includeInternalKey && process.env.INTERNAL_KEY) {
       headers['X-INTERNAL-KEY'] = process.env.INTERNAL_KEY;
     }
@@ -323,17 +449,31 @@ function buildDispatchExecutor(row, config) {
       }
     }
 
-    const body = includeTask ? { task } : (dispatch.body || {});
+    if (isSecretRef(dispatch.basicAuth)) {
+      const credentials = await readDispatchSecret(dispatch.basicAuth.secretRef, row.slug);
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
 
-    const response = await internalFetch(url, {
-      method,
-      headers,
-      body
-    });
+    if (isSecretRef(dispatch.bearerToken)) {
+      headers.Authorization = `Bearer ${await readDispatchSecret(dispatch.bearerToken.secretRef, row.slug)}`;
+    }
+
+    const body = includeTask ? { task } : { ...(dispatch.body || {}) };
+    if (includeTask && callback) {
+      body.callback = callback;
+    }
+    if (dryRun) {
+      body.dryRun = true;
+    }
+
+    const response = await fetchAgent(url, { method, headers, body, signal }, row.slug);
 
     if (!response.ok) {
       const text = await response.text().catch(() => '');
-      throw new Error(`Dispatch failed (agent ${row.slug}): ${response.status} ${text}`.trim());
+      throw new DispatchError(`Dispatch failed (agent ${row.slug}): ${response.status} ${text}`.trim(), {
+        status: response.status,
+        body: text.slice(0, 500)
+      });
     }
 
     if (dispatch.expectJson === false) {
@@ -345,6 +485,68 @@ function buildDispatchExecutor(row, config) {
   };
 }
 
+// Registry agents opt into cancellation with `config.dispatch.cancelUrl`; the orchestrator
+// POSTs `{ task, reason }` there when an operator cancels an in-flight task.
+function buildCancelExecutor(row, config) {
+  const dispatch = config.dispatch || {};
+  if (!dispatch.cancelUrl) {
+    return null;
+  }
+
+  const includeInternalKey = dispatch.includeInternalKey !== false;
+  const additionalHeaders = dispatch.headers || {};
+
+  return async function cancelTask({ task, reason }) {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...(await resolveSecretHeaders(additionalHeaders, row.slug))
+    };
+
+    if (includeInternalKey && process.env.INTERNAL_KEY) {
+      headers['X-INTERNAL-KEY'] = process.env.INTERNAL_KEY;
+    }
+
+    const response = await fetchAgent(dispatch.cancelUrl, { method: 'POST', headers, body: { task, reason } }, row.slug);
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new DispatchError(`Cancel failed (agent ${row.slug}): ${response.status} ${text}`.trim(), {
+        status: response.status,
+        body: text.slice(0, 500)
+      });
+    }
+
+    const json = await response.json().catch(() => null);
+    return { notified: true, ...(json && typeof json === 'object' ? json : {}) };
+  };
+}
+
+// A missing secret is a config error that retrying will not fix, so the dispatch fails outright.
+async function readDispatchSecret(name, slug) {
+  const value = await resolveSecret(name);
+  if (value === null) {
+    throw new DispatchError(`Dispatch failed (agent ${slug}): secret ${name} not found`, { retryable: false });
+  }
+  return value;
+}
+
+async function resolveSecretHeaders(headers, slug) {
+  const resolved = {};
+  for (const [name, value] of Object.entries(headers)) {
+    resolved[name] = isSecretRef(value) ? await readDispatchSecret(value.secretRef, slug) : value;
+  }
+  return resolved;
+}
+
+async function fetchAgent(url, options, slug) {
+  try {
+    return await internalFetch(url, options);
+  } catch (err) {
+    throw new DispatchError(`Dispatch failed (agent ${slug}): ${err.message}`, { cause: err });
+  }
+}
+
 module.exports = {
-  HandlerRegistry
+  HandlerRegistry,
+  createHandlerFromAgentRow
 };
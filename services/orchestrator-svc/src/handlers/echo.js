@@ -1,4 +1,5 @@
 const { internalFetch } = require('@repo/common');
+const { DispatchError } = require('../errors');
 
 async function executeEchoTask({ task }) {
   const baseUrl = process.env.ECHO_AGENT_URL;
@@ -7,17 +8,22 @@ async function executeEchoTask({ task }) {
   }
 
   const url = new URL('/echo', baseUrl).toString();
-  const response = await internalFetch(url, {
-    method: 'POST',
-    body: {
-      traceId: task.trace_id,
-      payload: task.payload
-    }
-  });
+  let response;
+  try {
+    response = await internalFetch(url, {
+      method: 'POST',
+      body: {
+        traceId: task.trace_id,
+        payload: task.payload
+      }
+    });
+  } catch (err) {
+    throw new DispatchError(`Echo agent unreachable: ${err.message}`, { cause: err });
+  }
 
   if (!response.ok) {
     const text = await response.text();
-    throw new Error(`Echo agent error: ${response.status} ${text}`);
+    throw new DispatchError(`Echo agent error: ${response.status} ${text}`, { status: response.status });
   }
 
   return response.json();
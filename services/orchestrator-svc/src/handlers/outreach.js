@@ -0,0 +1,40 @@
+const { planOutreach, routeOutreach } = require('../outreach');
+
+// Routes an outreach.send task onto the first usable channel. The root task completes once
+// the first hop is enqueued; later hops are spawned by continueOutreach as hops fail. A root
+// that is executed again gets back the hop it already enqueued.
+async function executeOutreachTask({ task, logger, spawnTask, announceTasks, registry }) {
+  const { hops, skipped } = await planOutreach(task.payload || {}, {
+    isRoutable: (type) => registry.candidates(type).length > 0
+  });
+
+  if (!hops.length) {
+    const detail = skipped.map(({ channel, reason }) => `${channel}: ${reason}`).join(', ') || 'no channels configured';
+    throw new Error(`No outreach channel available (${detail})`);
+  }
+
+  const correlationId = task.correlation_id || `outreach:${task.id}`;
+  const [first, ...remaining] = hops;
+  const { task: hopTask, created } = await routeOutreach(task, { hop: first, remaining, correlationId }, spawnTask);
+  if (created) {
+    announceTasks([hopTask]);
+  }
+
+  logger.info('OUTREACH_ROUTED', {
+    data: { id: task.id, channel: first.channel, taskId: hopTask.id, plan: hops.map((hop) => hop.channel), skipped, reused: !created },
+    traceId: task.trace_id,
+    correlationId
+  });
+
+  return {
+    channel: first.channel,
+    taskId: hopTask.id,
+    correlationId,
+    plan: hops.map((hop) => hop.channel),
+    skipped
+  };
+}
+
+module.exports = {
+  executeOutreachTask
+};
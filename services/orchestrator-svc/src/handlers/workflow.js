@@ -0,0 +1,34 @@
+const { getWorkflowDefinition, createWorkflowRun, advanceWorkflowRun } = require('../workflows');
+
+// Starts a workflow run for a workflow.run task. The task stays running (deferred) as the
+// run's parent until its child steps settle; runs whose steps all resolve immediately
+// (e.g. every condition false) complete inline.
+async function executeWorkflowTask({ task, logger, spawnTask, announceTasks }) {
+  const { workflow, input } = task.payload || {};
+  const definition = await getWorkflowDefinition(workflow);
+  if (!definition) {
+    throw new Error(`Unknown workflow: ${workflow}`);
+  }
+
+  await createWorkflowRun({ runId: task.id, definition, input });
+  const { settled, started, tasks } = await advanceWorkflowRun(task.id, { spawnTask, logger });
+  announceTasks(tasks);
+
+  logger.info('WORKFLOW_STARTED', {
+    data: { runId: task.id, workflow: definition.slug, steps: definition.steps.length, started },
+    traceId: task.trace_id,
+    correlationId: task.correlation_id
+  });
+
+  if (settled?.status === 'done') {
+    return settled.result;
+  }
+  if (settled) {
+    throw new Error(settled.error.message);
+  }
+  return { status: 'deferred' };
+}
+
+module.exports = {
+  executeWorkflowTask
+};
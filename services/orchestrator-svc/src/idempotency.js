@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+const { pool } = require('./db');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_TTL_HOURS = 24;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+// A claim that never got a task attached (crash mid-request) is taken over after this.
+const ABANDONED_CLAIM_MS = 5 * 60 * 1000;
+
+function getRetentionHours() {
+  const hours = Number.parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10);
+  return Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS;
+}
+
+// Returns the key, null when none was supplied, or false when the supplied key is unusable.
+function resolveIdempotencyKey(req) {
+  const raw = req.get(IDEMPOTENCY_HEADER) ?? req.body?.idempotencyKey;
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (typeof raw !== 'string') return false;
+  const key = raw.trim();
+  if (!key || key.length > MAX_KEY_LENGTH) return false;
+  return key;
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function hashTaskRequest(body) {
+  const { idempotencyKey, ...request } = body || {};
+  return crypto.createHash('sha256').update(stableStringify(request)).digest('hex');
+}
+
+// Reserves the key before the task is created so concurrent retries cannot both enqueue.
+// Outcomes: { claimed } | { replay: row } | { conflict } | { inProgress }.
+async function claimIdempotencyKey({ key, requestHash }) {
+  await pool.query('DELETE FROM task_idempotency_keys WHERE key = $1 AND expires_at < now()', [key]);
+
+  const { rows } = await pool.query(
+    `INSERT INTO task_idempotency_keys (key, request_hash, expires_at)
+     VALUES ($1, $2, now() + ($3::int * interval '1 hour'))
+     ON CONFLICT (key) DO NOTHING
+     RETURNING *`,
+    [key, requestHash, getRetentionHours()]
+  );
+  if (rows.length) {
+    return { claimed: true };
+  }
+
+  const { rows: existingRows } = await pool.query('SELECT * FROM task_idempotency_keys WHERE key = $1', [key]);
+  const existing = existingRows[0];
+  if (!existing) {
+    // Purged between the insert and the lookup; the caller may simply retry.
+    return { inProgress: true };
+  }
+  if (existing.request_hash !== requestHash) {
+    return { conflict: true };
+  }
+  if (!existing.task_id && !existing.schedule_id) {
+    const { rowCount } = await pool.query(
+      `UPDATE task_idempotency_keys
+       SET created_at = now()
+       WHERE key = $1 AND task_id IS NULL AND schedule_id IS NULL
+         AND created_at < now() - ($2::int * interval '1 millisecond')`,
+      [key, ABANDONED_CLAIM_MS]
+    );
+    return rowCount ? { claimed: true } : { inProgress: true };
+  }
+  return { replay: existing };
+}
+
+async function releaseIdempotencyKey(key) {
+  await pool.query(
+    'DELETE FROM task_idempotency_keys WHERE key = $1 AND task_id IS NULL AND schedule_id IS NULL',
+    [key]
+  );
+}
+
+async function purgeExpiredIdempotencyKeys() {
+  const { rowCount } = await pool.query('DELETE FROM task_idempotency_keys WHERE expires_at < now()');
+  return rowCount;
+}
+
+function startIdempotencyKeyPurger({ logger }) {
+  const purge = async () => {
+    try {
+      const purged = await purgeExpiredIdempotencyKeys();
+      if (purged > 0) {
+        logger.info('IDEMPOTENCY_KEYS_PURGED', { data: { count: purged } });
+      }
+    } catch (err) {
+      console.error('Failed to purge idempotency keys', err);
+    }
+  };
+
+  const timer = setInterval(purge, PURGE_INTERVAL_MS);
+  timer.unref?.();
+  return { stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  resolveIdempotencyKey,
+  hashTaskRequest,
+  claimIdempotencyKey,
+  releaseIdempotencyKey,
+  startIdempotencyKeyPurger
+};
@@ -4,11 +4,15 @@ const morgan = require('morgan');
 const http = require('http');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
 
 const {
   ensureConfig,
   buildConfigReport,
   requireAuth,
+  hasScope,
+  actorFromRequest: deriveActor,
+  createAuditLogger,
   createServiceLogger,
   createDashboardCors
 } = require('@repo/common');
@@ -18,17 +22,202 @@ const {
   createTask,
   getTaskWithEvents,
   listTasks,
+  getTask,
   applyTaskPatch,
   ConflictError,
+  hasTaskEvent,
+  recordTaskEvent,
+  recordAgentAssignmentEvent,
+  countTasksByLane,
   pool
 } = require('./db');
 const { setupWebsocket } = require('./websocket');
 const { startLogForwarder } = require('./log-forwarder');
-const { HandlerRegistry } = require('./handler-registry');
+const { HandlerRegistry, createHandlerFromAgentRow } = require('./handler-registry');
+const {
+  validateAgentInput,
+  validateAgentPatch,
+  listAgents,
+  getAgentBySlug,
+  createAgent,
+  updateAgent,
+  deleteAgent,
+  notifyAgentRegistryChanged,
+  startAgentRegistryListener
+} = require('./agents');
+const { startTaskWorker } = require('./worker');
+const {
+  IDEMPOTENCY_HEADER,
+  resolveIdempotencyKey,
+  hashTaskRequest,
+  claimIdempotencyKey,
+  releaseIdempotencyKey,
+  startIdempotencyKeyPurger
+} = require('./idempotency');
+const {
+  OUTCOME_STATUS,
+  issueCallbackCredentials,
+  verifyCallbackRequest,
+  captureRawBody
+} = require('./callbacks');
+const { DispatchError, TaskTimeoutError, TaskValidationError, TaskStateError } = require('./errors');
+const { CronError, nextCronOccurrence, isValidTimeZone } = require('./cron');
+const {
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  updateSchedule,
+  deleteSchedule,
+  startScheduler
+} = require('./schedules');
+const {
+  normalizeRetryPolicy,
+  computeBackoffDelay,
+  isRetryableError
+} = require('./retry-policy');
+const { validateTaskPayload, getPayloadSchema } = require('./payload-schemas');
+const { routeTask, getRoutingStrategy } = require('./routing');
+const { continueOutreach } = require('./outreach');
+const { APPROVAL_STATUS, resolveApproval } = require('./approvals');
+const { parseTaskQuery, searchTasks } = require('./task-search');
+const {
+  resolveRouteScope,
+  validateApiTokenInput,
+  createApiToken,
+  listApiTokens,
+  getApiToken,
+  revokeApiToken
+} = require('./api-tokens');
+const { loadKeyring, encryptToken, decryptToken } = require('./encryption');
+const { rotateEncryptionKeys } = require('./key-rotation');
+const { isOAuthClientConfigured, getFreshGoogleToken, startGoogleTokenRefresher } = require('./google-oauth');
+const {
+  validateSecretInput,
+  validateSecretUpdate,
+  createSecret,
+  listSecrets,
+  getSecret,
+  updateSecret,
+  deleteSecret,
+  findSecretUsage,
+  validateSecretRefs
+} = require('./secrets');
+const {
+  validateLoginInput,
+  validateDashboardUserInput,
+  validateDashboardUserPatch,
+  ensureBootstrapAdmin,
+  login,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  resolveBearerToken,
+  revokeSession,
+  issueWsTicket,
+  consumeWsTicket,
+  startSessionPurger,
+  listDashboardUsers,
+  createDashboardUser,
+  updateDashboardUser
+} = require('./dashboard-auth');
+const {
+  DELIVERY_STATUSES,
+  validateSubscriptionInput,
+  validateSubscriptionPatch,
+  createSubscription,
+  getSubscription,
+  listSubscriptions,
+  updateSubscription,
+  deleteSubscription,
+  encryptLegacySubscriptionSecrets,
+  getDelivery,
+  listDeliveries,
+  replayDelivery,
+  replayFailedDeliveries,
+  startWebhookDispatcher
+} = require('./subscriptions');
+const {
+  MIN_TASK_PRIORITY,
+  MAX_TASK_PRIORITY,
+  isValidTaskPriority,
+  buildClaimLimits,
+  buildQueueDepthReport
+} = require('./queue-lanes');
+const {
+  CAMPAIGN_STATUSES,
+  getCampaignSettings,
+  validateBatchInput,
+  expandBatchPayloads,
+  collectPayloadErrors,
+  createCampaign,
+  getCampaign,
+  listCampaigns,
+  getCampaignProgress,
+  listCampaignTaskIds,
+  transitionCampaign,
+  releaseCampaignItems,
+  startCampaignEngine
+} = require('./campaigns');
+const {
+  WORKFLOW_TASK_TYPE,
+  validateWorkflowInput,
+  validateWorkflowPatch,
+  listWorkflowDefinitions,
+  getWorkflowDefinition,
+  createWorkflowDefinition,
+  updateWorkflowDefinition,
+  deleteWorkflowDefinition,
+  advanceWorkflowRun,
+  getWorkflowRunGraph,
+  startWorkflowEngine
+} = require('./workflows');
+const {
+  HEARTBEAT_STATUSES,
+  recordHeartbeat,
+  recordDispatchFailure,
+  recordDispatchSuccess,
+  acquireDispatch,
+  listUnavailableAgentSlugs,
+  buildAgentHealthReport,
+  startHeartbeatPurger
+} = require('./agent-health');
+const {
+  getTaskTimeouts,
+  withDispatchTimeout,
+  computeDeadline,
+  describeTaskSla,
+  startTimeoutSweeper
+} = require('./timeouts');
 
 const SERVICE_NAME = 'orchestrator-svc';
 const PORT = process.env.PORT || 4000;
 
+const REDRIVABLE_STATUSES = ['dead_letter', 'error'];
+const SCHEDULE_STATUSES = ['active', 'paused'];
+const CANCELLABLE_STATUSES = ['awaiting_approval', 'queued', 'running'];
+const CANCEL_PATCH_ATTEMPTS = 3;
+const CALLBACK_PATCH_ATTEMPTS = 3;
+const SETTLED_STATUSES = ['done', 'error', 'dead_letter', 'cancelled'];
+
+// Webhook subscription secrets are stored encrypted, so creating one or replacing its secret
+// needs a usable keyring. Returns why the keyring cannot be loaded, or null when it can.
+function encryptionKeyError() {
+  try {
+    loadKeyring();
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+function rejectMissingEncryptionKey(res, logger, keyError) {
+  logger.error('WEBHOOK_ENCRYPTION_KEY_MISSING', { data: { error: keyError } });
+  return res.status(503).json({
+    error: 'Webhook subscriptions need an encryption key; set OAUTH_ENCRYPTION_KEY or OAUTH_ENCRYPTION_KEYS',
+    details: keyError
+  });
+}
+
 const AgentDispatchStatus = {
   DEFERRED: 'deferred',
   COMPLETED: 'completed'
@@ -44,24 +233,217 @@ async function createService() {
     process.exit(1);
   }
 
+  // A malformed keyring would otherwise only surface on the first OAuth callback or secret read.
+  if (process.env.OAUTH_ENCRYPTION_KEYS) {
+    try {
+      loadKeyring();
+    } catch (err) {
+      console.error(`${SERVICE_NAME}: encryption keyring is invalid`, err.message);
+      process.exit(1);
+    }
+  }
+
   await initDb();
   handlerRegistry = await HandlerRegistry.build();
 
   const app = express();
   const server = http.createServer(app);
-  const wsHub = setupWebsocket(server);
+  // TASK_UPDATE frames only start flowing once the service is up, by which point the
+  // dispatcher and logger below exist.
+  const wsHub = tapTaskUpdates(setupWebsocket(server, { consumeTicket: consumeWsTicket }), () => notifyTaskWebhooks({ webhookDispatcher }));
   const logger = createServiceLogger({
     service: SERVICE_NAME,
     loggingUrl: process.env.LOGGING_URL,
     broadcast: ({ type, data }) => wsHub.broadcast(type, data)
   });
+  const audit = createAuditLogger({ service: SERVICE_NAME, loggingUrl: process.env.LOGGING_URL });
   const dashboardCors = createDashboardCors();
+  try {
+    const encrypted = await encryptLegacySubscriptionSecrets();
+    if (encrypted) {
+      logger.info('WEBHOOK_SECRETS_ENCRYPTED', { data: { count: encrypted } });
+    }
+  } catch (err) {
+    console.error('Failed to encrypt webhook subscription secrets', err);
+    logger.error('WEBHOOK_SECRETS_ENCRYPT_FAILED', { data: { error: err.message } });
+  }
+  const webhookDispatcher = startWebhookDispatcher({ logger });
+  const taskWorker = startTaskWorker({ processTask, wsHub, logger, getClaimLimits });
+  const submit = (spec) => submitTask(spec, { wsHub, logger, taskWorker });
+  const scheduler = startScheduler({ submitTask: submit, logger });
+  startIdempotencyKeyPurger({ logger });
+  startHeartbeatPurger({ logger });
+  startSessionPurger({ logger });
+  await ensureBootstrapAdmin({ logger });
+  const timeoutSweeper = startTimeoutSweeper({
+    onExpired: (task) => timeOutTask(task, { wsHub, logger }),
+    logger
+  });
+  const workflowEngine = startWorkflowEngine({
+    advance: (runId) => advanceWorkflow(runId, { wsHub, logger }),
+    logger
+  });
+  const campaignEngine = startCampaignEngine({
+    release: (campaignId) => releaseCampaign(campaignId, { wsHub, logger, taskWorker }),
+    logger
+  });
+
+  const reloadHandlers = async ({ slug = null, action = null } = {}) => {
+    handlerRegistry = await HandlerRegistry.build();
+    logger.info('AGENT_REGISTRY_RELOADED', {
+      data: { slug, action, handlers: handlerRegistry.list().length }
+    });
+  };
+  const agentRegistryListener = startAgentRegistryListener({ onChange: reloadHandlers, logger });
 
   app.use(helmet());
-  app.use(express.json({ limit: '1mb' }));
+  // Sized for POST /tasks/batch, which carries up to CAMPAIGN_MAX_ITEMS payloads.
+  app.use(express.json({ limit: '5mb', verify: captureRawBody }));
   app.use(morgan('combined'));
   app.use(dashboardCors);
-  app.use(requireAuth());
+
+  // Agents authenticate with the per-task callback token issued at dispatch (HMAC over
+  // the raw body), so this route sits in front of the Basic/internal-key middleware.
+  app.post('/task/:id/agent-events', async (req, res) => {
+    const { kind, data, outcome } = req.body || {};
+
+    if (kind !== undefined && (typeof kind !== 'string' || !kind.trim())) {
+      return res.status(400).json({ error: 'kind must be a non-empty string' });
+    }
+    if (outcome !== undefined && (!outcome || !Object.prototype.hasOwnProperty.call(OUTCOME_STATUS, outcome.status))) {
+      return res.status(400).json({ error: `outcome.status must be one of ${Object.keys(OUTCOME_STATUS).join(', ')}` });
+    }
+    if (kind === undefined && outcome === undefined) {
+      return res.status(400).json({ error: 'kind or outcome is required' });
+    }
+
+    try {
+      let task = await getTask(req.params.id);
+      if (!task) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+
+      const verification = verifyCallbackRequest(req, task);
+      if (!verification.ok) {
+        logger.warn('TASK_CALLBACK_REJECTED', {
+          data: { id: task.id, reason: verification.reason },
+          traceId: task.trace_id,
+          correlationId: task.correlation_id
+        });
+        return res.status(401).json({ error: 'Invalid callback signature' });
+      }
+
+      if (task.status !== 'running') {
+        return res.status(409).json({ error: `Task in status ${task.status} no longer accepts agent events`, status: task.status });
+      }
+
+      const actor = task.agent_slug || 'agent';
+
+      if (kind) {
+        const event = await recordTaskEvent({
+          taskId: task.id,
+          actor,
+          kind: kind.trim(),
+          data: data ?? null,
+          correlationId: task.correlation_id,
+          traceId: task.trace_id
+        });
+        logger.taskEvent({
+          taskId: task.id,
+          actor: event.actor,
+          kind: event.kind,
+          data: event.data,
+          traceId: task.trace_id,
+          correlationId: task.correlation_id
+        });
+      }
+
+      if (!outcome) {
+        return res.status(202).json({ accepted: true });
+      }
+
+      for (let attempt = 1; attempt <= CALLBACK_PATCH_ATTEMPTS; attempt += 1) {
+        try {
+          const settled = await applyAgentOutcome({ task, outcome, actor }, { wsHub, logger });
+          return res.json({ task: settled });
+        } catch (err) {
+          if (!(err instanceof ConflictError) || attempt === CALLBACK_PATCH_ATTEMPTS) {
+            throw err;
+          }
+          task = await getTask(req.params.id);
+          if (!task || task.status !== 'running') {
+            return res.status(409).json({ error: 'Task settled concurrently', status: task?.status || null });
+          }
+        }
+      }
+    } catch (err) {
+      if (err instanceof ConflictError) {
+        return res.status(409).json({ error: 'Version conflict' });
+      }
+      console.error('Failed to record agent callback', err);
+      logger.error('TASK_CALLBACK_FAILED', { data: { id: req.params.id, error: err.message } });
+      res.status(500).json({ error: 'Failed to record agent callback' });
+    }
+  });
+
+  // Dashboard sign-in trades a username and password for a session token, so it is open like the
+  // callback route above; everything after requireAuth accepts that token as a Bearer credential.
+  app.post('/auth/login', async (req, res) => {
+    const body = req.body || {};
+    const errors = validateLoginInput(body);
+    if (errors.length) {
+      return res.status(422).json({ error: 'Invalid login', details: errors });
+    }
+
+    const failedLogin = ({ reason, lockedUntil }) => {
+      audit.record({
+        req,
+        actor: 'anonymous',
+        action: 'auth.login_failed',
+        target: { type: 'dashboard_user', id: body.username },
+        metadata: { reason, ip: req.ip, lockedUntil: lockedUntil || null }
+      });
+    };
+
+    try {
+      // Locked-out callers are turned away before the password is checked, so guesses made
+      // during a lockout reveal nothing.
+      const lockedUntil = await getLoginLockout({ username: body.username, ip: req.ip });
+      if (lockedUntil) {
+        const retryAfter = Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000));
+        logger.warn('DASHBOARD_LOGIN_LOCKED', { data: { username: body.username, ip: req.ip, lockedUntil } });
+        failedLogin({ reason: 'locked_out', lockedUntil });
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Too many failed sign-in attempts; try again later', retryAfter });
+      }
+
+      const result = await login(body, { userAgent: req.get('user-agent') });
+      if (!result) {
+        const lockedNow = await recordLoginFailure({ username: body.username, ip: req.ip });
+        logger.warn('DASHBOARD_LOGIN_FAILED', { data: { username: body.username, ip: req.ip, lockedUntil: lockedNow } });
+        failedLogin({ reason: 'invalid_credentials', lockedUntil: lockedNow });
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+      await clearLoginFailures(body.username);
+      logger.info('DASHBOARD_LOGIN', {
+        data: { username: result.user.username, role: result.user.role, sessionId: result.session.id }
+      });
+      audit.record({
+        req,
+        actor: `human:${result.user.username}`,
+        action: 'auth.login',
+        target: { type: 'dashboard_session', id: result.session.id },
+        after: { role: result.user.role, expiresAt: result.session.expires_at }
+      });
+      res.json({ token: result.token, expiresAt: result.session.expires_at, user: result.user });
+    } catch (err) {
+      console.error('Failed to sign in', err);
+      logger.error('DASHBOARD_LOGIN_ERROR', { data: { username: body.username, error: err.message } });
+      res.status(500).json({ error: 'Failed to sign in' });
+    }
+  });
+
+  app.use(requireAuth({ resolveToken: resolveBearerToken, scopeFor: resolveRouteScope }));
 
   app.get('/health', async (req, res) => {
     try {
@@ -118,139 +500,1599 @@ async function createService() {
     res.status(426).json({ error: 'Upgrade Required' });
   });
 
-  app.post('/task', async (req, res) => {
-    const { type, payload, source, correlationId, agentSlug } = req.body || {};
-
-    if (!type || typeof type !== 'string') {
-      return res.status(400).json({ error: 'type is required' });
+  app.get('/task-types', async (req, res) => {
+    try {
+      if (!handlerRegistry) {
+        handlerRegistry = await HandlerRegistry.build();
+      }
+      res.json({ taskTypes: describeTaskTypes(handlerRegistry) });
+    } catch (err) {
+      console.error('Failed to list task types', err);
+      res.status(500).json({ error: 'Failed to list task types' });
     }
+  });
 
-    if (!source || typeof source !== 'string') {
-      return res.status(400).json({ error: 'source is required' });
+  app.get('/agents', async (req, res) => {
+    const { active } = req.query;
+    if (active !== undefined && active !== 'true' && active !== 'false') {
+      return res.status(400).json({ error: 'active must be true or false' });
+    }
+    try {
+      const agents = await listAgents({ active: active === undefined ? undefined : active === 'true' });
+      res.json({ agents });
+    } catch (err) {
+      console.error('Failed to list agents', err);
+      res.status(500).json({ error: 'Failed to list agents' });
     }
+  });
 
-    let handler = null;
-    if (agentSlug && typeof agentSlug === 'string') {
+  // Registered before /agents/:slug so "health" is not treated as a slug.
+  app.get('/agents/health', async (req, res) => {
+    try {
       if (!handlerRegistry) {
         handlerRegistry = await HandlerRegistry.build();
       }
-      const bySlug = handlerRegistry.getBySlug(agentSlug);
-      if (bySlug && Array.isArray(bySlug.taskTypes) && bySlug.taskTypes.includes(type)) {
-        handler = bySlug;
+      const agents = await buildAgentHealthReport(handlerRegistry.list());
+      res.json({ agents, generatedAt: new Date().toISOString() });
+    } catch (err) {
+      console.error('Failed to build agent health report', err);
+      res.status(500).json({ error: 'Failed to build agent health report' });
+    }
+  });
+
+  app.get('/agents/:slug', async (req, res) => {
+    try {
+      const agent = await getAgentBySlug(req.params.slug);
+      if (!agent) {
+        return res.status(404).json({ error: 'Agent not found' });
       }
+      res.json({ agent });
+    } catch (err) {
+      console.error('Failed to fetch agent', err);
+      res.status(500).json({ error: 'Failed to fetch agent' });
     }
-    if (!handler) {
-      handler = await resolveHandlerForTaskType(type);
+  });
+
+  app.post('/agents', async (req, res) => {
+    const body = req.body || {};
+    const errors = validateAgentInput(body);
+    if (errors.length) {
+      return res.status(422).json({ error: 'Invalid agent definition', details: errors });
     }
-    if (!handler) {
-      logger.warn('TASK_TYPE_UNSUPPORTED', { data: { type } });
-      return res.status(422).json({ error: `Unsupported task type: ${type}` });
+
+    const builtIn = handlerRegistry?.getBySlug(body.slug);
+    if (builtIn && builtIn.source !== 'agent_registry') {
+      return res.status(409).json({ error: `Slug ${body.slug} is reserved by a built-in agent` });
+    }
+
+    try {
+      const secretErrors = await validateSecretRefs(body.config);
+      if (secretErrors.length) {
+        return res.status(422).json({ error: 'Invalid agent definition', details: secretErrors });
+      }
+      const agent = await createAgent(body);
+      if (!agent) {
+        return res.status(409).json({ error: `Agent ${body.slug} already exists` });
+      }
+      await publishAgentChange(req, agent, 'created');
+      res.status(201).json({ agent });
+    } catch (err) {
+      console.error('Failed to create agent', err);
+      logger.error('AGENT_CREATE_FAILED', { data: { slug: body.slug, error: err.message } });
+      res.status(500).json({ error: 'Failed to create agent' });
     }
-    const agentDescriptor = buildAgentDescriptor(handler);
+  });
 
-    const traceId = uuidv4();
+  app.patch('/agents/:slug', async (req, res) => {
+    const body = req.body || {};
+    const errors = validateAgentPatch(body);
+    if (errors.length) {
+      return res.status(422).json({ error: 'Invalid agent patch', details: errors });
+    }
 
     try {
-      const { task, event, assignmentEvent } = await createTask({
-        type,
+      const secretErrors = body.config ? await validateSecretRefs(body.config) : [];
+      if (secretErrors.length) {
+        return res.status(422).json({ error: 'Invalid agent patch', details: secretErrors });
+      }
+      const previous = await getAgentBySlug(req.params.slug);
+      const agent = await updateAgent(req.params.slug, body);
+      if (!agent) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+      await publishAgentChange(req, agent, 'updated', Object.keys(body), previous);
+      res.json({ agent });
+    } catch (err) {
+      console.error('Failed to update agent', err);
+      logger.error('AGENT_UPDATE_FAILED', { data: { slug: req.params.slug, error: err.message } });
+      res.status(500).json({ error: 'Failed to update agent' });
+    }
+  });
+
+  app.delete('/agents/:slug', async (req, res) => {
+    try {
+      const agent = await deleteAgent(req.params.slug);
+      if (!agent) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+      await publishAgentChange(req, agent, 'deleted');
+      res.json({ agent });
+    } catch (err) {
+      console.error('Failed to delete agent', err);
+      logger.error('AGENT_DELETE_FAILED', { data: { slug: req.params.slug, error: err.message } });
+      res.status(500).json({ error: 'Failed to delete agent' });
+    }
+  });
+
+  // Dry-run dispatch: sends a synthetic task (flagged with `dryRun` and `X-Dry-Run`) straight
+  // to the agent's endpoint. Nothing is persisted, so inactive agents can be tested too.
+  app.post('/agents/:slug/test', async (req, res) => {
+    const { type, payload } = req.body || {};
+    if (payload !== undefined && (payload === null || typeof payload !== 'object' || Array.isArray(payload))) {
+      return res.status(400).json({ error: 'payload must be an object' });
+    }
+
+    try {
+      const row = await getAgentBySlug(req.params.slug);
+      if (!row) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+
+      const definition = createHandlerFromAgentRow(row);
+      const handler = definition ? new HandlerRegistry({ agents: [definition] }).getBySlug(row.slug) : null;
+      if (!handler || typeof handler.dispatch !== 'function') {
+        return res.status(400).json({ error: 'Agent has no dispatch endpoint configured' });
+      }
+
+      const taskType = type ?? handler.taskTypes[0];
+      if (!handler.taskTypes.includes(taskType)) {
+        return res.status(400).json({ error: `Agent does not handle task type ${taskType}` });
+      }
+
+      const validation = validateTaskPayload(handler, taskType, payload ?? {});
+      if (!validation.valid) {
+        return res.status(422).json({ error: `Payload failed validation for ${taskType}`, details: validation.errors });
+      }
+
+      const task = {
+        id: uuidv4(),
+        type: taskType,
+        status: 'running',
+        source: 'agent-test',
         payload: payload ?? {},
-        source,
-        correlationId,
-        traceId,
-        actor: deriveActor(req),
-        agent: agentDescriptor
-      });
+        correlation_id: `agent-test:${row.slug}`,
+        trace_id: uuidv4(),
+        attempts: 1,
+        agent_id: row.id,
+        agent_slug: row.slug,
+        agent_channel: row.channel,
+        dry_run: true
+      };
 
-      logger.info('TASK_RECEIVED', {
-        data: {
-          id: task.id,
-          type,
-          source,
-          correlationId: correlationId || null,
-          agent: agentDescriptor.slug || null,
-          channel: agentDescriptor.channel || null
-        }
-      });
-      if (event) {
-        logger.taskEvent({
-          taskId: task.id,
-          actor: event.actor,
-          kind: event.kind,
-          data: event.data,
+      const startedAt = Date.now();
+      try {
+        const response = await handler.dispatch({
+          task,
+          logger,
+          callback: null,
+          dryRun: true,
+          emitTaskEvent: async () => {}
+        });
+        const durationMs = Date.now() - startedAt;
+        logger.info('AGENT_TEST_DISPATCHED', {
+          data: { slug: row.slug, type: taskType, ok: true, durationMs },
           traceId: task.trace_id,
           correlationId: task.correlation_id
         });
-      }
-      if (assignmentEvent) {
-        logger.taskEvent({
-          taskId: task.id,
-          actor: assignmentEvent.actor,
-          kind: assignmentEvent.kind,
-          data: assignmentEvent.data,
-          traceId: assignmentEvent.trace_id,
-          correlationId: assignmentEvent.correlation_id
+        res.json({ agent: row.slug, type: taskType, ok: true, durationMs, response: response ?? null });
+      } catch (err) {
+        const durationMs = Date.now() - startedAt;
+        logger.warn('AGENT_TEST_DISPATCHED', {
+          data: { slug: row.slug, type: taskType, ok: false, durationMs, error: err.message },
+          traceId: task.trace_id,
+          correlationId: task.correlation_id
+        });
+        res.status(502).json({
+          agent: row.slug,
+          type: taskType,
+          ok: false,
+          durationMs,
+          error: err.message,
+          status: err.status ?? null,
+          body: err.body ?? null
         });
       }
+    } catch (err) {
+      console.error('Failed to test agent', err);
+      res.status(500).json({ error: 'Failed to test agent' });
+    }
+  });
 
-      wsHub.broadcast('TASK_UPDATE', { task });
+  // Agents report liveness here; once an agent has heartbeated, going silent for
+  // AGENT_HEARTBEAT_DOWN_MS marks it down and holds or reroutes its queued tasks.
+  app.post('/agents/:slug/heartbeat', async (req, res) => {
+    const { status = 'ok', meta } = req.body || {};
+    if (!HEARTBEAT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${HEARTBEAT_STATUSES.join(', ')}` });
+    }
+    if (meta !== undefined && (meta === null || typeof meta !== 'object' || Array.isArray(meta))) {
+      return res.status(400).json({ error: 'meta must be an object' });
+    }
 
-      queueMicrotask(() => processTask(task, { wsHub, logger }));
+    try {
+      if (!handlerRegistry?.getBySlug(req.params.slug)) {
+        handlerRegistry = await HandlerRegistry.build();
+      }
+      if (!handlerRegistry.getBySlug(req.params.slug)) {
+        return res.status(404).json({ error: 'Agent not found' });
+      }
+
+      const health = await recordHeartbeat({ slug: req.params.slug, status, meta: meta ?? null });
+      if (new Date(health.up_since).getTime() === new Date(health.last_heartbeat_at).getTime()) {
+        logger.info('AGENT_HEARTBEAT_RESUMED', { data: { slug: req.params.slug, status } });
+      }
+      res.json({
+        agent: req.params.slug,
+        status,
+        receivedAt: health.last_heartbeat_at,
+        upSince: health.up_since
+      });
+    } catch (err) {
+      console.error('Failed to record agent heartbeat', err);
+      res.status(500).json({ error: 'Failed to record agent heartbeat' });
+    }
+  });
+
+  // Rebuilds this instance's registry right away, then tells the other instances via NOTIFY.
+  async function publishAgentChange(req, agent, action, fields, previous) {
+    logger.info(`AGENT_${action.toUpperCase()}`, {
+      data: { slug: agent.slug, channel: agent.channel, isActive: agent.is_active, fields, actor: deriveActor(req) }
+    });
+    audit.record({
+      req,
+      action: `agent.${action}`,
+      target: { type: 'agent', id: agent.slug },
+      before: action === 'created' ? null : previous || agent,
+      after: action === 'deleted' ? null : agent
+    });
+    await reloadHandlers({ slug: agent.slug, action });
+    await notifyAgentRegistryChanged({ slug: agent.slug, action }).catch((err) => {
+      console.error('Failed to notify agent registry change', err);
+    });
+  }
+
+  app.post('/task', async (req, res) => {
+    const { type, payload, source, correlationId, agentSlug, runAt, schedule, requireApproval, priority } = req.body || {};
+
+    if (!type || typeof type !== 'string') {
+      return res.status(400).json({ error: 'type is required' });
+    }
+
+    if (requireApproval !== undefined && typeof requireApproval !== 'boolean') {
+      return res.status(400).json({ error: 'requireApproval must be a boolean' });
+    }
+
+    if (!source || typeof source !== 'string') {
+      return res.status(400).json({ error: 'source is required' });
+    }
+
+    if (runAt !== undefined && schedule !== undefined) {
+      return res.status(400).json({ error: 'Provide either runAt or schedule, not both' });
+    }
+
+    if (priority !== undefined && !isValidTaskPriority(priority)) {
+      return res.status(400).json({
+        error: `priority must be an integer between ${MIN_TASK_PRIORITY} and ${MAX_TASK_PRIORITY} (lower runs first)`
+      });
+    }
+
+    if (priority !== undefined && schedule !== undefined) {
+      return res.status(400).json({ error: 'priority applies to one-off tasks, not schedules' });
+    }
+
+    if (requireApproval && schedule !== undefined) {
+      return res.status(400).json({ error: 'requireApproval applies to one-off tasks; gate scheduled types with TASK_APPROVAL_TYPES' });
+    }
+
+    let scheduleSpec = null;
+    if (schedule !== undefined) {
+      if (!schedule || typeof schedule !== 'object' || typeof schedule.cron !== 'string') {
+        return res.status(400).json({ error: 'schedule.cron is required' });
+      }
+      scheduleSpec = { cron: schedule.cron, timezone: schedule.timezone || 'UTC' };
+      const invalid = validateScheduleTiming(scheduleSpec);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+    }
+
+    let availableAt = null;
+    if (runAt !== undefined && runAt !== null) {
+      if (typeof runAt !== 'string' || Number.isNaN(Date.parse(runAt))) {
+        return res.status(400).json({ error: 'runAt must be an ISO-8601 timestamp' });
+      }
+      availableAt = new Date(runAt).toISOString();
+    }
+
+    const idempotencyKey = resolveIdempotencyKey(req);
+    if (idempotencyKey === false) {
+      return res.status(400).json({ error: `${IDEMPOTENCY_HEADER} must be a non-empty string of at most 255 characters` });
+    }
+
+    if (idempotencyKey) {
+      try {
+        const claim = await claimIdempotencyKey({ key: idempotencyKey, requestHash: hashTaskRequest(req.body) });
+        if (claim.conflict) {
+          logger.warn('TASK_IDEMPOTENCY_CONFLICT', { data: { type, source }, correlationId: correlationId || null });
+          return res.status(409).json({ error: `${IDEMPOTENCY_HEADER} was already used with a different request body` });
+        }
+        if (claim.inProgress) {
+          return res.status(409).json({ error: `A request with this ${IDEMPOTENCY_HEADER} is still being processed` });
+        }
+        if (claim.replay) {
+          return await replayIdempotentRequest(res, claim.replay, { runAt: availableAt });
+        }
+      } catch (err) {
+        console.error('Failed to claim idempotency key', err);
+        logger.error('TASK_IDEMPOTENCY_FAILED', { data: { error: err.message, type, source } });
+        return res.status(500).json({ error: 'Failed to create task' });
+      }
+    }
+
+    try {
+      if (scheduleSpec) {
+        const created = await createScheduleForRequest(req, scheduleSpec, { idempotencyKey });
+        return res.status(201).json({ schedule: created });
+      }
+
+      const { task } = await submit({
+        type,
+        payload,
+        source,
+        correlationId,
+        agentSlug,
+        actor: deriveActor(req),
+        runAt: availableAt,
+        requireApproval,
+        priority,
+        idempotencyKey
+      });
 
       res.status(202).json({
         id: task.id,
         traceId: task.trace_id,
         status: task.status,
+        runAt: availableAt,
         agent: formatAgentMeta(task)
       });
     } catch (err) {
-      console.error('Failed to create task', err);
-      logger.error('TASK_CREATE_FAILED', {
-        data: { error: err.message, type, source },
-        correlationId: correlationId || null
-      });
-      res.status(500).json({ error: 'Failed to create task' });
+      // Only frees a key that has no task or schedule yet; both are attached when they commit.
+      if (idempotencyKey) {
+        await releaseIdempotencyKey(idempotencyKey).catch(() => {});
+      }
+      if (err instanceof TaskValidationError) {
+        return res.status(err.status).json({ error: err.message, details: err.details || undefined });
+      }
+      const what = scheduleSpec ? 'schedule' : 'task';
+      console.error(`Failed to create ${what}`, err);
+      logger.error(scheduleSpec ? 'SCHEDULE_CREATE_FAILED' : 'TASK_CREATE_FAILED', {
+        data: { error: err.message, type, source },
+        correlationId: correlationId || null
+      });
+      res.status(500).json({ error: `Failed to create ${what}` });
+    }
+  });
+
+  async function createScheduleForRequest(req, { cron, timezone }, { idempotencyKey = null } = {}) {
+    const { type, payload, source, correlationId, agentSlug } = req.body;
+
+    const { handler } = await assignAgent({ type, agentSlug }, { logger, route: false });
+    assertValidPayload(handler, { type, payload }, { logger });
+
+    const created = await createSchedule({
+      type,
+      payload: payload ?? {},
+      source,
+      correlationId,
+      agentSlug: typeof agentSlug === 'string' ? agentSlug : null,
+      cron,
+      timezone,
+      createdBy: deriveActor(req),
+      idempotencyKey
+    });
+
+    logger.info('SCHEDULE_CREATED', {
+      data: {
+        id: created.id,
+        type,
+        cron: created.cron,
+        timezone: created.timezone,
+        nextRunAt: created.next_run_at
+      },
+      correlationId: correlationId || null
+    });
+
+    return created;
+  }
+
+  async function replayIdempotentRequest(res, record, { runAt }) {
+    res.set('Idempotent-Replayed', 'true');
+    logger.info('TASK_IDEMPOTENT_REPLAY', {
+      data: { taskId: record.task_id, scheduleId: record.schedule_id }
+    });
+
+    if (record.schedule_id) {
+      const existingSchedule = await getSchedule(record.schedule_id);
+      if (!existingSchedule) {
+        return res.status(410).json({ error: 'The schedule created by this request has since been deleted' });
+      }
+      return res.status(201).json({ schedule: existingSchedule });
+    }
+
+    const task = await getTask(record.task_id);
+    return res.status(202).json({
+      id: task.id,
+      traceId: task.trace_id,
+      status: task.status,
+      runAt,
+      agent: formatAgentMeta(task)
+    });
+  }
+
+  app.get('/schedules', async (req, res) => {
+    try {
+      if (req.query.status && !SCHEDULE_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: 'Invalid status parameter' });
+      }
+      let limit;
+      if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isFinite(limit) || limit <= 0 || limit > 200) {
+          return res.status(400).json({ error: 'Invalid limit parameter' });
+        }
+      }
+
+      const schedules = await listSchedules({ status: req.query.status, type: req.query.type, limit });
+      res.json({ schedules });
+    } catch (err) {
+      console.error('Failed to list schedules', err);
+      res.status(500).json({ error: 'Failed to list schedules' });
+    }
+  });
+
+  app.get('/schedules/:id', async (req, res) => {
+    try {
+      const schedule = await getSchedule(req.params.id);
+      if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+      res.json({ schedule });
+    } catch (err) {
+      console.error('Failed to fetch schedule', err);
+      res.status(500).json({ error: 'Failed to fetch schedule' });
+    }
+  });
+
+  app.patch('/schedules/:id', async (req, res) => {
+    const { cron, timezone, payload, status, correlationId } = req.body || {};
+
+    const patch = {};
+    if (cron !== undefined) patch.cron = cron;
+    if (timezone !== undefined) patch.timezone = timezone;
+    if (payload !== undefined) patch.payload = payload;
+    if (status !== undefined) patch.status = status;
+    if (correlationId !== undefined) patch.correlationId = correlationId;
+
+    if (Object.keys(patch).length === 0) {
+      return res.status(400).json({ error: 'No valid fields to patch' });
+    }
+    if (status !== undefined && !SCHEDULE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${SCHEDULE_STATUSES.join(', ')}` });
+    }
+    if (payload !== undefined && (payload === null || typeof payload !== 'object')) {
+      return res.status(400).json({ error: 'payload must be an object' });
+    }
+
+    try {
+      const existing = await getSchedule(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+
+      const invalid = validateScheduleTiming({
+        cron: patch.cron ?? existing.cron,
+        timezone: patch.timezone ?? existing.timezone
+      });
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+
+      if (patch.payload !== undefined) {
+        const { handler } = await assignAgent(
+          { type: existing.type, agentSlug: existing.agent_slug },
+          { logger, route: false }
+        );
+        assertValidPayload(handler, { type: existing.type, payload: patch.payload }, { logger });
+      }
+
+      const schedule = await updateSchedule(existing.id, patch);
+      logger.info('SCHEDULE_UPDATED', {
+        data: { id: schedule.id, fields: Object.keys(patch), status: schedule.status, nextRunAt: schedule.next_run_at },
+        correlationId: schedule.correlation_id
+      });
+      res.json({ schedule });
+    } catch (err) {
+      if (err instanceof TaskValidationError) {
+        return res.status(err.status).json({ error: err.message, details: err.details || undefined });
+      }
+      console.error('Failed to update schedule', err);
+      logger.error('SCHEDULE_UPDATE_FAILED', { data: { id: req.params.id, error: err.message } });
+      res.status(500).json({ error: 'Failed to update schedule' });
+    }
+  });
+
+  app.delete('/schedules/:id', async (req, res) => {
+    try {
+      const schedule = await deleteSchedule(req.params.id);
+      if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+      logger.info('SCHEDULE_DELETED', {
+        data: { id: schedule.id, type: schedule.type, requester: deriveActor(req) },
+        correlationId: schedule.correlation_id
+      });
+      res.json({ success: true, schedule });
+    } catch (err) {
+      console.error('Failed to delete schedule', err);
+      res.status(500).json({ error: 'Failed to delete schedule' });
+    }
+  });
+
+  app.get('/workflow-definitions', async (req, res) => {
+    try {
+      const workflows = await listWorkflowDefinitions();
+      res.json({ workflows });
+    } catch (err) {
+      console.error('Failed to list workflow definitions', err);
+      res.status(500).json({ error: 'Failed to list workflow definitions' });
+    }
+  });
+
+  app.get('/workflow-definitions/:slug', async (req, res) => {
+    try {
+      const workflow = await getWorkflowDefinition(req.params.slug);
+      if (!workflow) {
+        return res.status(404).json({ error: 'Workflow not found' });
+      }
+      res.json({ workflow });
+    } catch (err) {
+      console.error('Failed to fetch workflow definition', err);
+      res.status(500).json({ error: 'Failed to fetch workflow definition' });
+    }
+  });
+
+  app.post('/workflow-definitions', async (req, res) => {
+    const body = req.body || {};
+    const errors = validateWorkflowInput(body);
+    if (errors.length) {
+      return res.status(422).json({ error: 'Invalid workflow definition', details: errors });
+    }
+
+    try {
+      const workflow = await createWorkflowDefinition(body);
+      if (!workflow) {
+        return res.status(409).json({ error: `Workflow ${body.slug} already exists` });
+      }
+      logger.info('WORKFLOW_DEFINITION_CREATED', {
+        data: { slug: workflow.slug, steps: workflow.steps.length, actor: deriveActor(req) }
+      });
+      res.status(201).json({ workflow });
+    } catch (err) {
+      console.error('Failed to create workflow definition', err);
+      logger.error('WORKFLOW_DEFINITION_CREATE_FAILED', { data: { slug: body.slug, error: err.message } });
+      res.status(500).json({ error: 'Failed to create workflow definition' });
+    }
+  });
+
+  // Runs snapshot their steps when they start, so edits only affect runs started afterwards.
+  app.patch('/workflow-definitions/:slug', async (req, res) => {
+    const body = req.body || {};
+    const errors = validateWorkflowPatch(body);
+    if (errors.length) {
+      return res.status(422).json({ error: 'Invalid workflow patch', details: errors });
+    }
+
+    try {
+      const workflow = await updateWorkflowDefinition(req.params.slug, body);
+      if (!workflow) {
+        return res.status(404).json({ error: 'Workflow not found' });
+      }
+      logger.info('WORKFLOW_DEFINITION_UPDATED', {
+        data: { slug: workflow.slug, fields: Object.keys(body), actor: deriveActor(req) }
+      });
+      res.json({ workflow });
+    } catch (err) {
+      console.error('Failed to update workflow definition', err);
+      logger.error('WORKFLOW_DEFINITION_UPDATE_FAILED', { data: { slug: req.params.slug, error: err.message } });
+      res.status(500).json({ error: 'Failed to update workflow definition' });
+    }
+  });
+
+  app.delete('/workflow-definitions/:slug', async (req, res) => {
+    try {
+      const workflow = await deleteWorkflowDefinition(req.params.slug);
+      if (!workflow) {
+        return res.status(404).json({ error: 'Workflow not found' });
+      }
+      logger.info('WORKFLOW_DEFINITION_DELETED', { data: { slug: workflow.slug, actor: deriveActor(req) } });
+      res.json({ workflow });
+    } catch (err) {
+      console.error('Failed to delete workflow definition', err);
+      res.status(500).json({ error: 'Failed to delete workflow definition' });
+    }
+  });
+
+  // Starts a run: a workflow.run parent task whose id doubles as the run id.
+  app.post('/workflows', async (req, res) => {
+    const { workflow, input, source, correlationId } = req.body || {};
+    if (!workflow || typeof workflow !== 'string') {
+      return res.status(400).json({ error: 'workflow is required' });
+    }
+
+    try {
+      const definition = await getWorkflowDefinition(workflow);
+      if (!definition) {
+        return res.status(404).json({ error: 'Workflow not found' });
+      }
+
+      const { task } = await submit({
+        type: WORKFLOW_TASK_TYPE,
+        payload: { workflow, input: input ?? {} },
+        source: typeof source === 'string' && source ? source : 'workflow',
+        correlationId,
+        actor: deriveActor(req)
+      });
+      res.status(202).json({
+        runId: task.id,
+        traceId: task.trace_id,
+        status: task.status,
+        workflow: definition.slug
+      });
+    } catch (err) {
+      if (err instanceof TaskValidationError) {
+        return res.status(err.status).json({ error: err.message, details: err.details || undefined });
+      }
+      console.error('Failed to start workflow', err);
+      logger.error('WORKFLOW_START_FAILED', { data: { workflow, error: err.message }, correlationId: correlationId || null });
+      res.status(500).json({ error: 'Failed to start workflow' });
+    }
+  });
+
+  app.get('/workflows/:runId', async (req, res) => {
+    try {
+      const graph = await getWorkflowRunGraph(req.params.runId);
+      if (!graph) {
+        return res.status(404).json({ error: 'Workflow run not found' });
+      }
+      res.json(graph);
+    } catch (err) {
+      console.error('Failed to fetch workflow run', err);
+      res.status(500).json({ error: 'Failed to fetch workflow run' });
+    }
+  });
+
+  app.get('/task/:id', async (req, res) => {
+    try {
+      const result = await getTaskWithEvents(req.params.id);
+      if (!result) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+      res.json(result);
+    } catch (err) {
+      console.error('Failed to fetch task', err);
+      res.status(500).json({ error: 'Failed to fetch task' });
+    }
+  });
+
+  app.get('/tasks', async (req, res) => {
+    try {
+      const { options, error } = parseTaskQuery(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const { tasks, nextCursor } = await searchTasks(options);
+      res.json({ tasks: await attachTaskSla(tasks), nextCursor });
+    } catch (err) {
+      console.error('Failed to list tasks', err);
+      res.status(500).json({ error: 'Failed to list tasks' });
+    }
+  });
+
+  app.get('/tasks/dead-letter', async (req, res) => {
+    try {
+      let limit;
+      if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isFinite(limit) || limit <= 0 || limit > 200) {
+          return res.status(400).json({ error: 'Invalid limit parameter' });
+        }
+      }
+
+      const tasks = await listTasks({ status: 'dead_letter', correlationId: req.query.corrId, limit });
+      res.json({ tasks });
+    } catch (err) {
+      console.error('Failed to list dead-letter tasks', err);
+      res.status(500).json({ error: 'Failed to list dead-letter tasks' });
+    }
+  });
+
+  // Bulk submission: one campaign whose items are released as child tasks at the
+  // campaign's throttle (throttle.perMinute, default CAMPAIGN_DEFAULT_PER_MINUTE).
+  app.post('/tasks/batch', async (req, res) => {
+    const body = req.body || {};
+    const errors = validateBatchInput(body);
+    if (errors.length) {
+      return res.status(422).json({ error: 'Invalid batch', details: errors });
+    }
+
+    try {
+      const payloads = expandBatchPayloads(body);
+      const { handler } = await assignAgent({ type: body.type, agentSlug: body.agentSlug }, { logger, route: false });
+      const payloadErrors = collectPayloadErrors(payloads, (payload) => validateTaskPayload(handler, body.type, payload));
+      if (payloadErrors.length) {
+        return res.status(422).json({ error: `Payloads failed validation for ${body.type}`, details: payloadErrors });
+      }
+
+      const campaign = await createCampaign({
+        name: body.name,
+        type: body.type,
+        source: body.source,
+        correlationId: body.correlationId,
+        agentSlug: body.agentSlug,
+        priority: body.priority,
+        perMinute: body.throttle?.perMinute || getCampaignSettings().perMinute,
+        payloads,
+        createdBy: deriveActor(req)
+      });
+      logger.info('CAMPAIGN_CREATED', {
+        data: { id: campaign.id, type: campaign.type, total: campaign.total, perMinute: campaign.per_minute, actor: deriveActor(req) },
+        correlationId: campaign.correlation_id
+      });
+      wsHub.broadcast('CAMPAIGN_UPDATE', { campaign });
+
+      releaseCampaign(campaign.id, { wsHub, logger, taskWorker }).catch((err) => {
+        console.error('Failed to release campaign items', campaign.id, err);
+      });
+
+      res.status(202).json({ campaign, progress: await getCampaignProgress(campaign.id) });
+    } catch (err) {
+      if (err instanceof TaskValidationError) {
+        return res.status(err.status).json({ error: err.message, details: err.details || undefined });
+      }
+      console.error('Failed to create campaign', err);
+      logger.error('CAMPAIGN_CREATE_FAILED', { data: { type: body.type, error: err.message } });
+      res.status(500).json({ error: 'Failed to create campaign' });
+    }
+  });
+
+  app.get('/campaigns', async (req, res) => {
+    try {
+      if (req.query.status && !CAMPAIGN_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: 'Invalid status parameter' });
+      }
+      let limit;
+      if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isFinite(limit) || limit <= 0 || limit > 200) {
+          return res.status(400).json({ error: 'Invalid limit parameter' });
+        }
+      }
+
+      const campaigns = await listCampaigns({ status: req.query.status, limit });
+      res.json({ campaigns });
+    } catch (err) {
+      console.error('Failed to list campaigns', err);
+      res.status(500).json({ error: 'Failed to list campaigns' });
+    }
+  });
+
+  app.get('/campaigns/:id', async (req, res) => {
+    try {
+      const campaign = await getCampaign(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+      res.json({ campaign, progress: await getCampaignProgress(campaign.id) });
+    } catch (err) {
+      console.error('Failed to fetch campaign', err);
+      res.status(500).json({ error: 'Failed to fetch campaign' });
+    }
+  });
+
+  app.post('/campaigns/:id/:action(pause|resume|cancel)', async (req, res) => {
+    const { action } = req.params;
+    try {
+      const existing = await getCampaign(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Campaign not found' });
+      }
+
+      const outcome = action === 'cancel'
+        ? await cancelCampaign(existing, { actor: deriveActor(req), wsHub, logger })
+        : await changeCampaignState(existing, { action, actor: deriveActor(req), wsHub, logger });
+      if (!outcome) {
+        return res.status(409).json({ error: `Campaign in status ${existing.status} cannot ${action}`, status: existing.status });
+      }
+      if (action === 'resume') {
+        releaseCampaign(existing.id, { wsHub, logger, taskWorker }).catch((err) => {
+          console.error('Failed to release campaign items', existing.id, err);
+        });
+      }
+
+      res.json({ ...outcome, progress: await getCampaignProgress(existing.id) });
+    } catch (err) {
+      console.error(`Failed to ${action} campaign`, err);
+      logger.error('CAMPAIGN_UPDATE_FAILED', { data: { id: req.params.id, action, error: err.message } });
+      res.status(500).json({ error: `Failed to ${action} campaign` });
+    }
+  });
+
+  app.post('/api-tokens', async (req, res) => {
+    const body = req.body || {};
+    const errors = validateApiTokenInput(body);
+    if (errors.length) {
+      return res.status(422).json({ error: 'Invalid API token', details: errors });
+    }
+
+    try {
+      const created = await createApiToken(body, { actor: deriveActor(req) });
+      if (!created) {
+        return res.status(409).json({ error: `API token ${body.name} already exists` });
+      }
+      logger.info('API_TOKEN_CREATED', {
+        data: {
+          id: created.apiToken.id,
+          name: created.apiToken.name,
+          scopes: created.apiToken.scopes,
+          expiresAt: created.apiToken.expires_at,
+          requester: deriveActor(req)
+        }
+      });
+      audit.record({
+        req,
+        action: 'api_token.created',
+        target: { type: 'api_token', id: created.apiToken.id },
+        after: created.apiToken
+      });
+      res.status(201).json(created);
+    } catch (err) {
+      console.error('Failed to create API token', err);
+      logger.error('API_TOKEN_CREATE_FAILED', { data: { name: body.name, error: err.message } });
+      res.status(500).json({ error: 'Failed to create API token' });
+    }
+  });
+
+  app.get('/api-tokens', async (req, res) => {
+    try {
+      res.json({ apiTokens: await listApiTokens({ includeRevoked: req.query.includeRevoked === 'true' }) });
+    } catch (err) {
+      console.error('Failed to list API tokens', err);
+      res.status(500).json({ error: 'Failed to list API tokens' });
+    }
+  });
+
+  // Lets services without the token table (renderctl-svc) check a bearer token's scopes.
+  app.post('/api-tokens/introspect', async (req, res) => {
+    const { token } = req.body || {};
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'token is required' });
+    }
+
+    try {
+      const identity = await resolveBearerToken(token);
+      res.json(identity ? { active: true, ...identity } : { active: false });
+    } catch (err) {
+      console.error('Failed to introspect API token', err);
+      res.status(500).json({ error: 'Failed to introspect API token' });
+    }
+  });
+
+  app.get('/api-tokens/:id', async (req, res) => {
+    try {
+      const apiToken = await getApiToken(req.params.id);
+      if (!apiToken) {
+        return res.status(404).json({ error: 'API token not found' });
+      }
+      res.json({ apiToken });
+    } catch (err) {
+      console.error('Failed to fetch API token', err);
+      res.status(500).json({ error: 'Failed to fetch API token' });
+    }
+  });
+
+  // Revoked tokens are kept (with revoked_at/revoked_by) so task events naming them stay traceable.
+  app.delete('/api-tokens/:id', async (req, res) => {
+    try {
+      const apiToken = await revokeApiToken(req.params.id, { actor: deriveActor(req) });
+      if (!apiToken) {
+        return res.status(404).json({ error: 'API token not found' });
+      }
+      logger.info('API_TOKEN_REVOKED', {
+        data: { id: apiToken.id, name: apiToken.name, requester: deriveActor(req) }
+      });
+      audit.record({
+        req,
+        action: 'api_token.revoked',
+        target: { type: 'api_token', id: apiToken.id },
+        after: { name: apiToken.name, revoked_at: apiToken.revoked_at, revoked_by: apiToken.revoked_by }
+      });
+      res.json({ apiToken });
+    } catch (err) {
+      console.error('Failed to revoke API token', err);
+      logger.error('API_TOKEN_REVOKE_FAILED', { data: { id: req.params.id, error: err.message } });
+      res.status(500).json({ error: 'Failed to revoke API token' });
+    }
+  });
+
+  // Secret values are write-only: they are accepted on create and update and never returned.
+  app.post('/secrets', async (req, res) => {
+    const body = req.body || {};
+    const errors = validateSecretInput(body);
+    if (errors.length) {
+      return res.status(422).json({ error: 'Invalid secret', details: errors });
+    }
+
+    try {
+      const secret = await createSecret(body, { actor: deriveActor(req) });
+      if (!secret) {
+        return res.status(409).json({ error: `Secret ${body.name} already exists` });
+      }
+      logger.info('SECRET_CREATED', { data: { name: secret.name, requester: deriveActor(req) } });
+      audit.record({ req, action: 'secret.created', target: { type: 'secret', id: secret.name }, after: secret });
+      res.status(201).json({ secret });
+    } catch (err) {
+      console.error('Failed to create secret', err);
+      logger.error('SECRET_CREATE_FAILED', { data: { name: body.name, error: err.message } });
+      res.status(500).json({ error: 'Failed to create secret' });
+    }
+  });
+
+  app.get('/secrets', async (req, res) => {
+    try {
+      res.json({ secrets: await listSecrets() });
+    } catch (err) {
+      console.error('Failed to list secrets', err);
+      res.status(500).json({ error: 'Failed to list secrets' });
+    }
+  });
+
+  app.get('/secrets/:name', async (req, res) => {
+    try {
+      const secret = await getSecret(req.params.name);
+      if (!secret) {
+        return res.status(404).json({ error: 'Secret not found' });
+      }
+      res.json({ secret, usedBy: await findSecretUsage(secret.name) });
+    } catch (err) {
+      console.error('Failed to fetch secret', err);
+      res.status(500).json({ error: 'Failed to fetch secret' });
+    }
+  });
+
+  app.patch('/secrets/:name', async (req, res) => {
+    const body = req.body || {};
+    const errors = validateSecretUpdate(body);
+    if (errors.length) {
+      return res.status(422).json({ error: 'Invalid secret update', details: errors });
+    }
+
+    try {
+      const previous = await getSecret(req.params.name);
+      const secret = await updateSecret(req.params.name, body, { actor: deriveActor(req) });
+      if (!secret) {
+        return res.status(404).json({ error: 'Secret not found' });
+      }
+      logger.info('SECRET_UPDATED', {
+        data: { name: secret.name, valueChanged: body.value !== undefined, requester: deriveActor(req) }
+      });
+      audit.record({
+        req,
+        action: 'secret.updated',
+        target: { type: 'secret', id: secret.name },
+        before: previous,
+        after: secret,
+        metadata: { valueChanged: body.value !== undefined }
+      });
+      res.json({ secret });
+    } catch (err) {
+      console.error('Failed to update secret', err);
+      logger.error('SECRET_UPDATE_FAILED', { data: { name: req.params.name, error: err.message } });
+      res.status(500).json({ error: 'Failed to update secret' });
+    }
+  });
+
+  app.delete('/secrets/:name', async (req, res) => {
+    try {
+      const usedBy = await findSecretUsage(req.params.name);
+      if (usedBy.length) {
+        return res.status(409).json({ error: `Secret ${req.params.name} is referenced by agents`, usedBy });
+      }
+      const secret = await deleteSecret(req.params.name);
+      if (!secret) {
+        return res.status(404).json({ error: 'Secret not found' });
+      }
+      logger.info('SECRET_DELETED', { data: { name: secret.name, requester: deriveActor(req) } });
+      audit.record({ req, action: 'secret.deleted', target: { type: 'secret', id: secret.name }, before: secret });
+      res.json({ secret });
+    } catch (err) {
+      console.error('Failed to delete secret', err);
+      logger.error('SECRET_DELETE_FAILED', { data: { name: req.params.name, error: err.message } });
+      res.status(500).json({ error: 'Failed to delete secret' });
+    }
+  });
+
+  app.get('/auth/me', (req, res) => {
+    const { strategy, user, role, scopes } = req.auth;
+    res.json({ strategy, user, role: role || null, scopes });
+  });
+
+  app.post('/auth/logout', async (req, res) => {
+    if (req.auth.strategy !== 'session') {
+      return res.status(400).json({ error: 'Only dashboard sessions can be signed out' });
+    }
+
+    try {
+      await revokeSession(req.auth.sessionId);
+      wsHub.closeSessions([req.auth.sessionId]);
+      logger.info('DASHBOARD_LOGOUT', { data: { username: req.auth.user, sessionId: req.auth.sessionId } });
+      audit.record({ req, action: 'auth.logout', target: { type: 'dashboard_session', id: req.auth.sessionId } });
+      res.status(204).end();
+    } catch (err) {
+      console.error('Failed to sign out', err);
+      logger.error('DASHBOARD_LOGOUT_FAILED', { data: { sessionId: req.auth.sessionId, error: err.message } });
+      res.status(500).json({ error: 'Failed to sign out' });
+    }
+  });
+
+  app.post('/auth/ws-ticket', async (req, res) => {
+    if (!hasScope(req.auth.scopes, 'tasks:read')) {
+      return res.status(403).json({ error: 'Forbidden', requiredScope: 'tasks:read' });
+    }
+
+    try {
+      res.status(201).json(await issueWsTicket(req.auth));
+    } catch (err) {
+      console.error('Failed to issue websocket ticket', err);
+      res.status(500).json({ error: 'Failed to issue websocket ticket' });
+    }
+  });
+
+  app.get('/dashboard-users', async (req, res) => {
+    try {
+      res.json({ users: await listDashboardUsers() });
+    } catch (err) {
+      console.error('Failed to list dashboard users', err);
+      res.status(500).json({ error: 'Failed to list dashboard users' });
+    }
+  });
+
+  app.post('/dashboard-users', async (req, res) => {
+    const body = req.body || {};
+    const errors = validateDashboardUserInput(body);
+    if (errors.length) {
+      return res.status(422).json({ error: 'Invalid dashboard user', details: errors });
+    }
+
+    try {
+      const user = await createDashboardUser(body, { actor: deriveActor(req) });
+      if (!user) {
+        return res.status(409).json({ error: `Dashboard user ${body.username} already exists` });
+      }
+      logger.info('DASHBOARD_USER_CREATED', {
+        data: { id: user.id, username: user.username, role: user.role, requester: deriveActor(req) }
+      });
+      audit.record({ req, action: 'dashboard_user.created', target: { type: 'dashboard_user', id: user.id }, after: user });
+      res.status(201).json({ user });
+    } catch (err) {
+      console.error('Failed to create dashboard user', err);
+      logger.error('DASHBOARD_USER_CREATE_FAILED', { data: { username: body.username, error: err.message } });
+      res.status(500).json({ error: 'Failed to create dashboard user' });
+    }
+  });
+
+  app.patch('/dashboard-users/:id', async (req, res) => {
+    const body = req.body || {};
+    const errors = validateDashboardUserPatch(body);
+    if (errors.length) {
+      return res.status(422).json({ error: 'Invalid dashboard user update', details: errors });
+    }
+
+    try {
+      const updated = await updateDashboardUser(req.params.id, body);
+      if (!updated) {
+        return res.status(404).json({ error: 'Dashboard user not found' });
+      }
+      wsHub.closeSessions(updated.revokedSessionIds);
+      // A password change does not show in the row diff, so the changed fields are listed too.
+      audit.record({
+        req,
+        action: 'dashboard_user.updated',
+        target: { type: 'dashboard_user', id: updated.user.id },
+        before: updated.previous,
+        after: updated.user,
+        metadata: { fields: Object.keys(body), sessionsRevoked: updated.revokedSessionIds.length }
+      });
+      logger.info('DASHBOARD_USER_UPDATED', {
+        data: {
+          id: updated.user.id,
+          username: updated.user.username,
+          changes: Object.keys(body),
+          sessionsRevoked: updated.revokedSessionIds.length,
+          requester: deriveActor(req)
+        }
+      });
+      res.json({ user: updated.user });
+    } catch (err) {
+      console.error('Failed to update dashboard user', err);
+      logger.error('DASHBOARD_USER_UPDATE_FAILED', { data: { id: req.params.id, error: err.message } });
+      res.status(500).json({ error: 'Failed to update dashboard user' });
+    }
+  });
+
+  app.post('/subscriptions', async (req, res) => {
+    const body = req.body || {};
+    const errors = validateSubscriptionInput(body);
+    if (errors.length) {
+      return res.status(422).json({ error: 'Invalid subscription', details: errors });
+    }
+    const keyError = encryptionKeyError();
+    if (keyError) {
+      return rejectMissingEncryptionKey(res, logger, keyError);
+    }
+
+    try {
+      const { subscription, secret } = await createSubscription(body, { actor: deriveActor(req) });
+      await webhookDispatcher.refresh();
+      logger.info('WEBHOOK_SUBSCRIPTION_CREATED', {
+        data: { id: subscription.id, url: subscription.url, requester: deriveActor(req) }
+      });
+      audit.record({
+        req,
+        action: 'subscription.created',
+        target: { type: 'webhook_subscription', id: subscription.id },
+        after: subscription
+      });
+      res.status(201).json({ subscription, secret });
+    } catch (err) {
+      console.error('Failed to create subscription', err);
+      logger.error('WEBHOOK_SUBSCRIPTION_CREATE_FAILED', { data: { error: err.message } });
+      res.status(500).json({ error: 'Failed to create subscription' });
+    }
+  });
+
+  app.get('/subscriptions', async (req, res) => {
+    try {
+      let active;
+      if (req.query.active !== undefined) {
+        if (!['true', 'false'].includes(req.query.active)) {
+          return res.status(400).json({ error: 'active must be true or false' });
+        }
+        active = req.query.active === 'true';
+      }
+      res.json({ subscriptions: await listSubscriptions({ active }) });
+    } catch (err) {
+      console.error('Failed to list subscriptions', err);
+      res.status(500).json({ error: 'Failed to list subscriptions' });
+    }
+  });
+
+  app.get('/subscriptions/:id', async (req, res) => {
+    try {
+      const subscription = await getSubscription(req.params.id);
+      if (!subscription) {
+        return res.status(404).json({ error: 'Subscription not found' });
+      }
+      res.json({ subscription });
+    } catch (err) {
+      console.error('Failed to fetch subscription', err);
+      res.status(500).json({ error: 'Failed to fetch subscription' });
+    }
+  });
+
+  app.patch('/subscriptions/:id', async (req, res) => {
+    const body = req.body || {};
+    const errors = validateSubscriptionPatch(body);
+    if (errors.length) {
+      return res.status(422).json({ error: 'Invalid subscription patch', details: errors });
+    }
+    if (body.secret) {
+      const keyError = encryptionKeyError();
+      if (keyError) {
+        return rejectMissingEncryptionKey(res, logger, keyError);
+      }
+    }
+
+    try {
+      const previous = await getSubscription(req.params.id);
+      const subscription = await updateSubscription(req.params.id, body);
+      if (!subscription) {
+        return res.status(404).json({ error: 'Subscription not found' });
+      }
+      await webhookDispatcher.refresh();
+      logger.info('WEBHOOK_SUBSCRIPTION_UPDATED', {
+        data: { id: subscription.id, fields: Object.keys(body), requester: deriveActor(req) }
+      });
+      audit.record({
+        req,
+        action: 'subscription.updated',
+        target: { type: 'webhook_subscription', id: subscription.id },
+        before: previous,
+        after: subscription,
+        metadata: { fields: Object.keys(body) }
+      });
+      res.json({ subscription });
+    } catch (err) {
+      console.error('Failed to update subscription', err);
+      logger.error('WEBHOOK_SUBSCRIPTION_UPDATE_FAILED', { data: { id: req.params.id, error: err.message } });
+      res.status(500).json({ error: 'Failed to update subscription' });
+    }
+  });
+
+  app.delete('/subscriptions/:id', async (req, res) => {
+    try {
+      const subscription = await deleteSubscription(req.params.id);
+      if (!subscription) {
+        return res.status(404).json({ error: 'Subscription not found' });
+      }
+      await webhookDispatcher.refresh();
+      logger.info('WEBHOOK_SUBSCRIPTION_DELETED', {
+        data: { id: subscription.id, url: subscription.url, requester: deriveActor(req) }
+      });
+      audit.record({
+        req,
+        action: 'subscription.deleted',
+        target: { type: 'webhook_subscription', id: subscription.id },
+        before: subscription
+      });
+      res.json({ subscription });
+    } catch (err) {
+      console.error('Failed to delete subscription', err);
+      logger.error('WEBHOOK_SUBSCRIPTION_DELETE_FAILED', { data: { id: req.params.id, error: err.message } });
+      res.status(500).json({ error: 'Failed to delete subscription' });
+    }
+  });
+
+  app.get('/subscriptions/:id/deliveries', async (req, res) => {
+    try {
+      if (req.query.status && !DELIVERY_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: 'Invalid status parameter' });
+      }
+      let limit;
+      if (req.query.limit !== undefined) {
+        limit = Number(req.query.limit);
+        if (!Number.isFinite(limit) || limit <= 0 || limit > 200) {
+          return res.status(400).json({ error: 'Invalid limit parameter' });
+        }
+      }
+
+      const subscription = await getSubscription(req.params.id);
+      if (!subscription) {
+        return res.status(404).json({ error: 'Subscription not found' });
+      }
+      const deliveries = await listDeliveries({
+        subscriptionId: subscription.id,
+        status: req.query.status,
+        taskId: req.query.taskId,
+        limit
+      });
+      res.json({ deliveries });
+    } catch (err) {
+      console.error('Failed to list webhook deliveries', err);
+      res.status(500).json({ error: 'Failed to list webhook deliveries' });
+    }
+  });
+
+  // Re-sends a subscription's failed deliveries (optionally only those since `since`).
+  app.post('/subscriptions/:id/replay', async (req, res) => {
+    const { since, limit = 100 } = req.body || {};
+    if (since !== undefined && Number.isNaN(Date.parse(since))) {
+      return res.status(400).json({ error: 'Invalid since parameter' });
+    }
+    if (!Number.isInteger(limit) || limit <= 0 || limit > 1000) {
+      return res.status(400).json({ error: 'Invalid limit parameter' });
+    }
+
+    try {
+      const subscription = await getSubscription(req.params.id);
+      if (!subscription) {
+        return res.status(404).json({ error: 'Subscription not found' });
+      }
+      const deliveries = await replayFailedDeliveries({
+        subscriptionId: subscription.id,
+        since: since ? new Date(since).toISOString() : null,
+        limit
+      });
+      logger.info('WEBHOOK_DELIVERIES_REPLAYED', {
+        data: { subscriptionId: subscription.id, count: deliveries.length, requester: deriveActor(req) }
+      });
+      audit.record({
+        req,
+        action: 'subscription.replayed',
+        target: { type: 'webhook_subscription', id: subscription.id },
+        metadata: { since: since || null, count: deliveries.length }
+      });
+      webhookDispatcher.nudge();
+      res.status(202).json({ deliveries });
+    } catch (err) {
+      console.error('Failed to replay webhook deliveries', err);
+      logger.error('WEBHOOK_REPLAY_FAILED', { data: { subscriptionId: req.params.id, error: err.message } });
+      res.status(500).json({ error: 'Failed to replay webhook deliveries' });
+    }
+  });
+
+  app.get('/webhook-deliveries/:id', async (req, res) => {
+    try {
+      const delivery = await getDelivery(req.params.id);
+      if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+      res.json({ delivery });
+    } catch (err) {
+      console.error('Failed to fetch webhook delivery', err);
+      res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+    }
+  });
+
+  app.post('/webhook-deliveries/:id/replay', async (req, res) => {
+    try {
+      const delivery = await replayDelivery(req.params.id);
+      if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+      logger.info('WEBHOOK_DELIVERY_REPLAYED', {
+        data: { id: delivery.id, replayOf: delivery.replay_of, subscriptionId: delivery.subscription_id, requester: deriveActor(req) }
+      });
+      audit.record({
+        req,
+        action: 'webhook_delivery.replayed',
+        target: { type: 'webhook_delivery', id: delivery.replay_of },
+        metadata: { replayId: delivery.id, subscriptionId: delivery.subscription_id }
+      });
+      webhookDispatcher.nudge();
+      res.status(202).json({ delivery });
+    } catch (err) {
+      console.error('Failed to replay webhook delivery', err);
+      logger.error('WEBHOOK_REPLAY_FAILED', { data: { id: req.params.id, error: err.message } });
+      res.status(500).json({ error: 'Failed to replay webhook delivery' });
+    }
+  });
+
+  // Queue depth per lane (agent, channel, priority) with each lane's in-flight limit.
+  app.get('/queue', async (req, res) => {
+    try {
+      if (!handlerRegistry) {
+        handlerRegistry = await HandlerRegistry.build();
+      }
+      const handlers = handlerRegistry.list();
+      const lanes = buildQueueDepthReport(handlers, await countTasksByLane());
+      res.json({ lanes, limits: buildClaimLimits(handlers), generatedAt: new Date().toISOString() });
+    } catch (err) {
+      console.error('Failed to build queue depth report', err);
+      res.status(500).json({ error: 'Failed to build queue depth report' });
+    }
+  });
+
+  app.post('/task/:id/redrive', async (req, res) => {
+    try {
+      const existing = await getTask(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+      if (!REDRIVABLE_STATUSES.includes(existing.status)) {
+        return res.status(409).json({ error: `Task in status ${existing.status} cannot be re-driven` });
+      }
+
+      const { task, event } = await applyTaskPatch({
+        id: existing.id,
+        ifVersion: existing.version,
+        patch: { status: 'queued', attempts: 0, availableAt: null },
+        event: {
+          actor: deriveActor(req),
+          kind: 'redriven',
+          data: { from: existing.status, previousAttempts: existing.attempts }
+        }
+      });
+
+      wsHub.broadcast('TASK_UPDATE', { task });
+      if (event) {
+        logger.taskEvent({
+          taskId: task.id,
+          actor: event.actor,
+          kind: event.kind,
+          data: event.data,
+          traceId: task.trace_id,
+          correlationId: task.correlation_id
+        });
+      }
+      logger.info('TASK_REDRIVEN', {
+        data: { id: task.id, type: task.type, from: existing.status },
+        traceId: task.trace_id,
+        correlationId: task.correlation_id
+      });
+      taskWorker.nudge();
+
+      res.status(202).json({ task });
+    } catch (err) {
+      if (err instanceof ConflictError) {
+        return res.status(409).json({ error: 'Version conflict' });
+      }
+      console.error('Failed to re-drive task', err);
+      res.status(500).json({ error: 'Failed to re-drive task' });
+    }
+  });
+
+  app.post('/task/:id/rerun', async (req, res) => {
+    const { payload } = req.body || {};
+    if (payload !== undefined && (payload === null || typeof payload !== 'object' || Array.isArray(payload))) {
+      return res.status(400).json({ error: 'payload must be an object' });
+    }
+
+    try {
+      const outcome = await rerunTask(
+        { taskId: req.params.id, payload, actor: deriveActor(req) },
+        { wsHub, logger, taskWorker }
+      );
+      if (!outcome) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+      res.status(202).json({ task: outcome.task, rerunOf: outcome.original.id });
+    } catch (err) {
+      if (err instanceof TaskStateError) {
+        return res.status(err.status).json({ error: err.message, status: err.currentStatus });
+      }
+      if (err instanceof TaskValidationError) {
+        return res.status(err.status).json({ error: err.message, details: err.details || undefined });
+      }
+      console.error('Failed to re-run task', err);
+      logger.error('TASK_RERUN_FAILED', { data: { id: req.params.id, error: err.message } });
+      res.status(500).json({ error: 'Failed to re-run task' });
+    }
+  });
+
+  // Re-runs every errored or dead-lettered task matching `filter` (the GET /tasks query
+  // parameters), up to `limit` per call. Tasks that were already re-run are skipped, so
+  // repeating the call works through the backlog; `dryRun` only reports the matches.
+  app.post('/tasks/rerun', async (req, res) => {
+    const { filter, limit, dryRun } = req.body || {};
+    if (filter !== undefined && (filter === null || typeof filter !== 'object' || Array.isArray(filter))) {
+      return res.status(400).json({ error: 'filter must be an object' });
+    }
+
+    const { cursor: _cursor, ...query } = filter || {};
+    const { options, error } = parseTaskQuery({ ...query, ...(limit !== undefined ? { limit } : {}) });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!options.statuses.length) {
+      options.statuses = REDRIVABLE_STATUSES;
+    } else if (!options.statuses.every((status) => REDRIVABLE_STATUSES.includes(status))) {
+      return res.status(400).json({ error: `Bulk re-runs only cover ${REDRIVABLE_STATUSES.join(', ')} tasks` });
+    }
+
+    try {
+      const { tasks, nextCursor } = await searchTasks({ ...options, excludeRerun: true });
+      if (dryRun === true) {
+        return res.json({ dryRun: true, matched: tasks.length, hasMore: Boolean(nextCursor), taskIds: tasks.map((task) => task.id) });
+      }
+
+      const actor = deriveActor(req);
+      const rerun = [];
+      const failed = [];
+      // One at a time so routing and the agents see the same pace as individual re-runs.
+      for (const original of tasks) {
+        try {
+          const outcome = await rerunTask({ taskId: original.id, actor }, { wsHub, logger, taskWorker });
+          rerun.push({ originalId: original.id, taskId: outcome.task.id });
+        } catch (err) {
+          failed.push({ originalId: original.id, error: err.message });
+        }
+      }
+
+      logger.info('TASKS_BULK_RERUN', {
+        data: { matched: tasks.length, rerun: rerun.length, failed: failed.length, statuses: options.statuses, actor }
+      });
+      res.status(202).json({ matched: tasks.length, hasMore: Boolean(nextCursor), rerun, failed });
+    } catch (err) {
+      console.error('Failed to bulk re-run tasks', err);
+      logger.error('TASKS_BULK_RERUN_FAILED', { data: { error: err.message } });
+      res.status(500).json({ error: 'Failed to bulk re-run tasks' });
     }
   });
 
-  app.get('/task/:id', async (req, res) => {
+  app.post('/task/:id/cancel', async (req, res) => {
+    const rawReason = req.body?.reason;
+    const reason = typeof rawReason === 'string' && rawReason.trim() ? rawReason.trim() : 'cancelled_by_operator';
+
     try {
-      const result = await getTaskWithEvents(req.params.id);
-      if (!result) {
+      const outcome = await cancelTask(
+        { taskId: req.params.id, reason, actor: deriveActor(req) },
+        { wsHub, logger }
+      );
+      if (!outcome) {
         return res.status(404).json({ error: 'Task not found' });
       }
-      res.json(result);
+      res.json(outcome);
     } catch (err) {
-      console.error('Failed to fetch task', err);
-      res.status(500).json({ error: 'Failed to fetch task' });
+      if (err instanceof TaskStateError) {
+        return res.status(err.status).json({ error: err.message, status: err.currentStatus });
+      }
+      if (err instanceof DispatchError) {
+        return res.status(502).json({ error: 'Agent failed to cancel task', details: err.message });
+      }
+      if (err instanceof ConflictError) {
+        return res.status(409).json({ error: 'Version conflict' });
+      }
+      console.error('Failed to cancel task', err);
+      logger.error('TASK_CANCEL_FAILED', { data: { id: req.params.id, error: err.message } });
+      res.status(500).json({ error: 'Failed to cancel task' });
     }
   });
 
-  app.get('/tasks', async (req, res) => {
+  app.post('/task/:id/approve', async (req, res) => {
+    const { payload, note } = req.body || {};
+    if (payload !== undefined && (payload === null || typeof payload !== 'object' || Array.isArray(payload))) {
+      return res.status(400).json({ error: 'payload must be an object' });
+    }
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be a string' });
+    }
+
     try {
-      if (req.query.since && Number.isNaN(Date.parse(req.query.since))) {
-        return res.status(400).json({ error: 'Invalid since parameter' });
+      const task = await approveTask(
+        { taskId: req.params.id, actor: deriveActor(req), payload, note: note?.trim() },
+        { wsHub, logger, taskWorker }
+      );
+      if (!task) {
+        return res.status(404).json({ error: 'Task not found' });
       }
-
-      const since = req.query.since ? new Date(req.query.since).toISOString() : undefined;
-      let limit;
-      if (req.query.limit !== undefined) {
-        limit = Number(req.query.limit);
-        if (!Number.isFinite(limit) || limit <= 0 || limit > 200) {
-          return res.status(400).json({ error: 'Invalid limit parameter' });
-        }
+      res.status(202).json({ task });
+    } catch (err) {
+      if (err instanceof TaskStateError) {
+        return res.status(err.status).json({ error: err.message, status: err.currentStatus });
+      }
+      if (err instanceof TaskValidationError) {
+        return res.status(err.status).json({ error: err.message, details: err.details || undefined });
       }
+      if (err instanceof ConflictError) {
+        return res.status(409).json({ error: 'Version conflict' });
+      }
+      console.error('Failed to approve task', err);
+      logger.error('TASK_APPROVE_FAILED', { data: { id: req.params.id, error: err.message } });
+      res.status(500).json({ error: 'Failed to approve task' });
+    }
+  });
 
-      const tasks = await listTasks({
-        status: req.query.status,
-        since,
-        correlationId: req.query.corrId,
-        limit
-      });
+  app.post('/task/:id/reject', async (req, res) => {
+    const rawReason = req.body?.reason;
+    const reason = typeof rawReason === 'string' && rawReason.trim() ? rawReason.trim() : 'rejected_by_approver';
 
-      res.json({ tasks });
+    try {
+      const task = await rejectTask({ taskId: req.params.id, actor: deriveActor(req), reason }, { wsHub, logger });
+      if (!task) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+      res.json({ task });
     } catch (err) {
-      console.error('Failed to list tasks', err);
-      res.status(500).json({ error: 'Failed to list tasks' });
+      if (err instanceof TaskStateError) {
+        return res.status(err.status).json({ error: err.message, status: err.currentStatus });
+      }
+      if (err instanceof ConflictError) {
+        return res.status(409).json({ error: 'Version conflict' });
+      }
+      console.error('Failed to reject task', err);
+      logger.error('TASK_REJECT_FAILED', { data: { id: req.params.id, error: err.message } });
+      res.status(500).json({ error: 'Failed to reject task' });
     }
   });
 
@@ -273,9 +2115,32 @@ async function createService() {
     }
 
     try {
+      // Held tasks only leave awaiting_approval through approve/reject/cancel, which also
+      // re-validate payload edits, and nothing may put a task back into it. The patch is bound
+      // to the version these checks saw.
+      const current = await getTask(req.params.id);
+      if (!current) {
+        return res.status(404).json({ error: 'Task not found' });
+      }
+      if (current.version !== ifVersion) {
+        throw new ConflictError('Task version conflict');
+      }
+      if (status !== undefined && status !== current.status && (current.status === APPROVAL_STATUS || status === APPROVAL_STATUS)) {
+        return res.status(409).json({
+          error: 'Tasks awaiting approval change status only through approve, reject or cancel',
+          status: current.status
+        });
+      }
+      if (payload !== undefined && current.status === APPROVAL_STATUS) {
+        return res.status(409).json({
+          error: 'Edit the payload of a task awaiting approval through POST /task/:id/approve',
+          status: current.status
+        });
+      }
+
       const { task, event: persistedEvent } = await applyTaskPatch({
         id: req.params.id,
-        ifVersion,
+        ifVersion: current.version,
         patch,
         event: buildPatchEvent({ patch, actor: deriveActor(req) })
       });
@@ -326,8 +2191,14 @@ async function createService() {
           scope_group: token.scope_group,
           scopes: token.scopes || [],
           has_token: !!token.access_token,
+          has_refresh_token: !!token.refresh_token,
           expires_at: token.expires_at,
-          is_expired: token.expires_at ? new Date(token.expires_at) < new Date() : false
+          is_expired: token.expires_at ? new Date(token.expires_at) < new Date() : false,
+          status: token.status,
+          last_refreshed_at: token.last_refreshed_at,
+          refresh_failed_at: token.refresh_failed_at,
+          refresh_error: token.refresh_error,
+          refresh_failures: token.refresh_failures
         }))
       });
     } catch (err) {
@@ -336,6 +2207,45 @@ async function createService() {
     }
   });
 
+  // Token broker for agents: hands out a Google access token (refreshed first when it is close to
+  // expiry) to internal-key callers only, so agents never hold the refresh token.
+  app.get('/oauth/google/token', async (req, res) => {
+    if (req.auth.strategy !== 'internal') {
+      return res.status(403).json({ error: 'Google tokens are only issued to internal callers' });
+    }
+    const scope_group = req.query.scope_group;
+    if (!scope_group) {
+      return res.status(400).json({ error: 'scope_group is required' });
+    }
+
+    try {
+      const result = await getFreshGoogleToken(scope_group, { logger, audit });
+      if (result.error === 'not_found') {
+        return res.status(404).json({ error: `No Google authorization for ${scope_group}` });
+      }
+      if (result.error === 'invalid') {
+        return res.status(409).json({
+          error: `Google authorization for ${scope_group} was revoked; re-authorize it`,
+          refresh_error: result.row.refresh_error
+        });
+      }
+      if (result.error === 'expired') {
+        return res.status(502).json({
+          error: `Google token for ${scope_group} is expired and could not be refreshed`,
+          refresh_error: result.row.refresh_error
+        });
+      }
+
+      logger.info('OAUTH_TOKEN_BROKERED', { data: { provider: 'google', scope_group, expires_at: result.token.expires_at } });
+      res.set('Cache-Control', 'no-store');
+      res.json(result.token);
+    } catch (err) {
+      console.error('Failed to broker Google token', err);
+      logger.error('OAUTH_TOKEN_BROKER_FAILED', { data: { scope_group, error: err.message } });
+      res.status(500).json({ error: 'Failed to issue Google token' });
+    }
+  });
+
   app.get('/oauth/google/authorize', async (req, res) => {
     try {
       const scope_group = req.query.scope_group || 'gmail';
@@ -345,7 +2255,8 @@ async function createService() {
       const stateKey = `oauth_state:${state}`;
       await pool.query(
         'INSERT INTO oauth_tokens (provider, scope_group, user_identifier, encrypted_access_token, metadata) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (provider, scope_group, user_identifier) DO UPDATE SET metadata = $5, updated_at = NOW()',
-        ['google', 'state', state, 'pending', { expires_at: new Date(Date.now() + 10 * 60 * 1000) }] // 10 min expiry
+        // 10 min expiry; requested_by lets the callback attribute the grant in the audit log
+        ['google', 'state', state, 'pending', { expires_at: new Date(Date.now() + 10 * 60 * 1000), requested_by: deriveActor(req) }]
       );
 
       const scopes = getScopesForGroup(scope_group);
@@ -370,6 +2281,13 @@ async function createService() {
         }
       });
 
+      audit.record({
+        req,
+        action: 'oauth.authorize_requested',
+        target: { type: 'oauth_grant', id: `google:${scope_group}` },
+        after: { scope_group, scopes }
+      });
+
       res.json({ auth_url: authUrl });
     } catch (err) {
       logger.error('OAUTH_AUTHORIZE_ERROR', { data: { error: err.message } });
@@ -446,10 +2364,14 @@ async function createService() {
          ON CONFLICT (provider, scope_group, user_identifier)
          DO UPDATE SET
            encrypted_access_token = $4,
-           encrypted_refresh_token = $5,
+           encrypted_refresh_token = COALESCE($5, oauth_tokens.encrypted_refresh_token),
            expires_at = $6,
            scopes = $7,
            metadata = $8,
+           status = 'active',
+           refresh_failed_at = NULL,
+           refresh_error = NULL,
+           refresh_failures = 0,
            updated_at = NOW()`,
         [
           'google',
@@ -477,6 +2399,17 @@ async function createService() {
           expires_at: expiresAt
         }
       });
+      audit.record({
+        req,
+        actor: stateResult.rows[0].metadata?.requested_by,
+        action: 'oauth.granted',
+        target: { type: 'oauth_grant', id: `google:${scope_group}` },
+        after: {
+          scopes: tokens.scope ? tokens.scope.split(' ') : getScopesForGroup(scope_group),
+          expires_at: expiresAt,
+          has_refresh_token: Boolean(tokens.refresh_token)
+        }
+      });
 
       res.send(`
         <html>
@@ -529,7 +2462,7 @@ async function createService() {
       const { scope_group } = req.params;
 
       const result = await pool.query(
-        'DELETE FROM oauth_tokens WHERE provider = $1 AND scope_group = $2 AND user_identifier = $3',
+        'DELETE FROM oauth_tokens WHERE provider = $1 AND scope_group = $2 AND user_identifier = $3 RETURNING scopes, expires_at',
         ['google', scope_group, 'default']
       );
 
@@ -540,6 +2473,13 @@ async function createService() {
           deleted_count: result.rowCount
         }
       });
+      audit.record({
+        req,
+        action: 'oauth.revoked',
+        target: { type: 'oauth_grant', id: `google:${scope_group}` },
+        before: result.rows[0] || null,
+        metadata: { deleted_count: result.rowCount }
+      });
 
       res.json({
         success: true,
@@ -566,6 +2506,12 @@ async function createService() {
 
       if (checkResult.rows.length > 0) {
         logger.info('ADMIN_OAUTH_MIGRATION_ALREADY_EXISTS');
+        audit.record({
+          req,
+          action: 'admin.oauth_migration_applied',
+          target: { type: 'table', id: 'oauth_tokens' },
+          metadata: { outcome: 'already_exists' }
+        });
         return res.json({
           success: true,
           message: 'oauth_tokens table already exists',
@@ -589,6 +2535,11 @@ async function createService() {
             expires_at TIMESTAMPTZ,
             scopes TEXT[], -- actual granted scopes
             metadata JSONB,
+            status TEXT NOT NULL DEFAULT 'active', -- 'invalid' once Google rejects the refresh token
+            last_refreshed_at TIMESTAMPTZ,
+            refresh_failed_at TIMESTAMPTZ,
+            refresh_error TEXT,
+            refresh_failures INTEGER NOT NULL DEFAULT 0,
             created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
             updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
             UNIQUE(provider, scope_group, user_identifier)
@@ -608,6 +2559,12 @@ async function createService() {
       await pool.query(migrationSQL);
 
       logger.info('ADMIN_OAUTH_MIGRATION_APPLIED');
+      audit.record({
+        req,
+        action: 'admin.oauth_migration_applied',
+        target: { type: 'table', id: 'oauth_tokens' },
+        metadata: { outcome: 'created' }
+      });
 
       // Verify table creation
       const verifyResult = await pool.query(`
@@ -624,22 +2581,600 @@ async function createService() {
       });
 
     } catch (err) {
-      logger.error('ADMIN_OAUTH_MIGRATION_ERROR', { data: { error: err.message, stack: err.stack } });
-      res.status(500).json({
-        error: 'Failed to apply OAuth migration',
-        details: err.message
-      });
+      logger.error('ADMIN_OAUTH_MIGRATION_ERROR', { data: { error: err.message, stack: err.stack } });
+      res.status(500).json({
+        error: 'Failed to apply OAuth migration',
+        details: err.message
+      });
+    }
+  });
+
+  // Re-encrypts OAuth tokens and agent secrets with the primary key (OAUTH_ENCRYPTION_KEY_ID).
+  // `{ "dryRun": true }` only reports which keys the stored values use.
+  app.post('/admin/rotate-encryption-keys', async (req, res) => {
+    const { dryRun = false, batchSize } = req.body || {};
+    if (typeof dryRun !== 'boolean') {
+      return res.status(422).json({
+        error: 'Invalid rotation request',
+        details: [{ field: 'dryRun', message: 'must be boolean', keyword: 'type' }]
+      });
+    }
+
+    try {
+      const result = await rotateEncryptionKeys({ dryRun, batchSize, logger });
+      if (!dryRun) {
+        audit.record({
+          req,
+          action: 'admin.encryption_keys_rotated',
+          target: { type: 'encryption_key', id: result.primaryKeyId },
+          metadata: { summary: result.summary, keyIds: result.keyIds }
+        });
+      }
+      res.json(result);
+    } catch (err) {
+      console.error('Failed to rotate encryption keys', err);
+      logger.error('ENCRYPTION_ROTATION_FAILED', { data: { dryRun, error: err.message } });
+      res.status(500).json({ error: 'Failed to rotate encryption keys', details: err.message });
+    }
+  });
+
+  startLogForwarder({ logger, wsHub, loggingUrl: process.env.LOGGING_URL });
+  const oauthRefresher = isOAuthClientConfigured() ? startGoogleTokenRefresher({ logger, audit }) : null;
+
+  return {
+    app,
+    server,
+    wsHub,
+    logger,
+    taskWorker,
+    scheduler,
+    timeoutSweeper,
+    workflowEngine,
+    campaignEngine,
+    webhookDispatcher,
+    agentRegistryListener,
+    oauthRefresher
+  };
+}
+
+// Shared entry point for anything that enqueues a task (HTTP, scheduler, outreach hops):
+// resolves the agent, persists the row plus its creation events, and wakes the worker.
+async function submitTask(
+  {
+    type,
+    payload,
+    source,
+    correlationId,
+    agentSlug,
+    actor,
+    runAt,
+    origin,
+    outreach,
+    parentTaskId,
+    requireApproval,
+    priority,
+    campaignId,
+    rerunOf,
+    idempotencyKey
+  },
+  { wsHub, logger, taskWorker, client }
+) {
+  const { handler, reason } = await assignAgent({ type, agentSlug }, { logger });
+  assertValidPayload(handler, { type, payload }, { logger });
+  const agentDescriptor = buildAgentDescriptor(handler);
+  const approval = resolveApproval({ type, requireApproval });
+
+  const { task, event, assignmentEvent, approvalEvent } = await createTask({
+    type,
+    payload: payload ?? {},
+    source,
+    correlationId,
+    traceId: uuidv4(),
+    actor,
+    agent: agentDescriptor,
+    assignmentReason: reason,
+    availableAt: runAt || null,
+    origin,
+    outreach,
+    parentTaskId,
+    approval,
+    priority,
+    campaignId,
+    rerunOf,
+    idempotencyKey
+  }, { client });
+
+  logger.info('TASK_RECEIVED', {
+    data: {
+      id: task.id,
+      type,
+      source,
+      correlationId: correlationId || null,
+      agent: agentDescriptor.slug || null,
+      channel: agentDescriptor.channel || null,
+      runAt: runAt || null,
+      priority: task.priority
+    }
+  });
+  if (event) {
+    logger.taskEvent({
+      taskId: task.id,
+      actor: event.actor,
+      kind: event.kind,
+      data: event.data,
+      traceId: task.trace_id,
+      correlationId: task.correlation_id
+    });
+  }
+  if (assignmentEvent) {
+    logger.taskEvent({
+      taskId: task.id,
+      actor: assignmentEvent.actor,
+      kind: assignmentEvent.kind,
+      data: assignmentEvent.data,
+      traceId: assignmentEvent.trace_id,
+      correlationId: assignmentEvent.correlation_id
+    });
+  }
+  if (approvalEvent) {
+    logger.taskEvent({
+      taskId: task.id,
+      actor: approvalEvent.actor,
+      kind: approvalEvent.kind,
+      data: approvalEvent.data,
+      traceId: task.trace_id,
+      correlationId: task.correlation_id
+    });
+    logger.info('TASK_AWAITING_APPROVAL', {
+      data: { id: task.id, type, reason: approval.reason, agent: agentDescriptor.slug || null },
+      traceId: task.trace_id,
+      correlationId: task.correlation_id
+    });
+  }
+
+  // Inside a caller's transaction the task is not visible yet; the caller announces it after COMMIT.
+  if (!client) {
+    wsHub.broadcast('TASK_UPDATE', { task });
+
+    // Tasks spawned from inside the worker (outreach hops) have no worker handle; polling picks them up.
+    taskWorker?.nudge();
+  }
+
+  return { task, event, assignmentEvent };
+}
+
+// Announces tasks that submitTask created inside a caller's transaction, once it has committed.
+function announceTasks(tasks, { wsHub, taskWorker }) {
+  tasks.forEach((task) => wsHub.broadcast('TASK_UPDATE', { task }));
+  if (tasks.length) {
+    taskWorker?.nudge();
+  }
+}
+
+// Wraps the WebSocket hub so every TASK_UPDATE broadcast is also offered to `onTask`.
+function tapTaskUpdates(hub, onTask) {
+  return {
+    ...hub,
+    broadcast(type, data) {
+      hub.broadcast(type, data);
+      if (type === 'TASK_UPDATE' && data?.task) {
+        onTask(data.task);
+      }
+    }
+  };
+}
+
+// Status changes reach the webhook outbox through a trigger on `tasks`; the broadcast only
+// saves the dispatcher from waiting out its poll interval.
+function notifyTaskWebhooks({ webhookDispatcher }) {
+  if (webhookDispatcher.hasSubscribers()) {
+    webhookDispatcher.nudge();
+  }
+}
+
+async function getClaimLimits() {
+  if (!handlerRegistry) {
+    handlerRegistry = await HandlerRegistry.build();
+  }
+  return buildClaimLimits(handlerRegistry.list());
+}
+
+// Picks the agent for a new task: an explicit agentSlug wins, otherwise the type's routing
+// strategy chooses among its candidates. With `route: false` the preferred agent is returned
+// without touching routing state (used when only the payload schema matters).
+async function assignAgent({ type, agentSlug }, { logger, route = true }) {
+  if (!handlerRegistry) {
+    handlerRegistry = await HandlerRegistry.build();
+  }
+  if (agentSlug && typeof agentSlug === 'string') {
+    const bySlug = handlerRegistry.getBySlug(agentSlug);
+    if (bySlug && Array.isArray(bySlug.taskTypes) && bySlug.taskTypes.includes(type)) {
+      return { handler: bySlug, reason: { strategy: 'explicit' } };
+    }
+  }
+
+  let candidates = handlerRegistry.candidates(type);
+  if (!candidates.length) {
+    handlerRegistry = await HandlerRegistry.build();
+    candidates = handlerRegistry.candidates(type);
+  }
+
+  let assignment = null;
+  if (candidates.length && route) {
+    const unavailable = await listUnavailableAgentSlugs().catch((err) => {
+      console.error('Failed to load agent health for routing', err);
+      return [];
+    });
+    const exclude = candidates.map((handler) => handler.slug).filter((slug) => unavailable.includes(slug));
+    if (exclude.length) {
+      assignment = await routeTask(candidates, { taskType: type, exclude });
+    }
+    // Every candidate is down: assign anyway and let dispatch hold the task until one recovers.
+    assignment = assignment || await routeTask(candidates, { taskType: type });
+  } else if (candidates.length) {
+    assignment = { handler: handlerRegistry.resolve(type), reason: null };
+  }
+  if (!assignment) {
+    logger.warn('TASK_TYPE_UNSUPPORTED', { data: { type } });
+    throw new TaskValidationError(`Unsupported task type: ${type}`);
+  }
+  return assignment;
+}
+
+// Priority routing fails over on retryable errors: the retry goes to the next agent by
+// priority that has not failed this task yet. Pinned (explicitly requested) agents stay put.
+async function planFailover(task, agent) {
+  if (!agent || task.agent_pinned || getRoutingStrategy(task.type) !== 'priority') return null;
+  if (!handlerRegistry) {
+    handlerRegistry = await HandlerRegistry.build();
+  }
+
+  const previous = Array.isArray(task.error?.failedAgents) ? task.error.failedAgents : [];
+  const failedAgents = Array.from(new Set([...previous, agent.slug]));
+  const unavailable = await listUnavailableAgentSlugs();
+  const routed = await routeTask(handlerRegistry.candidates(task.type), {
+    taskType: task.type,
+    exclude: Array.from(new Set([...failedAgents, ...unavailable]))
+  });
+  if (!routed) return null;
+  return { handler: routed.handler, failedAgents, reason: { ...routed.reason, failoverFrom: agent.slug } };
+}
+
+// Rejects payloads that do not match the schema the resolved agent publishes for the type.
+function assertValidPayload(handler, { type, payload }, { logger }) {
+  const { valid, errors } = validateTaskPayload(handler, type, payload ?? {});
+  if (valid) return;
+  logger.warn('TASK_PAYLOAD_INVALID', { data: { type, agent: handler.slug, errors } });
+  throw new TaskValidationError(`Payload failed validation for ${type}`, { details: errors });
+}
+
+async function applyAgentOutcome({ task, outcome, actor }, { wsHub, logger }) {
+  const status = OUTCOME_STATUS[outcome.status];
+  const agent = { slug: task.agent_slug, channel: task.agent_channel };
+
+  let patch;
+  let event;
+  if (status === 'done') {
+    const agentResult = buildAgentResult(agent, outcome.result ?? null, {
+      status: 'completed',
+      ack: task.result?.ack || null
+    });
+    patch = { status, result: agentResult };
+    event = { actor, kind: 'result', data: { outcome: outcome.status, preview: previewResult(agentResult) } };
+  } else {
+    const failure = {
+      message: outcome.error?.message || `Agent reported ${outcome.status}`,
+      outcome: outcome.status,
+      details: outcome.error || null
+    };
+    patch = { status, error: failure };
+    event = { actor, kind: 'error', data: failure };
+  }
+
+  const { task: settled, event: persistedEvent } = await applyTaskPatch({
+    id: task.id,
+    ifVersion: task.version,
+    patch,
+    event
+  });
+
+  wsHub.broadcast('TASK_UPDATE', { task: settled });
+  if (persistedEvent) {
+    logger.taskEvent({
+      taskId: settled.id,
+      actor: persistedEvent.actor,
+      kind: persistedEvent.kind,
+      data: persistedEvent.data,
+      traceId: settled.trace_id,
+      correlationId: settled.correlation_id
+    });
+  }
+  const logMeta = {
+    data: { id: settled.id, type: settled.type, agent: agent.slug, outcome: outcome.status, via: 'callback' },
+    traceId: settled.trace_id,
+    correlationId: settled.correlation_id
+  };
+  if (status === 'done') {
+    logger.info('TASK_COMPLETED', logMeta);
+  } else {
+    logger.error('TASK_FAILED', logMeta);
+  }
+  await handleTaskSettled(settled, { wsHub, logger });
+
+  return settled;
+}
+
+// Releases a task held for sign-off into the queue, optionally with an edited payload
+// (re-validated against the agent's schema). The approver is recorded on the event.
+async function approveTask({ taskId, actor, payload, note }, { wsHub, logger, taskWorker }) {
+  const current = await getTask(taskId);
+  if (!current) return null;
+  if (current.status !== APPROVAL_STATUS) {
+    throw new TaskStateError(`Task in status ${current.status} is not awaiting approval`, {
+      currentStatus: current.status
+    });
+  }
+
+  const payloadEdited = payload !== undefined && !isDeepStrictEqual(payload, current.payload);
+  if (payloadEdited) {
+    const handler = await resolveHandlerForExistingTask(current);
+    if (handler) {
+      assertValidPayload(handler, { type: current.type, payload }, { logger });
+    }
+  }
+
+  const { task, event } = await applyTaskPatch({
+    id: current.id,
+    ifVersion: current.version,
+    patch: { status: 'queued', ...(payloadEdited ? { payload } : {}) },
+    event: {
+      actor,
+      kind: 'approved',
+      data: {
+        approver: actor,
+        note: note || null,
+        payloadEdited,
+        ...(payloadEdited ? { previousPayload: current.payload } : {})
+      }
+    }
+  });
+
+  wsHub.broadcast('TASK_UPDATE', { task });
+  if (event) {
+    logger.taskEvent({
+      taskId: task.id,
+      actor: event.actor,
+      kind: event.kind,
+      data: event.data,
+      traceId: task.trace_id,
+      correlationId: task.correlation_id
+    });
+  }
+  logger.info('TASK_APPROVED', {
+    data: { id: task.id, type: task.type, approver: actor, payloadEdited },
+    traceId: task.trace_id,
+    correlationId: task.correlation_id
+  });
+  taskWorker?.nudge();
+
+  return task;
+}
+
+// A re-run clones a settled task into a new one with the same type, source, correlation id,
+// and priority (and agent, when the original was pinned), optionally with a new payload.
+// The original keeps its history and gains a `rerun` event pointing at the clone.
+async function rerunTask({ taskId, payload, actor }, { wsHub, logger, taskWorker }) {
+  const original = await getTask(taskId);
+  if (!original) return null;
+  if (!SETTLED_STATUSES.includes(original.status)) {
+    throw new TaskStateError(`Task in status ${original.status} cannot be re-run`, {
+      currentStatus: original.status
+    });
+  }
+
+  const payloadOverridden = payload !== undefined && !isDeepStrictEqual(payload, original.payload);
+  // A task that was held for sign-off (including one that was rejected) is held again.
+  const requireApproval = await hasTaskEvent(original.id, 'approval_requested');
+  const { task } = await submitTask(
+    {
+      type: original.type,
+      payload: payloadOverridden ? payload : original.payload,
+      source: original.source,
+      correlationId: original.correlation_id,
+      agentSlug: original.agent_pinned ? original.agent_slug : undefined,
+      actor,
+      origin: { rerunOf: original.id, payloadOverridden },
+      priority: original.priority,
+      requireApproval,
+      rerunOf: original.id
+    },
+    { wsHub, logger, taskWorker }
+  );
+
+  const event = await recordTaskEvent({
+    taskId: original.id,
+    actor,
+    kind: 'rerun',
+    data: { rerunTaskId: task.id, payloadOverridden },
+    correlationId: original.correlation_id,
+    traceId: original.trace_id
+  });
+  logger.taskEvent({
+    taskId: original.id,
+    actor: event.actor,
+    kind: event.kind,
+    data: event.data,
+    traceId: original.trace_id,
+    correlationId: original.correlation_id
+  });
+  logger.info('TASK_RERUN', {
+    data: { id: original.id, rerunTaskId: task.id, type: original.type, from: original.status, payloadOverridden },
+    traceId: task.trace_id,
+    correlationId: task.correlation_id
+  });
+
+  return { task, original };
+}
+
+// Rejected tasks settle as cancelled without ever reaching the agent.
+async function rejectTask({ taskId, actor, reason }, { wsHub, logger }) {
+  const current = await getTask(taskId);
+  if (!current) return null;
+  if (current.status !== APPROVAL_STATUS) {
+    throw new TaskStateError(`Task in status ${current.status} is not awaiting approval`, {
+      currentStatus: current.status
+    });
+  }
+
+  const { task, event } = await applyTaskPatch({
+    id: current.id,
+    ifVersion: current.version,
+    patch: {
+      status: 'cancelled',
+      error: { message: `Rejected by ${actor}`, reason, rejectedBy: actor }
+    },
+    event: {
+      actor,
+      kind: 'rejected',
+      data: { approver: actor, reason }
+    }
+  });
+
+  wsHub.broadcast('TASK_UPDATE', { task });
+  if (event) {
+    logger.taskEvent({
+      taskId: task.id,
+      actor: event.actor,
+      kind: event.kind,
+      data: event.data,
+      traceId: task.trace_id,
+      correlationId: task.correlation_id
+    });
+  }
+  logger.info('TASK_REJECTED', {
+    data: { id: task.id, type: task.type, approver: actor, reason },
+    traceId: task.trace_id,
+    correlationId: task.correlation_id
+  });
+  await handleTaskSettled(task, { wsHub, logger });
+
+  return task;
+}
+
+// Queued and held tasks are cancelled in place. Running/deferred tasks first go through the
+// handler's cancel hook so the agent can stop real-world work (hang up a call, etc.).
+// The worker may move the task concurrently, so the final patch re-reads on conflict.
+async function cancelTask({ taskId, reason, actor }, { wsHub, logger }) {
+  let current = await getTask(taskId);
+  if (!current) return null;
+
+  let agentOutcome = null;
+  let agentNotifiedFor = null;
+
+  for (let attempt = 1; attempt <= CANCEL_PATCH_ATTEMPTS; attempt += 1) {
+    if (!CANCELLABLE_STATUSES.includes(current.status)) {
+      throw new TaskStateError(`Task in status ${current.status} cannot be cancelled`, {
+        currentStatus: current.status
+      });
+    }
+
+    if (current.status === 'running' && agentNotifiedFor !== current.status) {
+      agentOutcome = await notifyAgentOfCancel({ task: current, reason, actor }, { logger });
+      agentNotifiedFor = current.status;
+    }
+
+    try {
+      const { task, event } = await applyTaskPatch({
+        id: current.id,
+        ifVersion: current.version,
+        patch: { status: 'cancelled' },
+        event: {
+          actor,
+          kind: 'cancelled',
+          data: { from: current.status, reason, agent: agentOutcome }
+        }
+      });
+
+      wsHub.broadcast('TASK_UPDATE', { task });
+      if (event) {
+        logger.taskEvent({
+          taskId: task.id,
+          actor: event.actor,
+          kind: event.kind,
+          data: event.data,
+          traceId: task.trace_id,
+          correlationId: task.correlation_id
+        });
+      }
+      logger.info('TASK_CANCELLED', {
+        data: { id: task.id, type: task.type, from: current.status, reason, agentNotified: Boolean(agentOutcome?.notified) },
+        traceId: task.trace_id,
+        correlationId: task.correlation_id
+      });
+      await handleTaskSettled(task, { wsHub, logger });
+
+      return { task, agent: agentOutcome };
+    } catch (err) {
+      if (!(err instanceof ConflictError) || attempt === CANCEL_PATCH_ATTEMPTS) {
+        throw err;
+      }
+      current = await getTask(taskId);
+      if (!current) return null;
     }
-  });
+  }
 
-  startLogForwarder({ logger, wsHub, loggingUrl: process.env.LOGGING_URL });
+  return null;
+}
+
+async function notifyAgentOfCancel({ task, reason, actor }, { logger }) {
+  const handler = await resolveHandlerForExistingTask(task);
+  if (!handler || typeof handler.cancel !== 'function') {
+    return { notified: false, reason: 'no_cancel_hook' };
+  }
 
-  return { app, server, wsHub, logger };
+  try {
+    const outcome = await handler.cancel({ task, reason, logger });
+    return outcome && typeof outcome === 'object' ? outcome : { notified: true };
+  } catch (err) {
+    const error = err instanceof DispatchError
+      ? err
+      : new DispatchError(err.message, { cause: err });
+    const event = await recordTaskEvent({
+      taskId: task.id,
+      actor,
+      kind: 'cancel_failed',
+      data: { agent: handler.slug, message: error.message, status: error.status ?? null },
+      correlationId: task.correlation_id,
+      traceId: task.trace_id
+    });
+    logger.taskEvent({
+      taskId: task.id,
+      actor: event.actor,
+      kind: event.kind,
+      data: event.data,
+      traceId: task.trace_id,
+      correlationId: task.correlation_id
+    });
+    logger.error('TASK_CANCEL_AGENT_FAILED', {
+      data: { id: task.id, type: task.type, agent: handler.slug, error: error.message },
+      traceId: task.trace_id,
+      correlationId: task.correlation_id
+    });
+    throw error;
+  }
 }
 
-function deriveActor(req) {
-  if (req.authUser === 'internal') return 'internal';
-  return `human:${req.authUser || 'unknown'}`;
+function validateScheduleTiming({ cron, timezone }) {
+  if (typeof timezone !== 'string' || !isValidTimeZone(timezone)) {
+    return `Unknown time zone: ${timezone}`;
+  }
+  try {
+    nextCronOccurrence(cron, { timeZone: timezone });
+  } catch (err) {
+    if (err instanceof CronError) return err.message;
+    throw err;
+  }
+  return null;
 }
 
 function buildPatchEvent({ patch, actor }) {
@@ -797,6 +3332,28 @@ function buildAgentDescriptor(handler, fallback = {}) {
   };
 }
 
+// Publishes every routable task type with the payload schema clients should build forms from.
+function describeTaskTypes(registry) {
+  const byType = new Map();
+  registry.list().forEach((handler) => {
+    handler.taskTypes.forEach((type) => {
+      if (!byType.has(type)) {
+        byType.set(type, { type, schema: null, agents: [] });
+      }
+      const entry = byType.get(type);
+      entry.agents.push({
+        slug: handler.slug,
+        displayName: handler.displayName || handler.slug,
+        channel: handler.channel || null
+      });
+    });
+  });
+
+  return Array.from(byType.values())
+    .map((entry) => ({ ...entry, schema: getPayloadSchema(registry.resolve(entry.type), entry.type) }))
+    .sort((a, b) => a.type.localeCompare(b.type));
+}
+
 function formatAgentMeta(task) {
   if (!task) return null;
   const meta = {
@@ -811,18 +3368,29 @@ function formatAgentMeta(task) {
   return meta;
 }
 
-async function processTask(task, { wsHub, logger }) {
+async function processTask(claimedTask, { wsHub, logger }) {
+  const task = await gateDispatch(claimedTask, { wsHub, logger });
+  if (!task) return;
   let runningTask = task;
   let agent = null;
+  let timeouts = null;
   try {
+    const handler = await resolveHandlerForExistingTask(task);
+    if (!handler) {
+      throw new Error(`UNSUPPORTED_TYPE:${task.type}`);
+    }
+    agent = handler;
+    timeouts = getTaskTimeouts(handler, task.type);
+
+    const attempt = (task.attempts || 0) + 1;
     const runningResult = await applyTaskPatch({
       id: task.id,
       ifVersion: task.version,
-      patch: { status: 'running' },
+      patch: { status: 'running', attempts: attempt, deadlineAt: computeDeadline(timeouts) },
       event: {
         actor: 'orchestrator',
         kind: 'status_change',
-        data: { from: 'queued', to: 'running' }
+        data: { from: 'queued', to: 'running', attempt }
       }
     });
     runningTask = runningResult.task;
@@ -838,12 +3406,6 @@ async function processTask(task, { wsHub, logger }) {
       });
     }
 
-    const handler = await resolveHandlerForExistingTask(runningTask);
-    if (!handler) {
-      throw new Error(`UNSUPPORTED_TYPE:${task.type}`);
-    }
-    agent = handler;
-
     logger.info('TASK_RUNNING', {
       data: {
         id: task.id,
@@ -857,18 +3419,28 @@ async function processTask(task, { wsHub, logger }) {
 
     let agentResponse;
     if (handler.mode === 'inline' && typeof handler.execute === 'function') {
-      agentResponse = await handler.execute({ task: runningTask, logger });
+      agentResponse = await handler.execute({
+        task: runningTask,
+        logger,
+        registry: handlerRegistry,
+        spawnTask: (spec, client) => submitTask(spec, { wsHub, logger, client }),
+        announceTasks: (tasks) => announceTasks(tasks, { wsHub })
+      });
     } else if (typeof handler.dispatch === 'function') {
-      agentResponse = await handler.dispatch({
+      const callback = await issueCallbackCredentials(runningTask);
+      agentResponse = await withDispatchTimeout((signal) => handler.dispatch({
         task: runningTask,
         logger,
+        callback,
+        signal,
         emitTaskEvent: (event) => emitAgentEvent({
           logger,
           baseTask: runningTask,
           agent: handler,
           event
         })
-      });
+      }), { timeoutMs: timeouts.dispatchMs, slug: handler.slug });
+      await noteDispatchOutcome(handler, null, { logger });
     } else {
       throw new Error(`Agent for ${task.type} does not implement execute/dispatch`);
     }
@@ -949,27 +3521,68 @@ async function processTask(task, { wsHub, logger }) {
         correlationId: completedTask.correlation_id
       });
     }
+    await handleTaskSettled(completedTask, { wsHub, logger });
   } catch (err) {
+    if (err instanceof ConflictError) {
+      const settledStatus = await getSettledStatus(task.id);
+      if (settledStatus) {
+        logger.info('TASK_SETTLED_IN_FLIGHT', {
+          data: { id: task.id, type: task.type, agent: agent?.slug || null, status: settledStatus },
+          traceId: task.trace_id,
+          correlationId: task.correlation_id
+        });
+        return;
+      }
+    }
+
     console.error('Task processing failed', err);
-    logger.error('TASK_FAILED', {
-      data: { id: task.id, type: task.type, agent: agent?.slug || null, error: err.message },
+    if (agent && typeof agent.dispatch === 'function' && isRetryableError(agent.retryPolicy || normalizeRetryPolicy(), err)) {
+      await noteDispatchOutcome(agent, err, { logger });
+    }
+    const failure = err instanceof TaskTimeoutError
+      ? buildTimeoutOutcome({ err, agent, task: runningTask || task, timeouts: timeouts || getTaskTimeouts(agent, task.type) })
+      : buildFailureOutcome({ err, agent, task: runningTask || task });
+    let failover = null;
+    if (failure.patch.status === 'queued') {
+      failover = await planFailover(runningTask || task, agent).catch((planErr) => {
+        console.error('Failed to plan agent failover', planErr);
+        return null;
+      });
+    }
+    if (failover) {
+      failure.patch.agent = buildAgentDescriptor(failover.handler);
+      failure.patch.availableAt = null;
+      failure.patch.error = { ...failure.patch.error, failedAgents: failover.failedAgents };
+      failure.event.data = {
+        ...failure.event.data,
+        delayMs: 0,
+        nextAttemptAt: null,
+        failoverTo: failover.handler.slug
+      };
+    }
+    const logMeta = {
+      data: { id: task.id, type: task.type, agent: agent?.slug || null, ...failure.event.data },
       traceId: task.trace_id,
       correlationId: task.correlation_id
-    });
+    };
+    if (err instanceof TaskTimeoutError) {
+      logger.warn('TASK_TIMED_OUT', logMeta);
+    }
+    if (failure.patch.status === 'queued') {
+      logger.warn('TASK_RETRY_SCHEDULED', logMeta);
+    } else if (failure.patch.status === 'dead_letter') {
+      logger.error('TASK_DEAD_LETTERED', logMeta);
+    } else {
+      logger.error('TASK_FAILED', logMeta);
+    }
+
     const latestVersion = runningTask?.version ?? task.version;
     try {
       const erroredResult = await applyTaskPatch({
         id: task.id,
         ifVersion: latestVersion,
-        patch: {
-          status: 'error',
-          error: { message: err.message }
-        },
-        event: {
-          actor: 'orchestrator',
-          kind: 'error',
-          data: { message: err.message }
-        }
+        patch: failure.patch,
+        event: failure.event
       });
       const erroredTask = erroredResult.task;
       wsHub.broadcast('TASK_UPDATE', { task: erroredTask });
@@ -983,6 +3596,26 @@ async function processTask(task, { wsHub, logger }) {
           correlationId: erroredTask.correlation_id
         });
       }
+      await handleTaskSettled(erroredTask, { wsHub, logger });
+      if (failover) {
+        const assignmentEvent = await recordAgentAssignmentEvent({
+          taskId: erroredTask.id,
+          agent: failure.patch.agent,
+          reason: failover.reason,
+          correlationId: erroredTask.correlation_id,
+          traceId: erroredTask.trace_id
+        });
+        if (assignmentEvent) {
+          logger.taskEvent({
+            taskId: erroredTask.id,
+            actor: assignmentEvent.actor,
+            kind: assignmentEvent.kind,
+            data: assignmentEvent.data,
+            traceId: erroredTask.trace_id,
+            correlationId: erroredTask.correlation_id
+          });
+        }
+      }
     } catch (patchErr) {
       console.error('Failed to mark task as error', patchErr);
       logger.error('TASK_ERROR_PATCH_FAILED', {
@@ -992,6 +3625,425 @@ async function processTask(task, { wsHub, logger }) {
   }
 }
 
+// Runs before a claimed task is marked running. When its agent is down (open circuit or
+// missed heartbeats) the task is rerouted to a healthy candidate, or, if it is pinned or no
+// candidate is left, held in the queue until the agent may be tried again. Returns the task
+// to process, or null when it was parked. Health lookups fail open.
+async function gateDispatch(task, { wsHub, logger }) {
+  let handler = null;
+  let verdict = null;
+  try {
+    handler = await resolveHandlerForExistingTask(task);
+    if (!handler || typeof handler.dispatch !== 'function') return task;
+    verdict = await acquireDispatch(handler.slug);
+  } catch (err) {
+    console.error('Failed to check agent health', err);
+    return task;
+  }
+  if (verdict.allowed) return task;
+
+  const logMeta = { traceId: task.trace_id, correlationId: task.correlation_id };
+  try {
+    let rerouted = null;
+    if (!task.agent_pinned) {
+      const unavailable = await listUnavailableAgentSlugs();
+      rerouted = await routeTask(handlerRegistry.candidates(task.type), {
+        taskType: task.type,
+        exclude: Array.from(new Set([...unavailable, handler.slug]))
+      });
+    }
+
+    if (rerouted) {
+      const agent = buildAgentDescriptor(rerouted.handler);
+      const { task: reroutedTask } = await applyTaskPatch({
+        id: task.id,
+        ifVersion: task.version,
+        patch: { agent, availableAt: null }
+      });
+      const assignmentEvent = await recordAgentAssignmentEvent({
+        taskId: reroutedTask.id,
+        agent,
+        reason: { ...rerouted.reason, reroutedFrom: handler.slug, cause: verdict.reason },
+        correlationId: reroutedTask.correlation_id,
+        traceId: reroutedTask.trace_id
+      });
+      wsHub.broadcast('TASK_UPDATE', { task: reroutedTask });
+      logger.warn('TASK_REROUTED', {
+        data: { id: task.id, type: task.type, from: handler.slug, to: agent.slug, cause: verdict.reason },
+        ...logMeta
+      });
+      if (assignmentEvent) {
+        logger.taskEvent({
+          taskId: reroutedTask.id,
+          actor: assignmentEvent.actor,
+          kind: assignmentEvent.kind,
+          data: assignmentEvent.data,
+          ...logMeta
+        });
+      }
+      return reroutedTask;
+    }
+
+    const { task: heldTask, event } = await applyTaskPatch({
+      id: task.id,
+      ifVersion: task.version,
+      patch: { availableAt: verdict.retryAt },
+      event: {
+        actor: 'orchestrator',
+        kind: 'held',
+        data: { agent: handler.slug, reason: verdict.reason, until: verdict.retryAt }
+      }
+    });
+    wsHub.broadcast('TASK_UPDATE', { task: heldTask });
+    logger.warn('TASK_HELD', {
+      data: { id: task.id, type: task.type, agent: handler.slug, reason: verdict.reason, until: verdict.retryAt },
+      ...logMeta
+    });
+    if (event) {
+      logger.taskEvent({
+        taskId: heldTask.id,
+        actor: event.actor,
+        kind: event.kind,
+        data: event.data,
+        ...logMeta
+      });
+    }
+  } catch (err) {
+    if (!(err instanceof ConflictError)) {
+      console.error('Failed to hold task for unavailable agent', err);
+    }
+  }
+  return null;
+}
+
+// Feeds the agent's circuit breaker. Only transport failures and retryable statuses count;
+// a 4xx means the agent is up but rejected the request.
+async function noteDispatchOutcome(agent, err, { logger }) {
+  try {
+    if (err) {
+      const { row, previousState } = await recordDispatchFailure(agent.slug, err);
+      if (row.breaker_state === 'open' && previousState !== 'open') {
+        logger.error('AGENT_CIRCUIT_OPENED', {
+          data: {
+            slug: agent.slug,
+            from: previousState,
+            consecutiveFailures: row.consecutive_failures,
+            error: err.message
+          }
+        });
+      }
+      return;
+    }
+    const { previousState } = await recordDispatchSuccess(agent.slug);
+    if (previousState !== 'closed') {
+      logger.info('AGENT_CIRCUIT_CLOSED', { data: { slug: agent.slug, from: previousState } });
+    }
+  } catch (healthErr) {
+    console.error('Failed to record agent dispatch outcome', healthErr);
+  }
+}
+
+// Cancellation or an early agent callback can settle a task while processTask is still
+// writing to it; the resulting version conflict is expected and not a failure.
+async function getSettledStatus(taskId) {
+  try {
+    const latest = await getTask(taskId);
+    return SETTLED_STATUSES.includes(latest?.status) ? latest.status : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function buildFailureOutcome({ err, agent, task }) {
+  const policy = agent?.retryPolicy || normalizeRetryPolicy();
+  const attempt = task?.attempts || 0;
+
+  if (!isRetryableError(policy, err)) {
+    return {
+      patch: { status: 'error', error: { message: err.message } },
+      event: { actor: 'orchestrator', kind: 'error', data: { message: err.message, attempt } }
+    };
+  }
+
+  const failure = {
+    message: err.message,
+    status: err.status ?? null,
+    attempt,
+    maxAttempts: policy.maxAttempts
+  };
+
+  if (attempt < policy.maxAttempts) {
+    const delayMs = computeBackoffDelay(policy, attempt);
+    const nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+    return {
+      patch: { status: 'queued', error: failure, availableAt: nextAttemptAt },
+      event: { actor: 'orchestrator', kind: 'retry_scheduled', data: { ...failure, delayMs, nextAttemptAt } }
+    };
+  }
+
+  return {
+    patch: { status: 'dead_letter', error: failure },
+    event: { actor: 'orchestrator', kind: 'dead_lettered', data: failure }
+  };
+}
+
+// Follow-up work whenever a task changes hands for good: failed outreach hops spawn their
+// fallback channel, and workflow steps (or a stopped workflow parent) advance their run.
+// Tasks that went back to the queue for a retry are ignored by both.
+async function handleTaskSettled(task, { wsHub, logger }) {
+  if (task.outreach) {
+    const fallbackTask = await continueOutreach(task, {
+      spawnTask: (spec, client) => submitTask(spec, { wsHub, logger, client }),
+      logger
+    }).catch((err) => {
+      console.error('Failed to spawn outreach fallback', err);
+      logger.error('OUTREACH_FALLBACK_FAILED', {
+        data: { taskId: task.id, error: err.message },
+        traceId: task.trace_id,
+        correlationId: task.correlation_id
+      });
+      return null;
+    });
+    if (fallbackTask) {
+      announceTasks([fallbackTask], { wsHub });
+    }
+  }
+
+  const runId = task.parent_task_id || (task.type === WORKFLOW_TASK_TYPE ? task.id : null);
+  if (runId && SETTLED_STATUSES.includes(task.status)) {
+    await advanceWorkflow(runId, { wsHub, logger }).catch((err) => {
+      console.error('Failed to advance workflow run', runId, err);
+      logger.error('WORKFLOW_ADVANCE_FAILED', {
+        data: { runId, taskId: task.id, error: err.message },
+        traceId: task.trace_id,
+        correlationId: task.correlation_id
+      });
+    });
+  }
+}
+
+async function releaseCampaign(campaignId, { wsHub, logger, taskWorker }) {
+  const { campaign, released, completed, tasks } = await releaseCampaignItems(campaignId, {
+    submitTask: (spec, client) => submitTask(spec, { wsHub, logger, client }),
+    logger
+  });
+  if (!campaign) return;
+  announceTasks(tasks, { wsHub, taskWorker });
+  if (released) {
+    logger.info('CAMPAIGN_RELEASED', {
+      data: { id: campaign.id, released, nextReleaseAt: campaign.next_release_at },
+      correlationId: campaign.correlation_id
+    });
+  }
+  if (completed) {
+    logger.info('CAMPAIGN_COMPLETED', {
+      data: { id: campaign.id, total: campaign.total, progress: await getCampaignProgress(campaign.id) },
+      correlationId: campaign.correlation_id
+    });
+    wsHub.broadcast('CAMPAIGN_UPDATE', { campaign });
+  }
+}
+
+const CAMPAIGN_TRANSITIONS = {
+  pause: { from: ['running'], to: 'paused' },
+  resume: { from: ['paused'], to: 'running' }
+};
+
+// Pausing only stops further releases; tasks already released run to completion.
+async function changeCampaignState(existing, { action, actor, wsHub, logger }) {
+  const campaign = await transitionCampaign(existing.id, CAMPAIGN_TRANSITIONS[action]);
+  if (!campaign) return null;
+  logger.info(action === 'pause' ? 'CAMPAIGN_PAUSED' : 'CAMPAIGN_RESUMED', {
+    data: { id: campaign.id, actor },
+    correlationId: campaign.correlation_id
+  });
+  wsHub.broadcast('CAMPAIGN_UPDATE', { campaign });
+  return { campaign };
+}
+
+// Drops unreleased items and cancels released tasks that have not started yet. Tasks
+// already running (a call in progress) are left to finish.
+async function cancelCampaign(existing, { actor, wsHub, logger }) {
+  const campaign = await transitionCampaign(existing.id, { from: ['running', 'paused'], to: 'cancelled' });
+  if (!campaign) return null;
+
+  const taskIds = await listCampaignTaskIds(campaign.id, ['awaiting_approval', 'queued']);
+  let cancelledTasks = 0;
+  for (const taskId of taskIds) {
+    try {
+      const outcome = await cancelTask({ taskId, reason: 'campaign_cancelled', actor }, { wsHub, logger });
+      if (outcome) cancelledTasks += 1;
+    } catch (err) {
+      // The worker picked it up in the meantime; it finishes like any running task.
+      if (!(err instanceof TaskStateError)) throw err;
+    }
+  }
+
+  logger.info('CAMPAIGN_CANCELLED', {
+    data: { id: campaign.id, actor, cancelledTasks },
+    correlationId: campaign.correlation_id
+  });
+  wsHub.broadcast('CAMPAIGN_UPDATE', { campaign });
+  return { campaign, cancelledTasks };
+}
+
+async function advanceWorkflow(runId, { wsHub, logger }) {
+  const { run, settled, tasks } = await advanceWorkflowRun(runId, {
+    spawnTask: (spec, client) => submitTask(spec, { wsHub, logger, client }),
+    logger
+  });
+  announceTasks(tasks, { wsHub });
+  if (settled?.status === 'cancelled') {
+    // The parent was cancelled or timed out; it is already settled.
+    logger.warn('WORKFLOW_CANCELLED', { data: { runId, workflow: run.workflow_slug } });
+  } else if (settled) {
+    await settleWorkflowParent(runId, settled, { wsHub, logger });
+  }
+  return run;
+}
+
+// Completes the parent workflow.run task once its run settles. The parent may still be
+// mid-write in processTask, so conflicts are retried against the latest version.
+async function settleWorkflowParent(runId, settled, { wsHub, logger }) {
+  const runner = { slug: 'workflow-runner', channel: 'workflow' };
+  for (let attempt = 1; attempt <= CALLBACK_PATCH_ATTEMPTS; attempt += 1) {
+    const parent = await getTask(runId);
+    if (!parent || parent.status !== 'running') return null;
+
+    const update = settled.status === 'done'
+      ? {
+          patch: { status: 'done', result: buildAgentResult(runner, settled.result, { status: 'completed' }) },
+          event: { actor: 'orchestrator', kind: 'result', data: { preview: previewResult(settled.result) } }
+        }
+      : {
+          patch: { status: 'error', error: settled.error },
+          event: { actor: 'orchestrator', kind: 'error', data: { message: settled.error.message, failedSteps: settled.error.failedSteps } }
+        };
+
+    try {
+      const { task, event } = await applyTaskPatch({ id: parent.id, ifVersion: parent.version, ...update });
+      wsHub.broadcast('TASK_UPDATE', { task });
+      if (event) {
+        logger.taskEvent({
+          taskId: task.id,
+          actor: event.actor,
+          kind: event.kind,
+          data: event.data,
+          traceId: task.trace_id,
+          correlationId: task.correlation_id
+        });
+      }
+      const logMeta = {
+        data: { runId, workflow: task.payload?.workflow || null, status: task.status },
+        traceId: task.trace_id,
+        correlationId: task.correlation_id
+      };
+      if (task.status === 'done') {
+        logger.info('WORKFLOW_COMPLETED', logMeta);
+      } else {
+        logger.error('WORKFLOW_FAILED', logMeta);
+      }
+      await handleTaskSettled(task, { wsHub, logger });
+      return task;
+    } catch (err) {
+      if (!(err instanceof ConflictError) || attempt === CALLBACK_PATCH_ATTEMPTS) {
+        throw err;
+      }
+    }
+  }
+  return null;
+}
+
+// Timeouts settle according to the type's `onTimeout`: `retry` follows the agent's retry
+// policy, `fail` errors the task, and `escalate` dead-letters it for an operator.
+function buildTimeoutOutcome({ err, agent, task, timeouts }) {
+  const detail = { phase: err.phase, timeoutMs: err.timeoutMs, action: timeouts.onTimeout };
+  const outcome = timeouts.onTimeout === 'retry'
+    ? buildFailureOutcome({ err, agent, task })
+    : {
+        patch: {
+          status: timeouts.onTimeout === 'escalate' ? 'dead_letter' : 'error',
+          error: { message: err.message, attempt: task?.attempts || 0 }
+        },
+        event: { data: { message: err.message, attempt: task?.attempts || 0 } }
+      };
+
+  return {
+    patch: { ...outcome.patch, error: { ...outcome.patch.error, timeout: detail } },
+    event: {
+      actor: 'orchestrator',
+      kind: 'timeout',
+      data: { ...outcome.event.data, ...detail, to: outcome.patch.status }
+    }
+  };
+}
+
+// Called by the timeout sweeper for running tasks past their completion deadline, typically
+// deferred dispatches whose agent never called back. The agent is asked to stop first.
+async function timeOutTask(task, { wsHub, logger }) {
+  const agent = await resolveHandlerForExistingTask(task);
+  const timeouts = getTaskTimeouts(agent, task.type);
+  const err = new TaskTimeoutError(`Task did not complete within ${timeouts.completionMs}ms`, {
+    phase: 'completion',
+    timeoutMs: timeouts.completionMs
+  });
+  const failure = buildTimeoutOutcome({ err, agent, task, timeouts });
+
+  let result;
+  try {
+    result = await applyTaskPatch({
+      id: task.id,
+      ifVersion: task.version,
+      patch: failure.patch,
+      event: failure.event
+    });
+  } catch (patchErr) {
+    // Settled by a late callback, a cancel, or another instance's sweeper.
+    if (patchErr instanceof ConflictError) return null;
+    throw patchErr;
+  }
+
+  const timedOutTask = result.task;
+  const logMeta = { traceId: task.trace_id, correlationId: task.correlation_id };
+  wsHub.broadcast('TASK_UPDATE', { task: timedOutTask });
+  if (result.event) {
+    logger.taskEvent({
+      taskId: timedOutTask.id,
+      actor: result.event.actor,
+      kind: result.event.kind,
+      data: result.event.data,
+      ...logMeta
+    });
+  }
+  const logData = { id: task.id, type: task.type, agent: agent?.slug || null, ...failure.event.data };
+  if (timedOutTask.status === 'dead_letter' && timeouts.onTimeout === 'escalate') {
+    logger.error('TASK_TIMEOUT_ESCALATED', { data: logData, ...logMeta });
+  } else {
+    logger.warn('TASK_TIMED_OUT', { data: logData, ...logMeta });
+  }
+
+  if (agent && typeof agent.dispatch === 'function') {
+    await noteDispatchOutcome(agent, err, { logger });
+  }
+  await notifyAgentOfCancel({ task, reason: 'timeout', actor: 'orchestrator' }, { logger }).catch(() => {});
+  await handleTaskSettled(timedOutTask, { wsHub, logger });
+  return timedOutTask;
+}
+
+async function attachTaskSla(tasks) {
+  if (!handlerRegistry) {
+    handlerRegistry = await HandlerRegistry.build();
+  }
+  const now = Date.now();
+  return tasks.map((task) => {
+    const handler = handlerRegistry.getBySlug(task.agent_slug) || handlerRegistry.resolve(task.type);
+    return {
+      ...task,
+      sla: describeTaskSla(task, getTaskTimeouts(handler, task.type), { now, settledStatuses: SETTLED_STATUSES })
+    };
+  });
+}
+
 async function start() {
   const { server } = await createService();
   server.listen(PORT, () => {
@@ -1145,30 +4197,6 @@ function getScopesForGroup(scope_group) {
   return scopeMap[scope_group] || scopeMap.gmail;
 }
 
-function encryptToken(token) {
-  if (!token) return null;
-  const key = process.env.OAUTH_ENCRYPTION_KEY;
-  if (!key || key.length < 16) {
-    throw new Error('OAUTH_ENCRYPTION_KEY must be at least 16 characters');
-  }
-  const cipher = crypto.createCipher('aes-256-cbc', key);
-  let encrypted = cipher.update(token, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return encrypted;
-}
-
-function decryptToken(encryptedToken) {
-  if (!encryptedToken) return null;
-  const key = process.env.OAUTH_ENCRYPTION_KEY;
-  if (!key || key.length < 16) {
-    throw new Error('OAUTH_ENCRYPTION_KEY must be at least 16 characters');
-  }
-  const decipher = crypto.createDecipher('aes-256-cbc', key);
-  let decrypted = decipher.update(encryptedToken, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-  return decrypted;
-}
-
 async function getOAuthTokens(provider, scopeGroups) {
   const scopes = Array.isArray(scopeGroups) ? scopeGroups : [scopeGroups];
   const placeholders = scopes.map((_, i) => `$${i + 2}`).join(',');
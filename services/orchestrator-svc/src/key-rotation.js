@@ -0,0 +1,138 @@
+const { pool } = require('./db');
+const { loadKeyring, getCiphertextKeyId, encryptToken, decryptToken } = require('./encryption');
+
+const DEFAULT_BATCH_SIZE = 100;
+const MAX_BATCH_SIZE = 1000;
+
+// Every column written with encryptToken. OAuth `state` rows park a plaintext placeholder in
+// encrypted_access_token while the consent screen is open, so they are left out.
+const ENCRYPTED_COLUMNS = [
+  {
+    table: 'oauth_tokens',
+    columns: ['encrypted_access_token', 'encrypted_refresh_token'],
+    where: "scope_group <> 'state'"
+  },
+  { table: 'agent_secrets', columns: ['encrypted_value'] },
+  { table: 'webhook_subscriptions', columns: ['encrypted_secret'] }
+];
+
+function createColumnReport(table, column) {
+  return { table, column, total: 0, byKey: {}, toRotate: 0, rotated: 0, failures: [] };
+}
+
+async function tableExists(table) {
+  const { rows } = await pool.query('SELECT to_regclass($1) AS oid', [table]);
+  return Boolean(rows[0]?.oid);
+}
+
+// Reads one batch after `afterId` (locked unless dry-running), re-encrypts values that are not
+// on the primary key, and writes them back in the same transaction. Values that fail to decrypt
+// are reported and left untouched.
+async function rotateBatch(source, reports, { afterId, batchSize, dryRun, primaryKeyId }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const filters = ['($1::uuid IS NULL OR id > $1::uuid)'];
+    if (source.where) filters.push(`(${source.where})`);
+    const { rows } = await client.query(
+      `SELECT id, ${source.columns.join(', ')} FROM ${source.table}
+       WHERE ${filters.join(' AND ')}
+       ORDER BY id
+       LIMIT $2
+       ${dryRun ? '' : 'FOR UPDATE'}`,
+      [afterId, batchSize]
+    );
+
+    for (const row of rows) {
+      const updates = {};
+      source.columns.forEach((column) => {
+        const value = row[column];
+        if (!value) return;
+        const report = reports[column];
+        const keyId = getCiphertextKeyId(value);
+        report.total += 1;
+        report.byKey[keyId] = (report.byKey[keyId] || 0) + 1;
+
+        try {
+          const plaintext = decryptToken(value);
+          if (keyId === primaryKeyId) return;
+          report.toRotate += 1;
+          if (!dryRun) {
+            updates[column] = encryptToken(plaintext);
+          }
+        } catch (err) {
+          report.failures.push({ id: row.id, keyId, error: err.message });
+        }
+      });
+
+      const columns = Object.keys(updates);
+      if (columns.length) {
+        await client.query(
+          `UPDATE ${source.table} SET ${columns.map((column, index) => `${column} = $${index + 2}`).join(', ')} WHERE id = $1`,
+          [row.id, ...columns.map((column) => updates[column])]
+        );
+        columns.forEach((column) => { reports[column].rotated += 1; });
+      }
+    }
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+    return rows.length ? rows[rows.length - 1].id : null;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Moves every encrypted value onto the primary key. A dry run decrypts everything and reports
+// per column how many values each key holds and how many would be rewritten, without writing.
+async function rotateEncryptionKeys({ dryRun = false, batchSize = DEFAULT_BATCH_SIZE, logger = null } = {}) {
+  const { primaryKeyId, keys } = loadKeyring();
+  const size = Math.min(Math.max(Number.parseInt(batchSize, 10) || DEFAULT_BATCH_SIZE, 1), MAX_BATCH_SIZE);
+  const columns = [];
+
+  for (const source of ENCRYPTED_COLUMNS) {
+    if (!(await tableExists(source.table))) continue;
+    const reports = Object.fromEntries(source.columns.map((column) => [column, createColumnReport(source.table, column)]));
+    let afterId = null;
+    do {
+      afterId = await rotateBatch(source, reports, { afterId, batchSize: size, dryRun, primaryKeyId });
+    } while (afterId);
+    columns.push(...Object.values(reports));
+  }
+
+  const summary = columns.reduce(
+    (acc, report) => ({
+      total: acc.total + report.total,
+      toRotate: acc.toRotate + report.toRotate,
+      rotated: acc.rotated + report.rotated,
+      failed: acc.failed + report.failures.length
+    }),
+    { total: 0, toRotate: 0, rotated: 0, failed: 0 }
+  );
+  const result = { dryRun, primaryKeyId, keyIds: [...keys.keys()], summary, columns };
+
+  logger?.info(dryRun ? 'ENCRYPTION_ROTATION_DRY_RUN' : 'ENCRYPTION_ROTATION_COMPLETED', {
+    data: { primaryKeyId, summary }
+  });
+  return result;
+}
+
+module.exports = {
+  ENCRYPTED_COLUMNS,
+  rotateEncryptionKeys
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  rotateEncryptionKeys({ dryRun })
+    .then((result) => {
+      console.log(JSON.stringify(result, null, 2));
+      return pool.end().then(() => process.exit(result.summary.failed ? 1 : 0));
+    })
+    .catch((err) => {
+      console.error('Encryption key rotation failed', err);
+      process.exit(1);
+    });
+}
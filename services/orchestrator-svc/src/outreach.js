@@ -0,0 +1,342 @@
+const { pool, insertTaskEvent } = require('./db');
+const { TaskValidationError } = require('./errors');
+
+const OUTREACH_TASK_TYPE = 'outreach.send';
+
+// Outreach channel -> concrete task type and the contact address it needs.
+const CHANNEL_TASK_TYPES = {
+  voice: { type: 'call.start', address: 'phone' },
+  sms: { type: 'sms.send', address: 'phone' },
+  whatsapp: { type: 'whatsapp.send', address: 'phone' },
+  email: { type: 'email.send', address: 'email' }
+};
+const OUTREACH_CHANNELS = Object.keys(CHANNEL_TASK_TYPES);
+
+const OUTREACH_PAYLOAD_SCHEMA = {
+  type: 'object',
+  properties: {
+    channel: { enum: OUTREACH_CHANNELS, description: 'Force a single channel' },
+    channels: {
+      type: 'array',
+      items: { enum: OUTREACH_CHANNELS },
+      uniqueItems: true,
+      minItems: 1,
+      description: 'Ordered channels to try'
+    },
+    fallback: { type: 'boolean', description: 'Append DEFAULT_FALLBACK_CHANNEL to an explicit channel list' },
+    contactId: { type: 'string', description: 'communication_contacts external_id' },
+    contact: {
+      type: 'object',
+      properties: {
+        phone: { type: 'string' },
+        email: { type: 'string', format: 'email' },
+        preferredChannels: { type: 'array', items: { enum: OUTREACH_CHANNELS } },
+        optOut: { type: 'array', items: { enum: OUTREACH_CHANNELS } }
+      }
+    },
+    message: { type: 'string', description: 'Message, call prompt, or email body' },
+    subject: { type: 'string', description: 'Email subject' },
+    channelPayloads: {
+      type: 'object',
+      propertyNames: { enum: OUTREACH_CHANNELS },
+      additionalProperties: { type: 'object' }
+    }
+  },
+  additionalProperties: true
+};
+
+function parseChannelList(value) {
+  return String(value || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter((entry) => OUTREACH_CHANNELS.includes(entry));
+}
+
+function getChannelDefaults() {
+  const allowList = parseChannelList(process.env.CHANNEL_ALLOW_LIST);
+  return {
+    allowList: allowList.length ? allowList : OUTREACH_CHANNELS,
+    outbound: parseChannelList(process.env.DEFAULT_OUTBOUND_CHANNEL)[0] || null,
+    fallback: parseChannelList(process.env.DEFAULT_FALLBACK_CHANNEL)[0] || null
+  };
+}
+
+// Contacts are stored one row per channel in communication_contacts; each row may carry
+// `metadata.address`, `metadata.rank` (lower first) and `metadata.optOut`.
+async function loadContactPreferences(contactId) {
+  if (!contactId) return { addresses: {}, preferred: [], optOut: [] };
+  let rows = [];
+  try {
+    ({ rows } = await pool.query(
+      'SELECT channel, metadata FROM communication_contacts WHERE external_id = $1',
+      [contactId]
+    ));
+  } catch (err) {
+    if (err.code !== '42P01') throw err;
+  }
+
+  const addresses = {};
+  const optOut = [];
+  const ranked = [];
+  rows.forEach((row) => {
+    const channel = String(row.channel || '').toLowerCase();
+    if (!OUTREACH_CHANNELS.includes(channel)) return;
+    const metadata = row.metadata || {};
+    if (metadata.optOut) {
+      optOut.push(channel);
+      return;
+    }
+    const addressKey = CHANNEL_TASK_TYPES[channel].address;
+    if (metadata.address && !addresses[addressKey]) {
+      addresses[addressKey] = metadata.address;
+    }
+    const rank = Number(metadata.rank);
+    ranked.push({ channel, rank: Number.isFinite(rank) ? rank : Number.MAX_SAFE_INTEGER });
+  });
+
+  return {
+    addresses,
+    preferred: ranked.sort((a, b) => a.rank - b.rank).map(({ channel }) => channel),
+    optOut
+  };
+}
+
+function buildChannelPayload(channel, payload, address) {
+  const message = payload.message || '';
+  const base = channel === 'voice'
+    ? { to: address, message }
+    : channel === 'email'
+      ? { to: address, subject: payload.subject || '', body: message }
+      : { to: address, body: message };
+  return { ...base, ...(payload.channelPayloads?.[channel] || {}) };
+}
+
+// Resolves the ordered list of hops for an outreach task. Explicit channels in the payload win;
+// otherwise the contact's ranked preferences, then DEFAULT_OUTBOUND/DEFAULT_FALLBACK_CHANNEL.
+// Channels outside CHANNEL_ALLOW_LIST, opted out, without an address, or without an agent
+// (`isRoutable`) are dropped along with the reason.
+async function planOutreach(payload, { isRoutable }) {
+  const defaults = getChannelDefaults();
+  const contact = payload.contact || {};
+  const stored = await loadContactPreferences(payload.contactId);
+
+  const explicit = payload.channels || (payload.channel ? [payload.channel] : null);
+  const requested = explicit
+    ? [...explicit, ...(payload.fallback === false ? [] : [defaults.fallback])]
+    : [
+        ...(contact.preferredChannels || []),
+        ...stored.preferred,
+        defaults.outbound,
+        defaults.fallback
+      ];
+
+  const addresses = {
+    phone: contact.phone || payload.to || stored.addresses.phone || null,
+    email: contact.email || payload.email || stored.addresses.email || null
+  };
+  const optOut = new Set([...(contact.optOut || []), ...stored.optOut]);
+
+  const hops = [];
+  const skipped = [];
+  Array.from(new Set(requested.filter(Boolean))).forEach((channel) => {
+    const { type, address } = CHANNEL_TASK_TYPES[channel];
+    let reason = null;
+    if (!defaults.allowList.includes(channel)) reason = 'not_allowed';
+    else if (optOut.has(channel)) reason = 'opted_out';
+    else if (!addresses[address]) reason = `missing_${address}`;
+    else if (!isRoutable(type)) reason = 'no_agent';
+
+    if (reason) {
+      skipped.push({ channel, reason });
+      return;
+    }
+    hops.push({ channel, type, payload: buildChannelPayload(channel, payload, addresses[address]) });
+  });
+
+  return { hops, skipped };
+}
+
+// Every hop shares the outreach correlation id and carries the hops still left to try in
+// tasks.outreach, so a failed hop can spawn the next one without the root task.
+function spawnOutreachHop({ rootTaskId, source, correlationId, priority, hop, remaining, index, previousTaskId }, spawnTask) {
+  return spawnTask({
+    type: hop.type,
+    payload: hop.payload,
+    source,
+    correlationId,
+    priority,
+    actor: 'outreach',
+    origin: {
+      outreachTaskId: rootTaskId,
+      channel: hop.channel,
+      hop: index,
+      ...(previousTaskId ? { fallbackFrom: previousTaskId } : {})
+    },
+    outreach: { rootTaskId, channel: hop.channel, hop: index, remaining }
+  });
+}
+
+// Enqueues the first hop of an outreach.send task under a lock on the root, recording it as an
+// `outreach_routed` event in the same transaction. A root that runs again (lease reclaimed,
+// completion write lost) finds the event and reuses the hop instead of contacting twice.
+// `created` tells the caller whether the hop is new and still needs announcing.
+async function routeOutreach(rootTask, { hop, remaining, correlationId }, spawnTask) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM tasks WHERE id = $1 FOR UPDATE', [rootTask.id]);
+    const { rows: routed } = await client.query(
+      `SELECT t.* FROM task_events e
+       JOIN tasks t ON t.id = (e.data->>'taskId')::uuid
+       WHERE e.task_id = $1 AND e.kind = 'outreach_routed'
+       LIMIT 1`,
+      [rootTask.id]
+    );
+    if (routed.length) {
+      await client.query('COMMIT');
+      return { task: routed[0], created: false };
+    }
+
+    const { task } = await spawnOutreachHop({
+      rootTaskId: rootTask.id,
+      source: rootTask.source,
+      correlationId,
+      priority: rootTask.priority,
+      hop,
+      remaining,
+      index: 0
+    }, (spec) => spawnTask(spec, client));
+    await insertTaskEvent(client, {
+      taskId: rootTask.id,
+      actor: 'orchestrator',
+      kind: 'outreach_routed',
+      data: { channel: hop.channel, taskId: task.id },
+      correlationId,
+      traceId: rootTask.trace_id
+    });
+    await client.query('COMMIT');
+    return { task, created: true };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Marks the failed hop so a task that settles twice (e.g. redrive) or two racing instances
+// cannot fan out the same fallback more than once. Runs in the transaction that spawns the
+// fallback, so a failed spawn leaves the hop unclaimed.
+async function claimOutreachFallback(client, taskId) {
+  const { rows } = await client.query(
+    `UPDATE tasks
+     SET outreach = outreach || '{"fallbackClaimed": true}'::jsonb
+     WHERE id = $1 AND outreach IS NOT NULL AND NOT (outreach ? 'fallbackClaimed')
+     RETURNING outreach`,
+    [taskId]
+  );
+  return rows[0]?.outreach || null;
+}
+
+async function recordOutreachFallback(client, taskId, fallbackTaskId) {
+  await client.query(
+    `UPDATE tasks SET outreach = outreach || jsonb_build_object('fallbackTaskId', $2::text) WHERE id = $1`,
+    [taskId, fallbackTaskId]
+  );
+}
+
+// Called whenever a task settles as failed. Claims the hop, spawns the next usable channel and
+// records it in one transaction. Returns the fallback task for the caller to announce, or null
+// when the task is not an outreach hop or no channels are left.
+async function continueOutreach(task, { spawnTask, logger }) {
+  if (!task?.outreach || !['error', 'dead_letter'].includes(task.status)) return null;
+
+  const logMeta = { traceId: task.trace_id, correlationId: task.correlation_id };
+  const skipped = [];
+  let state = null;
+  let fallback = null;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    state = await claimOutreachFallback(client, task.id);
+    if (!state) {
+      await client.query('COMMIT');
+      return null;
+    }
+
+    const remaining = [...(state.remaining || [])];
+    while (remaining.length && !fallback) {
+      const next = remaining.shift();
+      try {
+        const { task: fallbackTask } = await spawnOutreachHop({
+          rootTaskId: state.rootTaskId,
+          source: task.source,
+          correlationId: task.correlation_id,
+          priority: task.priority,
+          hop: next,
+          remaining,
+          index: (state.hop || 0) + 1,
+          previousTaskId: task.id
+        }, (spec) => spawnTask(spec, client));
+
+        await recordOutreachFallback(client, task.id, fallbackTask.id);
+        const event = await insertTaskEvent(client, {
+          taskId: task.id,
+          actor: 'orchestrator',
+          kind: 'outreach_fallback',
+          data: { fromChannel: state.channel, toChannel: next.channel, fallbackTaskId: fallbackTask.id },
+          correlationId: task.correlation_id,
+          traceId: task.trace_id
+        });
+        fallback = { task: fallbackTask, channel: next.channel, event };
+      } catch (err) {
+        if (!(err instanceof TaskValidationError)) throw err;
+        skipped.push({ channel: next.channel, error: err.message });
+      }
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  skipped.forEach(({ channel, error }) => {
+    logger.warn('OUTREACH_FALLBACK_SKIPPED', {
+      data: { failedTaskId: task.id, channel, error },
+      ...logMeta
+    });
+  });
+
+  if (!fallback) {
+    logger.warn('OUTREACH_EXHAUSTED', {
+      data: { failedTaskId: task.id, rootTaskId: state.rootTaskId, lastChannel: state.channel },
+      ...logMeta
+    });
+    return null;
+  }
+
+  const { event } = fallback;
+  logger.taskEvent({
+    taskId: task.id,
+    actor: event.actor,
+    kind: event.kind,
+    data: event.data,
+    ...logMeta
+  });
+  logger.info('OUTREACH_FALLBACK', {
+    data: { failedTaskId: task.id, fromChannel: state.channel, toChannel: fallback.channel, taskId: fallback.task.id },
+    ...logMeta
+  });
+  return fallback.task;
+}
+
+module.exports = {
+  OUTREACH_TASK_TYPE,
+  OUTREACH_CHANNELS,
+  OUTREACH_PAYLOAD_SCHEMA,
+  planOutreach,
+  routeOutreach,
+  continueOutreach
+};
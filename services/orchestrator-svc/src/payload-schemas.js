@@ -0,0 +1,111 @@
+const { validateAgainstSchema, compileSchema } = require('@repo/common');
+
+const PHONE_NUMBER = {
+  type: 'string',
+  pattern: '^\\+?[1-9]\\d{6,14}$',
+  description: 'E.164 phone number, e.g. +15551234567'
+};
+
+const ECHO_PAYLOAD_SCHEMA = {
+  type: 'object',
+  properties: {
+    message: { type: 'string', description: 'Text echoed back by the echo agent' }
+  },
+  additionalProperties: true
+};
+
+const CALL_START_PAYLOAD_SCHEMA = {
+  type: 'object',
+  required: ['to'],
+  properties: {
+    to: PHONE_NUMBER,
+    from: { ...PHONE_NUMBER, description: 'Caller ID; defaults to TWILIO_CALLER_ID' },
+    message: { type: 'string', description: 'Instructions for the voice agent' },
+    instructions: { type: 'string', description: 'Alias of message' },
+    voice: { type: 'string' },
+    model: { type: 'string' }
+  },
+  additionalProperties: true
+};
+
+const MESSAGE_SEND_PAYLOAD_SCHEMA = {
+  type: 'object',
+  required: ['to'],
+  properties: {
+    to: PHONE_NUMBER,
+    from: PHONE_NUMBER,
+    body: { type: 'string' },
+    message: { type: 'string' }
+  },
+  additionalProperties: true
+};
+
+const EMAIL_SEND_PAYLOAD_SCHEMA = {
+  type: 'object',
+  required: ['to'],
+  properties: {
+    to: {
+      anyOf: [
+        { type: 'string', format: 'email' },
+        { type: 'array', items: { type: 'string', format: 'email' }, minItems: 1 }
+      ]
+    },
+    subject: { type: 'string' },
+    body: { type: 'string' },
+    html: { type: 'string' }
+  },
+  additionalProperties: true
+};
+
+const CONTENT_GENERATE_PAYLOAD_SCHEMA = {
+  type: 'object',
+  properties: {
+    prompt: { type: 'string' }
+  },
+  additionalProperties: true
+};
+
+// Keeps only schemas for task types the handler serves, dropping any that Ajv rejects
+// so one malformed registry entry cannot break task submission for everyone.
+function normalizePayloadSchemas(schemas, taskTypes, slug) {
+  if (!schemas || typeof schemas !== 'object') return {};
+  const normalized = {};
+  taskTypes.forEach((type) => {
+    const schema = schemas[type];
+    if (!schema || typeof schema !== 'object') return;
+    try {
+      compileSchema(schema, { key: `${slug}:${type}` });
+      normalized[type] = schema;
+    } catch (err) {
+      console.error('Ignoring invalid payload schema', slug, type, err.message);
+    }
+  });
+  return normalized;
+}
+
+function getPayloadSchema(handler, taskType) {
+  return handler?.payloadSchemas?.[taskType] || null;
+}
+
+function validateTaskPayload(handler, taskType, payload) {
+  const schema = getPayloadSchema(handler, taskType);
+  if (!schema) {
+    return { valid: true, errors: [] };
+  }
+  const { valid, errors } = validateAgainstSchema(schema, payload, { key: `${handler.slug}:${taskType}` });
+  return {
+    valid,
+    errors: errors.map(({ field, message, keyword }) => ({ field, message, keyword }))
+  };
+}
+
+module.exports = {
+  ECHO_PAYLOAD_SCHEMA,
+  CALL_START_PAYLOAD_SCHEMA,
+  MESSAGE_SEND_PAYLOAD_SCHEMA,
+  EMAIL_SEND_PAYLOAD_SCHEMA,
+  CONTENT_GENERATE_PAYLOAD_SCHEMA,
+  normalizePayloadSchemas,
+  getPayloadSchema,
+  validateTaskPayload
+};
@@ -0,0 +1,85 @@
+// Task priority follows the routing convention: lower values are dispatched first.
+const DEFAULT_TASK_PRIORITY = 100;
+const MIN_TASK_PRIORITY = 0;
+const MAX_TASK_PRIORITY = 1000;
+const CONCURRENCY_SCOPES = ['agent', 'channel'];
+
+function isValidTaskPriority(value) {
+  return Number.isInteger(value) && value >= MIN_TASK_PRIORITY && value <= MAX_TASK_PRIORITY;
+}
+
+// `config.concurrency: { "maxInFlight": 3, "scope": "agent" | "channel" }`. A channel scope
+// caps every running task on the agent's channel, whichever agent serves it.
+function normalizeConcurrency(config) {
+  const maxInFlight = Number(config?.maxInFlight);
+  return {
+    maxInFlight: Number.isInteger(maxInFlight) && maxInFlight > 0 ? maxInFlight : null,
+    scope: CONCURRENCY_SCOPES.includes(config?.scope) ? config.scope : 'agent'
+  };
+}
+
+// Limits handed to the claim query. When several agents cap the same channel the
+// strictest limit wins.
+function buildClaimLimits(handlers) {
+  const agents = {};
+  const channels = {};
+  handlers.forEach((handler) => {
+    const { maxInFlight, scope } = handler.concurrency || {};
+    if (!maxInFlight) return;
+    if (scope === 'channel') {
+      if (!handler.channel) return;
+      channels[handler.channel] = Math.min(channels[handler.channel] ?? Infinity, maxInFlight);
+    } else {
+      agents[handler.slug] = maxInFlight;
+    }
+  });
+  return { agents, channels };
+}
+
+function hasClaimLimits(limits) {
+  return Boolean(limits) && (Object.keys(limits.agents).length > 0 || Object.keys(limits.channels).length > 0);
+}
+
+// Queue depth per lane from `countTasksByLane` rows, alongside each lane's in-flight limit.
+// db.js imports this module, so the counting query lives there.
+function buildQueueDepthReport(handlers, rows) {
+  const limits = buildClaimLimits(handlers);
+  const runningByAgent = new Map();
+  const runningByChannel = new Map();
+  rows.forEach((row) => {
+    runningByAgent.set(row.agent_slug, (runningByAgent.get(row.agent_slug) || 0) + row.running);
+    runningByChannel.set(row.agent_channel, (runningByChannel.get(row.agent_channel) || 0) + row.running);
+  });
+
+  const now = Date.now();
+  return rows.map((row) => {
+    const agentLimit = limits.agents[row.agent_slug] ?? null;
+    const channelLimit = limits.channels[row.agent_channel] ?? null;
+    const saturated = (agentLimit !== null && runningByAgent.get(row.agent_slug) >= agentLimit)
+      || (channelLimit !== null && runningByChannel.get(row.agent_channel) >= channelLimit);
+    return {
+      agent: row.agent_slug,
+      channel: row.agent_channel,
+      priority: row.priority,
+      ready: row.ready,
+      scheduled: row.scheduled,
+      awaitingApproval: row.awaiting_approval,
+      running: row.running,
+      oldestReadyAgeMs: row.oldest_ready_at ? Math.max(0, now - new Date(row.oldest_ready_at).getTime()) : null,
+      limits: { agent: agentLimit, channel: channelLimit },
+      saturated
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_TASK_PRIORITY,
+  MIN_TASK_PRIORITY,
+  MAX_TASK_PRIORITY,
+  CONCURRENCY_SCOPES,
+  isValidTaskPriority,
+  normalizeConcurrency,
+  buildClaimLimits,
+  hasClaimLimits,
+  buildQueueDepthReport
+};
@@ -0,0 +1,59 @@
+const { DispatchError } = require('./errors');
+
+const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 3,
+  backoffBaseMs: 2_000,
+  backoffMaxMs: 60_000,
+  jitter: 0.2,
+  retryableStatuses: [408, 425, 429, 500, 502, 503, 504]
+});
+
+function toPositiveInt(value, fallback) {
+  const num = Number(value);
+  return Number.isInteger(num) && num > 0 ? num : fallback;
+}
+
+function normalizeRetryPolicy(config) {
+  if (!config || typeof config !== 'object') {
+    return { ...DEFAULT_RETRY_POLICY };
+  }
+
+  const jitter = Number(config.jitter);
+  const statuses = Array.isArray(config.retryableStatuses)
+    ? config.retryableStatuses.map(Number).filter((status) => Number.isInteger(status))
+    : DEFAULT_RETRY_POLICY.retryableStatuses;
+
+  const backoffBaseMs = toPositiveInt(config.backoffBaseMs, DEFAULT_RETRY_POLICY.backoffBaseMs);
+  return {
+    maxAttempts: toPositiveInt(config.maxAttempts, DEFAULT_RETRY_POLICY.maxAttempts),
+    backoffBaseMs,
+    backoffMaxMs: Math.max(toPositiveInt(config.backoffMaxMs, DEFAULT_RETRY_POLICY.backoffMaxMs), backoffBaseMs),
+    jitter: Number.isFinite(jitter) && jitter >= 0 && jitter <= 1 ? jitter : DEFAULT_RETRY_POLICY.jitter,
+    retryableStatuses: statuses
+  };
+}
+
+function computeBackoffDelay(policy, attempt) {
+  const exponent = Math.max(attempt - 1, 0);
+  const base = Math.min(policy.backoffBaseMs * 2 ** exponent, policy.backoffMaxMs);
+  if (!policy.jitter) return base;
+  const spread = base * policy.jitter;
+  const jittered = base - spread + Math.random() * spread * 2;
+  return Math.round(Math.min(Math.max(jittered, 0), policy.backoffMaxMs));
+}
+
+// Only dispatch failures are retried: transport errors always, HTTP responses when the
+// status is listed in the policy. Anything else (validation, unsupported type) fails fast.
+function isRetryableError(policy, err) {
+  if (!(err instanceof DispatchError)) return false;
+  if (typeof err.retryable === 'boolean') return err.retryable;
+  if (err.status === null || err.status === undefined) return true;
+  return policy.retryableStatuses.includes(err.status);
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  normalizeRetryPolicy,
+  computeBackoffDelay,
+  isRetryableError
+};
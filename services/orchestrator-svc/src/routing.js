@@ -0,0 +1,114 @@
+const { countInFlightByAgent } = require('./db');
+
+const ROUTING_STRATEGIES = ['priority', 'round_robin', 'weighted', 'least_in_flight'];
+const DEFAULT_STRATEGY = 'priority';
+const DEFAULT_WEIGHT = 1;
+const DEFAULT_PRIORITY = 100;
+
+// Per-instance cursors; round-robin is only fair within one orchestrator process.
+const roundRobinCursors = new Map();
+
+function normalizeRouting(config) {
+  const weight = Number(config?.weight);
+  const priority = Number(config?.priority);
+  return {
+    weight: Number.isFinite(weight) && weight >= 0 ? weight : DEFAULT_WEIGHT,
+    priority: Number.isInteger(priority) ? priority : DEFAULT_PRIORITY
+  };
+}
+
+// AGENT_ROUTING_STRATEGY sets the default; AGENT_ROUTING_STRATEGIES overrides it per
+// task type, e.g. "sms.send=weighted,call.start=least_in_flight".
+function getRoutingStrategy(taskType) {
+  const overrides = String(process.env.AGENT_ROUTING_STRATEGIES || '')
+    .split(',')
+    .map((entry) => entry.split('=').map((part) => part.trim()))
+    .filter(([type, strategy]) => type && ROUTING_STRATEGIES.includes(strategy));
+  const override = overrides.find(([type]) => type === taskType);
+  if (override) return override[1];
+
+  const fallback = String(process.env.AGENT_ROUTING_STRATEGY || '').trim();
+  return ROUTING_STRATEGIES.includes(fallback) ? fallback : DEFAULT_STRATEGY;
+}
+
+// Lower priority values win; registration order breaks ties.
+function byPriority(candidates) {
+  return candidates
+    .map((handler, index) => ({ handler, index }))
+    .sort((a, b) => (a.handler.routing.priority - b.handler.routing.priority) || (a.index - b.index))
+    .map(({ handler }) => handler);
+}
+
+function pickPriority(candidates) {
+  const [handler] = byPriority(candidates);
+  return { handler, reason: { priority: handler.routing.priority } };
+}
+
+function pickRoundRobin(candidates, taskType) {
+  const cursor = roundRobinCursors.get(taskType) || 0;
+  const index = cursor % candidates.length;
+  roundRobinCursors.set(taskType, cursor + 1);
+  return { handler: candidates[index], reason: { position: index } };
+}
+
+function pickWeighted(candidates) {
+  const totalWeight = candidates.reduce((sum, handler) => sum + handler.routing.weight, 0);
+  if (totalWeight <= 0) {
+    return null;
+  }
+  let ticket = Math.random() * totalWeight;
+  const handler = candidates.find((candidate) => {
+    ticket -= candidate.routing.weight;
+    return ticket < 0;
+  }) || candidates[candidates.length - 1];
+  return { handler, reason: { weight: handler.routing.weight, totalWeight } };
+}
+
+async function pickLeastInFlight(candidates) {
+  const counts = await countInFlightByAgent(candidates.map((handler) => handler.slug));
+  const inFlightBySlug = Object.fromEntries(candidates.map((handler) => [handler.slug, counts.get(handler.slug) || 0]));
+  const [handler] = byPriority(candidates)
+    .map((candidate, order) => ({ candidate, order }))
+    .sort((a, b) => (inFlightBySlug[a.candidate.slug] - inFlightBySlug[b.candidate.slug]) || (a.order - b.order))
+    .map(({ candidate }) => candidate);
+  return { handler, reason: { inFlight: inFlightBySlug[handler.slug], inFlightBySlug } };
+}
+
+// Chooses one handler among the agents registered for a task type. The returned reason is
+// stored on the agent_assigned event so operators can see why an agent was picked.
+async function routeTask(candidates, { taskType, exclude = [] } = {}) {
+  const eligible = candidates.filter((handler) => !exclude.includes(handler.slug));
+  if (!eligible.length) return null;
+
+  let strategy = getRoutingStrategy(taskType);
+  let picked = null;
+  if (eligible.length > 1) {
+    if (strategy === 'round_robin') picked = pickRoundRobin(eligible, taskType);
+    if (strategy === 'weighted') picked = pickWeighted(eligible);
+    if (strategy === 'least_in_flight') picked = await pickLeastInFlight(eligible);
+  }
+  if (!picked) {
+    if (strategy === 'weighted' && eligible.length > 1) {
+      // Every candidate has weight 0; fall back to priority order rather than refusing.
+      strategy = DEFAULT_STRATEGY;
+    }
+    picked = pickPriority(eligible);
+  }
+
+  return {
+    handler: picked.handler,
+    reason: {
+      strategy,
+      candidates: eligible.map((handler) => handler.slug),
+      ...(exclude.length ? { excluded: exclude } : {}),
+      ...picked.reason
+    }
+  };
+}
+
+module.exports = {
+  ROUTING_STRATEGIES,
+  normalizeRouting,
+  getRoutingStrategy,
+  routeTask
+};
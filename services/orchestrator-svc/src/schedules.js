@@ -0,0 +1,240 @@
+const { v4: uuidv4 } = require('uuid');
+
+const { pool } = require('./db');
+const { nextCronOccurrence } = require('./cron');
+
+const DEFAULT_SCHEDULER_POLL_MS = 15_000;
+const SCHEDULE_BATCH_SIZE = 20;
+
+// An `idempotencyKey` is attached to the new schedule in the same statement.
+async function createSchedule({ type, payload, source, correlationId, agentSlug, cron, timezone, createdBy, idempotencyKey }) {
+  const nextRunAt = nextCronOccurrence(cron, { timeZone: timezone });
+  const { rows } = await pool.query(
+    `WITH created AS (
+       INSERT INTO task_schedules (id, type, payload, source, correlation_id, agent_slug, cron, timezone, next_run_at, created_by)
+       VALUES ($1, $2, $3::jsonb, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *
+     ), keyed AS (
+       UPDATE task_idempotency_keys SET schedule_id = $1 WHERE key = $11
+     )
+     SELECT * FROM created`,
+    [
+      uuidv4(),
+      type,
+      JSON.stringify(payload ?? {}),
+      source,
+      correlationId || null,
+      agentSlug || null,
+      cron,
+      timezone,
+      nextRunAt,
+      createdBy || null,
+      idempotencyKey || null
+    ]
+  );
+  return rows[0];
+}
+
+async function getSchedule(id) {
+  const { rows } = await pool.query('SELECT * FROM task_schedules WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+async function listSchedules({ status, type, limit = 100 } = {}) {
+  const clauses = [];
+  const values = [];
+
+  if (status) {
+    values.push(status);
+    clauses.push(`status = $${values.length}`);
+  }
+  if (type) {
+    values.push(type);
+    clauses.push(`type = $${values.length}`);
+  }
+
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  values.push(limit);
+
+  const { rows } = await pool.query(
+    `SELECT * FROM task_schedules ${where} ORDER BY next_run_at ASC NULLS LAST LIMIT $${values.length}`,
+    values
+  );
+  return rows;
+}
+
+async function updateSchedule(id, patch) {
+  const existing = await getSchedule(id);
+  if (!existing) return null;
+
+  const next = {
+    payload: patch.payload !== undefined ? patch.payload : existing.payload,
+    correlationId: patch.correlationId !== undefined ? patch.correlationId : existing.correlation_id,
+    cron: patch.cron !== undefined ? patch.cron : existing.cron,
+    timezone: patch.timezone !== undefined ? patch.timezone : existing.timezone,
+    status: patch.status !== undefined ? patch.status : existing.status
+  };
+
+  const timingChanged = next.cron !== existing.cron
+    || next.timezone !== existing.timezone
+    || (next.status === 'active' && existing.status !== 'active');
+  const nextRunAt = next.status !== 'active'
+    ? existing.next_run_at
+    : timingChanged
+      ? nextCronOccurrence(next.cron, { timeZone: next.timezone })
+      : existing.next_run_at;
+
+  const { rows } = await pool.query(
+    `UPDATE task_schedules
+     SET payload = $2::jsonb,
+         correlation_id = $3,
+         cron = $4,
+         timezone = $5,
+         status = $6,
+         next_run_at = $7,
+         updated_at = now()
+     WHERE id = $1
+     RETURNING *`,
+    [id, JSON.stringify(next.payload ?? {}), next.correlationId || null, next.cron, next.timezone, next.status, nextRunAt]
+  );
+  return rows[0] || null;
+}
+
+async function deleteSchedule(id) {
+  const { rows } = await pool.query('DELETE FROM task_schedules WHERE id = $1 RETURNING *', [id]);
+  return rows[0] || null;
+}
+
+// Advances every due schedule past "now" before any task is materialized, so a crash
+// mid-batch skips an occurrence instead of firing it twice.
+async function claimDueSchedules(limit = SCHEDULE_BATCH_SIZE) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT * FROM task_schedules
+       WHERE status = 'active' AND next_run_at <= now()
+       ORDER BY next_run_at ASC
+       FOR UPDATE SKIP LOCKED
+       LIMIT $1`,
+      [limit]
+    );
+
+    const due = [];
+    for (const schedule of rows) {
+      let nextRunAt = null;
+      let status = schedule.status;
+      let lastError = null;
+      try {
+        nextRunAt = nextCronOccurrence(schedule.cron, { timeZone: schedule.timezone });
+      } catch (err) {
+        status = 'paused';
+        lastError = { message: err.message, at: new Date().toISOString() };
+      }
+
+      await client.query(
+        `UPDATE task_schedules
+         SET next_run_at = $2,
+             status = $3,
+             last_error = COALESCE($4::jsonb, last_error),
+             updated_at = now()
+         WHERE id = $1`,
+        [schedule.id, nextRunAt, status, lastError ? JSON.stringify(lastError) : null]
+      );
+      due.push({ schedule, occurrence: schedule.next_run_at });
+    }
+
+    await client.query('COMMIT');
+    return due;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function recordScheduleRun(id, { taskId, error }) {
+  await pool.query(
+    `UPDATE task_schedules
+     SET last_run_at = now(),
+         last_task_id = COALESCE($2, last_task_id),
+         last_error = $3::jsonb,
+         run_count = run_count + CASE WHEN $2::uuid IS NULL THEN 0 ELSE 1 END,
+         updated_at = now()
+     WHERE id = $1`,
+    [id, taskId || null, error ? JSON.stringify(error) : null]
+  );
+}
+
+function startScheduler({ submitTask, logger, pollIntervalMs }) {
+  const interval = Number.parseInt(pollIntervalMs ?? process.env.SCHEDULER_POLL_MS, 10) || DEFAULT_SCHEDULER_POLL_MS;
+  let running = false;
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      let due;
+      do {
+        due = await claimDueSchedules();
+        for (const { schedule, occurrence } of due) {
+          await materialize(schedule, occurrence);
+        }
+      } while (due.length === SCHEDULE_BATCH_SIZE);
+    } catch (err) {
+      console.error('Scheduler tick failed', err);
+      logger.error('SCHEDULER_TICK_FAILED', { data: { error: err.message } });
+    } finally {
+      running = false;
+    }
+  }
+
+  async function materialize(schedule, occurrence) {
+    try {
+      const { task } = await submitTask({
+        type: schedule.type,
+        payload: schedule.payload,
+        source: schedule.source,
+        correlationId: schedule.correlation_id || `schedule:${schedule.id}`,
+        agentSlug: schedule.agent_slug,
+        actor: 'scheduler',
+        origin: {
+          scheduleId: schedule.id,
+          scheduledFor: occurrence instanceof Date ? occurrence.toISOString() : occurrence
+        }
+      });
+      await recordScheduleRun(schedule.id, { taskId: task.id });
+      logger.info('SCHEDULE_FIRED', {
+        data: { scheduleId: schedule.id, taskId: task.id, type: schedule.type, occurrence },
+        traceId: task.trace_id,
+        correlationId: task.correlation_id
+      });
+    } catch (err) {
+      console.error('Failed to materialize scheduled task', err);
+      logger.error('SCHEDULE_FIRE_FAILED', {
+        data: { scheduleId: schedule.id, type: schedule.type, error: err.message }
+      });
+      await recordScheduleRun(schedule.id, {
+        error: { message: err.message, at: new Date().toISOString() }
+      }).catch(() => {});
+    }
+  }
+
+  tick();
+  const timer = setInterval(tick, interval);
+
+  return {
+    tick,
+    stop: () => clearInterval(timer)
+  };
+}
+
+module.exports = {
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  updateSchedule,
+  deleteSchedule,
+  startScheduler
+};
@@ -0,0 +1,188 @@
+const { v4: uuidv4 } = require('uuid');
+const { collectErrors } = require('@repo/common');
+
+const { pool } = require('./db');
+const { encryptToken, decryptToken } = require('./encryption');
+
+const SECRET_NAME_PATTERN = '^[a-z0-9][a-z0-9._-]{0,62}$';
+// Dispatches read through a short cache; other instances pick up a rotated value within this window.
+const SECRET_CACHE_MS = 30_000;
+const LAST_USED_RESOLUTION = '1 minute';
+
+const SECRET_REF_SCHEMA = {
+  type: 'object',
+  required: ['secretRef'],
+  properties: {
+    secretRef: { type: 'string', pattern: SECRET_NAME_PATTERN }
+  },
+  additionalProperties: false
+};
+
+const SECRET_SCHEMA = {
+  type: 'object',
+  required: ['name', 'value'],
+  properties: {
+    name: { type: 'string', pattern: SECRET_NAME_PATTERN },
+    value: { type: 'string', minLength: 1 },
+    description: { type: 'string' }
+  },
+  additionalProperties: false
+};
+
+const SECRET_UPDATE_SCHEMA = {
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    value: SECRET_SCHEMA.properties.value,
+    description: SECRET_SCHEMA.properties.description
+  },
+  additionalProperties: false
+};
+
+const cache = new Map();
+
+function validateSecretInput(body) {
+  return collectErrors(SECRET_SCHEMA, body);
+}
+
+function validateSecretUpdate(body) {
+  return collectErrors(SECRET_UPDATE_SCHEMA, body);
+}
+
+function isSecretRef(value) {
+  return Boolean(value) && typeof value === 'object' && typeof value.secretRef === 'string';
+}
+
+// Lists every `{ secretRef }` in an agent config with the field that holds it.
+function collectSecretRefs(config) {
+  const dispatch = config?.dispatch || {};
+  const refs = [];
+  if (isSecretRef(dispatch.bearerToken)) {
+    refs.push({ field: 'config.dispatch.bearerToken', name: dispatch.bearerToken.secretRef });
+  }
+  if (isSecretRef(dispatch.basicAuth)) {
+    refs.push({ field: 'config.dispatch.basicAuth', name: dispatch.basicAuth.secretRef });
+  }
+  Object.entries(dispatch.headers || {}).forEach(([header, value]) => {
+    if (isSecretRef(value)) {
+      refs.push({ field: `config.dispatch.headers.${header}`, name: value.secretRef });
+    }
+  });
+  return refs;
+}
+
+// The value is write-only: it is never returned once stored.
+function toPublicSecret(row) {
+  if (!row) return null;
+  const { encrypted_value: _encryptedValue, ...rest } = row;
+  return rest;
+}
+
+// Returns null when the name is already taken.
+async function createSecret({ name, value, description }, { actor }) {
+  const { rows } = await pool.query(
+    `INSERT INTO agent_secrets (id, name, description, encrypted_value, created_by, updated_by)
+     VALUES ($1, $2, $3, $4, $5, $5)
+     ON CONFLICT (name) DO NOTHING
+     RETURNING *`,
+    [uuidv4(), name, description ?? null, encryptToken(value), actor]
+  );
+  return toPublicSecret(rows[0]);
+}
+
+async function listSecrets() {
+  const { rows } = await pool.query('SELECT * FROM agent_secrets ORDER BY name');
+  return rows.map(toPublicSecret);
+}
+
+async function getSecret(name) {
+  const { rows } = await pool.query('SELECT * FROM agent_secrets WHERE name = $1', [name]);
+  return toPublicSecret(rows[0]);
+}
+
+async function updateSecret(name, { value, description }, { actor }) {
+  const { rows } = await pool.query(
+    `UPDATE agent_secrets
+     SET encrypted_value = COALESCE($2, encrypted_value),
+         description = COALESCE($3, description),
+         value_updated_at = CASE WHEN $2::text IS NULL THEN value_updated_at ELSE now() END,
+         updated_by = $4,
+         updated_at = now()
+     WHERE name = $1
+     RETURNING *`,
+    [name, value !== undefined ? encryptToken(value) : null, description ?? null, actor]
+  );
+  cache.delete(name);
+  return toPublicSecret(rows[0]);
+}
+
+async function deleteSecret(name) {
+  const { rows } = await pool.query('DELETE FROM agent_secrets WHERE name = $1 RETURNING *', [name]);
+  cache.delete(name);
+  return toPublicSecret(rows[0]);
+}
+
+// Agents whose config points at the secret, so it cannot be deleted out from under them.
+async function findSecretUsage(name) {
+  const { rows } = await pool.query('SELECT slug, config FROM agent_registry ORDER BY slug');
+  return rows
+    .filter((row) => collectSecretRefs(row.config).some((ref) => ref.name === name))
+    .map((row) => row.slug);
+}
+
+// 422 details for references to secrets that do not exist.
+async function validateSecretRefs(config) {
+  const refs = collectSecretRefs(config);
+  if (!refs.length) return [];
+  const { rows } = await pool.query('SELECT name FROM agent_secrets WHERE name = ANY($1::text[])', [
+    refs.map((ref) => ref.name)
+  ]);
+  const known = new Set(rows.map((row) => row.name));
+  return refs
+    .filter((ref) => !known.has(ref.name))
+    .map((ref) => ({ field: ref.field, message: `secret ${ref.name} does not exist`, keyword: 'secretRef' }));
+}
+
+// Returns the decrypted value, or null when no such secret exists.
+async function resolveSecret(name) {
+  const cached = cache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const { rows } = await pool.query('SELECT id, encrypted_value FROM agent_secrets WHERE name = $1', [name]);
+  const row = rows[0];
+  if (!row) {
+    cache.delete(name);
+    return null;
+  }
+
+  const value = decryptToken(row.encrypted_value);
+  cache.set(name, { value, expiresAt: Date.now() + SECRET_CACHE_MS });
+
+  pool.query(
+    `UPDATE agent_secrets SET last_used_at = now()
+     WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < now() - interval '${LAST_USED_RESOLUTION}')`,
+    [row.id]
+  ).catch((err) => {
+    console.error('Failed to record secret use', name, err);
+  });
+
+  return value;
+}
+
+module.exports = {
+  SECRET_REF_SCHEMA,
+  validateSecretInput,
+  validateSecretUpdate,
+  isSecretRef,
+  collectSecretRefs,
+  createSecret,
+  listSecrets,
+  getSecret,
+  updateSecret,
+  deleteSecret,
+  findSecretUsage,
+  validateSecretRefs,
+  resolveSecret
+};
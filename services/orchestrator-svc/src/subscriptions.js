@@ -0,0 +1,549 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { collectErrors, createHmacSignature } = require('@repo/common');
+
+const { pool } = require('./db');
+const { encryptToken, decryptToken } = require('./encryption');
+
+const TASK_STATUS_EVENT = 'task.status_changed';
+const TASK_STATUSES = ['awaiting_approval', 'queued', 'running', 'done', 'error', 'dead_letter', 'cancelled'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const DISPATCH_BATCH_SIZE = 20;
+const OUTBOX_BATCH_SIZE = 100;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const MAX_RESPONSE_EXCERPT = 500;
+
+const DEFAULTS = {
+  maxAttempts: 8,
+  backoffBaseMs: 10_000,
+  timeoutMs: 10_000,
+  pollMs: 5_000
+};
+
+const FILTERS_SCHEMA = {
+  type: 'object',
+  properties: {
+    types: { type: 'array', items: { type: 'string', minLength: 1 } },
+    statuses: { type: 'array', items: { type: 'string', enum: TASK_STATUSES } },
+    agents: { type: 'array', items: { type: 'string', minLength: 1 } }
+  },
+  additionalProperties: false
+};
+
+const SUBSCRIPTION_SCHEMA = {
+  type: 'object',
+  required: ['url'],
+  properties: {
+    url: { type: 'string', minLength: 1 },
+    secret: { type: 'string', minLength: 16 },
+    description: { type: 'string' },
+    filters: FILTERS_SCHEMA,
+    isActive: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+const SUBSCRIPTION_PATCH_SCHEMA = {
+  ...SUBSCRIPTION_SCHEMA,
+  required: [],
+  minProperties: 1
+};
+
+function parsePositiveInt(value, fallback) {
+  const num = Number.parseInt(value, 10);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+}
+
+function getWebhookSettings() {
+  return {
+    maxAttempts: parsePositiveInt(process.env.WEBHOOK_MAX_ATTEMPTS, DEFAULTS.maxAttempts),
+    backoffBaseMs: parsePositiveInt(process.env.WEBHOOK_BACKOFF_BASE_MS, DEFAULTS.backoffBaseMs),
+    timeoutMs: parsePositiveInt(process.env.WEBHOOK_TIMEOUT_MS, DEFAULTS.timeoutMs),
+    pollMs: parsePositiveInt(process.env.WEBHOOK_POLL_MS, DEFAULTS.pollMs)
+  };
+}
+
+function validateSubscriptionUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol === 'https:' || parsed.protocol === 'http:') return [];
+  } catch (_) {
+    // Reported below.
+  }
+  return [{ field: 'url', message: 'must be an absolute http(s) URL', keyword: 'format' }];
+}
+
+function validateSubscriptionInput(body) {
+  const errors = collectErrors(SUBSCRIPTION_SCHEMA, body);
+  if (errors.length) return errors;
+  return validateSubscriptionUrl(body.url);
+}
+
+function validateSubscriptionPatch(body) {
+  const errors = collectErrors(SUBSCRIPTION_PATCH_SCHEMA, body);
+  if (errors.length || body.url === undefined) return errors;
+  return validateSubscriptionUrl(body.url);
+}
+
+function toSecretHint(secret) {
+  return `…${secret.slice(-4)}`;
+}
+
+// Secrets are stored encrypted and only returned when a subscription is created (or its secret
+// replaced); reads show the last four characters so operators can tell secrets apart.
+function toPublicSubscription(row) {
+  if (!row) return null;
+  const { secret, encrypted_secret: encryptedSecret, ...rest } = row;
+  return rest;
+}
+
+async function createSubscription({ url, secret, description, filters = {}, isActive = true }, { actor }) {
+  const resolvedSecret = secret || crypto.randomBytes(32).toString('hex');
+  const { rows } = await pool.query(
+    `INSERT INTO webhook_subscriptions (id, url, encrypted_secret, secret_hint, description, task_types, statuses, agents, is_active, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6::text[], $7::text[], $8::text[], $9, $10)
+     RETURNING *`,
+    [
+      uuidv4(),
+      url,
+      encryptToken(resolvedSecret),
+      toSecretHint(resolvedSecret),
+      description ?? null,
+      filters.types || [],
+      filters.statuses || [],
+      filters.agents || [],
+      isActive,
+      actor
+    ]
+  );
+  return { subscription: toPublicSubscription(rows[0]), secret: resolvedSecret };
+}
+
+async function getSubscription(id) {
+  const { rows } = await pool.query('SELECT * FROM webhook_subscriptions WHERE id = $1', [id]);
+  return toPublicSubscription(rows[0]);
+}
+
+async function listSubscriptions({ active } = {}) {
+  const values = [];
+  let where = '';
+  if (active !== undefined) {
+    values.push(active);
+    where = 'WHERE is_active = $1';
+  }
+  const { rows } = await pool.query(`SELECT * FROM webhook_subscriptions ${where} ORDER BY created_at DESC`, values);
+  return rows.map(toPublicSubscription);
+}
+
+async function updateSubscription(id, { url, secret, description, filters, isActive }) {
+  const { rows } = await pool.query(
+    `UPDATE webhook_subscriptions
+     SET url = COALESCE($2, url),
+         encrypted_secret = COALESCE($3, encrypted_secret),
+         secret_hint = COALESCE($9, secret_hint),
+         secret = CASE WHEN $3 IS NULL THEN secret END,
+         description = COALESCE($4, description),
+         task_types = COALESCE($5::text[], task_types),
+         statuses = COALESCE($6::text[], statuses),
+         agents = COALESCE($7::text[], agents),
+         is_active = COALESCE($8, is_active),
+         updated_at = now()
+     WHERE id = $1
+     RETURNING *`,
+    [
+      id,
+      url ?? null,
+      secret ? encryptToken(secret) : null,
+      description ?? null,
+      filters ? filters.types || [] : null,
+      filters ? filters.statuses || [] : null,
+      filters ? filters.agents || [] : null,
+      isActive ?? null,
+      secret ? toSecretHint(secret) : null
+    ]
+  );
+  return toPublicSubscription(rows[0]);
+}
+
+async function deleteSubscription(id) {
+  const { rows } = await pool.query('DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING *', [id]);
+  return toPublicSubscription(rows[0]);
+}
+
+// Subscriptions created before secrets were encrypted keep theirs in the plaintext `secret`
+// column. Run at startup; until it succeeds the dispatcher keeps signing with the plaintext.
+async function encryptLegacySubscriptionSecrets() {
+  const { rows } = await pool.query(
+    'SELECT id, secret FROM webhook_subscriptions WHERE encrypted_secret IS NULL AND secret IS NOT NULL'
+  );
+  for (const row of rows) {
+    await pool.query(
+      `UPDATE webhook_subscriptions
+       SET encrypted_secret = $2, secret_hint = $3, secret = NULL
+       WHERE id = $1 AND secret = $4`,
+      [row.id, encryptToken(row.secret), toSecretHint(row.secret), row.secret]
+    );
+  }
+  return rows.length;
+}
+
+async function countActiveSubscriptions() {
+  const { rows } = await pool.query('SELECT count(*)::int AS count FROM webhook_subscriptions WHERE is_active');
+  return rows[0].count;
+}
+
+function buildTaskEventPayload({ eventId, task, previousStatus }) {
+  return {
+    id: eventId,
+    event: TASK_STATUS_EVENT,
+    occurredAt: task.updated_at,
+    data: {
+      previousStatus: previousStatus || null,
+      task: {
+        id: task.id,
+        type: task.type,
+        status: task.status,
+        source: task.source,
+        correlationId: task.correlation_id,
+        traceId: task.trace_id,
+        agent: task.agent_slug,
+        channel: task.agent_channel,
+        priority: task.priority,
+        attempts: task.attempts,
+        result: task.result ?? null,
+        error: task.error ?? null,
+        parentTaskId: task.parent_task_id ?? null,
+        campaignId: task.campaign_id ?? null,
+        rerunOf: task.rerun_of ?? null,
+        createdAt: task.created_at,
+        updatedAt: task.updated_at
+      }
+    }
+  };
+}
+
+function matchesSubscription(subscription, task) {
+  return (
+    (!subscription.task_types.length || subscription.task_types.includes(task.type)) &&
+    (!subscription.statuses.length || subscription.statuses.includes(task.status)) &&
+    (!subscription.agents.length || subscription.agents.includes(task.agent_slug))
+  );
+}
+
+// A trigger on `tasks` records every status change (and every new task) in webhook_outbox, in
+// the transaction that made the change, while any subscription is active. Draining turns each
+// entry into one delivery per matching subscription and deletes it in a single transaction, so
+// a change is neither lost nor delivered twice; SKIP LOCKED lets instances drain side by side.
+async function drainWebhookOutbox() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: entries } = await client.query(
+      `SELECT * FROM webhook_outbox
+       ORDER BY id ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED`,
+      [OUTBOX_BATCH_SIZE]
+    );
+    if (!entries.length) {
+      await client.query('COMMIT');
+      return { drained: 0, deliveries: 0 };
+    }
+
+    const { rows: subscriptions } = await client.query(
+      'SELECT id, task_types, statuses, agents FROM webhook_subscriptions WHERE is_active'
+    );
+    let deliveries = 0;
+    for (const entry of entries) {
+      const matching = subscriptions.filter((subscription) => matchesSubscription(subscription, entry.task));
+      if (!matching.length) continue;
+
+      const eventId = uuidv4();
+      const payload = buildTaskEventPayload({ eventId, task: entry.task, previousStatus: entry.previous_status });
+      const { rowCount } = await client.query(
+        `INSERT INTO webhook_deliveries (id, subscription_id, event_id, event, task_id, payload)
+         SELECT delivery.id, delivery.subscription_id, $1, $2, $3, $4::jsonb
+         FROM unnest($5::uuid[], $6::uuid[]) AS delivery(id, subscription_id)`,
+        [
+          eventId,
+          TASK_STATUS_EVENT,
+          entry.task_id,
+          JSON.stringify(payload),
+          matching.map(() => uuidv4()),
+          matching.map((subscription) => subscription.id)
+        ]
+      );
+      deliveries += rowCount;
+    }
+
+    await client.query('DELETE FROM webhook_outbox WHERE id = ANY($1::bigint[])', [entries.map((entry) => entry.id)]);
+    await client.query('COMMIT');
+    return { drained: entries.length, deliveries };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function getDelivery(id) {
+  const { rows } = await pool.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+async function listDeliveries({ subscriptionId, status, taskId, limit = 50 }) {
+  const clauses = ['subscription_id = $1'];
+  const values = [subscriptionId];
+
+  if (status) {
+    values.push(status);
+    clauses.push(`status = $${values.length}`);
+  }
+  if (taskId) {
+    values.push(taskId);
+    clauses.push(`task_id = $${values.length}`);
+  }
+  values.push(limit);
+
+  const { rows } = await pool.query(
+    `SELECT * FROM webhook_deliveries WHERE ${clauses.join(' AND ')} ORDER BY created_at DESC LIMIT $${values.length}`,
+    values
+  );
+  return rows;
+}
+
+// A replay is a new delivery of the same event (same body `id`, so receivers can dedupe);
+// the original row and its attempt log stay as they were.
+async function replayDelivery(id) {
+  const { rows } = await pool.query(
+    `INSERT INTO webhook_deliveries (id, subscription_id, event_id, event, task_id, payload, replay_of)
+     SELECT $2, subscription_id, event_id, event, task_id, payload, id
+     FROM webhook_deliveries
+     WHERE id = $1
+     RETURNING *`,
+    [id, uuidv4()]
+  );
+  return rows[0] || null;
+}
+
+// Re-sends every failed delivery of a subscription created at or after `since`.
+async function replayFailedDeliveries({ subscriptionId, since, limit }) {
+  const { rows } = await pool.query(
+    `INSERT INTO webhook_deliveries (id, subscription_id, event_id, event, task_id, payload, replay_of)
+     SELECT gen_random_uuid(), subscription_id, event_id, event, task_id, payload, id
+     FROM (
+       SELECT * FROM webhook_deliveries
+       WHERE subscription_id = $1 AND status = 'failed' AND created_at >= COALESCE($2::timestamptz, '-infinity')
+       ORDER BY created_at ASC
+       LIMIT $3
+     ) failed
+     RETURNING *`,
+    [subscriptionId, since || null, limit]
+  );
+  return rows;
+}
+
+function computeBackoffMs(attempts, { backoffBaseMs }) {
+  const exponential = Math.min(backoffBaseMs * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+// Receivers verify `X-Webhook-Signature: sha256=HMAC(secret, "<timestamp>.<raw body>")`
+// against `X-Webhook-Timestamp`, the same scheme agents use for task callbacks.
+async function sendDelivery(delivery, { timeoutMs }) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const startedAt = Date.now();
+  try {
+    const secret = delivery.encrypted_secret ? decryptToken(delivery.encrypted_secret) : delivery.secret;
+    const signature = createHmacSignature({ secret, payload: `${timestamp}.${body}` });
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'orchestrator-svc-webhooks',
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signature}`
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    const text = await response.text().catch(() => '');
+    return {
+      ok: response.ok,
+      statusCode: response.status,
+      error: response.ok ? null : `HTTP ${response.status}`,
+      responseExcerpt: text.slice(0, MAX_RESPONSE_EXCERPT) || null,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      statusCode: null,
+      error: err.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : err.cause?.message || err.message,
+      responseExcerpt: null,
+      durationMs: Date.now() - startedAt
+    };
+  }
+}
+
+async function recordAttempt(delivery, outcome, settings) {
+  const attempts = delivery.attempts + 1;
+  const exhausted = !outcome.ok && attempts >= settings.maxAttempts;
+  const status = outcome.ok ? 'delivered' : exhausted ? 'failed' : 'pending';
+  const retryInMs = status === 'pending' ? computeBackoffMs(attempts, settings) : 0;
+  const logEntry = {
+    attempt: attempts,
+    at: new Date().toISOString(),
+    statusCode: outcome.statusCode,
+    error: outcome.error,
+    durationMs: outcome.durationMs
+  };
+
+  const { rows } = await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = $2,
+         attempts = $3,
+         next_attempt_at = now() + ($4::int * interval '1 millisecond'),
+         last_status_code = $5,
+         last_error = $6,
+         last_response = $7,
+         attempt_log = attempt_log || $8::jsonb,
+         delivered_at = CASE WHEN $2 = 'delivered' THEN now() ELSE delivered_at END,
+         updated_at = now()
+     WHERE id = $1
+     RETURNING *`,
+    [
+      delivery.id,
+      status,
+      attempts,
+      retryInMs,
+      outcome.statusCode,
+      outcome.error,
+      outcome.responseExcerpt,
+      JSON.stringify([logEntry])
+    ]
+  );
+  return rows[0];
+}
+
+// Claims due deliveries by pushing next_attempt_at past the request timeout, so another
+// instance only picks one up again if this one died mid-request. Deliveries of inactive
+// subscriptions wait until the subscription is re-enabled.
+async function claimDueDeliveries({ timeoutMs }) {
+  const { rows } = await pool.query(
+    `UPDATE webhook_deliveries d
+     SET next_attempt_at = now() + ($1::int * interval '1 millisecond'), updated_at = now()
+     FROM webhook_subscriptions s
+     WHERE d.subscription_id = s.id
+       AND d.id IN (
+         SELECT pending.id FROM webhook_deliveries pending
+         JOIN webhook_subscriptions active ON active.id = pending.subscription_id AND active.is_active
+         WHERE pending.status = 'pending' AND pending.next_attempt_at <= now()
+         ORDER BY pending.next_attempt_at ASC
+         LIMIT $2
+         FOR UPDATE OF pending SKIP LOCKED
+       )
+     RETURNING d.*, s.url, s.secret, s.encrypted_secret`,
+    [timeoutMs * 2, DISPATCH_BATCH_SIZE]
+  );
+  return rows;
+}
+
+function startWebhookDispatcher({ logger, pollMs }) {
+  const settings = getWebhookSettings();
+  const interval = Number.parseInt(pollMs, 10) || settings.pollMs;
+  let running = false;
+  let rerun = false;
+  let activeSubscriptions = 0;
+
+  async function refresh() {
+    try {
+      activeSubscriptions = await countActiveSubscriptions();
+    } catch (err) {
+      console.error('Failed to count webhook subscriptions', err);
+    }
+  }
+
+  async function tick() {
+    if (running) {
+      rerun = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        rerun = false;
+        await refresh();
+        const outbox = await drainWebhookOutbox();
+        const deliveries = await claimDueDeliveries(settings);
+        for (const delivery of deliveries) {
+          const outcome = await sendDelivery(delivery, settings);
+          const updated = await recordAttempt(delivery, outcome, settings);
+          const data = {
+            id: updated.id,
+            subscriptionId: updated.subscription_id,
+            taskId: updated.task_id,
+            attempts: updated.attempts,
+            statusCode: outcome.statusCode,
+            error: outcome.error
+          };
+          if (updated.status === 'delivered') {
+            logger.info('WEBHOOK_DELIVERED', { data });
+          } else if (updated.status === 'failed') {
+            logger.error('WEBHOOK_DELIVERY_FAILED', { data });
+          } else {
+            logger.warn('WEBHOOK_RETRY_SCHEDULED', { data: { ...data, nextAttemptAt: updated.next_attempt_at } });
+          }
+        }
+        if (deliveries.length === DISPATCH_BATCH_SIZE || outbox.drained === OUTBOX_BATCH_SIZE) {
+          rerun = true;
+        }
+      } while (rerun);
+    } catch (err) {
+      console.error('Webhook dispatcher tick failed', err);
+      logger.error('WEBHOOK_DISPATCH_TICK_FAILED', { data: { error: err.message } });
+    } finally {
+      running = false;
+    }
+  }
+
+  const timer = setInterval(tick, interval);
+  timer.unref?.();
+  refresh();
+
+  return {
+    tick,
+    refresh,
+    nudge: () => {
+      setImmediate(tick);
+    },
+    // Lets the TASK_UPDATE hook skip the nudge while nobody is subscribed. Other instances
+    // learn about new subscriptions on their next tick.
+    hasSubscribers: () => activeSubscriptions > 0,
+    stop: () => clearInterval(timer)
+  };
+}
+
+module.exports = {
+  TASK_STATUS_EVENT,
+  DELIVERY_STATUSES,
+  getWebhookSettings,
+  validateSubscriptionInput,
+  validateSubscriptionPatch,
+  createSubscription,
+  getSubscription,
+  listSubscriptions,
+  updateSubscription,
+  deleteSubscription,
+  encryptLegacySubscriptionSecrets,
+  getDelivery,
+  listDeliveries,
+  replayDelivery,
+  replayFailedDeliveries,
+  startWebhookDispatcher
+};
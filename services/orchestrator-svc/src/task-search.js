@@ -0,0 +1,187 @@
+const { pool } = require('./db');
+
+const SORT_COLUMNS = ['updated_at', 'created_at', 'priority'];
+const SORT_ORDERS = ['asc', 'desc'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_PAYLOAD_FILTERS = 10;
+const PAYLOAD_PATH_SEGMENT = /^[A-Za-z0-9_-]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Must match idx_tasks_search so full-text queries can use the index.
+const SEARCH_DOCUMENT = `to_tsvector('simple', coalesce(payload::text, '') || ' ' || coalesce(result::text, ''))`;
+
+const EQUALITY_FILTERS = {
+  type: 'type',
+  agent: 'agent_slug',
+  channel: 'agent_channel',
+  source: 'source',
+  corrId: 'correlation_id',
+  campaignId: 'campaign_id',
+  parentTaskId: 'parent_task_id',
+  rerunOf: 'rerun_of'
+};
+
+const UUID_COLUMNS = ['campaign_id', 'parent_task_id', 'rerun_of'];
+
+const RANGE_FILTERS = {
+  createdFrom: ['created_at', '>='],
+  createdTo: ['created_at', '<'],
+  updatedFrom: ['updated_at', '>='],
+  updatedTo: ['updated_at', '<'],
+  // Older clients poll with `since`; it is an alias for updatedFrom.
+  since: ['updated_at', '>=']
+};
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (cursor && typeof cursor === 'object' && UUID_PATTERN.test(cursor.id) && typeof cursor.v === 'string') {
+      return cursor;
+    }
+  } catch (_) {
+    // Fall through to the invalid-cursor error.
+  }
+  return null;
+}
+
+// Turns GET /tasks query parameters into search options. Returns `{ error }` for the first
+// invalid parameter. `payload.<path>=<value>` matches a JSON payload path as text.
+function parseTaskQuery(query) {
+  const options = { equals: {}, ranges: [], payload: [], statuses: [] };
+
+  if (query.status) {
+    options.statuses = String(query.status).split(',').map((entry) => entry.trim()).filter(Boolean);
+  }
+
+  for (const [param, column] of Object.entries(EQUALITY_FILTERS)) {
+    if (query[param] === undefined || query[param] === '') continue;
+    if (UUID_COLUMNS.includes(column) && !UUID_PATTERN.test(String(query[param]))) {
+      return { error: `Invalid ${param} parameter` };
+    }
+    options.equals[column] = String(query[param]);
+  }
+
+  for (const [param, [column, operator]] of Object.entries(RANGE_FILTERS)) {
+    if (query[param] === undefined || query[param] === '') continue;
+    if (Number.isNaN(Date.parse(query[param]))) {
+      return { error: `Invalid ${param} parameter` };
+    }
+    options.ranges.push({ column, operator, value: new Date(query[param]).toISOString() });
+  }
+
+  const payloadKeys = Object.keys(query).filter((key) => key.startsWith('payload.'));
+  if (payloadKeys.length > MAX_PAYLOAD_FILTERS) {
+    return { error: `At most ${MAX_PAYLOAD_FILTERS} payload filters are allowed` };
+  }
+  for (const key of payloadKeys) {
+    const path = key.slice('payload.'.length).split('.');
+    if (!path.every((segment) => PAYLOAD_PATH_SEGMENT.test(segment))) {
+      return { error: `Invalid payload filter ${key}` };
+    }
+    options.payload.push({ path, value: String(query[key]) });
+  }
+
+  if (query.q !== undefined && String(query.q).trim()) {
+    options.search = String(query.q).trim();
+  }
+
+  options.sort = query.sort ?? 'updated_at';
+  if (!SORT_COLUMNS.includes(options.sort)) {
+    return { error: `sort must be one of ${SORT_COLUMNS.join(', ')}` };
+  }
+  options.order = query.order ?? 'desc';
+  if (!SORT_ORDERS.includes(options.order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  options.limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_LIMIT) {
+      return { error: 'Invalid limit parameter' };
+    }
+    options.limit = limit;
+  }
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) {
+      return { error: 'Invalid cursor parameter' };
+    }
+    if (cursor.s !== options.sort || cursor.o !== options.order) {
+      return { error: 'cursor was issued for a different sort; restart without it' };
+    }
+    options.cursor = cursor;
+  }
+
+  return { options };
+}
+
+// Keyset pagination on (sort column, id). The cursor keeps the sort value as Postgres text
+// so timestamps round-trip with full microsecond precision. `excludeRerun` drops tasks that
+// already have a re-run, so bulk re-runs never clone the same task twice.
+async function searchTasks({ equals, ranges, payload, statuses, search, sort, order, limit, cursor, excludeRerun }) {
+  const clauses = [];
+  const values = [];
+  const param = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  if (statuses.length) {
+    clauses.push(`status = ANY(${param(statuses)}::text[])`);
+  }
+  Object.entries(equals).forEach(([column, value]) => {
+    const cast = UUID_COLUMNS.includes(column) ? '::uuid' : '';
+    clauses.push(`${column} = ${param(value)}${cast}`);
+  });
+  ranges.forEach(({ column, operator, value }) => {
+    clauses.push(`${column} ${operator} ${param(value)}::timestamptz`);
+  });
+  payload.forEach(({ path, value }) => {
+    clauses.push(`payload #>> ${param(path)}::text[] = ${param(value)}`);
+  });
+  if (search) {
+    clauses.push(`${SEARCH_DOCUMENT} @@ websearch_to_tsquery('simple', ${param(search)})`);
+  }
+  if (excludeRerun) {
+    clauses.push('NOT EXISTS (SELECT 1 FROM tasks rerun WHERE rerun.rerun_of = tasks.id)');
+  }
+  if (cursor) {
+    const comparator = order === 'desc' ? '<' : '>';
+    const cast = sort === 'priority' ? '::int' : '::timestamptz';
+    clauses.push(`(${sort}, id) ${comparator} (${param(cursor.v)}${cast}, ${param(cursor.id)}::uuid)`);
+  }
+
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const direction = order === 'desc' ? 'DESC' : 'ASC';
+  const { rows } = await pool.query(
+    `SELECT *, ${sort}::text AS cursor_value FROM tasks ${where}
+     ORDER BY ${sort} ${direction}, id ${direction}
+     LIMIT ${param(limit + 1)}`,
+    values
+  );
+
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const nextCursor = rows.length > limit && last
+    ? encodeCursor({ s: sort, o: order, v: last.cursor_value, id: last.id })
+    : null;
+
+  return {
+    tasks: page.map(({ cursor_value: _cursorValue, ...task }) => task),
+    nextCursor
+  };
+}
+
+module.exports = {
+  SORT_COLUMNS,
+  MAX_LIMIT,
+  parseTaskQuery,
+  searchTasks
+};
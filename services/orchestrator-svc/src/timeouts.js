@@ -0,0 +1,177 @@
+const { pool } = require('./db');
+const { TaskTimeoutError } = require('./errors');
+
+const TIMEOUT_ACTIONS = ['retry', 'fail', 'escalate'];
+const SLA_AT_RISK_RATIO = 0.8;
+const SWEEP_BATCH_SIZE = 50;
+
+// A timed-out dispatch may still have reached the agent (a call placed, a message sent), so
+// retrying is opt-in per type rather than the default.
+const DEFAULT_TIMEOUTS = Object.freeze({
+  dispatchMs: 30_000,
+  completionMs: 15 * 60_000,
+  onTimeout: 'fail'
+});
+
+const DEFAULT_SWEEP_INTERVAL_MS = 15_000;
+
+function toPositiveInt(value) {
+  const num = Number(value);
+  return Number.isInteger(num) && num > 0 ? num : undefined;
+}
+
+function pickTimeouts(source) {
+  if (!source || typeof source !== 'object') return {};
+  const picked = {
+    dispatchMs: toPositiveInt(source.dispatchMs),
+    completionMs: toPositiveInt(source.completionMs),
+    onTimeout: TIMEOUT_ACTIONS.includes(source.onTimeout) ? source.onTimeout : undefined
+  };
+  return Object.fromEntries(Object.entries(picked).filter(([, value]) => value !== undefined));
+}
+
+function getDefaultTimeouts() {
+  return {
+    ...DEFAULT_TIMEOUTS,
+    ...pickTimeouts({
+      dispatchMs: process.env.TASK_DISPATCH_TIMEOUT_MS,
+      completionMs: process.env.TASK_COMPLETION_TIMEOUT_MS,
+      onTimeout: process.env.TASK_TIMEOUT_ACTION
+    })
+  };
+}
+
+// TASK_TIMEOUTS holds per-type overrides as JSON, e.g.
+// {"call.start":{"completionMs":1800000,"onTimeout":"escalate"}}.
+function getEnvTypeTimeouts(taskType) {
+  if (!process.env.TASK_TIMEOUTS) return {};
+  try {
+    return pickTimeouts(JSON.parse(process.env.TASK_TIMEOUTS)[taskType]);
+  } catch (err) {
+    console.error('Ignoring invalid TASK_TIMEOUTS', err.message);
+    return {};
+  }
+}
+
+// Agents declare timeouts per task type (`{ "<type>": { dispatchMs, completionMs, onTimeout } }`),
+// mirroring payloadSchemas; unknown keys and non-positive values are dropped.
+function normalizeTaskTimeouts(timeouts, taskTypes) {
+  if (!timeouts || typeof timeouts !== 'object') return {};
+  const normalized = {};
+  taskTypes.forEach((type) => {
+    const picked = pickTimeouts(timeouts[type]);
+    if (Object.keys(picked).length) {
+      normalized[type] = picked;
+    }
+  });
+  return normalized;
+}
+
+// Agent config wins over TASK_TIMEOUTS, which wins over the global TASK_*_TIMEOUT_MS defaults.
+function getTaskTimeouts(handler, taskType) {
+  return {
+    ...getDefaultTimeouts(),
+    ...getEnvTypeTimeouts(taskType),
+    ...(handler?.timeouts?.[taskType] || {})
+  };
+}
+
+// Races the agent call against the dispatch timeout. The signal lets fetch-based executors
+// abort the request; executors that ignore it are still abandoned when the timer fires.
+async function withDispatchTimeout(run, { timeoutMs, slug }) {
+  const controller = new AbortController();
+  let timer = null;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      reject(new TaskTimeoutError(`Dispatch timed out after ${timeoutMs}ms (agent ${slug})`, {
+        phase: 'dispatch',
+        timeoutMs
+      }));
+      controller.abort();
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([run(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function computeDeadline(timeouts, from = Date.now()) {
+  return new Date(from + timeouts.completionMs).toISOString();
+}
+
+// Age of the task against its completion SLA. Settled tasks stop the clock at their last update.
+function describeTaskSla(task, timeouts, { now = Date.now(), settledStatuses = [] } = {}) {
+  const createdAt = new Date(task.created_at).getTime();
+  const endedAt = settledStatuses.includes(task.status) ? new Date(task.updated_at).getTime() : now;
+  const ageMs = Math.max(0, endedAt - createdAt);
+  const ratio = ageMs / timeouts.completionMs;
+  return {
+    ageMs,
+    targetMs: timeouts.completionMs,
+    deadlineAt: task.deadline_at || null,
+    state: ratio >= 1 ? 'breached' : ratio >= SLA_AT_RISK_RATIO ? 'at_risk' : 'ok'
+  };
+}
+
+// Running tasks past their completion deadline whose worker has let go of them: deferred
+// dispatches waiting on a callback, or tasks whose lease was reclaimed mid-flight.
+async function listExpiredTasks({ limit = SWEEP_BATCH_SIZE } = {}) {
+  const { rows } = await pool.query(
+    `SELECT * FROM tasks
+     WHERE status = 'running'
+       AND deadline_at <= now()
+       AND (lease_owner IS NULL OR lease_expires_at < now())
+     ORDER BY deadline_at ASC
+     LIMIT $1`,
+    [limit]
+  );
+  return rows;
+}
+
+function startTimeoutSweeper({ onExpired, logger, intervalMs }) {
+  const interval = Number.parseInt(intervalMs ?? process.env.TASK_TIMEOUT_SWEEP_MS, 10) || DEFAULT_SWEEP_INTERVAL_MS;
+  let running = false;
+
+  async function sweep() {
+    if (running) return;
+    running = true;
+    try {
+      const expired = await listExpiredTasks();
+      for (const task of expired) {
+        await onExpired(task).catch((err) => {
+          console.error('Failed to time out task', task.id, err);
+          logger.error('TASK_TIMEOUT_FAILED', {
+            data: { id: task.id, type: task.type, error: err.message },
+            traceId: task.trace_id,
+            correlationId: task.correlation_id
+          });
+        });
+      }
+    } catch (err) {
+      console.error('Timeout sweep failed', err);
+      logger.error('TASK_TIMEOUT_SWEEP_FAILED', { data: { error: err.message } });
+    } finally {
+      running = false;
+    }
+  }
+
+  const timer = setInterval(sweep, interval);
+  timer.unref?.();
+
+  return {
+    sweep,
+    stop: () => clearInterval(timer)
+  };
+}
+
+module.exports = {
+  TIMEOUT_ACTIONS,
+  normalizeTaskTimeouts,
+  getTaskTimeouts,
+  withDispatchTimeout,
+  computeDeadline,
+  describeTaskSla,
+  startTimeoutSweeper
+};
@@ -8,7 +8,9 @@ const {
   normalizeOrigin
 } = require('@repo/common');
 
-function setupWebsocket(server) {
+// Browsers authenticate with `?ticket=` from `POST /auth/ws-ticket` (redeemed once through
+// `consumeTicket`); other clients may still send Basic or the internal key.
+function setupWebsocket(server, { consumeTicket } = {}) {
   const clients = new Set();
   const allowedOrigins = parseAllowedOrigins(
     process.env.WS_ALLOWED_ORIGINS || process.env.DASHBOARD_ORIGIN || process.env.PUBLIC_DOMAIN
@@ -21,14 +23,6 @@ function setupWebsocket(server) {
       return;
     }
 
-    const { source: authSource, sanitizedUrl } = buildAuthContext(request);
-    const authResult = authenticateRequest(authSource);
-    if (!authResult.ok) {
-      socket.write(`HTTP/1.1 401 Unauthorized\r\nWWW-Authenticate: ${AUTH_CHALLENGE}\r\n\r\n`);
-      socket.destroy();
-      return;
-    }
-
     const origin = request.headers ? request.headers.origin : undefined;
     if (!isOriginAllowed(allowedOrigins, origin)) {
       socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
@@ -36,6 +30,33 @@ function setupWebsocket(server) {
       return;
     }
 
+    const { source: authSource, ticket, sanitizedUrl } = buildAuthContext(request);
+    if (ticket && consumeTicket) {
+      consumeTicket(ticket)
+        .then((identity) => {
+          if (!identity) {
+            rejectUnauthorized(socket);
+            return;
+          }
+          acceptUpgrade(request, socket, head, sanitizedUrl, identity);
+        })
+        .catch((err) => {
+          console.error('Failed to redeem websocket ticket', err);
+          socket.write('HTTP/1.1 500 Internal Server Error\r\n\r\n');
+          socket.destroy();
+        });
+      return;
+    }
+
+    const authResult = authenticateRequest(authSource);
+    if (!authResult.ok) {
+      rejectUnauthorized(socket);
+      return;
+    }
+    acceptUpgrade(request, socket, head, sanitizedUrl, { user: authResult.user, strategy: authResult.strategy });
+  };
+
+  const acceptUpgrade = (request, socket, head, sanitizedUrl, identity) => {
     const originalUrl = request.url;
     if (sanitizedUrl && sanitizedUrl !== originalUrl) {
       request.url = sanitizedUrl;
@@ -45,7 +66,8 @@ function setupWebsocket(server) {
       if (sanitizedUrl && sanitizedUrl !== originalUrl) {
         request.url = originalUrl;
       }
-      ws.authUser = authResult.user;
+      ws.authUser = identity.user;
+      ws.sessionId = identity.sessionId || null;
       clients.add(ws);
 
       ws.on('close', () => clients.delete(ws));
@@ -66,11 +88,28 @@ function setupWebsocket(server) {
     }
   }
 
+  // Called on logout or when a user's sessions are revoked, so their open sockets stop receiving frames.
+  function closeSessions(sessionIds) {
+    const ids = new Set(sessionIds);
+    for (const ws of clients) {
+      if (ws.sessionId && ids.has(ws.sessionId)) {
+        ws.close(4001, 'Session ended');
+        clients.delete(ws);
+      }
+    }
+  }
+
   return {
-    broadcast
+    broadcast,
+    closeSessions
   };
 }
 
+function rejectUnauthorized(socket) {
+  socket.write(`HTTP/1.1 401 Unauthorized\r\nWWW-Authenticate: ${AUTH_CHALLENGE}\r\n\r\n`);
+  socket.destroy();
+}
+
 function parseAllowedOrigins(value) {
   return parseOrigins(value);
 }
@@ -85,23 +124,20 @@ function isOriginAllowed(allowedOrigins, origin) {
 function buildAuthContext(request) {
   const headers = Object.assign({}, request.headers || {});
   let sanitizedUrl = null;
+  let ticket = null;
 
   if (request.url) {
     try {
       const parsed = new URL(request.url, 'http://internal');
-      const authParam = parsed.searchParams.get('auth');
       const internalKey = parsed.searchParams.get('internalKey');
-
-      if (authParam && !headers.authorization) {
-        headers.authorization = `Basic ${authParam}`;
-      }
+      ticket = parsed.searchParams.get('ticket');
 
       if (internalKey && !headers[INTERNAL_HEADER]) {
         headers[INTERNAL_HEADER] = internalKey;
       }
 
-      if (authParam || internalKey) {
-        parsed.searchParams.delete('auth');
+      if (ticket || internalKey) {
+        parsed.searchParams.delete('ticket');
         parsed.searchParams.delete('internalKey');
         sanitizedUrl = `${parsed.pathname}${parsed.search}` || parsed.pathname;
       }
@@ -112,6 +148,7 @@ function buildAuthContext(request) {
 
   return {
     source: { headers },
+    ticket,
     sanitizedUrl
   };
 }
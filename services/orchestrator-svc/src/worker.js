@@ -0,0 +1,163 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+
+const {
+  claimNextTask,
+  extendTaskLease,
+  releaseTaskLease,
+  reclaimExpiredLeases
+} = require('./db');
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_LEASE_MS = 60_000;
+const DEFAULT_POLL_INTERVAL_MS = 1_000;
+
+function parsePositiveInt(value, fallback) {
+  const num = Number.parseInt(value, 10);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+}
+
+// getClaimLimits returns the per-agent/per-channel in-flight caps; tasks in a lane at its cap
+// stay queued (higher-priority work in other lanes is claimed instead) until a slot frees up.
+function startTaskWorker({ processTask, wsHub, logger, getClaimLimits, options = {} }) {
+  if (typeof processTask !== 'function') {
+    throw new Error('Task worker requires a processTask function');
+  }
+
+  const workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+  const concurrency = parsePositiveInt(options.concurrency ?? process.env.TASK_WORKER_CONCURRENCY, DEFAULT_CONCURRENCY);
+  const leaseMs = parsePositiveInt(options.leaseMs ?? process.env.TASK_LEASE_MS, DEFAULT_LEASE_MS);
+  const pollIntervalMs = parsePositiveInt(options.pollIntervalMs ?? process.env.TASK_WORKER_POLL_MS, DEFAULT_POLL_INTERVAL_MS);
+
+  let active = 0;
+  let filling = false;
+  let refillRequested = false;
+  let stopped = false;
+  let pollTimer = null;
+  let reclaimTimer = null;
+
+  async function reclaim() {
+    try {
+      const reclaimed = await reclaimExpiredLeases();
+      reclaimed.forEach(({ task, event }) => {
+        wsHub.broadcast('TASK_UPDATE', { task });
+        logger.warn('TASK_LEASE_RECLAIMED', {
+          data: { id: task.id, type: task.type, from: event?.data?.from || null },
+          traceId: task.trace_id,
+          correlationId: task.correlation_id
+        });
+        if (event) {
+          logger.taskEvent({
+            taskId: task.id,
+            actor: event.actor,
+            kind: event.kind,
+            data: event.data,
+            traceId: task.trace_id,
+            correlationId: task.correlation_id
+          });
+        }
+      });
+      if (reclaimed.length) {
+        nudge();
+      }
+    } catch (err) {
+      console.error('Failed to reclaim expired task leases', err);
+      logger.error('TASK_LEASE_RECLAIM_FAILED', { data: { error: err.message } });
+    }
+  }
+
+  async function fill() {
+    if (filling) {
+      refillRequested = true;
+      return;
+    }
+    filling = true;
+    try {
+      do {
+        refillRequested = false;
+        const limits = getClaimLimits ? await getClaimLimits() : null;
+        while (!stopped && active < concurrency) {
+          const task = await claimNextTask({ workerId, leaseMs, limits });
+          if (!task) break;
+          run(task);
+        }
+      } while (refillRequested && !stopped);
+    } catch (err) {
+      console.error('Failed to claim task', err);
+      logger.error('TASK_CLAIM_FAILED', { data: { workerId, error: err.message } });
+    } finally {
+      filling = false;
+    }
+  }
+
+  function run(task) {
+    active += 1;
+    const heartbeat = setInterval(() => {
+      extendTaskLease({ id: task.id, workerId, leaseMs })
+        .then((held) => {
+          if (!held) {
+            logger.warn('TASK_LEASE_LOST', { data: { id: task.id, workerId } });
+          }
+        })
+        .catch((err) => {
+          console.error('Failed to extend task lease', err);
+        });
+    }, Math.max(Math.floor(leaseMs / 3), 1_000));
+
+    Promise.resolve()
+      .then(() => processTask(task, { wsHub, logger }))
+      .catch((err) => {
+        console.error('Task worker processing error', err);
+      })
+      .finally(async () => {
+        clearInterval(heartbeat);
+        try {
+          await releaseTaskLease({ id: task.id, workerId });
+        } catch (err) {
+          console.error('Failed to release task lease', err);
+        }
+        active -= 1;
+        nudge();
+      });
+  }
+
+  function nudge() {
+    if (stopped) return;
+    queueMicrotask(() => {
+      fill();
+    });
+  }
+
+  function schedulePoll() {
+    if (stopped) return;
+    pollTimer = setTimeout(async () => {
+      await fill();
+      schedulePoll();
+    }, pollIntervalMs);
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(pollTimer);
+    clearInterval(reclaimTimer);
+  }
+
+  logger.info('TASK_WORKER_STARTED', { data: { workerId, concurrency, leaseMs, pollIntervalMs } });
+
+  reclaim().finally(() => {
+    fill();
+    schedulePoll();
+  });
+  reclaimTimer = setInterval(reclaim, leaseMs);
+
+  return {
+    workerId,
+    nudge,
+    stop,
+    stats: () => ({ workerId, active, concurrency })
+  };
+}
+
+module.exports = {
+  startTaskWorker
+};
@@ -0,0 +1,564 @@
+const { isDeepStrictEqual } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const { collectErrors } = require('@repo/common');
+
+const { pool } = require('./db');
+const { TaskValidationError } = require('./errors');
+
+const WORKFLOW_TASK_TYPE = 'workflow.run';
+const SLUG_PATTERN = '^[a-z0-9][a-z0-9:._-]{0,62}$';
+const STEP_ID_PATTERN = '^[A-Za-z][A-Za-z0-9_-]{0,62}$';
+const FAILED_STEP_STATUSES = ['error', 'dead_letter', 'cancelled', 'failed'];
+const TERMINAL_STEP_STATUSES = ['done', 'skipped', ...FAILED_STEP_STATUSES];
+const RECHECK_MS = 5 * 60_000;
+const ENGINE_BATCH_SIZE = 50;
+const DEFAULT_ENGINE_POLL_MS = 15_000;
+
+const TEMPLATE_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+const WHOLE_TEMPLATE_PATTERN = /^\{\{\s*([^}]+?)\s*\}\}$/;
+const STEP_REFERENCE_PATTERN = /(?:^|[^A-Za-z0-9_])steps\.([A-Za-z][A-Za-z0-9_-]*)/g;
+
+const CONDITION_SCHEMA = {
+  type: 'object',
+  required: ['path'],
+  properties: {
+    path: { type: 'string', minLength: 1 },
+    equals: {},
+    notEquals: {},
+    exists: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+const STEP_SCHEMA = {
+  type: 'object',
+  required: ['id', 'type'],
+  properties: {
+    id: { type: 'string', pattern: STEP_ID_PATTERN },
+    type: { type: 'string', minLength: 1 },
+    dependsOn: { type: 'array', uniqueItems: true, items: { type: 'string' } },
+    payload: { type: 'object' },
+    agentSlug: { type: 'string', minLength: 1 },
+    delayMs: { type: 'integer', minimum: 0 },
+    requireApproval: { type: 'boolean' },
+    when: CONDITION_SCHEMA
+  },
+  additionalProperties: false
+};
+
+const WORKFLOW_SCHEMA = {
+  type: 'object',
+  required: ['slug', 'name', 'steps'],
+  properties: {
+    slug: { type: 'string', pattern: SLUG_PATTERN },
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    steps: { type: 'array', minItems: 1, items: STEP_SCHEMA }
+  },
+  additionalProperties: false
+};
+
+const WORKFLOW_PATCH_SCHEMA = {
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    name: WORKFLOW_SCHEMA.properties.name,
+    description: WORKFLOW_SCHEMA.properties.description,
+    steps: WORKFLOW_SCHEMA.properties.steps
+  },
+  additionalProperties: false
+};
+
+const WORKFLOW_RUN_PAYLOAD_SCHEMA = {
+  type: 'object',
+  required: ['workflow'],
+  properties: {
+    workflow: { type: 'string', minLength: 1, description: 'Workflow definition slug' },
+    input: { type: 'object', description: 'Available to step templates as {{input.*}}' }
+  },
+  additionalProperties: false
+};
+
+// Kahn's algorithm; returns null when the dependency graph has a cycle.
+function topologicalOrder(steps) {
+  const remaining = new Map(steps.map((step) => [step.id, new Set(step.dependsOn || [])]));
+  const order = [];
+  while (remaining.size) {
+    const ready = Array.from(remaining.entries()).filter(([, deps]) => deps.size === 0).map(([id]) => id);
+    if (!ready.length) return null;
+    ready.forEach((id) => {
+      remaining.delete(id);
+      order.push(id);
+      remaining.forEach((deps) => deps.delete(id));
+    });
+  }
+  return order.map((id) => steps.find((step) => step.id === id));
+}
+
+function collectStepReferences(value, found = new Set()) {
+  if (typeof value === 'string') {
+    const expressions = Array.from(value.matchAll(TEMPLATE_PATTERN), (match) => match[1]);
+    expressions.forEach((expression) => {
+      Array.from(expression.matchAll(STEP_REFERENCE_PATTERN), (match) => found.add(match[1]));
+    });
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectStepReferences(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((item) => collectStepReferences(item, found));
+  }
+  return found;
+}
+
+// Graph checks JSON Schema cannot express: unique ids, known dependencies, no cycles, and
+// templates/conditions that only read steps guaranteed to have finished first.
+function validateWorkflowSteps(steps) {
+  const errors = [];
+  const ids = new Set();
+  steps.forEach((step, index) => {
+    if (ids.has(step.id)) {
+      errors.push({ field: `steps.${index}.id`, message: `duplicate step id ${step.id}`, keyword: 'uniqueItems' });
+    }
+    ids.add(step.id);
+  });
+  steps.forEach((step, index) => {
+    (step.dependsOn || []).forEach((dep) => {
+      if (!ids.has(dep) || dep === step.id) {
+        errors.push({ field: `steps.${index}.dependsOn`, message: `unknown dependency ${dep}`, keyword: 'dependsOn' });
+      }
+    });
+  });
+  if (errors.length) return errors;
+
+  if (!topologicalOrder(steps)) {
+    return [{ field: 'steps', message: 'step dependencies contain a cycle', keyword: 'dependsOn' }];
+  }
+
+  const byId = new Map(steps.map((step) => [step.id, step]));
+  const ancestors = (step, seen = new Set()) => {
+    (step.dependsOn || []).forEach((dep) => {
+      if (seen.has(dep)) return;
+      seen.add(dep);
+      ancestors(byId.get(dep), seen);
+    });
+    return seen;
+  };
+  steps.forEach((step, index) => {
+    const upstream = ancestors(step);
+    const references = collectStepReferences(step.payload || {});
+    if (step.when) {
+      collectStepReferences(`{{${step.when.path}}}`, references);
+    }
+    references.forEach((ref) => {
+      if (!upstream.has(ref)) {
+        errors.push({
+          field: `steps.${index}`,
+          message: `references steps.${ref}, which is not one of its dependencies`,
+          keyword: 'dependsOn'
+        });
+      }
+    });
+  });
+  return errors;
+}
+
+function validateWorkflowInput(body) {
+  const errors = collectErrors(WORKFLOW_SCHEMA, body);
+  if (errors.length) return errors;
+  return validateWorkflowSteps(body.steps);
+}
+
+function validateWorkflowPatch(body) {
+  const errors = collectErrors(WORKFLOW_PATCH_SCHEMA, body);
+  if (errors.length || !body.steps) return errors;
+  return validateWorkflowSteps(body.steps);
+}
+
+function lookupPath(context, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), context);
+}
+
+// `{{path}}` on its own keeps the referenced value's type; embedded in a longer string it is
+// interpolated (objects as JSON, missing values as an empty string).
+function renderTemplate(value, context) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_TEMPLATE_PATTERN);
+    if (whole) return lookupPath(context, whole[1]) ?? null;
+    return value.replace(TEMPLATE_PATTERN, (_, path) => {
+      const resolved = lookupPath(context, path);
+      if (resolved === undefined || resolved === null) return '';
+      return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => renderTemplate(item, context));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderTemplate(item, context)]));
+  }
+  return value;
+}
+
+function evaluateCondition(when, context) {
+  if (!when) return true;
+  const value = lookupPath(context, when.path);
+  if (Object.prototype.hasOwnProperty.call(when, 'exists')) {
+    return (value !== undefined && value !== null) === when.exists;
+  }
+  if (Object.prototype.hasOwnProperty.call(when, 'equals')) {
+    return isDeepStrictEqual(value ?? null, when.equals);
+  }
+  if (Object.prototype.hasOwnProperty.call(when, 'notEquals')) {
+    return !isDeepStrictEqual(value ?? null, when.notEquals);
+  }
+  return Boolean(value);
+}
+
+async function listWorkflowDefinitions() {
+  const { rows } = await pool.query('SELECT * FROM workflow_definitions ORDER BY name');
+  return rows;
+}
+
+async function getWorkflowDefinition(slug) {
+  const { rows } = await pool.query('SELECT * FROM workflow_definitions WHERE slug = $1', [slug]);
+  return rows[0] || null;
+}
+
+// Returns null when the slug is already taken.
+async function createWorkflowDefinition({ slug, name, description, steps }) {
+  const { rows } = await pool.query(
+    `INSERT INTO workflow_definitions (id, slug, name, description, steps)
+     VALUES ($1, $2, $3, $4, $5::jsonb)
+     ON CONFLICT (slug) DO NOTHING
+     RETURNING *`,
+    [uuidv4(), slug, name, description ?? null, JSON.stringify(steps)]
+  );
+  return rows[0] || null;
+}
+
+async function updateWorkflowDefinition(slug, { name, description, steps }) {
+  const { rows } = await pool.query(
+    `UPDATE workflow_definitions
+     SET name = COALESCE($2, name),
+         description = COALESCE($3, description),
+         steps = COALESCE($4::jsonb, steps),
+         updated_at = now()
+     WHERE slug = $1
+     RETURNING *`,
+    [slug, name ?? null, description ?? null, steps !== undefined ? JSON.stringify(steps) : null]
+  );
+  return rows[0] || null;
+}
+
+async function deleteWorkflowDefinition(slug) {
+  const { rows } = await pool.query('DELETE FROM workflow_definitions WHERE slug = $1 RETURNING *', [slug]);
+  return rows[0] || null;
+}
+
+// The run id is the parent task id. Steps are snapshotted so editing a definition never
+// changes runs already in flight; a retried parent task reuses its existing run.
+async function createWorkflowRun({ runId, definition, input }) {
+  const steps = Object.fromEntries(definition.steps.map((step) => [step.id, { status: 'pending' }]));
+  await pool.query(
+    `INSERT INTO workflow_runs (id, definition_id, workflow_slug, definition, input, steps)
+     VALUES ($1, $2, $3, $4::jsonb, $5::jsonb, $6::jsonb)
+     ON CONFLICT (id) DO NOTHING`,
+    [
+      runId,
+      definition.id,
+      definition.slug,
+      JSON.stringify({ name: definition.name, steps: definition.steps }),
+      JSON.stringify(input ?? {}),
+      JSON.stringify(steps)
+    ]
+  );
+  return getWorkflowRun(runId);
+}
+
+async function getWorkflowRun(runId) {
+  const { rows } = await pool.query('SELECT * FROM workflow_runs WHERE id = $1', [runId]);
+  return rows[0] || null;
+}
+
+async function listChildTasks(client, runId) {
+  const { rows } = await client.query(
+    `SELECT id, type, status, result, error, attempts, agent_slug, created_at, updated_at
+     FROM tasks WHERE parent_task_id = $1`,
+    [runId]
+  );
+  return new Map(rows.map((row) => [row.id, row]));
+}
+
+function buildTemplateContext(run, stepStates, children) {
+  const steps = {};
+  Object.entries(stepStates).forEach(([id, state]) => {
+    const child = state.taskId ? children.get(state.taskId) : null;
+    steps[id] = {
+      status: state.status,
+      taskId: state.taskId || null,
+      result: child?.result ?? null,
+      output: child?.result?.output ?? null,
+      error: child?.error ?? null
+    };
+  });
+  return { input: run.input || {}, workflow: { runId: run.id, slug: run.workflow_slug }, steps };
+}
+
+function summarizeSteps(stepStates) {
+  return Object.fromEntries(
+    Object.entries(stepStates).map(([id, state]) => [id, { status: state.status, taskId: state.taskId || null }])
+  );
+}
+
+// Moves a run forward under a row lock: syncs step states from child tasks, skips steps
+// whose dependencies failed or whose condition is false, starts steps that are ready, and
+// settles the run once every step is terminal. Safe to call repeatedly from any instance.
+// Child tasks are created in the transaction that records them on the run, so a step is
+// never started twice; they are returned as `tasks` for the caller to announce.
+async function advanceWorkflowRun(runId, { spawnTask, logger }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT * FROM workflow_runs WHERE id = $1 FOR UPDATE', [runId]);
+    const run = rows[0];
+    if (!run || run.status !== 'running') {
+      await client.query('COMMIT');
+      return { run: run || null, settled: null, started: [], tasks: [] };
+    }
+
+    const { rows: parentRows } = await client.query('SELECT status, source, correlation_id, trace_id, priority FROM tasks WHERE id = $1', [runId]);
+    const parent = parentRows[0] || null;
+    const children = await listChildTasks(client, runId);
+    const stepStates = { ...run.steps };
+    const now = Date.now();
+    const logMeta = { traceId: parent?.trace_id, correlationId: parent?.correlation_id };
+
+    Object.entries(stepStates).forEach(([id, state]) => {
+      const child = state.taskId ? children.get(state.taskId) : null;
+      if (!child) return;
+      stepStates[id] = {
+        ...state,
+        status: child.status,
+        ...(TERMINAL_STEP_STATUSES.includes(child.status) ? { finishedAt: child.updated_at } : {})
+      };
+    });
+
+    // The parent was cancelled or timed out: stop starting new steps.
+    const parentActive = parent?.status === 'running';
+    const started = [];
+    const tasks = [];
+    let nextWakeAt = now + RECHECK_MS;
+
+    for (const step of topologicalOrder(run.definition.steps)) {
+      const state = stepStates[step.id] || { status: 'pending' };
+      if (!['pending', 'waiting'].includes(state.status)) continue;
+
+      if (!parentActive) {
+        stepStates[step.id] = { ...state, status: 'cancelled', reason: 'workflow_stopped' };
+        continue;
+      }
+
+      const deps = (step.dependsOn || []).map((dep) => stepStates[dep]?.status);
+      if (deps.some((status) => FAILED_STEP_STATUSES.includes(status) || status === 'skipped')) {
+        const reason = deps.some((status) => FAILED_STEP_STATUSES.includes(status)) ? 'dependency_failed' : 'dependency_skipped';
+        stepStates[step.id] = { ...state, status: 'skipped', reason, finishedAt: new Date(now).toISOString() };
+        logger.info('WORKFLOW_STEP_SKIPPED', { data: { runId, step: step.id, reason }, ...logMeta });
+        continue;
+      }
+      if (deps.some((status) => status !== 'done')) continue;
+
+      const readyAt = state.readyAt || new Date(now + (step.delayMs || 0)).toISOString();
+      if (new Date(readyAt).getTime() > now) {
+        stepStates[step.id] = { ...state, status: 'waiting', readyAt };
+        nextWakeAt = Math.min(nextWakeAt, new Date(readyAt).getTime());
+        continue;
+      }
+
+      const context = buildTemplateContext(run, stepStates, children);
+      if (!evaluateCondition(step.when, context)) {
+        stepStates[step.id] = { ...state, status: 'skipped', reason: 'condition_not_met', finishedAt: new Date(now).toISOString() };
+        logger.info('WORKFLOW_STEP_SKIPPED', { data: { runId, step: step.id, reason: 'condition_not_met' }, ...logMeta });
+        continue;
+      }
+
+      try {
+        const { task } = await spawnTask({
+          type: step.type,
+          payload: renderTemplate(step.payload || {}, context),
+          source: parent.source,
+          correlationId: parent.correlation_id || `workflow:${runId}`,
+          agentSlug: step.agentSlug,
+          actor: 'workflow',
+          origin: { workflowRunId: runId, workflow: run.workflow_slug, step: step.id },
+          parentTaskId: runId,
+          priority: parent.priority,
+          requireApproval: step.requireApproval
+        }, client);
+        stepStates[step.id] = { ...state, status: task.status, taskId: task.id, startedAt: task.created_at };
+        children.set(task.id, task);
+        tasks.push(task);
+        started.push({ step: step.id, taskId: task.id });
+        logger.info('WORKFLOW_STEP_STARTED', { data: { runId, step: step.id, type: step.type, taskId: task.id }, ...logMeta });
+      } catch (err) {
+        if (!(err instanceof TaskValidationError)) throw err;
+        stepStates[step.id] = {
+          ...state,
+          status: 'failed',
+          reason: err.message,
+          details: err.details || null,
+          finishedAt: new Date(now).toISOString()
+        };
+        logger.warn('WORKFLOW_STEP_FAILED', { data: { runId, step: step.id, error: err.message }, ...logMeta });
+      }
+    }
+
+    const statuses = Object.values(stepStates).map((state) => state.status);
+    let status = 'running';
+    if (statuses.every((value) => TERMINAL_STEP_STATUSES.includes(value))) {
+      if (!parentActive) status = 'cancelled';
+      else status = statuses.some((value) => FAILED_STEP_STATUSES.includes(value)) ? 'error' : 'done';
+    }
+
+    const { rows: updated } = await client.query(
+      `UPDATE workflow_runs
+       SET steps = $2::jsonb,
+           status = $3,
+           next_wake_at = $4,
+           finished_at = CASE WHEN $3 = 'running' THEN NULL ELSE now() END,
+           updated_at = now()
+       WHERE id = $1
+       RETURNING *`,
+      [runId, JSON.stringify(stepStates), status, status === 'running' ? new Date(nextWakeAt).toISOString() : null]
+    );
+    await client.query('COMMIT');
+
+    const settledRun = updated[0];
+    let settled = null;
+    if (status === 'cancelled') {
+      settled = { status };
+    } else if (status === 'done') {
+      settled = { status, result: { workflow: run.workflow_slug, runId, steps: summarizeSteps(stepStates) } };
+    } else if (status === 'error') {
+      const failedSteps = Object.entries(stepStates)
+        .filter(([, state]) => FAILED_STEP_STATUSES.includes(state.status))
+        .map(([id]) => id);
+      settled = {
+        status,
+        error: { message: `Workflow ${run.workflow_slug} failed at ${failedSteps.join(', ')}`, failedSteps, steps: summarizeSteps(stepStates) }
+      };
+    }
+    return { run: settledRun, settled, started, tasks };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Step state graph for GET /workflows/:runId, overlaid with live child task status.
+async function getWorkflowRunGraph(runId) {
+  const run = await getWorkflowRun(runId);
+  if (!run) return null;
+  const children = await listChildTasks(pool, runId);
+
+  const steps = run.definition.steps.map((step) => {
+    const state = run.steps[step.id] || { status: 'pending' };
+    const child = state.taskId ? children.get(state.taskId) : null;
+    return {
+      id: step.id,
+      type: step.type,
+      dependsOn: step.dependsOn || [],
+      delayMs: step.delayMs || 0,
+      when: step.when || null,
+      status: child?.status || state.status,
+      reason: state.reason || null,
+      readyAt: state.readyAt || null,
+      startedAt: state.startedAt || null,
+      finishedAt: state.finishedAt || null,
+      task: child
+        ? {
+            id: child.id,
+            status: child.status,
+            attempts: child.attempts,
+            agentSlug: child.agent_slug,
+            updatedAt: child.updated_at,
+            error: child.error
+          }
+        : null
+    };
+  });
+
+  return {
+    run: {
+      id: run.id,
+      workflow: run.workflow_slug,
+      name: run.definition.name,
+      status: run.status,
+      input: run.input,
+      createdAt: run.created_at,
+      updatedAt: run.updated_at,
+      finishedAt: run.finished_at,
+      nextWakeAt: run.next_wake_at
+    },
+    steps,
+    edges: steps.flatMap((step) => step.dependsOn.map((dep) => ({ from: dep, to: step.id })))
+  };
+}
+
+// Wakes runs with delayed steps that came due, and rechecks idle runs in case a child
+// settled without notifying the run (e.g. a manual PATCH).
+function startWorkflowEngine({ advance, logger, pollIntervalMs }) {
+  const interval = Number.parseInt(pollIntervalMs ?? process.env.WORKFLOW_POLL_MS, 10) || DEFAULT_ENGINE_POLL_MS;
+  let running = false;
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const { rows } = await pool.query(
+        `SELECT id FROM workflow_runs
+         WHERE status = 'running' AND next_wake_at <= now()
+         ORDER BY next_wake_at ASC
+         LIMIT $1`,
+        [ENGINE_BATCH_SIZE]
+      );
+      for (const { id } of rows) {
+        await advance(id).catch((err) => {
+          console.error('Failed to advance workflow run', id, err);
+          logger.error('WORKFLOW_ADVANCE_FAILED', { data: { runId: id, error: err.message } });
+        });
+      }
+    } catch (err) {
+      console.error('Workflow engine tick failed', err);
+      logger.error('WORKFLOW_ENGINE_TICK_FAILED', { data: { error: err.message } });
+    } finally {
+      running = false;
+    }
+  }
+
+  const timer = setInterval(tick, interval);
+  timer.unref?.();
+
+  return {
+    tick,
+    stop: () => clearInterval(timer)
+  };
+}
+
+module.exports = {
+  WORKFLOW_TASK_TYPE,
+  WORKFLOW_RUN_PAYLOAD_SCHEMA,
+  validateWorkflowInput,
+  validateWorkflowPatch,
+  renderTemplate,
+  evaluateCondition,
+  listWorkflowDefinitions,
+  getWorkflowDefinition,
+  createWorkflowDefinition,
+  updateWorkflowDefinition,
+  deleteWorkflowDefinition,
+  createWorkflowRun,
+  advanceWorkflowRun,
+  getWorkflowRunGraph,
+  startWorkflowEngine
+};
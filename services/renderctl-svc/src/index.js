@@ -6,7 +6,10 @@ const {
   ensureConfig,
   buildConfigReport,
   requireAuth,
-  createDashboardCors
+  createTokenIntrospector,
+  ADMIN_SCOPE,
+  createDashboardCors,
+  createAuditLogger
 } = require('@repo/common');
 const {
   createClient,
@@ -29,6 +32,14 @@ function assertToken() {
   }
 }
 
+// API tokens (checked against the orchestrator) need render:read to list services and
+// deploys and render:deploy for anything that changes Render.
+function resolveRenderScope(req) {
+  if (req.path === '/health') return null;
+  if (!req.path.startsWith('/render/')) return ADMIN_SCOPE;
+  return req.method === 'GET' || req.method === 'HEAD' ? 'render:read' : 'render:deploy';
+}
+
 function bootstrap() {
   try {
     ensureConfig();
@@ -40,12 +51,16 @@ function bootstrap() {
 
   const app = express();
   const dashboardCors = createDashboardCors();
+  const audit = createAuditLogger({ service: SERVICE_NAME });
 
   app.use(helmet());
   app.use(express.json({ limit: '512kb' }));
   app.use(morgan('combined'));
   app.use(dashboardCors);
-  app.use(requireAuth());
+  app.use(requireAuth({
+    resolveToken: createTokenIntrospector() || undefined,
+    scopeFor: resolveRenderScope
+  }));
 
   app.get('/health', (req, res) => {
     res.json({ service: SERVICE_NAME, status: 'ok', timestamp: new Date().toISOString() });
@@ -74,6 +89,14 @@ function bootstrap() {
       envResult = await updateEnvVars(client, created.id, env, { clearOtherVars: Boolean(clearEnv) });
     }
 
+    audit.record({
+      req,
+      action: 'render.service_created',
+      target: { type: 'render_service', id: created.id },
+      after: { name: service.name, type: service.type },
+      metadata: { envKeys: env && typeof env === 'object' ? Object.keys(env) : [], clearEnv: Boolean(clearEnv) }
+    });
+
     res.status(201).json({ service: created, env: envResult });
   }));
 
@@ -85,12 +108,27 @@ function bootstrap() {
 
     const client = getClient();
     const result = await updateEnvVars(client, req.params.id, env, { clearOtherVars: Boolean(clear) });
+    // Env values are secrets more often than not, so the audit trail only records which keys were set.
+    audit.record({
+      req,
+      action: 'render.env_updated',
+      target: { type: 'render_service', id: req.params.id },
+      after: env,
+      redactValues: true,
+      metadata: { clear: Boolean(clear) }
+    });
     res.json({ env: result });
   }));
 
   app.post('/render/deploy/:id', asyncHandler(async (req, res) => {
     const client = getClient();
     const response = await triggerDeploy(client, req.params.id, req.body || {});
+    audit.record({
+      req,
+      action: 'render.deploy_triggered',
+      target: { type: 'render_service', id: req.params.id },
+      metadata: { deployId: response?.id ?? null, options: req.body || {} }
+    });
     res.status(202).json({ deploy: response });
   }));
 
@@ -125,6 +163,14 @@ function bootstrap() {
       dryRun: Boolean(dryRun),
       logger: console
     });
+    if (!dryRun) {
+      audit.record({
+        req,
+        action: 'render.blueprint_applied',
+        target: { type: 'render_blueprint', id: result.blueprint },
+        metadata: { version: result.version, services: result.services }
+      });
+    }
     res.status(dryRun ? 200 : 202).json(result);
   }));
 
@@ -8,6 +8,7 @@ const { Pool } = require('pg');
 const WebSocket = require('ws');
 const twilio = require('twilio');
 const { v4: uuidv4 } = require('uuid');
+const { createAuditLogger } = require('@repo/common');
 
 // ------------------------------
 // Service constants
@@ -46,6 +47,15 @@ function redactConfig(o) {
   return clone;
 }
 
+// redactConfig plus the password inside db_url, which the audit helper cannot recognise by key.
+function auditConfigView(o) {
+  const clone = redactConfig(o);
+  if (typeof clone.db_url === 'string') {
+    clone.db_url = clone.db_url.replace(/(\/\/[^:/@]+:)[^@]*@/, '$1***@');
+  }
+  return clone;
+}
+
 function required(obj, path) {
   const parts = path.split('.');
   let cur = obj;
@@ -90,7 +100,10 @@ function basicAuthMiddleware(req, res, next) {
   }
   const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
   const [user, pass] = decoded.split(':');
-  if (user === cfg.basic_auth.user && pass === cfg.basic_auth.pass) return next();
+  if (user === cfg.basic_auth.user && pass === cfg.basic_auth.pass) {
+    req.authUser = user;
+    return next();
+  }
   res.set('WWW-Authenticate', 'Basic realm="voice-rt"');
   return res.status(401).send('Invalid credentials');
 }
@@ -332,6 +345,13 @@ async function main() {
   // 3) Init Twilio client
   const twilioClient = twilio(cfg.twilio.account_sid, cfg.twilio.auth_token, { lazyLoading: true });
 
+  // The logging service lives outside APP_CONFIG, so its URL comes from the environment.
+  const audit = createAuditLogger({
+    service: SERVICE_NAME,
+    loggingUrl: process.env.LOGGING_URL,
+    internalKey: process.env.INTERNAL_KEY || cfg.internal_key
+  });
+
   const app = express();
   server = http.createServer(app);
   const wss = new WebSocket.Server({ noServer: true });
@@ -498,7 +518,15 @@ async function main() {
   });
   app.put('/admin/config', async (req, res) => {
     try {
+      const previous = cfg;
       await replaceConfig(req.body || {});
+      audit.record({
+        req,
+        action: 'voice.config_updated',
+        target: { type: 'app_config', id: 'default' },
+        before: auditConfigView(previous),
+        after: auditConfigView(cfg)
+      });
       res.json({ status: 'updated' });
     } catch (err) {
       res.status(400).json({ error: 'INVALID_CONFIG', missing: err.missing || [] });